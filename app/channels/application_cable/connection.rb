@@ -1,17 +1,17 @@
 # app/channels/application_cable/connection.rb
 module ApplicationCable
     class Connection < ActionCable::Connection::Base
-      # Aquí puedes agregar autenticación si la necesitas
-      # identified_by :current_user
-      
-      # def connect
-      #   self.current_user = find_verified_user
-      # end
-      
-      # private
-      
-      # def find_verified_user
-      #   # Lógica de autenticación
-      # end
+      # Usuario de Devise (si hay sesión); los canales públicos no lo necesitan
+      identified_by :current_user
+
+      def connect
+        self.current_user = find_verified_user
+      end
+
+      private
+
+      def find_verified_user
+        env['warden']&.user
+      end
     end
-  end
\ No newline at end of file
+  end
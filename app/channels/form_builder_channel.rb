@@ -0,0 +1,77 @@
+# frozen_string_literal: true
+
+# Real-time collaboration in the form builder (forms#edit).
+#
+# Everyone editing a form streams from it. FormQuestionsController broadcasts
+# question changes here (see .broadcast_change); the channel itself tracks who
+# is online and which question each of them is editing (FormBuilderPresence).
+# Every browser tab subscribes with its own client_id, which is echoed back in
+# broadcasts so a tab can ignore the changes it made itself.
+class FormBuilderChannel < ApplicationCable::Channel
+  CLIENT_ID_FORMAT = /\A[\w-]{8,64}\z/
+
+  # @param form [Form] Form that changed
+  # @param type [String] question_created, question_updated, question_deleted or questions_reordered
+  # @param payload [Hash] Event data; client_id identifies the tab that made the change
+  def self.broadcast_change(form, type, payload = {})
+    broadcast_to(form, payload.merge(type: type))
+  end
+
+  def subscribed
+    @form = Form.find_by(id: params[:form_id])
+
+    unless @form && current_user && FormPolicy.new(current_user, @form).edit? && client_id.match?(CLIENT_ID_FORMAT)
+      Rails.logger.error "FormBuilderChannel: Rejected subscription to form #{params[:form_id]}"
+      return reject
+    end
+
+    stream_for @form
+    presence.join(client_id, current_user)
+    broadcast_presence
+    Rails.logger.info "FormBuilderChannel: #{current_user.id} joined form #{@form.id}"
+  end
+
+  def unsubscribed
+    return unless @form
+
+    presence.leave(client_id)
+    broadcast_presence
+  end
+
+  # Heartbeat, keeps this client in the presence list
+  def appear
+    presence.touch(client_id, current_user)
+  end
+
+  def lock(data)
+    question_id = data['question_id'].to_s
+    return unless @form.form_questions.exists?(id: question_id)
+
+    holder = presence.lock(client_id, current_user, question_id)
+
+    if holder
+      transmit(type: 'lock_denied', question_id: question_id, holder: holder)
+    else
+      broadcast_presence
+    end
+  end
+
+  def unlock(data)
+    presence.unlock(client_id, data['question_id'].presence&.to_s)
+    broadcast_presence
+  end
+
+  private
+
+  def client_id
+    params[:client_id].to_s
+  end
+
+  def presence
+    @presence ||= FormBuilderPresence.new(@form)
+  end
+
+  def broadcast_presence
+    self.class.broadcast_change(@form, 'presence', members: presence.members)
+  end
+end
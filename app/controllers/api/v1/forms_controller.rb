@@ -1,8 +1,8 @@
 # frozen_string_literal: true
 
 class Api::V1::FormsController < Api::BaseController
-  before_action :set_form, only: [:show, :update, :destroy, :publish, :unpublish, :duplicate, :analytics, :export, :preview, :test_ai_feature, :embed_code]
-  before_action :authorize_form_access, only: [:show, :update, :destroy, :publish, :unpublish, :duplicate, :analytics, :export, :preview, :test_ai_feature, :embed_code]
+  before_action :set_form, only: [:show, :update, :destroy, :publish, :unpublish, :duplicate, :analytics, :export, :export_definition, :preview, :test_ai_feature, :embed_code]
+  before_action :authorize_form_access, only: [:show, :update, :destroy, :publish, :unpublish, :duplicate, :analytics, :export, :export_definition, :preview, :test_ai_feature, :embed_code]
 
   # GET /api/v1/forms
   def index
@@ -241,6 +241,15 @@ class Api::V1::FormsController < Api::BaseController
     end
   end
 
+  # GET /api/v1/forms/:id/export_definition
+  # The form definition in the versioned schema of Forms::DefinitionExportService
+  def export_definition
+    authorize_token!('forms', 'read') || return
+
+    definition = Forms::DefinitionExportService.call(form: @form).result
+    render json: { success: true, data: definition }
+  end
+
   # GET /api/v1/forms/:id/preview
   def preview
     authorize_token!('forms', 'read') || return
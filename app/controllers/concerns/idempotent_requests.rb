@@ -0,0 +1,62 @@
+# frozen_string_literal: true
+
+# Controller concern that makes retried requests safe to replay.
+# Clients send an Idempotency-Key header; the first successful response for a
+# key is cached and returned verbatim for any later request with the same key
+# from the same client, so an offline outbox replaying an answer never records
+# it twice. Keys are scoped by #idempotency_scope, so a key reused by another
+# client never replays someone else's response.
+module IdempotentRequests
+  extend ActiveSupport::Concern
+
+  IDEMPOTENCY_HEADER = 'Idempotency-Key'
+  IDEMPOTENCY_TTL = 24.hours
+
+  class_methods do
+    # Wraps the given actions so repeated Idempotency-Key requests are replayed
+    #
+    # @param actions [Array<Symbol>] Actions to protect
+    def idempotent_actions(*actions)
+      around_action :replay_idempotent_request, only: actions
+    end
+  end
+
+  private
+
+  def replay_idempotent_request
+    key = request.headers[IDEMPOTENCY_HEADER]
+    return yield if key.blank?
+
+    cache_key = idempotency_cache_key(key)
+    stored_response = Rails.cache.read(cache_key)
+
+    if stored_response
+      Rails.logger.info "Replaying stored response for Idempotency-Key #{key}"
+      response.headers['Idempotent-Replayed'] = 'true'
+      render body: stored_response[:body],
+             status: stored_response[:status],
+             content_type: stored_response[:content_type]
+      return
+    end
+
+    yield
+
+    # Only successful outcomes are final; failures must stay retryable
+    return unless response.successful?
+
+    Rails.cache.write(cache_key, {
+      body: response.body,
+      status: response.status,
+      content_type: response.media_type
+    }, expires_in: IDEMPOTENCY_TTL)
+  end
+
+  # Who a key belongs to; the browser session unless the controller narrows it
+  def idempotency_scope
+    request.session.id.to_s
+  end
+
+  def idempotency_cache_key(key)
+    "idempotency:#{controller_path}:#{action_name}:#{idempotency_scope}:#{key.to_s.first(128)}"
+  end
+end
@@ -2,9 +2,9 @@
 
 class FormQuestionsController < ApplicationController
   before_action :set_form
-  before_action :set_question, only: [:show, :edit, :update, :destroy, :move_up, :move_down, :duplicate, :ai_enhance, :preview, :analytics]
+  before_action :set_question, only: [:show, :edit, :update, :destroy, :move_up, :move_down, :duplicate, :ai_enhance, :preview, :analytics, :preview_conditional_logic]
   before_action :authorize_form_access
-  before_action :authorize_question_access, only: [:show, :edit, :update, :destroy, :move_up, :move_down, :duplicate, :ai_enhance, :preview, :analytics]
+  before_action :authorize_question_access, only: [:show, :edit, :update, :destroy, :move_up, :move_down, :duplicate, :ai_enhance, :preview, :analytics, :preview_conditional_logic]
 
   # GET /forms/:form_id/questions
   def index
@@ -43,6 +43,7 @@ def create
 
   if @question.save
     handle_form_structure_change
+    broadcast_builder_change('question_created', @question)
 
     respond_to do |format|
       format.html { redirect_to edit_form_path(@form), notice: 'Question was successfully created.' }
@@ -121,6 +122,7 @@ def update
 
   if @question.update(question_params)
     handle_question_update(old_config, old_ai_config) if old_config || old_ai_config
+    broadcast_builder_change('question_updated', @question)
 
     respond_to do |format|
       format.html { redirect_to edit_form_path(@form), notice: 'Question was successfully updated.' }
@@ -140,24 +142,64 @@ end
 
   # DELETE /forms/:form_id/questions/:id
   def destroy
-    position = @question.position
-    @question.destroy!
+    snapshot = @question.restorable_attributes
 
-    # Reorder remaining questions
-    reorder_questions_after_deletion(position)
+    ActiveRecord::Base.transaction do
+      @question.destroy!
+      # Renumber the remaining questions
+      @form.renumber_questions!(@form.questions_ordered.to_a)
+    end
+    store_restore_snapshot(snapshot)
     handle_form_structure_change
+    broadcast_builder_change('question_deleted', @question)
 
     respond_to do |format|
       format.html { redirect_to edit_form_path(@form), notice: 'Question was successfully deleted.' }
-      format.json { head :no_content }
+      format.json { render json: { success: true, question: snapshot } }
     end
   end
 
+  # POST /forms/:form_id/questions/restore
+  # Re-creates a question deleted from this form, from the snapshot #destroy
+  # kept server-side; the client only names the question id. The original id
+  # is kept so conditional rules pointing at it still match.
+  def restore
+    snapshot = Rails.cache.read(restore_snapshot_key(params[:question_id]))
+    return render json: { error: 'Nothing to restore for this question' }, status: :not_found unless snapshot
+
+    @question = @form.form_questions.build(snapshot)
+    authorize @question
+
+    if FormQuestion.exists?(id: @question.id)
+      return render json: { error: 'Question already exists' }, status: :conflict
+    end
+
+    if @question.question_type == 'payment' && !current_user.can_accept_payments?
+      return render json: {
+        error: 'Payment questions require Premium subscription',
+        upgrade_required: true
+      }, status: :forbidden
+    end
+
+    position = @question.position.to_i.clamp(1, @form.next_question_position)
+
+    @form.renumber_questions!(@form.questions_ordered.to_a.insert(position - 1, @question))
+    Rails.cache.delete(restore_snapshot_key(@question.id))
+
+    handle_form_structure_change
+    broadcast_builder_change('question_created', @question)
+
+    render json: { success: true, question: @question.restorable_attributes }, status: :created
+  rescue ActiveRecord::RecordInvalid
+    render json: { errors: @question.errors.full_messages }, status: :unprocessable_entity
+  end
+
   # POST /forms/:form_id/questions/:id/move_up
   def move_up
     if @question.position > 1
       swap_question_positions(@question, find_question_at_position(@question.position - 1))
       handle_form_structure_change
+      broadcast_builder_change('questions_reordered')
 
       respond_to do |format|
         format.html { redirect_to edit_form_path(@form), notice: 'Question moved up successfully.' }
@@ -178,6 +220,7 @@ end
     if @question.position < max_position
       swap_question_positions(@question, find_question_at_position(@question.position + 1))
       handle_form_structure_change
+      broadcast_builder_change('questions_reordered')
 
       respond_to do |format|
         format.html { redirect_to edit_form_path(@form), notice: 'Question moved down successfully.' }
@@ -200,6 +243,7 @@ def duplicate
     duplicated_question.save!
 
     handle_form_structure_change
+    broadcast_builder_change('question_created', duplicated_question)
 
     respond_to do |format|
       format.html { redirect_to edit_form_path(@form), notice: 'Question duplicated successfully.' }
@@ -263,6 +307,7 @@ end
     begin
       reorder_questions(question_ids)
       handle_form_structure_change
+      broadcast_builder_change('questions_reordered')
 
       respond_to do |format|
         format.html { redirect_to edit_form_path(@form), notice: 'Questions reordered successfully.' }
@@ -295,6 +340,41 @@ end
     end
   end
 
+  # POST /forms/:form_id/questions/:id/preview_conditional_logic
+  # Describes and validates unsaved rules from the builder's rule editor and,
+  # given sample answers, tells whether the question would be shown
+  def preview_conditional_logic
+    unless request.xhr? && params[:conditional_preview].present?
+      return render json: { success: false, error: 'Invalid rule format' }, status: :bad_request
+    end
+
+    begin
+      preview_rules = JSON.parse(params[:conditional_preview])
+      sample_answers = params[:sample_answers].present? ? JSON.parse(params[:sample_answers]) : {}
+
+      unless preview_rules.is_a?(Array) && sample_answers.is_a?(Hash)
+        return render json: { success: false, error: 'Invalid rule format' }, status: :bad_request
+      end
+
+      # Only assigned so the validations and the evaluator see the proposed rules; never saved here
+      @question.assign_attributes(
+        conditional_enabled: true,
+        conditional_logic: { 'rules' => preview_rules, 'operator' => logic_operator_param }
+      )
+      errors = preview_rule_errors(preview_rules)
+
+      render json: {
+        success: true,
+        preview: generate_preview_text(preview_rules),
+        warnings: validate_preview_rules(preview_rules),
+        errors: errors,
+        would_show: errors.empty? && sample_answers.present? ? @question.should_show_for_answers?(sample_answers) : nil
+      }
+    rescue JSON::ParserError
+      render json: { success: false, error: 'Invalid rule format' }
+    end
+  end
+
   private
 
   def prepare_conditional_questions
@@ -360,7 +440,7 @@ end
   def validate_conditional_logic
     return unless @question.conditional_enabled? && @question.conditional_logic.present?
     
-    rules = @question.conditional_logic['rules'] || []
+    rules = @question.flat_conditional_rules
     validation_errors = []
     
     rules.each_with_index do |rule, index|
@@ -467,27 +547,18 @@ end
     end
   end
 
-  def preview_conditional_logic
-    return unless request.xhr? && params[:conditional_preview]
-    
-    begin
-      preview_rules = JSON.parse(params[:conditional_preview])
-      preview_text = generate_preview_text(preview_rules)
-      
-      render json: { 
-        success: true, 
-        preview: preview_text,
-        warnings: validate_preview_rules(preview_rules)
-      }
-    rescue JSON::ParserError
-      render json: { success: false, error: 'Invalid rule format' }
-    end
-  end
-
   def generate_preview_text(rules)
     return "No rules configured" if rules.empty?
     
+    "Show this question #{describe_rule_set(rules, logic_operator_param)}"
+  end
+
+  def describe_rule_set(rules, logic_operator)
     rule_texts = rules.map.with_index do |rule, index|
+      if rule['rules'].is_a?(Array)
+        next "(#{describe_rule_set(rule['rules'], rule['operator'].to_s.downcase)})"
+      end
+
       question = @conditional_questions.find { |q| q.id == rule['question_id'] }
       next "Rule #{index + 1}: Invalid question" unless question
       
@@ -500,23 +571,41 @@ end
       when 'is_not_empty' then 'has any answer'
       when 'greater_than' then 'is greater than'
       when 'less_than' then 'is less than'
+      when 'greater_than_or_equal' then 'is at least'
+      when 'less_than_or_equal' then 'is at most'
+      when 'in_list' then 'is one of'
+      when 'not_in_list' then 'is none of'
       else rule['operator']
       end
       
-      value_text = rule['value'].present? ? " '#{rule['value']}'" : ""
+      value_text = rule['value'].present? ? " '#{Array(rule['value']).join(', ')}'" : ""
       "when '#{question.title}' #{operator_text}#{value_text}"
     end.compact
     
-    logic_operator = params[:logic_operator] || 'and'
-    connector = logic_operator == 'and' ? ' AND ' : ' OR '
-    
-    "Show this question #{rule_texts.join(connector)}"
+    connector = logic_operator == 'or' ? ' OR ' : ' AND '
+    rule_texts.join(connector)
+  end
+
+  def logic_operator_param
+    params[:logic_operator].to_s.downcase == 'or' ? 'or' : 'and'
+  end
+
+  def preview_rule_errors(rules)
+    validate_conditional_logic
+    errors = @question.errors[:conditional_logic].flat_map { |message| message.split('; ') }
+
+    if (cycle = @question.conditional_dependency_cycle(rules))
+      titles = @form.form_questions.where(id: cycle).pluck(:id, :title).to_h
+      errors << "Circular reference: #{cycle.map { |id| titles[id] || id }.join(' → ')}"
+    end
+
+    errors
   end
 
   def validate_preview_rules(rules)
     warnings = []
     
-    rules.each_with_index do |rule, index|
+    @question.flat_conditional_rules(rules).each_with_index do |rule, index|
       question = @conditional_questions.find { |q| q.id == rule['question_id'] }
       next unless question
       
@@ -553,18 +642,40 @@ end
       :ai_enhanced, :conditional_enabled, :hidden,
       question_config: [
         :min_value, :max_value, :step, :min_length, :max_length, :max_size_mb,
-        :multiple, :placeholder, :format,
+        :max_files, :multiple, :max_dimension, :image_quality, :crop_aspect_ratio,
+        :placeholder, :format, :default_country, :single_field, :autocomplete,
+        :show_map, :default_latitude, :default_longitude, :default_zoom, :require_coordinates,
+        :multiple_selection,
+        :min_date, :max_date, :min_datetime, :max_datetime, :min_time, :max_time,
+        :min_days_from_today, :max_days_from_today, :range, :timezone,
+        :formula, :decimals, :prefill_key, :lock_prefilled, :points,
         options: [],
         items: [],
+        rows: [],
+        columns: [],
         categories: [],
         labels: {},
-        allowed_types: []
+        allowed_types: [],
+        countries: [],
+        disabled_weekdays: [],
+        blackout_dates: [],
+        correct_answers: [],
+        option_points: {}
       ],
       ai_config: {},
       conditional_logic: {}
     )
   end
 
+  # Deleted questions can be restored for a day, by whoever can edit the form
+  def store_restore_snapshot(snapshot)
+    Rails.cache.write(restore_snapshot_key(snapshot['id']), snapshot, expires_in: 1.day)
+  end
+
+  def restore_snapshot_key(question_id)
+    "form_question_snapshots/#{@form.id}/#{question_id}"
+  end
+
   def handle_form_structure_change
     # Update form cache
     @form.update_form_cache if @form.respond_to?(:update_form_cache)
@@ -575,6 +686,32 @@ end
     end
   end
 
+  # Sends the change to everyone else in the builder for this form
+  # (FormBuilderChannel). Cards are rendered with the same partial as forms#edit.
+  def broadcast_builder_change(type, question = nil)
+    payload = {
+      client_id: request.headers['X-Builder-Client-Id'],
+      actor: current_user.full_name.presence || current_user.email,
+      question_ids: @form.form_questions.reorder(:position).pluck(:id)
+    }
+
+    if question
+      payload[:question_id] = question.id
+
+      unless type == 'question_deleted'
+        payload[:html] = ApplicationController.render(
+          partial: 'forms/question_card_ajax',
+          locals: { question: question, index: question.position - 1 }
+        )
+      end
+    end
+
+    FormBuilderChannel.broadcast_change(@form, type, payload)
+  rescue StandardError => e
+    # Collaboration updates must never break the save itself
+    Rails.logger.error "FormBuilderChannel broadcast failed: #{e.message}"
+  end
+
   def handle_question_update(old_config, old_ai_config)
     # Check if question configuration changed significantly
     if question_config_changed?(old_config) || ai_config_changed?(old_ai_config)
@@ -603,37 +740,24 @@ def ai_config_changed?(old_ai_config)
   @question.ai_config != old_ai_config
 end
 
-  def reorder_questions_after_deletion(deleted_position)
-    @form.form_questions.where('position > ?', deleted_position)
-         .update_all('position = position - 1')
-  end
-
   def swap_question_positions(question1, question2)
     return unless question2
 
-    ActiveRecord::Base.transaction do
-      pos1 = question1.position
-      pos2 = question2.position
-      
-      # Use a temporary position to avoid unique constraint issues
-      temp_position = -1
-      question1.update!(position: temp_position)
-      question2.update!(position: pos1)
-      question1.update!(position: pos2)
-    end
+    questions = @form.questions_ordered.to_a
+    index1 = questions.index(question1)
+    index2 = questions.index(question2)
+    questions[index1], questions[index2] = questions[index2], questions[index1]
+    @form.renumber_questions!(questions)
   end
 
   def find_question_at_position(position)
     @form.form_questions.find_by(position: position)
   end
 
+  # Questions left out of question_ids follow in their current order
   def reorder_questions(question_ids)
-    ActiveRecord::Base.transaction do
-      question_ids.each_with_index do |question_id, index|
-        question = @form.form_questions.find(question_id)
-        question.update!(position: index + 1)
-      end
-    end
+    ordered = @form.form_questions.find(question_ids)
+    @form.renumber_questions!(ordered | @form.questions_ordered.to_a)
   end
 
   def enhance_question_with_ai(enhancement_type, options)
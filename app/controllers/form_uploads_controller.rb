@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+# Joins the chunks of a large file uploaded to a file_upload or image_upload
+# question. The upload widget (app/javascript/lib/file_uploads.js) stores each
+# chunk with an Active Storage direct upload and posts their signed ids in
+# order; the signed id of the joined blob is what the answer then posts.
+class FormUploadsController < ApplicationController
+  # 100 MB, the largest max_size_mb a question accepts, in 5 MB chunks
+  MAX_CHUNKS = 20
+
+  INCOMPLETE_MESSAGE = 'The upload could not be completed. Upload the file again'
+
+  skip_before_action :authenticate_user!
+  skip_after_action :verify_authorized
+  skip_after_action :verify_policy_scoped
+
+  before_action :set_form
+  before_action :set_question
+
+  # POST /f/:share_token/uploads
+  def create
+    chunks = Array(params[:signed_ids]).first(MAX_CHUNKS + 1).map { |signed_id| ActiveStorage::Blob.find_signed(signed_id.to_s) }
+    return render_errors([INCOMPLETE_MESSAGE]) if chunks.empty? || chunks.size > MAX_CHUNKS || chunks.any?(&:nil?)
+
+    max_size_mb = @question.file_upload_config[:max_size]
+    return render_errors(["#{params[:filename]} is larger than #{max_size_mb} MB"]) if chunks.sum(&:byte_size) > max_size_mb.to_f.megabytes
+
+    blob = ActiveStorage::Blob.compose(chunks, filename: params[:filename].to_s, content_type: params[:content_type].presence)
+    chunks.each(&:purge_later)
+
+    render json: { signed_id: blob.signed_id }, status: :created
+  end
+
+  private
+
+  # Drafts are only open to their owner, who can preview them
+  def set_form
+    @form = Form.find_by(share_token: params[:share_token])
+    return if @form && (@form.published? || @form.user == current_user)
+
+    render json: { error: 'Form not found' }, status: :not_found
+  end
+
+  def set_question
+    @question = @form.form_questions.find_by(id: params[:question_id])
+    return if @question&.file_upload_question?
+
+    render json: { error: 'Question not found' }, status: :not_found
+  end
+
+  def render_errors(errors)
+    render json: { errors: errors }, status: :unprocessable_entity
+  end
+end
@@ -6,7 +6,7 @@ class FormsController < ApplicationController
   include SafePagination
   
   before_action :authenticate_user!
-  before_action :set_form, only: [:show, :edit, :update, :destroy, :publish, :unpublish, :duplicate, :analytics, :export, :preview, :responses, :download_responses, :payment_setup_status, :has_payment_questions]
+  before_action :set_form, only: [:show, :edit, :update, :destroy, :publish, :unpublish, :duplicate, :analytics, :export, :export_definition, :preview, :responses, :download_responses, :payment_setup_status, :has_payment_questions]
   before_action :authorize_form, only: [:show, :edit, :update, :destroy, :publish, :unpublish, :analytics, :preview]
 
   # GET /forms
@@ -386,6 +386,58 @@ class FormsController < ApplicationController
     end
   end
 
+  # GET /forms/:id/export_definition
+  # Downloads the form definition as JSON (Forms::DefinitionExportService)
+  def export_definition
+    authorize @form, :export?
+
+    service = Forms::DefinitionExportService.call(form: @form)
+
+    respond_to do |format|
+      format.json { render json: service.result }
+      format.any do
+        send_data JSON.pretty_generate(service.result),
+                  filename: service.filename,
+                  type: 'application/json'
+      end
+    end
+  end
+
+  # GET /forms/import
+  def import
+    authorize Form, :create?
+  end
+
+  # POST /forms/import_definition
+  # Validates an exported definition and, unless dry_run is set, creates a new
+  # draft form from it. The preview lists what is (or would be) created.
+  def import_definition
+    authorize Form, :create?
+
+    document = JSON.parse(params[:definition].to_s)
+    service = Forms::DefinitionImportService.call(
+      user: current_user,
+      document: document,
+      dry_run: ActiveModel::Type::Boolean.new.cast(params[:dry_run])
+    )
+
+    if service.success?
+      form = service.result[:form]
+
+      render json: {
+        success: true,
+        dry_run: form.new_record?,
+        preview: service.result[:preview],
+        warnings: service.result[:warnings],
+        redirect_url: form.persisted? ? edit_form_path(form) : nil
+      }
+    else
+      render json: { success: false, errors: service.errors.full_messages }, status: :unprocessable_entity
+    end
+  rescue JSON::ParserError
+    render json: { success: false, errors: ['The file is not valid JSON'] }, status: :unprocessable_entity
+  end
+
   # GET /forms/:id/analytics
   def analytics
     @analytics_period = params[:period]&.to_i&.days || 30.days
@@ -619,6 +671,8 @@ class FormsController < ApplicationController
     params.require(:form).permit(
       :name, :description, :category, :ai_enabled,
       form_settings: {},
+      hidden_fields: [],
+      quiz: {},
       ai_configuration: {},
       style_configuration: {},
       integration_settings: {}
@@ -710,6 +764,12 @@ class FormsController < ApplicationController
         headers << "#{question.title} (#{question.question_type})"
       end
       
+      # Hidden fields recorded from the share link
+      headers.concat(@form.hidden_fields)
+      
+      # Quiz score and outcome
+      headers.concat(['Score', 'Max score', 'Percentage', 'Outcome']) if @form.quiz?
+      
       csv << headers
       
       # Data rows
@@ -739,6 +799,13 @@ class FormsController < ApplicationController
           end
         end
         
+        row.concat(@form.hidden_fields.map { |name| response.hidden_field_values[name].to_s })
+        
+        if @form.quiz?
+          quiz_result = response.quiz_result
+          row.concat([quiz_result['score'], quiz_result['max_score'], quiz_result['percentage'], quiz_result.dig('outcome', 'title')])
+        end
+        
         csv << row
       end
     end
@@ -1,12 +1,17 @@
 # frozen_string_literal: true
 
 class ResponsesController < ApplicationController
+  include IdempotentRequests
+
   skip_before_action :authenticate_user!
   skip_after_action :verify_authorized, unless: :skip_authorization?
   skip_after_action :verify_policy_scoped, unless: :skip_authorization?
-  before_action :set_form, only: [:show, :answer, :thank_you, :preview, :save_draft, :abandon, :resume]
-  before_action :set_or_create_response, only: [:show, :answer]
-  before_action :validate_form_access, only: [:show, :answer]
+  # Declared before the other callbacks so a replayed request never touches the response session
+  idempotent_actions :answer, :save_draft, :abandon
+  before_action :set_form, only: [:show, :question, :answer, :thank_you, :preview, :save_draft, :abandon, :resume]
+  before_action :set_or_create_response, only: [:show, :question, :answer]
+  before_action :validate_form_access, only: [:show, :question, :answer]
+  before_action :end_timed_out_quiz, only: [:show, :question, :answer]
   before_action :track_form_view, only: [:show]
   
   # Public Actions
@@ -20,6 +25,17 @@ class ResponsesController < ApplicationController
     Rails.logger.info "Form ID: #{@form&.id}"
     Rails.logger.info "Form name: #{@form&.name}"
     
+    # Handle form completion
+    if @form_response.completed?
+      redirect_path = thank_you_form_path(@form.share_token)
+      Rails.logger.info "Form completed, redirecting to: #{redirect_path}"
+      redirect_to redirect_path
+      return
+    end
+    
+    # UTM parameters, hidden fields and prefilled answers from the share URL
+    @form_response.record_url_parameters(request.query_parameters)
+    
     @current_question = find_current_question
     @progress_percentage = @form_response.progress_percentage
     @total_questions = @form.form_questions.count
@@ -29,14 +45,6 @@ class ResponsesController < ApplicationController
     Rails.logger.info "Form still present: #{@form.present?}"
     Rails.logger.info "Form share_token: #{@form&.share_token}"
     
-    # Handle form completion
-    if @form_response.completed?
-      redirect_path = thank_you_form_path(@form.share_token)
-      Rails.logger.info "Form completed, redirecting to: #{redirect_path}"
-      redirect_to redirect_path
-      return
-    end
-    
     # Handle no more questions (auto-complete)
     unless @current_question
       Rails.logger.info "No current question found, completing form"
@@ -58,6 +66,25 @@ class ResponsesController < ApplicationController
     end
   end
   
+  # GET /f/:share_token/questions/:question_id - Render a single question fragment
+  # Used by question_response_controller to swap the next (or a previous) question in place.
+  # Only questions the respondent has reached and conditional logic shows are served.
+  def question
+    @current_question = find_question_by_id(params[:question_id])
+
+    unless @current_question && reached_question?(@current_question)
+      return render_error("Question not found", :not_found)
+    end
+
+    @progress_percentage = @form_response.progress_percentage
+    @total_questions = @form.form_questions.count
+
+    prepare_question_data
+
+    render partial: 'responses/question',
+           locals: { question: @current_question, config: @question_config }
+  end
+  
   # POST /f/:share_token/answer - Submit answer to current question
   def answer
     Rails.logger.info "=== ANSWER ACTION START ==="
@@ -82,6 +109,7 @@ class ResponsesController < ApplicationController
     #    Para esto, invalidamos las respuestas de preguntas futuras que
     #    podrían haber sido afectadas por cambios en la lógica condicional.
     invalidate_conditional_responses_if_needed
+    refresh_calculations
 
     # 4. Encuentra la próxima pregunta visible con la nueva lógica
     next_question = find_current_question
@@ -94,7 +122,7 @@ class ResponsesController < ApplicationController
       Rails.logger.info "Form completion detected, redirecting to: #{redirect_path}"
       
       return respond_to do |format|
-        format.json { render json: { success: true, completed: true, redirect_url: redirect_path } }
+        format.json { render json: { success: true, completed: true, redirect_url: redirect_path, quiz: quiz_feedback }.compact }
         format.html { redirect_to redirect_path }
       end
     end
@@ -109,8 +137,9 @@ class ResponsesController < ApplicationController
           success: true,
           next_question: next_question ? serialize_question(next_question) : nil,
           progress: @form_response.progress_percentage,
-          completed: next_question.nil?
-        }
+          completed: next_question.nil?,
+          quiz: quiz_feedback
+        }.compact
       end
       format.html { redirect_to public_form_path(@form.share_token) }
     end
@@ -321,9 +350,6 @@ class ResponsesController < ApplicationController
       status: :in_progress
     }
     
-    # Add UTM parameters if present
-    response_data[:utm_data] = extract_utm_parameters if has_utm_parameters?
-    
     @form.form_responses.create!(response_data)
   end
   
@@ -369,14 +395,18 @@ class ResponsesController < ApplicationController
     remaining_questions.each do |question|
       Rails.logger.info "Evaluating question: #{question.title} (position: #{question.position})"
       
-      if should_show_question?(question)
-        Rails.logger.info "✓ Question should be shown: #{question.title}"
-        return question
-      else
+      if !should_show_question?(question)
         Rails.logger.info "✗ Question should be skipped: #{question.title}"
         # Auto-skip this question
         skip_question(question)
         # Continue to next question in the loop
+      elsif question.calculated?
+        # Calculated questions are never shown; their value is worked out
+        # from the answers so far
+        record_calculation(question)
+      else
+        Rails.logger.info "✓ Question should be shown: #{question.title}"
+        return question
       end
     end
     
@@ -389,6 +419,15 @@ class ResponsesController < ApplicationController
     @form.form_questions.find_by(id: question_id)
   end
   
+  # Answered questions and the current one, as long as they are shown;
+  # every shown question once there is nothing left to answer
+  def reached_question?(question)
+    return false if question.calculated? || !should_show_question?(question)
+
+    current_question = find_current_question
+    current_question.nil? || question.position <= current_question.position
+  end
+
   def should_show_question?(question)
     return true unless question.has_conditional_logic?
     
@@ -411,6 +450,29 @@ class ResponsesController < ApplicationController
     )
   end
   
+  # Stores a calculated question's value, or skips it while an answer its
+  # formula needs is missing
+  def record_calculation(question, question_response = @form_response.question_responses.build(form_question: question))
+    value = question.calculate(@form_response.answer_values)
+
+    question_response.update!(
+      answer_data: value.nil? ? {} : { value: value, question_type: question.question_type, metadata: { formula: question.calculation_config[:formula] } },
+      skipped: value.nil?,
+      response_time_ms: 0
+    )
+  end
+
+  # Respondents can go back and revise an answer, so the values already
+  # calculated after it are worked out again, in order
+  def refresh_calculations
+    @form_response.question_responses
+                  .joins(:form_question)
+                  .where(form_questions: { question_type: 'calculated' })
+                  .where('form_questions.position > ?', @current_question.position)
+                  .order('form_questions.position')
+                  .each { |question_response| record_calculation(question_response.form_question, question_response) }
+  end
+
   # Answer Processing
   
   def process_answer_submission
@@ -420,6 +482,9 @@ class ResponsesController < ApplicationController
     validation_result = validate_answer(answer_data)
     return validation_result unless validation_result[:valid]
     
+    # Stored the way the question type handles it, e.g. uploads as file details
+    answer_data[:value] = validation_result[:processed_data]
+    
     # Process standard answer first
     result = process_standard_answer(answer_data)
     
@@ -441,24 +506,47 @@ class ResponsesController < ApplicationController
     
     # Add metadata
     {
-      value: answer_params[:value],
+      value: submitted_answer_value(answer_params),
       started_at: answer_params[:started_at],
       completed_at: Time.current.iso8601,
       question_type: @current_question.question_type,
       metadata: {
         response_time_ms: calculate_response_time(answer_params[:started_at]),
         user_agent: request.user_agent,
-        ip_address: request.remote_ip
+        ip_address: request.remote_ip,
+        timezone: respondent_timezone(answer_params[:timezone])
       }
     }
   end
+
+  # The IANA time zone the date and time widgets post beside the answer,
+  # when it is one
+  def respondent_timezone(name)
+    name if name.is_a?(String) && ActiveSupport::TimeZone[name]
+  end
+  
+  # Most widgets post answer[value]; the address, location, signature, payment
+  # and drag and drop widgets post their fields side by side instead. A locked
+  # answer filled in from the share URL, or a quiz answer already scored with
+  # live feedback, is kept whatever is posted.
+  def submitted_answer_value(answer_params)
+    quiz_answer = @form_response.locked_quiz_answer(@current_question)
+    return quiz_answer unless quiz_answer.nil?
+
+    prefill = @form_response.prefilled_answer(@current_question)
+    return prefill if !prefill.nil? && @current_question.prefill_config[:locked]
+
+    return answer_params[:value] if answer_params.key?(:value)
+
+    answer_params.except(:started_at, :other_value, :timezone).to_unsafe_h.presence
+  end
   
   def validate_answer(answer_data)
     question_handler = @current_question.question_type_handler
     validation_errors = question_handler.validate_answer(answer_data[:value])
     
     if validation_errors.empty?
-      { valid: true, processed_data: question_handler.process_answer(answer_data[:value]) }
+      { valid: true, processed_data: question_handler.process_answer(answer_data[:value], timezone: answer_data.dig(:metadata, :timezone)) }
     else
       { valid: false, errors: validation_errors }
     end
@@ -483,9 +571,13 @@ class ResponsesController < ApplicationController
   end
   
   def process_standard_answer(answer_data)
-    question_response = @form_response.question_responses.build(
-      form_question: @current_question,
+    # Respondents can navigate back to an answered question, so revise the
+    # existing response instead of violating the one-answer-per-question index
+    question_response = @form_response.question_responses.find_or_initialize_by(form_question: @current_question)
+    question_response.revision_count += 1 if question_response.persisted?
+    question_response.assign_attributes(
       answer_data: answer_data,
+      skipped: false,
       response_time_ms: answer_data.dig(:metadata, :response_time_ms)
     )
     
@@ -508,8 +600,8 @@ class ResponsesController < ApplicationController
   
   # Response Completion
   
-  def complete_form_response!
-    return unless @form_response.can_be_completed?
+  def complete_form_response!(timed_out: false)
+    return unless timed_out || @form_response.can_be_completed?
     
     Rails.logger.info "=== COMPLETING FORM RESPONSE ==="
     Rails.logger.info "Form state before completion:"
@@ -519,12 +611,12 @@ class ResponsesController < ApplicationController
     
     completion_data = {
       completed_at: Time.current,
-      completion_method: 'auto',
+      completion_method: timed_out ? 'time_limit' : 'auto',
       final_question_count: @form.form_questions.count,
       total_response_time: calculate_total_response_time
     }
     
-    @form_response.mark_completed!(completion_data)
+    @form_response.mark_completed!(completion_data, force: timed_out)
     
     # Store completion data in session for thank you page
     session[:completion_data] = completion_data
@@ -541,6 +633,36 @@ class ResponsesController < ApplicationController
     Rails.logger.info "Form share_token: #{@form&.share_token}"
   end
   
+  # A quiz whose time limit has run out ends where the respondent got to;
+  # the answer that arrives late is not recorded
+  def end_timed_out_quiz
+    return unless @form_response.quiz_time_up?
+
+    complete_form_response!(timed_out: true)
+    redirect_path = thank_you_form_path(@form.share_token)
+
+    respond_to do |format|
+      format.json { render json: { success: true, completed: true, timed_out: true, redirect_url: redirect_path } }
+      format.html { redirect_to redirect_path }
+    end
+  end
+
+  # The score so far and how the question just answered scored, for quizzes
+  # that show the score after each answer
+  def quiz_feedback
+    return unless @form.quiz_config[:scoring] == 'live' && @current_question.scored?
+
+    result = @form_response.quiz_result
+    question_score = result['breakdown'].find { |entry| entry['question_id'] == @current_question.id } || {}
+    {
+      score: result['score'],
+      max_score: result['max_score'],
+      question_score: question_score['score'],
+      question_max_score: question_score['max_score'],
+      correct: question_score['correct']
+    }
+  end
+
   def trigger_completion_workflows
     # Trigger integrations and AI analysis
     Forms::CompletionWorkflowJob.perform_later(@form_response.id) if defined?(Forms::CompletionWorkflowJob)
@@ -656,6 +778,12 @@ class ResponsesController < ApplicationController
     session.delete(:form_session_id)
   end
   
+  # Idempotency keys belong to one respondent's response to one form. Runs
+  # before set_form, so it reads the share token and session directly.
+  def idempotency_scope
+    "#{params[:share_token]}:#{session[:form_session_id].presence || super}"
+  end
+  
   # Analytics and Tracking
   
   def track_form_view
@@ -694,7 +822,7 @@ class ResponsesController < ApplicationController
   def prepare_question_data
     return unless @current_question
     
-    @question_config = @current_question.question_config || {}
+    @question_config = @current_question.public_config
     @question_handler = @current_question.question_type_handler
     @validation_rules = extract_validation_rules
     @conditional_logic = @current_question.conditional_rules if @current_question.has_conditional_logic?
@@ -708,8 +836,9 @@ class ResponsesController < ApplicationController
       type: question.question_type,
       required: question.required?,
       position: question.position,
-      configuration: question.question_config,
-      validation_rules: question.validation_rules
+      configuration: question.public_config,
+      validation_rules: question.validation_rules,
+      fragment_url: form_question_fragment_path(@form.share_token, question.id)
     }
   end
   
@@ -775,17 +904,13 @@ class ResponsesController < ApplicationController
   def extract_utm_parameters
     utm_params = {}
     
-    %w[utm_source utm_medium utm_campaign utm_term utm_content].each do |param|
+    Form::UTM_PARAMETERS.each do |param|
       utm_params[param] = params[param] if params[param].present?
     end
     
     utm_params
   end
   
-  def has_utm_parameters?
-    params.keys.any? { |key| key.start_with?('utm_') }
-  end
-  
   def extract_user_context
     {
       ip_address: request.remote_ip,
@@ -0,0 +1,79 @@
+# frozen_string_literal: true
+
+# Serializes forms and responses for the client-side conditional logic
+# evaluator (app/javascript/lib/conditional_logic.js)
+module ConditionalLogicHelper
+  # Questions in display order with the attributes the evaluator needs
+  #
+  # @param form [Form] Form being answered
+  # @return [Array<Hash>]
+  def conditional_logic_questions(form)
+    return [] unless form
+
+    form.form_questions.order(:position).map do |question|
+      {
+        id: question.id,
+        question_type: question.question_type,
+        position: question.position,
+        conditional_enabled: question.conditional_enabled?,
+        conditional_logic: question.conditional_logic.presence || {},
+        calculation: question.calculation_config.presence
+      }
+    end
+  end
+
+  # Answers recorded so far, keyed by question id
+  #
+  # @param form_response [FormResponse, nil] Response in progress
+  # @return [Hash{String => Hash}]
+  def conditional_logic_answers(form_response)
+    return {} unless form_response
+
+    form_response.question_responses.each_with_object({}) do |question_response, answers|
+      answers[question_response.form_question_id] = {
+        value: question_response.skipped? ? nil : question_response.raw_answer,
+        skipped: question_response.skipped?
+      }
+    end
+  end
+
+  # Questions as the builder's rule editor needs them: titles and the answer
+  # options offered in the value dropdowns. Memoized, as every card embeds it.
+  #
+  # @param form [Form] Form being edited
+  # @return [Array<Hash>]
+  def conditional_logic_editor_questions(form)
+    @conditional_logic_editor_questions ||= form.form_questions.order(:position).map do |question|
+      {
+        id: question.id,
+        title: question.title,
+        position: question.position,
+        question_type: question.question_type,
+        options: conditional_logic_answer_options(question),
+        conditional_enabled: question.conditional_enabled?,
+        conditional_logic: question.conditional_logic.presence || {}
+      }
+    end
+  end
+
+  private
+
+  def conditional_logic_answer_options(question)
+    config = question.question_config || {}
+
+    case question.question_type
+    when 'single_choice', 'multiple_choice', 'checkbox'
+      Array(config['options']).map do |option|
+        option.is_a?(Hash) ? { value: option['value'] || option['label'], label: option['label'] || option['value'] } : { value: option, label: option }
+      end
+    when 'yes_no', 'boolean'
+      [{ value: 'Yes', label: 'Yes' }, { value: 'No', label: 'No' }]
+    when 'rating', 'scale'
+      ((config['min_value'] || 1)..(config['max_value'] || 5)).map { |value| { value: value.to_s, label: value.to_s } }
+    when 'nps_score'
+      (0..10).map { |value| { value: value.to_s, label: value.to_s } }
+    else
+      []
+    end
+  end
+end
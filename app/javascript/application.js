@@ -14,7 +14,4 @@ window.Stimulus = application;
 // Carga automáticamente todos los controladores desde la carpeta "controllers"
 // La magia de importmap-rails se encarga del resto.
 eagerLoadControllersFrom("controllers", application);
-// -----------------------
-
-// Import payment integration
-import "payment_integration"
\ No newline at end of file
+// -----------------------
\ No newline at end of file
@@ -0,0 +1,57 @@
+// app/javascript/channels/form_builder_channel.js
+
+import consumer from "channels/consumer"
+
+const HEARTBEAT_INTERVAL_MS = 30000
+
+// Identifies this browser tab. Builder requests send it in BUILDER_CLIENT_HEADER
+// and the server echoes it in broadcasts, so a tab skips its own changes.
+export const BUILDER_CLIENT_ID = generateClientId()
+export const BUILDER_CLIENT_HEADER = 'X-Builder-Client-Id'
+
+// handlers: { connected, disconnected, received(data) }
+export function subscribeToFormBuilder(formId, handlers = {}) {
+  return consumer.subscriptions.create(
+    {
+      channel: "FormBuilderChannel",
+      form_id: formId,
+      client_id: BUILDER_CLIENT_ID
+    },
+    {
+      connected() {
+        this.heartbeat = setInterval(() => this.perform('appear'), HEARTBEAT_INTERVAL_MS)
+        if (handlers.connected) handlers.connected()
+      },
+
+      disconnected() {
+        clearInterval(this.heartbeat)
+        if (handlers.disconnected) handlers.disconnected()
+      },
+
+      rejected() {
+        console.error("FormBuilderChannel subscription rejected for:", formId)
+      },
+
+      received(data) {
+        if (data.client_id === BUILDER_CLIENT_ID) return
+        if (handlers.received) handlers.received(data)
+      },
+
+      lock(questionId) {
+        this.perform('lock', { question_id: questionId })
+      },
+
+      unlock(questionId = null) {
+        this.perform('unlock', { question_id: questionId })
+      }
+    }
+  )
+}
+
+function generateClientId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID()
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+}
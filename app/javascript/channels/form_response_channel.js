@@ -1,6 +1,7 @@
 // app/javascript/channels/form_response_channel.js
 
 import consumer from "channels/consumer"
+import { http } from "lib/http_client"
 
 let formResponseChannel = null
 
@@ -100,15 +101,7 @@ export function subscribeToFormResponse(formResponseId) {
         console.log("Submitting dynamic question form:", form.action)
         
         // Submit the dynamic question response
-        fetch(form.action, {
-          method: 'POST',
-          body: formData,
-          headers: {
-            'X-Requested-With': 'XMLHttpRequest',
-            'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
-          }
-        })
-        .then(response => response.json())
+        http.post(form.action, { body: formData })
         .then(data => {
           console.log("Dynamic question response:", data)
           
@@ -1,6 +1,7 @@
 // app/javascript/channels/session_channel.js
 
 import consumer from "channels/consumer"
+import { http } from "lib/http_client"
 
 const sessionChannel = consumer.subscriptions.create("SessionChannel", {
   connected() {
@@ -59,15 +60,7 @@ const sessionChannel = consumer.subscriptions.create("SessionChannel", {
     const formData = new FormData(form)
     
     // Submit the dynamic question response
-    fetch(form.action, {
-      method: 'POST',
-      body: formData,
-      headers: {
-        'X-Requested-With': 'XMLHttpRequest',
-        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
-      }
-    })
-    .then(response => response.json())
+    http.post(form.action, { body: formData })
     .then(data => {
       if (data.success) {
         // Hide the dynamic question or show a thank you message
@@ -0,0 +1,164 @@
+import { Controller } from "@hotwired/stimulus"
+import { announceAnswer } from "lib/answer_widget"
+import { addressFormat, normalizeAddress } from "lib/addresses"
+import { createAddressProvider } from "lib/address_autocomplete"
+import { announce, element } from "lib/notifications"
+import { defaultCountryCode } from "lib/phone_numbers"
+import { SuggestionList } from "lib/suggestion_list"
+
+// Connects to data-controller="address"
+// Structured address fields laid out the way the chosen country writes its
+// addresses (lib/addresses): the rows, the labels and which fields are
+// optional follow the country menu, and fields the country does not use are
+// hidden and not posted. With an autocomplete provider configured
+// (lib/address_autocomplete), the first line is a combobox offering
+// suggestions; choosing one fills in every field.
+
+const ROW_CLASSES = {
+  1: 'grid grid-cols-1 gap-3',
+  2: 'grid grid-cols-1 gap-3 md:grid-cols-2',
+  3: 'grid grid-cols-1 gap-3 md:grid-cols-3'
+}
+const SEARCH_DELAY = 250
+const MIN_QUERY_LENGTH = 3
+
+export default class extends Controller {
+  static targets = ["country", "rows", "component", "suggestions"]
+  static values = { countries: Array, defaultCountry: String, autocomplete: Object }
+
+  connect() {
+    // The server renders the question's default country. Without one the
+    // browser language picks, unless the browser kept an address going back.
+    if (!this.defaultCountryValue && this.componentInputs.every(input => input.value.trim() === '')) {
+      this.countryTarget.value = defaultCountryCode(this.countriesValue, {
+        languages: navigator.languages || [navigator.language]
+      })
+    }
+
+    this.provider = createAddressProvider(this.autocompleteValue)
+    if (this.provider && this.hasSuggestionsTarget) {
+      this.suggestionList = new SuggestionList(this.lineInput, this.suggestionsTarget, {
+        noun: 'address suggestion',
+        onChoose: suggestion => this.choose(suggestion)
+      })
+    }
+    this.layout()
+  }
+
+  disconnect() {
+    clearTimeout(this.searchTimer)
+    if (this.searchRequest) this.searchRequest.abort()
+  }
+
+  selectCountry() {
+    this.layout()
+    this.closeSuggestions()
+  }
+
+  // Moves the fields into the rows of the chosen country and updates their
+  // labels. Unused fields are disabled so the form leaves them out.
+  layout() {
+    const format = addressFormat(this.countriesValue, this.countryTarget.value)
+    if (!format) return
+
+    const used = format.layout.flat()
+    const rows = format.layout.map(keys => element('div', ROW_CLASSES[keys.length] || ROW_CLASSES[3], keys.map(key => this.component(key))))
+    const unused = this.componentTargets.filter(component => !used.includes(component.dataset.component))
+    this.rowsTarget.replaceChildren(...rows, ...unused)
+
+    for (const component of this.componentTargets) {
+      const key = component.dataset.component
+      const input = component.querySelector('input')
+
+      component.classList.toggle('hidden', !used.includes(key))
+      input.disabled = !used.includes(key)
+      component.querySelector('[data-address-label]').textContent = format.labels[key]
+      component.querySelector('[data-address-optional]').classList.toggle('hidden', format.required.includes(key))
+      if (key === 'postal_code') input.placeholder = format.postal_code_example || ''
+    }
+  }
+
+  // Autocomplete
+
+  searchAddresses() {
+    if (!this.suggestionList) return
+
+    clearTimeout(this.searchTimer)
+    const query = this.lineInput.value.trim()
+    if (query.length < MIN_QUERY_LENGTH) {
+      this.closeSuggestions()
+      return
+    }
+
+    this.searchTimer = setTimeout(() => this.fetchSuggestions(query), SEARCH_DELAY)
+  }
+
+  async fetchSuggestions(query) {
+    if (this.searchRequest) this.searchRequest.abort()
+    const request = this.searchRequest = new AbortController()
+
+    try {
+      const suggestions = await this.provider.search(query, { country: this.countryTarget.value, signal: request.signal })
+      // Results that arrive after the respondent moved on are dropped
+      if (request === this.searchRequest && document.activeElement === this.lineInput) this.suggestionList.show(suggestions)
+    } catch (error) {
+      // Cancelled by a newer search: lib/http_client reports it as an aborted RequestError
+      if (error.name === 'AbortError' || error.isAborted) return
+
+      console.warn('Address suggestions failed:', error)
+      this.closeSuggestions()
+    }
+  }
+
+  navigateSuggestions(event) {
+    if (this.suggestionList) this.suggestionList.handleKey(event)
+  }
+
+  closeSuggestions() {
+    clearTimeout(this.searchTimer)
+    if (this.suggestionList) this.suggestionList.close()
+  }
+
+  async choose(suggestion) {
+    let address = suggestion.address
+    if (this.provider.resolve) {
+      try {
+        address = await this.provider.resolve(suggestion)
+      } catch (error) {
+        console.warn('Address lookup failed:', error)
+        return
+      }
+    }
+
+    this.fill(address)
+  }
+
+  // Writes every component of the address, clearing the ones it lacks
+  fill(address) {
+    const components = normalizeAddress(address)
+    if (components.country && addressFormat(this.countriesValue, components.country)) {
+      this.countryTarget.value = components.country
+      this.layout()
+    }
+
+    for (const component of this.componentTargets) {
+      component.querySelector('input').value = components[component.dataset.component] || ''
+    }
+
+    this.lineInput.focus()
+    announceAnswer(this.lineInput)
+    announce('Address filled in')
+  }
+
+  component(key) {
+    return this.componentTargets.find(component => component.dataset.component === key)
+  }
+
+  get componentInputs() {
+    return this.componentTargets.map(component => component.querySelector('input'))
+  }
+
+  get lineInput() {
+    return this.component('line1').querySelector('input')
+  }
+}
@@ -1,4 +1,7 @@
 import { Controller } from "@hotwired/stimulus"
+import { http } from "lib/http_client"
+
+const TURBO_STREAM = { 'Accept': 'text/vnd.turbo-stream.html' }
 
 export default class extends Controller {
   static targets = ["counter", "list"]
@@ -22,13 +25,7 @@ export default class extends Controller {
   }
 
   refreshNotifications() {
-    fetch('/admin/notifications', {
-      headers: {
-        'Accept': 'text/vnd.turbo-stream.html',
-        'X-Requested-With': 'XMLHttpRequest'
-      }
-    })
-    .then(response => response.text())
+    http.get('/admin/notifications', { headers: TURBO_STREAM, responseType: 'text' })
     .then(html => {
       if (html.includes('turbo-stream')) {
         Turbo.renderStreamMessage(html)
@@ -42,14 +39,7 @@ export default class extends Controller {
   markAsRead(event) {
     const notificationId = event.target.dataset.notificationId
     
-    fetch(`/admin/notifications/${notificationId}/mark_as_read`, {
-      method: 'PATCH',
-      headers: {
-        'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
-        'Accept': 'text/vnd.turbo-stream.html'
-      }
-    })
-    .then(response => response.text())
+    http.patch(`/admin/notifications/${notificationId}/mark_as_read`, { headers: TURBO_STREAM, responseType: 'text' })
     .then(html => {
       Turbo.renderStreamMessage(html)
     })
@@ -61,14 +51,7 @@ export default class extends Controller {
   markAllAsRead(event) {
     event.preventDefault()
     
-    fetch('/admin/notifications/mark_all_as_read', {
-      method: 'PATCH',
-      headers: {
-        'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
-        'Accept': 'text/vnd.turbo-stream.html'
-      }
-    })
-    .then(response => response.text())
+    http.patch('/admin/notifications/mark_all_as_read', { headers: TURBO_STREAM, responseType: 'text' })
     .then(html => {
       Turbo.renderStreamMessage(html)
     })
@@ -84,14 +67,7 @@ export default class extends Controller {
       return
     }
     
-    fetch(`/admin/notifications/${notificationId}`, {
-      method: 'DELETE',
-      headers: {
-        'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
-        'Accept': 'text/vnd.turbo-stream.html'
-      }
-    })
-    .then(response => response.text())
+    http.delete(`/admin/notifications/${notificationId}`, { headers: TURBO_STREAM, responseType: 'text' })
     .then(html => {
       Turbo.renderStreamMessage(html)
     })
@@ -106,13 +82,7 @@ export default class extends Controller {
     const formData = new FormData(form)
     const params = new URLSearchParams(formData)
     
-    fetch(`/admin/notifications?${params.toString()}`, {
-      headers: {
-        'Accept': 'text/vnd.turbo-stream.html',
-        'X-Requested-With': 'XMLHttpRequest'
-      }
-    })
-    .then(response => response.text())
+    http.get(`/admin/notifications?${params.toString()}`, { headers: TURBO_STREAM, responseType: 'text' })
     .then(html => {
       if (html.includes('turbo-stream')) {
         Turbo.renderStreamMessage(html)
@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { http } from "lib/http_client"
 
 // Connects to data-controller="ai-form-generator"
 export default class extends Controller {
@@ -80,11 +81,6 @@ export default class extends Controller {
     this.updateSubmitButton(true)
     this.showProgressIndicator()
     this.clearErrors()
-    
-    // Set up timeout
-    this.timeoutId = setTimeout(() => {
-      this.handleTimeout()
-    }, this.timeoutValue)
 
     // Submit the form
     this.submitForm()
@@ -97,88 +93,29 @@ export default class extends Controller {
       // Use the form's action if submitUrlValue is not set
       const submitUrl = this.submitUrlValue || this.currentForm.action
       
-      const response = await fetch(submitUrl, {
-        method: 'POST',
-        body: formData,
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest',
-          'X-CSRF-Token': this.getCSRFToken(),
-          'Accept': 'application/json'
-        }
-      })
-
-      // Log response details for debugging
-      console.log('Response status:', response.status)
-      console.log('Response headers:', Object.fromEntries(response.headers.entries()))
-
-      if (response.ok) {
-        // Check if response is JSON
-        const contentType = response.headers.get('content-type')
-        if (contentType && contentType.includes('application/json')) {
-          const result = await response.json()
-          this.handleSuccess(result)
-        } else {
-          // If not JSON, it might be a redirect or HTML error page
-          const text = await response.text()
-          console.log('Non-JSON response:', text.substring(0, 500))
-          this.handleError({ error: 'Server returned unexpected response format' })
-        }
-      } else {
-        // Handle different error status codes
-        await this.handleHttpError(response)
-      }
+      // The generation can take a while, so the request gets the longer timeout
+      const result = await http.post(submitUrl, { body: formData, timeout: this.timeoutValue })
+      this.handleSuccess(result)
     } catch (error) {
-      console.error('Fetch error:', error)
-      this.handleNetworkError(error)
+      console.error('Form generation request failed:', error)
+      this.handleRequestError(error)
     } finally {
       this.cleanup()
     }
   }
 
-  async handleHttpError(response) {
-    try {
-      const contentType = response.headers.get('content-type')
-      
-      if (contentType && contentType.includes('application/json')) {
-        const errorData = await response.json()
-        this.handleError(errorData)
-      } else {
-        // Server returned HTML error page (common with 422/500 errors)
-        const errorText = await response.text()
-        console.log('HTML error response:', errorText.substring(0, 1000))
-        
-        // Try to extract meaningful error from HTML
-        const errorMessage = this.extractErrorFromHtml(errorText) || 
-                             `Server error (${response.status}): ${response.statusText}`
-        
-        this.handleError({ error: errorMessage })
-      }
-    } catch (parseError) {
-      console.error('Error parsing error response:', parseError)
-      this.handleError({ 
-        error: `Server error (${response.status}): Unable to parse error details` 
-      })
-    }
-  }
-
-  extractErrorFromHtml(htmlText) {
-    // Try to extract error message from Rails error pages
-    const errorPatterns = [
-      /<div[^>]*class="[^"]*exception[^"]*"[^>]*>([^<]+)/i,
-      /<h1[^>]*>([^<]+)<\/h1>/i,
-      /<title>([^<]+)<\/title>/i,
-      /ActiveRecord::RecordInvalid:\s*(.+?)(?:\n|<)/i,
-      /Validation failed:\s*(.+?)(?:\n|<)/i
-    ]
-    
-    for (const pattern of errorPatterns) {
-      const match = htmlText.match(pattern)
-      if (match && match[1]) {
-        return match[1].trim()
-      }
+  handleRequestError(error) {
+    if (error.isTimeout) {
+      this.handleTimeout()
+    } else if (error.isNetworkError || error.isAborted) {
+      this.handleNetworkError(error)
+    } else if (error.kind === 'parse') {
+      this.handleError({ error: 'Server returned unexpected response format' })
+    } else if (error.messages.length > 0) {
+      this.handleError({ errors: error.messages })
+    } else {
+      this.handleError({ error: `Server error (${error.status}). Please try again.` })
     }
-    
-    return null
   }
 
   handleSuccess(result) {
@@ -189,7 +126,7 @@ export default class extends Controller {
     
     // Redirect after a short delay to show success message
     setTimeout(() => {
-      if (result.redirect_url) {
+      if (result?.redirect_url) {
         window.location.href = result.redirect_url
       } else if (this.redirectUrlValue) {
         window.location.href = this.redirectUrlValue
@@ -239,14 +176,12 @@ export default class extends Controller {
 
   handleNetworkError(error) {
     console.error('Network error:', error)
-    let errorMessage = 'Network error. Please check your connection and try again.'
-    
-    if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-      errorMessage = 'Unable to connect to server. Please check your internet connection.'
-    } else if (error.name === 'AbortError') {
+    let errorMessage = 'Unable to connect to server. Please check your internet connection.'
+
+    if (error.isAborted) {
       errorMessage = 'Request was cancelled. Please try again.'
     }
-    
+
     this.showError(errorMessage)
     this.updateStatusMessage('Connection failed', 'error')
   }
@@ -364,9 +299,11 @@ export default class extends Controller {
         <svg class="w-5 h-5 mr-2 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
           <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" />
         </svg>
-        <span>${message}</span>
+        <span></span>
       </div>
     `
+    // Server messages are inserted as text
+    errorDiv.querySelector('span').textContent = message
     
     // Insert at the top of the form
     if (this.currentForm) {
@@ -403,11 +340,6 @@ export default class extends Controller {
     this.hideProgressIndicator()
     this.hideGlobalLoadingOverlay()
     this.currentForm = null
-    
-    if (this.timeoutId) {
-      clearTimeout(this.timeoutId)
-      this.timeoutId = null
-    }
   }
 
   // Validation event handlers
@@ -449,11 +381,6 @@ export default class extends Controller {
     return text.split(/\s+/).filter(word => word.length > 0).length
   }
 
-  getCSRFToken() {
-    const token = document.querySelector('meta[name="csrf-token"]')
-    return token ? token.getAttribute('content') : ''
-  }
-
   // Public method to trigger submission (for external use)
   submit() {
     if (!this.isSubmitting && this.currentForm) {
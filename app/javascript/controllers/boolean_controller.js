@@ -0,0 +1,28 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Connects to data-controller="boolean"
+// Draws the answer[value] checkbox of boolean questions as a toggle switch
+// labelled with the question's true/false labels.
+export default class extends Controller {
+  static targets = ["input", "container", "track", "dot", "label"]
+  static values = {
+    trueLabel: { type: String, default: 'On' },
+    falseLabel: { type: String, default: 'Off' }
+  }
+
+  connect() {
+    this.update()
+  }
+
+  update() {
+    const on = this.inputTarget.checked
+
+    this.trackTarget.classList.toggle('bg-indigo-500', on)
+    this.trackTarget.classList.toggle('bg-gray-300', !on)
+    this.dotTarget.classList.toggle('translate-x-6', on)
+    this.containerTarget.classList.toggle('border-indigo-500', on)
+    this.containerTarget.classList.toggle('bg-indigo-50', on)
+    this.containerTarget.classList.toggle('border-gray-200', !on)
+    this.labelTarget.textContent = on ? this.trueLabelValue : this.falseLabelValue
+  }
+}
@@ -0,0 +1,558 @@
+import { Controller } from "@hotwired/stimulus"
+import { CONDITIONAL_LOGIC_SAVED_EVENT, findDependencyCycle, flatConditionalRules, isConditionalGroup } from "lib/conditional_logic"
+import { BUILDER_CLIENT_HEADER, BUILDER_CLIENT_ID } from "channels/form_builder_channel"
+import { errorMessages, http, RequestError } from "lib/http_client"
+
+const OPERATOR_LABELS = {
+  equals: 'is',
+  not_equals: 'is not',
+  contains: 'contains',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  matches_pattern: 'matches pattern',
+  greater_than: 'is greater than',
+  greater_than_or_equal: 'is at least',
+  less_than: 'is less than',
+  less_than_or_equal: 'is at most',
+  in_list: 'is one of',
+  not_in_list: 'is none of',
+  is_empty: 'is empty',
+  is_not_empty: 'has any answer'
+}
+
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty']
+const LIST_OPERATORS = ['in_list', 'not_in_list']
+const NUMERIC_OPERATORS = ['greater_than', 'greater_than_or_equal', 'less_than', 'less_than_or_equal']
+
+// Connects to data-controller="conditional-logic-editor"
+// Visual rule builder for FormQuestion#conditional_logic on the form builder cards
+export default class extends Controller {
+  static targets = ["panel", "toggleButton", "summary", "enabledToggle", "operator", "rules",
+                    "errors", "preview", "warnings", "samples", "result", "status", "saveButton"]
+  static values = {
+    questionId: String,
+    position: Number,
+    enabled: Boolean,
+    logic: Object,
+    questions: Array,
+    previewUrl: String,
+    updateUrl: String
+  }
+
+  connect() {
+    // Parsed once; questionSaved keeps this copy current
+    this.questions = this.questionsValue
+    this.sampleAnswers = {}
+    this.resetFromSaved()
+
+    // Keep the other cards' rules current so circular references are caught across cards
+    this.savedHandler = (event) => this.questionSaved(event.detail)
+    window.addEventListener(CONDITIONAL_LOGIC_SAVED_EVENT, this.savedHandler)
+  }
+
+  disconnect() {
+    window.removeEventListener(CONDITIONAL_LOGIC_SAVED_EVENT, this.savedHandler)
+    clearTimeout(this.previewTimeout)
+    if (this.previewController) this.previewController.abort()
+  }
+
+  // Actions
+
+  toggle() {
+    const open = this.panelTarget.classList.toggle('hidden') === false
+    this.toggleButtonTarget.setAttribute('aria-expanded', open)
+    this.toggleButtonTarget.textContent = open ? 'Close' : 'Edit logic'
+
+    if (open) {
+      if (this.logic.rules.length === 0) this.addRule()
+      this.schedulePreview()
+    }
+  }
+
+  toggleEnabled() {
+    this.enabled = this.enabledToggleTarget.checked
+    this.schedulePreview()
+  }
+
+  changeOperator() {
+    this.logic.operator = this.operatorTarget.value
+    this.schedulePreview()
+  }
+
+  addRule() {
+    this.logic.rules.push(this.newRule())
+    this.enableWhenEditing()
+    this.render()
+  }
+
+  addGroup() {
+    this.logic.rules.push({ operator: 'or', rules: [this.newRule()] })
+    this.enableWhenEditing()
+    this.render()
+  }
+
+  cancel() {
+    this.resetFromSaved()
+    this.toggle()
+  }
+
+  async save() {
+    const errors = this.validate()
+    if (errors.length > 0) {
+      this.showErrors(errors)
+      return
+    }
+
+    this.saveButtonTarget.disabled = true
+    this.statusTarget.textContent = 'Saving...'
+
+    const conditionalLogic = { operator: this.logic.operator, rules: this.compactRules(this.logic.rules) }
+
+    try {
+      const data = await http.patch(this.updateUrlValue, {
+        headers: { [BUILDER_CLIENT_HEADER]: BUILDER_CLIENT_ID },
+        json: {
+          form_question: {
+            conditional_enabled: this.enabled && conditionalLogic.rules.length > 0,
+            conditional_logic: conditionalLogic
+          }
+        }
+      })
+
+      this.enabledValue = data.question.conditional_enabled
+      this.logicValue = data.question.conditional_logic || {}
+      this.statusTarget.textContent = 'Saved'
+      this.updateSummary()
+
+      window.dispatchEvent(new CustomEvent(CONDITIONAL_LOGIC_SAVED_EVENT, {
+        detail: { questionId: this.questionIdValue, enabled: this.enabledValue, logic: this.logicValue }
+      }))
+    } catch (error) {
+      console.error('Error saving conditional logic:', error)
+      this.showErrors(errorMessages(error, 'Failed to save conditional logic. Please try again.'))
+      this.statusTarget.textContent = ''
+    } finally {
+      this.saveButtonTarget.disabled = false
+    }
+  }
+
+  // State
+
+  resetFromSaved() {
+    const saved = this.logicValue || {}
+
+    this.enabled = this.enabledValue
+    this.logic = {
+      operator: saved.operator === 'or' ? 'or' : 'and',
+      rules: JSON.parse(JSON.stringify(saved.rules || []))
+    }
+
+    this.enabledToggleTarget.checked = this.enabled
+    this.operatorTarget.value = this.logic.operator
+    this.statusTarget.textContent = ''
+    this.render()
+  }
+
+  questionSaved({ questionId, enabled, logic }) {
+    const question = this.questions.find(candidate => candidate.id === questionId)
+    if (!question) return
+
+    question.conditional_enabled = enabled
+    question.conditional_logic = logic
+  }
+
+  newRule() {
+    const source = this.sourceQuestions()[this.sourceQuestions().length - 1]
+    return { question_id: source ? source.id : '', operator: source ? this.operatorsFor(source)[0] : 'equals', value: '' }
+  }
+
+  enableWhenEditing() {
+    if (this.enabled) return
+
+    this.enabled = true
+    this.enabledToggleTarget.checked = true
+  }
+
+  // Only questions placed before this one can be referenced, as the server enforces
+  sourceQuestions() {
+    return this.questions.filter(question => question.position < this.positionValue)
+  }
+
+  findQuestion(questionId) {
+    return this.questions.find(question => question.id === questionId)
+  }
+
+  operatorsFor(question) {
+    switch (question && question.question_type) {
+      case 'single_choice':
+      case 'multiple_choice':
+      case 'checkbox':
+        return ['equals', 'not_equals', 'in_list', 'not_in_list', 'is_empty', 'is_not_empty']
+      case 'yes_no':
+      case 'boolean':
+        return ['equals', 'not_equals', 'is_empty', 'is_not_empty']
+      case 'rating':
+      case 'scale':
+      case 'nps_score':
+      case 'number':
+      case 'slider':
+        return ['equals', 'not_equals', ...NUMERIC_OPERATORS, 'is_empty', 'is_not_empty']
+      default:
+        return ['equals', 'not_equals', 'contains', 'starts_with', 'ends_with', 'matches_pattern', 'is_empty', 'is_not_empty']
+    }
+  }
+
+  // Drops empty groups before saving
+  compactRules(rules) {
+    return rules.reduce((compacted, rule) => {
+      if (isConditionalGroup(rule)) {
+        if (rule.rules.length > 0) compacted.push({ operator: rule.operator, rules: rule.rules })
+      } else {
+        compacted.push({ question_id: rule.question_id, operator: rule.operator, value: rule.value })
+      }
+      return compacted
+    }, [])
+  }
+
+  validate() {
+    const errors = []
+    const rules = flatConditionalRules(this.compactRules(this.logic.rules))
+
+    if (!this.enabled) return errors
+
+    if (rules.length === 0) {
+      errors.push('Add at least one rule or turn conditional logic off')
+    }
+
+    rules.forEach((rule, index) => {
+      const source = this.findQuestion(rule.question_id)
+
+      if (!source) {
+        errors.push(`Rule ${index + 1}: Choose a question`)
+      } else if (source.position >= this.positionValue) {
+        errors.push(`Rule ${index + 1}: Can only reference questions that appear before this one`)
+      }
+
+      if (!VALUELESS_OPERATORS.includes(rule.operator) && this.isBlankValue(rule.value)) {
+        errors.push(`Rule ${index + 1}: Enter a value`)
+      } else if (NUMERIC_OPERATORS.includes(rule.operator) && Number.isNaN(Number(rule.value))) {
+        errors.push(`Rule ${index + 1}: Enter a number`)
+      }
+    })
+
+    const cycle = findDependencyCycle(this.questionIdValue, rules, this.questions)
+    if (cycle) {
+      const titles = cycle.map(questionId => (this.findQuestion(questionId) || {}).title || questionId)
+      errors.push(`Circular reference: ${titles.join(' → ')}`)
+    }
+
+    return errors
+  }
+
+  isBlankValue(value) {
+    return Array.isArray(value) ? value.length === 0 : String(value || '').trim() === ''
+  }
+
+  // Rendering
+
+  render() {
+    this.rulesTarget.replaceChildren(...this.logic.rules.map((rule, index) => (
+      isConditionalGroup(rule)
+        ? this.buildGroup(rule, () => this.removeAt(this.logic.rules, index))
+        : this.buildRule(rule, () => this.removeAt(this.logic.rules, index))
+    )))
+
+    this.renderSamples()
+    this.schedulePreview()
+  }
+
+  removeAt(rules, index) {
+    rules.splice(index, 1)
+    this.render()
+  }
+
+  buildGroup(group, onRemove) {
+    const container = document.createElement('div')
+    container.className = 'p-3 space-y-2 border border-dashed border-purple-300 rounded-lg'
+
+    const header = document.createElement('div')
+    header.className = 'flex items-center justify-between text-sm text-gray-700'
+
+    const label = document.createElement('label')
+    label.className = 'flex items-center space-x-2'
+    const operatorSelect = this.buildSelect(
+      [{ value: 'and', label: 'all' }, { value: 'or', label: 'any' }],
+      group.operator === 'and' ? 'and' : 'or',
+      value => {
+        group.operator = value
+        this.schedulePreview()
+      }
+    )
+    operatorSelect.setAttribute('aria-label', 'Group match type')
+    label.append(this.textSpan('Group: match'), operatorSelect, this.textSpan('of'))
+
+    header.append(label, this.buildRemoveButton('Remove group', onRemove))
+    container.append(header)
+
+    group.rules.forEach((rule, index) => {
+      container.append(this.buildRule(rule, () => {
+        group.rules.splice(index, 1)
+        this.render()
+      }))
+    })
+
+    const addButton = document.createElement('button')
+    addButton.type = 'button'
+    addButton.className = 'text-xs text-purple-600 hover:text-purple-800'
+    addButton.textContent = '+ Add rule to group'
+    addButton.addEventListener('click', () => {
+      group.rules.push(this.newRule())
+      this.render()
+    })
+    container.append(addButton)
+
+    return container
+  }
+
+  buildRule(rule, onRemove) {
+    const row = document.createElement('div')
+    row.className = 'flex flex-wrap items-center gap-2'
+
+    const sources = this.sourceQuestions()
+    const source = this.findQuestion(rule.question_id)
+
+    const sourceSelect = this.buildSelect(
+      [{ value: '', label: 'Choose a question…' }, ...sources.map(question => ({ value: question.id, label: question.title }))],
+      rule.question_id,
+      value => {
+        rule.question_id = value
+        rule.operator = this.operatorsFor(this.findQuestion(value))[0]
+        rule.value = ''
+        this.render()
+      }
+    )
+    sourceSelect.setAttribute('aria-label', 'Question')
+
+    const operatorSelect = this.buildSelect(
+      this.operatorsFor(source).map(operator => ({ value: operator, label: OPERATOR_LABELS[operator] })),
+      rule.operator,
+      value => {
+        const wasList = LIST_OPERATORS.includes(rule.operator)
+        rule.operator = value
+        if (VALUELESS_OPERATORS.includes(value) || wasList !== LIST_OPERATORS.includes(value)) rule.value = ''
+        this.render()
+      }
+    )
+    operatorSelect.setAttribute('aria-label', 'Condition')
+
+    row.append(sourceSelect, operatorSelect)
+
+    if (!VALUELESS_OPERATORS.includes(rule.operator)) {
+      row.append(this.buildValueInput(rule, source))
+    }
+
+    row.append(this.buildRemoveButton('Remove rule', onRemove))
+    return row
+  }
+
+  buildValueInput(rule, source) {
+    const options = (source && source.options) || []
+    let input
+
+    if (options.length > 0 && LIST_OPERATORS.includes(rule.operator)) {
+      const selected = Array.isArray(rule.value) ? rule.value : []
+      input = this.buildSelect(options, null, () => {
+        rule.value = Array.from(input.selectedOptions).map(option => option.value)
+        this.schedulePreview()
+      })
+      input.multiple = true
+      Array.from(input.options).forEach(option => { option.selected = selected.includes(option.value) })
+    } else if (options.length > 0) {
+      input = this.buildSelect([{ value: '', label: 'Choose a value…' }, ...options], rule.value, value => {
+        rule.value = value
+        this.schedulePreview()
+      })
+    } else {
+      input = document.createElement('input')
+      input.type = NUMERIC_OPERATORS.includes(rule.operator) ? 'number' : 'text'
+      input.value = rule.value || ''
+      input.placeholder = 'Value'
+      input.className = 'text-sm border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500'
+      input.addEventListener('input', () => {
+        rule.value = input.value
+        this.schedulePreview()
+      })
+    }
+
+    input.setAttribute('aria-label', 'Value')
+    return input
+  }
+
+  buildSelect(options, selectedValue, onChange) {
+    const select = document.createElement('select')
+    select.className = 'text-sm border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500'
+
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = label
+      select.append(option)
+    })
+
+    if (selectedValue !== null && selectedValue !== undefined) select.value = selectedValue
+    select.addEventListener('change', () => onChange(select.value))
+    return select
+  }
+
+  buildRemoveButton(label, onRemove) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'p-1 text-gray-400 hover:text-red-600'
+    button.setAttribute('aria-label', label)
+    button.textContent = '×'
+    button.addEventListener('click', onRemove)
+    return button
+  }
+
+  textSpan(text) {
+    const span = document.createElement('span')
+    span.textContent = text
+    return span
+  }
+
+  // One test answer per referenced question, sent with the preview request
+  renderSamples() {
+    const referencedIds = [...new Set(flatConditionalRules(this.logic.rules).map(rule => rule.question_id).filter(Boolean))]
+    const rows = referencedIds.map(questionId => this.findQuestion(questionId)).filter(Boolean).map(question => {
+      const row = document.createElement('label')
+      row.className = 'flex items-center justify-between gap-2 text-xs text-gray-600'
+
+      let input
+      if (question.options.length > 0) {
+        input = this.buildSelect([{ value: '', label: 'No answer' }, ...question.options], this.sampleAnswers[question.id] || '', value => {
+          this.sampleAnswers[question.id] = value
+          this.schedulePreview()
+        })
+      } else {
+        input = document.createElement('input')
+        input.type = 'text'
+        input.value = this.sampleAnswers[question.id] || ''
+        input.placeholder = 'No answer'
+        input.className = 'text-xs border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500'
+        input.addEventListener('input', () => {
+          this.sampleAnswers[question.id] = input.value
+          this.schedulePreview()
+        })
+      }
+
+      row.append(this.textSpan(`If "${question.title}" is answered`), input)
+      return row
+    })
+
+    if (rows.length > 0) {
+      const heading = document.createElement('p')
+      heading.className = 'text-xs font-medium text-gray-700'
+      heading.textContent = 'Test with sample answers'
+      rows.unshift(heading)
+    }
+
+    this.samplesTarget.replaceChildren(...rows)
+  }
+
+  updateSummary() {
+    const ruleCount = flatConditionalRules((this.logicValue && this.logicValue.rules) || []).length
+
+    this.summaryTarget.textContent = this.enabledValue && ruleCount > 0
+      ? `Shown only when ${this.logicValue.operator === 'or' ? 'any' : 'all'} of ${ruleCount} ${ruleCount === 1 ? 'rule matches' : 'rules match'}`
+      : 'Always shown'
+  }
+
+  showErrors(errors) {
+    this.errorsTarget.replaceChildren(...errors.map(message => {
+      const item = document.createElement('li')
+      item.textContent = message
+      return item
+    }))
+    this.errorsTarget.classList.toggle('hidden', errors.length === 0)
+  }
+
+  // Live preview
+
+  schedulePreview() {
+    clearTimeout(this.previewTimeout)
+    this.previewTimeout = setTimeout(() => this.refreshPreview(), 300)
+  }
+
+  async refreshPreview() {
+    if (this.panelTarget.classList.contains('hidden')) return
+
+    const errors = this.validate()
+    this.showErrors(errors)
+
+    if (!this.enabled) {
+      this.previewTarget.textContent = 'Conditional logic is off. This question is always shown.'
+      this.showWarnings([])
+      this.showResult(null)
+      return
+    }
+
+    const rules = this.compactRules(this.logic.rules)
+    if (rules.length === 0) {
+      this.previewTarget.textContent = 'No rules configured'
+      this.showResult(null)
+      return
+    }
+
+    if (this.previewController) this.previewController.abort()
+    this.previewController = new AbortController()
+
+    const sampleAnswers = Object.fromEntries(Object.entries(this.sampleAnswers).filter(([, value]) => value !== ''))
+
+    try {
+      const data = await http.post(this.previewUrlValue, {
+        signal: this.previewController.signal,
+        json: {
+          conditional_preview: JSON.stringify(rules),
+          logic_operator: this.logic.operator,
+          sample_answers: JSON.stringify(sampleAnswers)
+        }
+      })
+
+      if (!data.success) {
+        this.previewTarget.textContent = data.error || 'Could not preview these rules'
+        this.showResult(null)
+        return
+      }
+
+      this.previewTarget.textContent = data.preview
+      this.showWarnings(data.warnings || [])
+      this.showErrors([...new Set([...errors, ...(data.errors || [])])])
+      this.showResult(data.would_show)
+    } catch (error) {
+      if (error instanceof RequestError && error.isAborted) return
+      console.error('Error previewing conditional logic:', error)
+      this.previewTarget.textContent = errorMessages(error, 'Preview unavailable')[0]
+    }
+  }
+
+  showWarnings(warnings) {
+    this.warningsTarget.replaceChildren(...warnings.map(message => {
+      const item = document.createElement('li')
+      item.textContent = message
+      return item
+    }))
+    this.warningsTarget.classList.toggle('hidden', warnings.length === 0)
+  }
+
+  showResult(wouldShow) {
+    this.resultTarget.classList.remove('text-green-700', 'text-gray-500')
+
+    if (wouldShow === null || wouldShow === undefined) {
+      this.resultTarget.textContent = ''
+      return
+    }
+
+    this.resultTarget.textContent = wouldShow ? '✓ Would show with these answers' : '✕ Would hide with these answers'
+    this.resultTarget.classList.add(wouldShow ? 'text-green-700' : 'text-gray-500')
+  }
+}
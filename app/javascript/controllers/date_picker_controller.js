@@ -0,0 +1,236 @@
+import { Controller } from "@hotwired/stimulus"
+import { announceAnswer, commitAnswer } from "lib/answer_widget"
+import { addDays, addMonths, calendarWeeks, formatDay, isAvailableDay, parseDay, weekdayOf } from "lib/dates"
+import { announce, element } from "lib/notifications"
+
+const DAY_CLASSES = 'flex h-9 w-9 items-center justify-center rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500'
+
+// Connects to data-controller="date-picker"
+// Date, datetime and time questions. Next to the native inputs, which stay
+// for typing, a month calendar shows which days can be chosen: days outside
+// the limits, on unavailable weekdays or blackout dates are crossed out and
+// cannot be picked. In range mode the first click picks the start and the
+// second the end. The calendar is a grid: the arrow keys move by day and
+// week, Home and End to the ends of the week, Page Up and Page Down by month
+// (with Shift by year), and Enter or Space picks the focused day.
+// Datetime questions combine the day and the time typed beside it into
+// answer[value]. Every mode posts the respondent's IANA time zone in
+// answer[timezone].
+export default class extends Controller {
+  static targets = ["input", "start", "end", "time", "value", "timezone", "calendar"]
+  static values = { mode: String, min: String, max: String, disabledWeekdays: Array, blackoutDates: Array }
+
+  connect() {
+    if (this.hasTimezoneTarget) this.timezoneTarget.value = Intl.DateTimeFormat().resolvedOptions().timeZone || ''
+    if (!this.hasCalendarTarget) return
+
+    this.focusedDay = this.initialDay()
+    this.build()
+    this.render()
+  }
+
+  // Typed into one of the native inputs
+  typed() {
+    const day = this.selectedDays().find(parseDay)
+    if (day) this.focusedDay = day
+    if (this.modeValue === 'datetime') this.combine()
+    if (this.hasCalendarTarget) this.render()
+  }
+
+  previousMonth() {
+    this.moveFocus(addMonths(this.focusedDay, -1), { focus: false })
+  }
+
+  nextMonth() {
+    this.moveFocus(addMonths(this.focusedDay, 1), { focus: false })
+  }
+
+  navigate(event) {
+    const day = this.dayForKey(event)
+    if (!day) return
+
+    event.preventDefault()
+    this.moveFocus(day)
+  }
+
+  pick(event) {
+    const button = event.target.closest('[data-day]')
+    if (!button) return
+
+    const day = button.dataset.day
+    this.focusedDay = day
+    if (!this.isAvailable(day)) {
+      announce(`${this.dayLabel(day)} is not available.`)
+      return
+    }
+
+    if (this.modeValue === 'range') {
+      this.pickRangeDay(day)
+    } else {
+      this.inputTarget.value = day
+      if (this.modeValue === 'datetime') {
+        this.combine()
+      } else {
+        announceAnswer(this.inputTarget)
+      }
+      announce(`${this.dayLabel(day)} chosen.`)
+    }
+
+    this.render()
+    this.focusDay()
+  }
+
+  // Starts a new range unless the start is chosen and the day is not before it
+  pickRangeDay(day) {
+    const start = this.startTarget.value
+    if (!parseDay(start) || this.endTarget.value || day < start) {
+      this.startTarget.value = day
+      this.endTarget.value = ''
+      announce(`Start date ${this.dayLabel(day)}. Choose the end date.`)
+    } else {
+      this.endTarget.value = day
+      announce(`${this.dayLabel(start)} to ${this.dayLabel(day)} chosen.`)
+    }
+    announceAnswer(this.startTarget)
+  }
+
+  // The day and time of datetime questions as one answer[value]
+  combine() {
+    const day = this.inputTarget.value
+    const time = this.hasTimeTarget ? this.timeTarget.value : ''
+    commitAnswer(this.valueTarget, parseDay(day) && time ? `${day}T${time}` : '')
+  }
+
+  // Calendar
+
+  build() {
+    const previous = element('button', 'rounded p-1 text-gray-500 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-indigo-500', '‹')
+    const next = element('button', 'rounded p-1 text-gray-500 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-indigo-500', '›')
+    previous.type = next.type = 'button'
+    previous.setAttribute('aria-label', 'Previous month')
+    next.setAttribute('aria-label', 'Next month')
+    previous.addEventListener('click', () => this.previousMonth())
+    next.addEventListener('click', () => this.nextMonth())
+
+    this.heading = element('h3', 'text-sm font-medium text-gray-900')
+    this.heading.id = `${this.calendarTarget.id || 'date-picker'}-month`
+    this.heading.setAttribute('aria-live', 'polite')
+
+    const weekdays = element('tr', '', calendarWeeks(2023, 1)[0].map(day => {
+      const header = element('th', 'pb-1 text-center text-xs font-medium text-gray-500', this.weekdayName(day, 'narrow'))
+      header.setAttribute('abbr', this.weekdayName(day, 'long'))
+      header.setAttribute('scope', 'col')
+      return header
+    }))
+
+    this.body = element('tbody')
+    this.body.addEventListener('click', event => this.pick(event))
+    this.body.addEventListener('keydown', event => this.navigate(event))
+
+    const grid = element('table', 'w-full', [element('thead', '', [weekdays]), this.body])
+    grid.setAttribute('role', 'grid')
+    grid.setAttribute('aria-labelledby', this.heading.id)
+
+    this.calendarTarget.replaceChildren(
+      element('div', 'mb-2 flex items-center justify-between', [previous, this.heading, next]),
+      grid
+    )
+  }
+
+  render() {
+    const { year, month } = parseDay(this.focusedDay)
+    const [start, end] = this.modeValue === 'range' ? [this.startTarget.value, this.endTarget.value] : [null, null]
+    const chosen = this.selectedDays()
+    const today = this.today()
+
+    this.heading.textContent = new Intl.DateTimeFormat(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+      .format(Date.UTC(year, month - 1, 1))
+
+    this.body.replaceChildren(...calendarWeeks(year, month).map(week => element('tr', '', week.map(day => {
+      const cell = element('td', 'p-0.5 text-center')
+      cell.setAttribute('role', 'gridcell')
+      if (!day) return cell
+
+      const available = this.isAvailable(day)
+      const selected = chosen.includes(day)
+      const between = start && end && day > start && day < end
+      const button = element('button', [
+        DAY_CLASSES,
+        selected ? 'bg-indigo-600 text-white font-semibold' : between ? 'bg-indigo-100 text-indigo-900' : available ? 'text-gray-900 hover:bg-gray-100' : '',
+        available ? '' : 'cursor-not-allowed text-gray-300 line-through',
+        day === today && !selected ? 'ring-1 ring-inset ring-indigo-300' : ''
+      ].join(' '), String(parseDay(day).day))
+      button.type = 'button'
+      button.dataset.day = day
+      button.tabIndex = day === this.focusedDay ? 0 : -1
+      button.setAttribute('aria-label', available ? this.dayLabel(day) : `${this.dayLabel(day)}, not available`)
+      if (!available) button.setAttribute('aria-disabled', 'true')
+      cell.setAttribute('aria-selected', String(selected))
+      cell.append(button)
+      return cell
+    }))))
+  }
+
+  moveFocus(day, { focus = true } = {}) {
+    this.focusedDay = day
+    this.render()
+    if (focus) this.focusDay()
+  }
+
+  focusDay() {
+    const button = this.body.querySelector(`[data-day="${this.focusedDay}"]`)
+    if (button) button.focus()
+  }
+
+  dayForKey(event) {
+    const day = this.focusedDay
+    switch (event.key) {
+      case 'ArrowLeft': return addDays(day, -1)
+      case 'ArrowRight': return addDays(day, 1)
+      case 'ArrowUp': return addDays(day, -7)
+      case 'ArrowDown': return addDays(day, 7)
+      case 'Home': return addDays(day, -weekdayOf(day))
+      case 'End': return addDays(day, 6 - weekdayOf(day))
+      case 'PageUp': return addMonths(day, event.shiftKey ? -12 : -1)
+      case 'PageDown': return addMonths(day, event.shiftKey ? 12 : 1)
+      default: return null
+    }
+  }
+
+  // The chosen day, the start of the range, the earliest day or today
+  initialDay() {
+    const today = this.today()
+    const candidates = [...this.selectedDays(), this.minValue && this.minValue > today ? this.minValue : today]
+    return candidates.find(parseDay)
+  }
+
+  selectedDays() {
+    if (this.modeValue === 'range') return [this.startTarget.value, this.endTarget.value].filter(parseDay)
+    return this.hasInputTarget && parseDay(this.inputTarget.value) ? [this.inputTarget.value] : []
+  }
+
+  isAvailable(day) {
+    return isAvailableDay(day, {
+      min: this.minValue || null,
+      max: this.maxValue || null,
+      disabledWeekdays: this.disabledWeekdaysValue,
+      blackoutDates: this.blackoutDatesValue
+    })
+  }
+
+  // The respondent's today
+  today() {
+    const now = new Date()
+    return formatDay(now.getFullYear(), now.getMonth() + 1, now.getDate())
+  }
+
+  dayLabel(day) {
+    const { year, month, day: date } = parseDay(day)
+    return new Intl.DateTimeFormat(undefined, { dateStyle: 'full', timeZone: 'UTC' }).format(Date.UTC(year, month - 1, date))
+  }
+
+  weekdayName(day, style) {
+    const { year, month, day: date } = parseDay(day)
+    return new Intl.DateTimeFormat(undefined, { weekday: style, timeZone: 'UTC' }).format(Date.UTC(year, month - 1, date))
+  }
+}
@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { http, RequestError } from "lib/http_client"
 
 // Connects to data-controller="discount-code"
 export default class extends Controller {
@@ -98,28 +99,27 @@ export default class extends Controller {
     this.showLoading()
     
     try {
-      const response = await fetch(this.validateUrlValue, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.getCSRFToken()
-        },
-        body: JSON.stringify({
+      const data = await http.post(this.validateUrlValue, {
+        json: {
           code: code,
           billing_cycle: this.billingCycleValue
-        })
+        }
       })
       
-      const data = await response.json()
-      
-      if (response.ok && data.valid) {
+      if (data && data.valid) {
         this.handleValidDiscount(data)
       } else {
-        this.handleInvalidDiscount(data.error || "Invalid discount code")
+        this.handleInvalidDiscount((data && data.error) || "Invalid discount code")
       }
     } catch (error) {
       console.error('Discount validation error:', error)
-      this.showError("Unable to validate discount code. Please try again.")
+
+      // A rejected code comes back as a 4xx with the reason in `error`
+      if (error instanceof RequestError && error.kind === 'http' && error.status < 500) {
+        this.handleInvalidDiscount(error.messages[0] || "Invalid discount code")
+      } else {
+        this.showError("Unable to validate discount code. Please try again.")
+      }
     } finally {
       this.isValidating = false
     }
@@ -254,10 +254,10 @@ export default class extends Controller {
           <svg class="mr-2 h-4 w-4" fill="currentColor" viewBox="0 0 20 20">
             <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd"></path>
           </svg>
-          ${message}
+          <span data-feedback-message></span>
         </div>
       `
-      this.feedbackTarget.classList.remove('hidden')
+      this.showFeedbackMessage(message)
     }
   }
 
@@ -270,13 +270,19 @@ export default class extends Controller {
           <svg class="mr-2 h-4 w-4" fill="currentColor" viewBox="0 0 20 20">
             <path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clip-rule="evenodd"></path>
           </svg>
-          ${message}
+          <span data-feedback-message></span>
         </div>
       `
-      this.feedbackTarget.classList.remove('hidden')
+      this.showFeedbackMessage(message)
     }
   }
 
+  // Messages may echo what the server was sent, so they are set as text
+  showFeedbackMessage(message) {
+    this.feedbackTarget.querySelector('[data-feedback-message]').textContent = message
+    this.feedbackTarget.classList.remove('hidden')
+  }
+
   // Clear feedback messages
   clearFeedback() {
     if (this.hasFeedbackTarget) {
@@ -293,12 +299,6 @@ export default class extends Controller {
     }).format(cents / 100)
   }
 
-  // Get CSRF token for API requests
-  getCSRFToken() {
-    const token = document.querySelector('meta[name="csrf-token"]')
-    return token ? token.getAttribute('content') : ''
-  }
-
   // Getter for current discount data (for external access)
   get discountData() {
     return this.currentDiscount
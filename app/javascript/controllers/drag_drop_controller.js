@@ -0,0 +1,89 @@
+import { Controller } from "@hotwired/stimulus"
+import Sortable from "sortablejs"
+import { commitAnswer } from "lib/answer_widget"
+import { announce } from "lib/notifications"
+import { categoryAnnouncement } from "lib/reorder"
+
+const UNSORTED_LABEL = 'items to categorize'
+
+let groupCount = 0
+
+// Connects to data-controller="drag-drop"
+// Categorization questions. Items are dragged (mouse and touch, through
+// SortableJS) from the pool into category zones, between zones or back to the
+// pool, or moved with the category menu on each item, which also works from
+// the keyboard. Every move is announced to screen readers. The answer is
+// posted in answer[categorization] as JSON, { categoryId: [{ id, label }, ...] },
+// and is blank until an item is placed.
+export default class extends Controller {
+  static targets = ["pool", "zone", "dropped", "item", "categorySelect", "field"]
+
+  connect() {
+    // Items can only be dragged between the lists of this question
+    const group = `drag-drop-${groupCount += 1}`
+
+    this.sortables = [this.poolTarget, ...this.droppedTargets].map(list => Sortable.create(list, {
+      group,
+      animation: 150,
+      ghostClass: 'opacity-50',
+      // Items fill the width of small screens, so a touch only starts a drag
+      // after a short press and a swipe still scrolls the page
+      delay: 150,
+      delayOnTouchOnly: true,
+      // The category menu inside each item stays usable
+      filter: 'select',
+      preventOnFilter: false,
+      onEnd: (event) => {
+        if (event.from !== event.to) this.placed(event.item)
+      }
+    }))
+  }
+
+  disconnect() {
+    (this.sortables || []).forEach(sortable => sortable.destroy())
+    this.sortables = []
+  }
+
+  selectCategory(event) {
+    const select = event.currentTarget
+    const item = this.itemTargets.find(candidate => candidate.contains(select))
+    const list = select.value === '' ? this.poolTarget : this.droppedListFor(select.value)
+    if (!item || !list || list.contains(item)) return
+
+    list.appendChild(item)
+    // Moving the item in the DOM drops the menu's focus in some browsers
+    select.focus()
+    this.placed(item)
+  }
+
+  placed(item) {
+    const zone = this.zoneTargets.find(candidate => candidate.contains(item))
+    const select = this.categorySelectTargets.find(candidate => item.contains(candidate))
+
+    if (select) select.value = zone ? zone.dataset.categoryId : ''
+
+    commitAnswer(this.fieldTarget, this.categorization())
+    announce(categoryAnnouncement(item.dataset.label, zone ? zone.dataset.categoryLabel : UNSORTED_LABEL))
+  }
+
+  droppedListFor(categoryId) {
+    const zone = this.zoneTargets.find(candidate => candidate.dataset.categoryId === categoryId)
+    return zone && this.droppedTargets.find(list => zone.contains(list))
+  }
+
+  categorization() {
+    let placedCount = 0
+
+    const categorization = Object.fromEntries(this.zoneTargets.map(zone => {
+      const items = this.itemTargets.filter(item => zone.contains(item))
+      placedCount += items.length
+
+      return [zone.dataset.categoryId, items.map(item => ({
+        id: item.dataset.itemId,
+        label: item.dataset.label
+      }))]
+    }))
+
+    return placedCount > 0 ? categorization : ''
+  }
+}
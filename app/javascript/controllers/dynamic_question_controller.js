@@ -1,5 +1,7 @@
 // app/javascript/controllers/dynamic_question_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { http } from "lib/http_client"
+import { toast } from "lib/notifications"
 
 export default class extends Controller {
   static targets = ["submitButton", "answerInput"]
@@ -16,30 +18,24 @@ export default class extends Controller {
     const answerValue = this.answerInputTarget ? this.answerInputTarget.value : "" // Maneja diferentes tipos de input
     // Necesitarás una ruta para enviar esta respuesta. La crearemos a continuación.
     const url = `/form_responses/${this.responseIdValue}/dynamic_questions/${this.dynamicIdValue}/answer`
-    const csrfToken = document.querySelector('meta[name="csrf-token"]').getAttribute('content')
 
-    fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-CSRF-Token': csrfToken,
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify({
-        answer: {
-          value: answerValue
-        }
-      })
-    })
-    .then(response => response.json())
+    http.post(url, { json: { answer: { value: answerValue } } })
     .then(data => {
-      if (data.success) {
+      if (data && data.success) {
         window.location.reload()
       } else {
-        alert("Hubo un error al enviar tu respuesta.")
-        this.submitButtonTarget.disabled = false
-        this.submitButtonTarget.textContent = "Continuar"
+        this.showSubmitError("Hubo un error al enviar tu respuesta.")
       }
     })
+    .catch(error => {
+      console.error('Error submitting dynamic answer:', error)
+      this.showSubmitError(error.message)
+    })
+  }
+
+  showSubmitError(message) {
+    toast(message, { type: 'error' })
+    this.submitButtonTarget.disabled = false
+    this.submitButtonTarget.textContent = "Continuar"
   }
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { http } from "lib/http_client"
 
 export default class extends Controller {
   static targets = ["retryButton", "retryCountdown", "errorMessage"]
@@ -178,20 +179,15 @@ export default class extends Controller {
     }
 
     // Send to backend for tracking
-    fetch('/api/v1/analytics/events', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-CSRF-Token': document.querySelector('[name="csrf-token"]')?.content
-      },
-      body: JSON.stringify({
+    http.post('/api/v1/analytics/events', {
+      json: {
         event_type: 'retry_attempted',
         event_data: {
           retry_count: this.retryCount + 1,
           error_recovery: true,
           timestamp: new Date().toISOString()
         }
-      })
+      }
     }).catch(error => {
       console.log('Analytics tracking failed:', error)
     })
@@ -0,0 +1,468 @@
+import { Controller } from "@hotwired/stimulus"
+import { DirectUpload } from "@rails/activestorage"
+import Sortable from "sortablejs"
+import { announceAnswer, setAnswerPending } from "lib/answer_widget"
+import { ChunkedUpload, UploadCancelledError, fileRejection } from "lib/file_uploads"
+import { http } from "lib/http_client"
+import { isProcessableImage, processImage } from "lib/image_processing"
+import { announce, element, toast } from "lib/notifications"
+import { moveElement, positionForKey, rankingAnnouncement } from "lib/reorder"
+
+const DRAG_OVER_CLASSES = ['border-indigo-500', 'bg-indigo-50']
+const FILE_SIZE_UNITS = ['Bytes', 'KB', 'MB', 'GB']
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const FILE_ICON_PATH = 'M4 4a2 2 0 012-2h4.586A2 2 0 0112 2.586L15.414 6A2 2 0 0116 7.414V16a2 2 0 01-2 2H6a2 2 0 01-2-2V4z'
+const HANDLE_ICON_PATH = 'M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z'
+
+const STATUS_TEXT = {
+  processing: 'Preparing image…',
+  uploading: 'Uploading…',
+  waiting: 'Waiting for connection…',
+  failed: 'Upload failed',
+  cancelled: 'Cancelled',
+  done: 'Uploaded'
+}
+
+const UPLOADING_MESSAGE = 'Wait for your files to finish uploading'
+const INCOMPLETE_MESSAGE = 'Retry or remove the files that did not upload'
+
+// Connects to data-controller="file-drop"
+// Upload widget for file_upload and image_upload questions. Chosen or dropped
+// files are checked against the question's limits and stored right away with
+// resumable Active Storage direct uploads (lib/file_uploads), each with a
+// progress bar, cancel and retry. Uploads cut off by a lost connection resume
+// when it comes back. Files can be reordered by dragging their handle or with
+// the arrow keys on it, and images get a thumbnail. On image_upload questions
+// photos are first resized and stripped of their metadata in the browser
+// (lib/image_processing). The answer posts one answer[value][] field per
+// uploaded file, holding its signed blob id.
+export default class extends Controller {
+  static targets = ["input", "dropZone", "list", "fields"]
+  static values = {
+    directUploadUrl: String,
+    composeUrl: String,
+    questionId: String,
+    maxFiles: { type: Number, default: 1 },
+    maxSizeMb: Number,
+    allowedTypes: Array,
+    imagesOnly: Boolean,
+    imageProcessing: Object
+  }
+
+  connect() {
+    this.entries = []
+    this.onlineHandler = () => this.resumeWaiting()
+    window.addEventListener('online', this.onlineHandler)
+
+    if (this.maxFilesValue > 1) {
+      this.sortable = Sortable.create(this.listTarget, {
+        handle: '[data-file-drop-handle]',
+        animation: 150,
+        ghostClass: 'opacity-50',
+        onEnd: (event) => {
+          if (event.oldIndex !== event.newIndex) this.reordered(this.entryFor(event.item))
+        }
+      })
+    }
+  }
+
+  disconnect() {
+    window.removeEventListener('online', this.onlineHandler)
+    if (this.sortable) this.sortable.destroy()
+
+    this.entries.forEach(entry => {
+      if (entry.upload) entry.upload.cancel()
+      if (entry.objectUrl) URL.revokeObjectURL(entry.objectUrl)
+    })
+    this.entries = []
+  }
+
+  // Clicks on the label or the input already open the file dialog
+  browse(event) {
+    if (event.target.closest('label, input, button')) return
+    this.inputTarget.click()
+  }
+
+  dragOver(event) {
+    event.preventDefault()
+    this.dropZoneTarget.classList.add(...DRAG_OVER_CLASSES)
+  }
+
+  dragLeave(event) {
+    event.preventDefault()
+    if (!this.dropZoneTarget.contains(event.relatedTarget)) {
+      this.dropZoneTarget.classList.remove(...DRAG_OVER_CLASSES)
+    }
+  }
+
+  drop(event) {
+    event.preventDefault()
+    this.dropZoneTarget.classList.remove(...DRAG_OVER_CLASSES)
+    this.addFiles(Array.from(event.dataTransfer.files))
+  }
+
+  select() {
+    this.addFiles(Array.from(this.inputTarget.files))
+    // Cleared so that choosing the same file again still fires change
+    this.inputTarget.value = ''
+  }
+
+  addFiles(files) {
+    if (files.length === 0) return
+
+    // A single-file question swaps its file rather than refusing the new one
+    if (this.maxFilesValue === 1) {
+      [...this.entries].forEach(entry => this.discard(entry))
+      files = files.slice(0, 1)
+    }
+
+    const room = this.maxFilesValue - this.entries.length
+    if (files.length > room) {
+      toast(`You can upload up to ${filesCount(this.maxFilesValue)}.`, { type: 'error' })
+      files = files.slice(0, Math.max(room, 0))
+    }
+
+    files.forEach(file => {
+      // Photos are checked against the size limit once they are scaled down
+      const rejection = fileRejection(file, this.limits({ checkSize: !this.processes(file) }))
+
+      if (rejection) {
+        toast(rejection, { type: 'error' })
+      } else {
+        this.prepare(this.addEntry(file))
+      }
+    })
+  }
+
+  limits({ checkSize = true } = {}) {
+    return {
+      maxSizeMb: checkSize ? this.maxSizeMbValue || null : null,
+      allowedTypes: this.allowedTypesValue,
+      imagesOnly: this.imagesOnlyValue
+    }
+  }
+
+  cancel(event) {
+    const entry = this.entryFor(event.currentTarget)
+    if (!entry) return
+
+    if (entry.upload && entry.upload.running) {
+      // upload() marks it cancelled when the upload stops
+      entry.upload.cancel()
+    } else {
+      this.setState(entry, 'cancelled')
+      this.commit()
+    }
+  }
+
+  retry(event) {
+    const entry = this.entryFor(event.currentTarget)
+    if (entry && !(entry.upload && entry.upload.running)) this.prepare(entry)
+  }
+
+  remove(event) {
+    const entry = this.entryFor(event.currentTarget)
+    if (!entry) return
+
+    this.discard(entry)
+    this.inputTarget.focus()
+    announce(`${entry.file.name} removed.`)
+    this.commit()
+  }
+
+  moveWithKeys(event) {
+    const entry = this.entryFor(event.currentTarget)
+    const rows = Array.from(this.listTarget.children)
+    const position = positionForKey(event.key, rows.indexOf(entry.element) + 1, rows.length)
+    if (position === null) return
+
+    event.preventDefault()
+    moveElement(this.listTarget, entry.element, position)
+    // Moving the row in the DOM drops the handle's focus in some browsers
+    event.currentTarget.focus()
+    this.reordered(entry)
+  }
+
+  reordered(entry) {
+    const rows = Array.from(this.listTarget.children)
+
+    this.commit()
+    announce(rankingAnnouncement(entry.file.name, rows.indexOf(entry.element) + 1, rows.length))
+  }
+
+  // Uploads
+
+  addEntry(file) {
+    const entry = { file, state: null, processed: !this.processes(file), processing: null, upload: null, signedId: null, objectUrl: null }
+    entry.element = this.buildRow(entry)
+
+    this.entries.push(entry)
+    this.listTarget.appendChild(entry.element)
+    return entry
+  }
+
+  processes(file) {
+    return this.imagesOnlyValue && isProcessableImage(file)
+  }
+
+  async prepare(entry) {
+    if (!entry.processed) {
+      this.setState(entry, 'processing')
+      this.commit()
+
+      // Retried after a cancel while still being processed: the first call
+      // carries on once the image is ready
+      if (entry.processing) return
+
+      entry.processing = this.processedImage(entry.file)
+      entry.file = await entry.processing
+      entry.processed = true
+
+      // Removed or cancelled while it was being processed
+      if (!this.entries.includes(entry)) return
+      this.showFile(entry)
+      if (entry.state === 'cancelled') return
+
+      const rejection = fileRejection(entry.file, this.limits())
+      if (rejection) {
+        toast(rejection, { type: 'error' })
+        this.discard(entry)
+        this.commit()
+        return
+      }
+    }
+
+    this.upload(entry)
+  }
+
+  // Images the browser cannot decode (HEIC outside Safari, for one) are
+  // uploaded as they are, like on file_upload questions
+  async processedImage(file) {
+    const { max_dimension: maxDimension, quality, crop_aspect_ratio: aspectRatio } = this.imageProcessingValue
+
+    try {
+      return await processImage(file, { maxDimension, quality, aspectRatio })
+    } catch (error) {
+      console.warn(`${file.name} could not be processed, uploading it unchanged:`, error)
+      return file
+    }
+  }
+
+  async upload(entry) {
+    entry.upload ||= new ChunkedUpload(entry.file, {
+      storeBlob: (blob, options) => this.storeBlob(blob, options),
+      composeBlobs: (signedIds, original, options) => this.composeBlobs(signedIds, original, options),
+      onProgress: (loaded, total) => this.showProgress(entry, loaded, total)
+    })
+
+    this.setState(entry, 'uploading')
+    this.commit()
+
+    try {
+      entry.signedId = await entry.upload.start()
+      this.setState(entry, 'done')
+      announce(`${entry.file.name} uploaded.`)
+    } catch (error) {
+      // Removed files are not brought back by their upload stopping
+      if (!this.entries.includes(entry)) return
+
+      if (error instanceof UploadCancelledError) {
+        this.setState(entry, 'cancelled')
+      } else if (!navigator.onLine) {
+        // Picked up again by resumeWaiting when the browser is back online
+        this.setState(entry, 'waiting')
+      } else {
+        console.error(`Upload of ${entry.file.name} failed:`, error)
+        this.setState(entry, 'failed')
+        toast(error.isValidationError ? error.message : `${entry.file.name} could not be uploaded. Try again.`, { type: 'error' })
+      }
+    }
+
+    this.commit()
+  }
+
+  resumeWaiting() {
+    this.entries.filter(entry => entry.state === 'waiting').forEach(entry => this.upload(entry))
+  }
+
+  discard(entry) {
+    this.entries = this.entries.filter(candidate => candidate !== entry)
+    if (entry.upload) entry.upload.cancel()
+    entry.element.remove()
+    if (entry.objectUrl) URL.revokeObjectURL(entry.objectUrl)
+  }
+
+  // Active Storage direct upload of one blob (a file or a chunk of one)
+  storeBlob(blob, { onProgress, signal }) {
+    return new Promise((resolve, reject) => {
+      const requests = []
+      signal.addEventListener('abort', () => requests.forEach(request => request.abort()), { once: true })
+
+      const directUpload = new DirectUpload(blob, this.directUploadUrlValue, {
+        directUploadWillCreateBlobWithXHR: request => requests.push(request),
+        directUploadWillStoreFileWithXHR: request => {
+          requests.push(request)
+          request.upload.addEventListener('progress', event => onProgress(event.loaded))
+        }
+      })
+
+      directUpload.create((error, attributes) => (error ? reject(new Error(error)) : resolve(attributes.signed_id)))
+    })
+  }
+
+  async composeBlobs(signedIds, file, { signal }) {
+    const data = await http.post(this.composeUrlValue, {
+      json: { question_id: this.questionIdValue, signed_ids: signedIds, filename: file.name, content_type: file.type },
+      signal
+    })
+
+    return data.signed_id
+  }
+
+  // The answer: uploaded files in the order shown. While files are still
+  // uploading, or failed, the answer is held back (see lib/answer_widget).
+  commit() {
+    const rows = Array.from(this.listTarget.children)
+    const entries = [...this.entries].sort((a, b) => rows.indexOf(a.element) - rows.indexOf(b.element))
+
+    this.fieldsTarget.replaceChildren(...entries.filter(entry => entry.state === 'done').map(entry => {
+      const field = document.createElement('input')
+      field.type = 'hidden'
+      field.name = 'answer[value][]'
+      field.value = entry.signedId
+      return field
+    }))
+
+    let pending = null
+    if (entries.some(entry => ['processing', 'uploading', 'waiting'].includes(entry.state))) {
+      pending = UPLOADING_MESSAGE
+    } else if (entries.some(entry => ['failed', 'cancelled'].includes(entry.state))) {
+      pending = INCOMPLETE_MESSAGE
+    }
+
+    setAnswerPending(this.fieldsTarget, pending)
+    announceAnswer(this.fieldsTarget)
+  }
+
+  // Rows
+
+  buildRow(entry) {
+    const { file } = entry
+    const row = element('li', 'flex items-center space-x-3 p-2 bg-white border border-gray-200 rounded-lg')
+
+    if (this.maxFilesValue > 1) {
+      const handle = element('button', 'flex-shrink-0 text-gray-400 hover:text-gray-600 cursor-move touch-none rounded focus:outline-none focus:ring-2 focus:ring-indigo-500', [icon(HANDLE_ICON_PATH, 'h-5 w-5')])
+      handle.type = 'button'
+      handle.dataset.fileDropHandle = ''
+      handle.dataset.action = 'keydown->file-drop#moveWithKeys'
+      handle.setAttribute('aria-label', `Reorder ${file.name}. Use the up and down arrow keys to move it.`)
+      row.append(handle)
+    }
+
+    row.append(this.preview(entry))
+
+    const details = element('div', 'flex-1 min-w-0 space-y-1')
+    entry.name = element('span', 'truncate text-gray-900', file.name)
+    entry.size = element('span', 'flex-shrink-0 text-xs text-gray-400', formatFileSize(file.size))
+    const name = element('div', 'flex items-baseline space-x-2 text-sm', [entry.name, entry.size])
+
+    entry.bar = element('div', 'h-1.5 bg-indigo-500 rounded-full transition-all')
+    entry.bar.style.width = '0%'
+    entry.progress = element('div', 'h-1.5 bg-gray-100 rounded-full overflow-hidden', [entry.bar])
+    entry.progress.setAttribute('role', 'progressbar')
+    entry.progress.setAttribute('aria-label', `Upload progress for ${file.name}`)
+    entry.progress.setAttribute('aria-valuemin', '0')
+    entry.progress.setAttribute('aria-valuemax', '100')
+    entry.progress.setAttribute('aria-valuenow', '0')
+
+    entry.status = element('p', 'text-xs text-gray-500')
+    details.append(name, entry.progress, entry.status)
+
+    entry.cancelButton = this.rowButton('Cancel', `Cancel upload of ${file.name}`, 'cancel')
+    entry.retryButton = this.rowButton('Retry', `Retry upload of ${file.name}`, 'retry')
+    const removeButton = this.rowButton('Remove', `Remove ${file.name}`, 'remove')
+    const actions = element('div', 'flex-shrink-0 flex items-center space-x-2', [entry.cancelButton, entry.retryButton, removeButton])
+
+    row.append(details, actions)
+    return row
+  }
+
+  preview(entry) {
+    if (!entry.file.type.startsWith('image/')) {
+      return element('div', 'flex-shrink-0 w-12 h-12 flex items-center justify-center bg-gray-50 rounded', [icon(FILE_ICON_PATH, 'h-6 w-6 text-gray-400')])
+    }
+
+    entry.objectUrl = URL.createObjectURL(entry.file)
+    entry.thumbnail = element('img', 'flex-shrink-0 w-12 h-12 object-cover rounded border border-gray-200')
+    entry.thumbnail.src = entry.objectUrl
+    entry.thumbnail.alt = ''
+    return entry.thumbnail
+  }
+
+  // The row shows the processed image: its name, size and crop
+  showFile(entry) {
+    entry.name.textContent = entry.file.name
+    entry.size.textContent = formatFileSize(entry.file.size)
+
+    if (entry.thumbnail) {
+      URL.revokeObjectURL(entry.objectUrl)
+      entry.objectUrl = URL.createObjectURL(entry.file)
+      entry.thumbnail.src = entry.objectUrl
+    }
+  }
+
+  rowButton(label, description, action) {
+    const button = element('button', 'text-xs font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:underline', label)
+    button.type = 'button'
+    button.dataset.action = `file-drop#${action}`
+    button.setAttribute('aria-label', description)
+    return button
+  }
+
+  setState(entry, state) {
+    entry.state = state
+    entry.status.textContent = STATUS_TEXT[state]
+    entry.status.classList.toggle('text-red-600', state === 'failed')
+    entry.progress.classList.toggle('hidden', state === 'done')
+    entry.cancelButton.classList.toggle('hidden', !['processing', 'uploading', 'waiting'].includes(state))
+    entry.retryButton.classList.toggle('hidden', !['failed', 'cancelled'].includes(state))
+  }
+
+  showProgress(entry, loaded, total) {
+    const percent = total > 0 ? Math.round(loaded / total * 100) : 100
+
+    entry.bar.style.width = `${percent}%`
+    entry.progress.setAttribute('aria-valuenow', String(percent))
+  }
+
+  entryFor(node) {
+    return this.entries.find(entry => entry.element.contains(node))
+  }
+}
+
+function icon(pathData, className) {
+  const svg = document.createElementNS(SVG_NS, 'svg')
+  svg.setAttribute('class', className)
+  svg.setAttribute('fill', 'currentColor')
+  svg.setAttribute('viewBox', '0 0 20 20')
+  svg.setAttribute('aria-hidden', 'true')
+
+  const path = document.createElementNS(SVG_NS, 'path')
+  path.setAttribute('fill-rule', 'evenodd')
+  path.setAttribute('d', pathData)
+  path.setAttribute('clip-rule', 'evenodd')
+
+  svg.appendChild(path)
+  return svg
+}
+
+function filesCount(count) {
+  return count === 1 ? '1 file' : `${count} files`
+}
+
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes'
+
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), FILE_SIZE_UNITS.length - 1)
+  return `${parseFloat((bytes / 1024 ** exponent).toFixed(2))} ${FILE_SIZE_UNITS[exponent]}`
+}
@@ -1,7 +1,7 @@
 import { Controller } from "@hotwired/stimulus"
 
 export default class extends Controller {
-  static targets = ["questionContainer", "progressBar", "navigationButtons", "progressFill", "questionInput"]
+  static targets = ["questionContainer", "progressBar", "navigationButtons", "progressFill", "questionInput", "currentStep", "progressText"]
   static values = {
     currentStep: Number,
     totalSteps: Number,
@@ -107,6 +107,38 @@ export default class extends Controller {
     }
   }
 
+  animateQuestionIn() {
+    if (!this.element) return
+
+    // Start slightly below so the swapped-in question rises into place
+    this.element.style.transition = 'none'
+    this.element.style.transform = 'translateY(15px)'
+    this.element.style.opacity = '0.7'
+    
+    // Force a reflow so the starting position applies before the transition
+    void this.element.offsetHeight
+    
+    this.animateElementIn(this.element, 'question')
+  }
+
+  updateProgress(percentage, step) {
+    if (Number.isFinite(step)) {
+      this.currentStepValue = step
+      if (this.hasCurrentStepTarget) {
+        this.currentStepTarget.textContent = step
+      }
+    }
+    
+    if (Number.isFinite(percentage)) {
+      if (this.hasProgressFillTarget) {
+        this.progressFillTarget.style.width = `${percentage}%`
+      }
+      if (this.hasProgressTextTarget) {
+        this.progressTextTarget.textContent = Math.round(percentage)
+      }
+    }
+  }
+
   showLoadingState() {
     const submitButton = this.element.querySelector('[data-question-response-target="submitButton"]')
     if (submitButton) {
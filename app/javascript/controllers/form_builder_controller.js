@@ -1,17 +1,31 @@
 import { Controller } from "@hotwired/stimulus"
+import { CommandStack } from "lib/command_stack"
+import { BUILDER_CLIENT_HEADER, BUILDER_CLIENT_ID } from "channels/form_builder_channel"
+import { request } from "lib/http_client"
+import { toast } from "lib/notifications"
+
+// Quick successive reorders are saved in a single request
+const ORDER_SAVE_DELAY_MS = 400
 
 // Connects to data-controller="form-builder"
 export default class extends Controller {
-  static targets = ["saveIndicator", "saveStatus", "questionsList"]
+  static targets = ["saveIndicator", "saveStatus", "questionsList", "undoButton", "redoButton"]
   static values = { 
-    formId: String,
-    csrfToken: String
+    formId: String
   }
 
   connect() {
     console.log('Form builder controller connected successfully')
     console.log('Form ID:', this.formIdValue)
     console.log('Has questionsList target:', this.hasQuestionsListTarget)
+
+    this.setupHistory()
+    this.savedQuestionOrder = this.currentQuestionOrder()
+  }
+
+  disconnect() {
+    document.removeEventListener('keydown', this.historyKeyHandler)
+    clearTimeout(this.orderSaveTimeout)
   }
 
   // Test method to verify connection
@@ -46,42 +60,20 @@ export default class extends Controller {
     })
     
     try {
-      const url = `/forms/${this.formIdValue}/questions`
-      console.log('Making request to:', url)
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.csrfTokenValue,
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          form_question: {
-            question_type: questionType,
-            title: `New ${questionType.replace('_', ' ')} question`,
-            required: false
-          }
-        })
+      const data = await this.questionRequest('', 'POST', {
+        form_question: {
+          question_type: questionType,
+          title: `New ${questionType.replace('_', ' ')} question`,
+          required: false
+        }
       })
+      console.log('Question created successfully:', data)
 
-      console.log('Response status:', response.status)
-
-      if (response.ok) {
-        const data = await response.json()
-        console.log('Question created successfully:', data)
-        
-        // Reload page to show the new question
-        window.location.reload()
-        
-      } else {
-        const errorData = await response.json()
-        console.error('Server error:', errorData)
-        throw new Error(errorData.errors ? errorData.errors.join(', ') : 'Failed to create question')
-      }
+      // Reload page to show the new question
+      window.location.reload()
     } catch (error) {
       console.error('Error creating question:', error)
-      alert('Failed to create question: ' + error.message)
+      toast(`Failed to create question: ${error.message}`, { type: 'error' })
     } finally {
       // Restore button states
       addButtons.forEach(button => {
@@ -122,47 +114,34 @@ export default class extends Controller {
     deleteButton.disabled = true
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/questions/${questionId}`, {
-        method: 'DELETE',
-        headers: {
-          'X-CSRF-Token': this.csrfTokenValue,
-          'Accept': 'application/json'
-        }
+      await this.questionRequest(`/${questionId}`, 'DELETE')
+      console.log('Question deleted successfully')
+
+      // Immediately disable all buttons to prevent further clicks
+      const allButtons = questionCard.querySelectorAll('button')
+      allButtons.forEach(btn => {
+        btn.disabled = true
+        btn.style.pointerEvents = 'none'
       })
 
-      if (response.ok) {
-        console.log('Question deleted successfully')
-        
-        // Immediately disable all buttons to prevent further clicks
-        const allButtons = questionCard.querySelectorAll('button')
-        allButtons.forEach(btn => {
-          btn.disabled = true
-          btn.style.pointerEvents = 'none'
-        })
-        
-        // Add a "deleted" class for visual feedback
-        questionCard.classList.add('deleted')
-        questionCard.style.pointerEvents = 'none'
-        
-        // Animate removal
-        questionCard.style.transition = 'all 0.3s ease'
-        questionCard.style.opacity = '0.3'
-        questionCard.style.transform = 'translateX(-20px)'
-        questionCard.style.filter = 'grayscale(100%)'
-        
-        // Remove from DOM after animation
-        setTimeout(() => {
-          questionCard.remove()
-          this.updateStepNumbers()
-        }, 300)
-        
-      } else {
-        const errorData = await response.json()
-        throw new Error(errorData.error || 'Failed to delete question')
-      }
+      // Add a "deleted" class for visual feedback
+      questionCard.classList.add('deleted')
+      questionCard.style.pointerEvents = 'none'
+
+      // Animate removal
+      questionCard.style.transition = 'all 0.3s ease'
+      questionCard.style.opacity = '0.3'
+      questionCard.style.transform = 'translateX(-20px)'
+      questionCard.style.filter = 'grayscale(100%)'
+
+      // Remove from DOM after animation
+      setTimeout(() => {
+        questionCard.remove()
+        this.updateStepNumbers()
+      }, 300)
     } catch (error) {
       console.error('Error deleting question:', error)
-      alert('Failed to delete question: ' + error.message)
+      toast(`Failed to delete question: ${error.message}`, { type: 'error' })
       
       // Restore button state
       deleteButton.innerHTML = originalText
@@ -183,26 +162,20 @@ export default class extends Controller {
     duplicateButton.disabled = true
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/questions/${questionId}/duplicate`, {
-        method: 'POST',
-        headers: {
-          'X-CSRF-Token': this.csrfTokenValue,
-          'Accept': 'application/json'
-        }
+      const data = await this.questionRequest(`/${questionId}/duplicate`, 'POST')
+      console.log('Question duplicated successfully')
+
+      this.history.record({
+        type: 'duplicate',
+        label: `duplicate of "${this.questionTitle(questionCard)}"`,
+        questionId: data.id
       })
 
-      if (response.ok) {
-        console.log('Question duplicated successfully')
-        // Reload page to show duplicated question
-        window.location.reload()
-        
-      } else {
-        const errorData = await response.json()
-        throw new Error(errorData.error || 'Failed to duplicate question')
-      }
+      // Reload page to show duplicated question
+      window.location.reload()
     } catch (error) {
       console.error('Error duplicating question:', error)
-      alert('Failed to duplicate question: ' + error.message)
+      toast(`Failed to duplicate question: ${error.message}`, { type: 'error' })
     } finally {
       // Restore button state
       duplicateButton.innerHTML = originalText
@@ -212,60 +185,51 @@ export default class extends Controller {
 
   // Toggle question required status
   async toggleRequired(event) {
-    const questionCard = event.currentTarget.closest('[data-question-id]')
+    const checkbox = event.currentTarget
+    const questionCard = checkbox.closest('[data-question-id]')
     const questionId = questionCard.dataset.questionId
-    const isRequired = event.currentTarget.checked
+    const isRequired = checkbox.checked
     
     console.log('Toggling required for question:', questionId, 'to:', isRequired)
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/questions/${questionId}`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.csrfTokenValue,
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          form_question: {
-            required: isRequired
-          }
-        })
+      await this.questionRequest(`/${questionId}`, 'PATCH', { form_question: { required: isRequired } })
+      console.log('Required status updated successfully')
+
+      this.updateRequiredBadge(questionCard, isRequired)
+      this.history.record({
+        type: 'required',
+        label: `required change on "${this.questionTitle(questionCard)}"`,
+        questionId,
+        required: isRequired
       })
 
-      if (response.ok) {
-        console.log('Required status updated successfully')
-        
-        // Update the badge in the UI
-        const requiredBadge = questionCard.querySelector('.bg-red-100.text-red-800')
-        if (isRequired && !requiredBadge) {
-          // Add required badge
-          const badgeContainer = questionCard.querySelector('.flex.items-center.space-x-2.mb-1')
-          const newBadge = document.createElement('span')
-          newBadge.className = 'inline-flex items-center px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded-full'
-          newBadge.textContent = 'Required'
-          badgeContainer.appendChild(newBadge)
-        } else if (!isRequired && requiredBadge) {
-          // Remove required badge
-          requiredBadge.remove()
-        }
-        
-        this.setSaveStatus("saved")
-      } else {
-        // Revert the checkbox if the request failed
-        event.currentTarget.checked = !isRequired
-        const errorData = await response.json()
-        throw new Error(errorData.error || 'Failed to update question')
-      }
+      this.setSaveStatus("saved")
     } catch (error) {
       console.error('Error updating question:', error)
       // Revert checkbox on error
-      event.currentTarget.checked = !isRequired
-      alert('Failed to update required status: ' + error.message)
+      checkbox.checked = !isRequired
+      toast(`Failed to update required status: ${error.message}`, { type: 'error' })
       this.setSaveStatus("error")
     }
   }
 
+  // Update the Required badge in the card header
+  updateRequiredBadge(questionCard, isRequired) {
+    const requiredBadge = questionCard.querySelector('.bg-red-100.text-red-800')
+    if (isRequired && !requiredBadge) {
+      // Add required badge
+      const badgeContainer = questionCard.querySelector('.flex.items-center.space-x-2.mb-1')
+      const newBadge = document.createElement('span')
+      newBadge.className = 'inline-flex items-center px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded-full'
+      newBadge.textContent = 'Required'
+      badgeContainer.appendChild(newBadge)
+    } else if (!isRequired && requiredBadge) {
+      // Remove required badge
+      requiredBadge.remove()
+    }
+  }
+
   // Set save status (for auto-save feedback)
   setSaveStatus(status) {
     if (!this.hasSaveIndicatorTarget || !this.hasSaveStatusTarget) return
@@ -300,6 +264,90 @@ export default class extends Controller {
     })
   }
 
+  // Reordering
+  //
+  // sortable_controller dispatches `sorted` after a drag or keyboard move. The
+  // new order is shown right away and saved through PATCH /questions/reorder;
+  // if that fails the list goes back to the last order the server accepted.
+
+  questionsSorted(event) {
+    const { oldIndex, newIndex } = event.detail
+    if (oldIndex === newIndex) return
+
+    this.updateStepNumbers()
+    this.setSaveStatus("saving")
+
+    clearTimeout(this.orderSaveTimeout)
+    this.orderSaveTimeout = setTimeout(() => this.saveQuestionOrder(), ORDER_SAVE_DELAY_MS)
+  }
+
+  async saveQuestionOrder() {
+    if (this.orderSaveInFlight) {
+      this.orderSavePending = true
+      return
+    }
+
+    const order = this.currentQuestionOrder()
+    // Deleted questions drop out of the saved order
+    const previous = this.savedQuestionOrder.filter(id => order.includes(id))
+
+    if (order.join() === previous.join()) {
+      this.setSaveStatus("saved")
+      return
+    }
+
+    this.orderSaveInFlight = true
+
+    try {
+      await this.questionRequest('/reorder', 'PATCH', { question_ids: order })
+
+      this.savedQuestionOrder = order
+      this.history.record({ type: 'reorder', label: 'question reorder', before: previous, after: order })
+      this.setSaveStatus("saved")
+    } catch (error) {
+      console.error('Error reordering questions:', error)
+
+      // Roll back the optimistic move
+      this.applyQuestionOrder(previous)
+      toast(`Failed to save the new question order: ${error.message}`, { type: 'error' })
+      this.setSaveStatus("error")
+    } finally {
+      this.orderSaveInFlight = false
+
+      if (this.orderSavePending) {
+        this.orderSavePending = false
+        this.saveQuestionOrder()
+      }
+    }
+  }
+
+  currentQuestionOrder() {
+    if (!this.hasQuestionsListTarget) return []
+
+    return Array.from(this.questionsListTarget.querySelectorAll('[data-question-id]'))
+      .map(card => card.dataset.questionId)
+  }
+
+  // Called after questions change outside this controller (remote edits)
+  syncQuestionOrder() {
+    this.updateStepNumbers()
+    this.savedQuestionOrder = this.currentQuestionOrder()
+  }
+
+  // Moves the cards into the given order; cards missing from it keep their
+  // relative order at the end
+  applyQuestionOrder(questionIds) {
+    questionIds.forEach(questionId => {
+      const questionCard = this.findQuestionCard(questionId)
+      if (questionCard) this.questionsListTarget.appendChild(questionCard)
+    })
+
+    const remaining = this.currentQuestionOrder().filter(id => !questionIds.includes(id))
+    remaining.forEach(questionId => this.questionsListTarget.appendChild(this.findQuestionCard(questionId)))
+
+    this.updateStepNumbers()
+  }
+
   // Check if question type is payment-related
   isPaymentQuestion(questionType) {
     return questionType === 'payment' || questionType === 'subscription' || questionType === 'donation'
@@ -320,47 +368,27 @@ export default class extends Controller {
     })
     
     try {
-      const url = `/forms/${this.formIdValue}/questions`
-      console.log('Making request to:', url)
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.csrfTokenValue,
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          form_question: {
-            question_type: questionType,
-            title: `New ${questionType.replace('_', ' ')} question`,
-            required: false
-          }
-        })
+      const data = await this.questionRequest('', 'POST', {
+        form_question: {
+          question_type: questionType,
+          title: `New ${questionType.replace('_', ' ')} question`,
+          required: false
+        }
       })
+      console.log('Question created successfully:', data)
 
-      console.log('Response status:', response.status)
-
-      if (response.ok) {
-        const data = await response.json()
-        console.log('Question created successfully:', data)
-        
-        // If this was a payment question, notify the payment setup controller
-        if (isPayment) {
-          this.notifyPaymentQuestionAdded()
-        }
-        
-        // Reload page to show the new question
-        window.location.reload()
-        
-      } else {
-        const errorData = await response.json()
-        console.error('Server error:', errorData)
-        throw new Error(errorData.errors ? errorData.errors.join(', ') : 'Failed to create question')
+      // If this was a payment question, notify the payment setup controller
+      if (isPayment) {
+        this.notifyPaymentQuestionAdded()
       }
+
+      this.history.record({ type: 'create', label: `new question "${data.title}"`, questionId: data.id })
+
+      // Reload page to show the new question
+      window.location.reload()
     } catch (error) {
       console.error('Error creating question:', error)
-      alert('Failed to create question: ' + error.message)
+      toast(`Failed to create question: ${error.message}`, { type: 'error' })
     } finally {
       // Restore button states
       addButtons.forEach(button => {
@@ -395,52 +423,25 @@ export default class extends Controller {
     deleteButton.disabled = true
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/questions/${questionId}`, {
-        method: 'DELETE',
-        headers: {
-          'X-CSRF-Token': this.csrfTokenValue,
-          'Accept': 'application/json'
-        }
-      })
+      await this.questionRequest(`/${questionId}`, 'DELETE')
+      console.log('Question deleted successfully')
 
-      if (response.ok) {
-        console.log('Question deleted successfully')
-        
-        // If this was a payment question, notify the payment setup controller
-        if (isPayment) {
-          this.notifyPaymentQuestionRemoved()
-        }
-        
-        // Immediately disable all buttons to prevent further clicks
-        const allButtons = questionCard.querySelectorAll('button')
-        allButtons.forEach(btn => {
-          btn.disabled = true
-          btn.style.pointerEvents = 'none'
-        })
-        
-        // Add a "deleted" class for visual feedback
-        questionCard.classList.add('deleted')
-        questionCard.style.pointerEvents = 'none'
-        
-        // Animate removal
-        questionCard.style.transition = 'all 0.3s ease'
-        questionCard.style.opacity = '0.3'
-        questionCard.style.transform = 'translateX(-20px)'
-        questionCard.style.filter = 'grayscale(100%)'
-        
-        // Remove from DOM after animation
-        setTimeout(() => {
-          questionCard.remove()
-          this.updateStepNumbers()
-        }, 300)
-        
-      } else {
-        const errorData = await response.json()
-        throw new Error(errorData.error || 'Failed to delete question')
+      // If this was a payment question, notify the payment setup controller
+      if (isPayment) {
+        this.notifyPaymentQuestionRemoved()
       }
+
+      // The server keeps a snapshot of the deleted question for restoring it
+      this.history.record({
+        type: 'delete',
+        label: `deletion of "${this.questionTitle(questionCard)}"`,
+        questionId
+      })
+
+      this.removeQuestionCard(questionCard)
     } catch (error) {
       console.error('Error deleting question:', error)
-      alert('Failed to delete question: ' + error.message)
+      toast(`Failed to delete question: ${error.message}`, { type: 'error' })
       
       // Restore button state
       deleteButton.innerHTML = originalText
@@ -448,6 +449,233 @@ export default class extends Controller {
     }
   }
 
+  // Animate a deleted question card out of the list
+  removeQuestionCard(questionCard) {
+    // Immediately disable all buttons to prevent further clicks
+    const allButtons = questionCard.querySelectorAll('button')
+    allButtons.forEach(btn => {
+      btn.disabled = true
+      btn.style.pointerEvents = 'none'
+    })
+    
+    // Add a "deleted" class for visual feedback
+    questionCard.classList.add('deleted')
+    questionCard.style.pointerEvents = 'none'
+    
+    // Animate removal
+    questionCard.style.transition = 'all 0.3s ease'
+    questionCard.style.opacity = '0.3'
+    questionCard.style.transform = 'translateX(-20px)'
+    questionCard.style.filter = 'grayscale(100%)'
+    
+    // Remove from DOM after animation
+    setTimeout(() => {
+      questionCard.remove()
+      this.updateStepNumbers()
+    }, 300)
+  }
+
+  questionTitle(questionCard) {
+    const title = questionCard.querySelector('.question-title')
+    return title ? title.textContent.trim() : 'question'
+  }
+
+  // Undo / redo
+  //
+  // Every builder mutation is recorded with enough data to invert it: deletions
+  // and additions keep the question id, which the server restores deleted
+  // questions by.
+  // The history is kept per form for the browser session (lib/command_stack.js).
+
+  setupHistory() {
+    this.history = new CommandStack(`form-builder-history:${this.formIdValue}`, {
+      onChange: () => this.updateHistoryButtons()
+    })
+    this.historyBusy = false
+    this.updateHistoryButtons()
+
+    this.historyKeyHandler = (event) => this.handleHistoryShortcut(event)
+    document.addEventListener('keydown', this.historyKeyHandler)
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo
+  handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+
+    const key = event.key.toLowerCase()
+    if (key !== 'z' && key !== 'y') return
+
+    // Text fields keep their native undo
+    const target = event.target
+    if (target instanceof Element &&
+        target.closest('textarea, select, [contenteditable="true"], input:not([type="checkbox"]):not([type="radio"])')) {
+      return
+    }
+
+    event.preventDefault()
+    if (key === 'y' || event.shiftKey) {
+      this.redo()
+    } else {
+      this.undo()
+    }
+  }
+
+  undo(event) {
+    if (event) event.preventDefault()
+
+    const command = this.history.peekUndo()
+    if (command) this.runHistoryStep(command, 'undo')
+  }
+
+  redo(event) {
+    if (event) event.preventDefault()
+
+    const command = this.history.peekRedo()
+    if (command) this.runHistoryStep(command, 'redo')
+  }
+
+  async runHistoryStep(command, direction) {
+    if (this.historyBusy) return
+
+    this.historyBusy = true
+    this.updateHistoryButtons()
+    this.setSaveStatus("saving")
+
+    try {
+      const { command: updated, reload } = direction === 'undo'
+        ? await this.revertCommand(command)
+        : await this.applyCommand(command)
+
+      if (direction === 'undo') {
+        this.history.markUndone(updated)
+      } else {
+        this.history.markRedone(updated)
+      }
+      this.setSaveStatus("saved")
+
+      // Restored questions are rendered by the server, like newly added ones
+      if (reload) window.location.reload()
+    } catch (error) {
+      console.error(`Error during ${direction}:`, error)
+
+      // 404 / 409: the question was already removed or restored elsewhere
+      if (error.status === 404 || error.status === 409) {
+        this.history.discard(command)
+        toast(`Could not ${direction} the ${command.label}: the form changed since. It was removed from the history.`, { type: 'error' })
+      } else {
+        toast(`Failed to ${direction} the ${command.label}: ${error.message}`, { type: 'error' })
+      }
+      this.setSaveStatus("error")
+    } finally {
+      this.historyBusy = false
+      this.updateHistoryButtons()
+    }
+  }
+
+  revertCommand(command) {
+    switch (command.type) {
+      case 'delete':
+        return this.restoreQuestionFromHistory(command)
+      case 'create':
+      case 'duplicate':
+        return this.removeQuestionFromHistory(command)
+      case 'required':
+        return this.setRequiredFromHistory(command, !command.required)
+      case 'reorder':
+        return this.setOrderFromHistory(command, command.before)
+      default:
+        throw new Error(`Unknown command: ${command.type}`)
+    }
+  }
+
+  applyCommand(command) {
+    switch (command.type) {
+      case 'delete':
+        return this.removeQuestionFromHistory(command)
+      case 'create':
+      case 'duplicate':
+        return this.restoreQuestionFromHistory(command)
+      case 'required':
+        return this.setRequiredFromHistory(command, command.required)
+      case 'reorder':
+        return this.setOrderFromHistory(command, command.after)
+      default:
+        throw new Error(`Unknown command: ${command.type}`)
+    }
+  }
+
+  // Deletes the command's question; the server keeps what is needed to bring it back
+  async removeQuestionFromHistory(command) {
+    const data = await this.questionRequest(`/${command.questionId}`, 'DELETE')
+
+    const questionCard = this.findQuestionCard(command.questionId)
+    if (questionCard) this.removeQuestionCard(questionCard)
+    if (this.isPaymentQuestion(data.question.question_type)) this.notifyPaymentQuestionRemoved()
+
+    return { command, reload: false }
+  }
+
+  async restoreQuestionFromHistory(command) {
+    await this.questionRequest('/restore', 'POST', { question_id: command.questionId })
+
+    return { command, reload: true }
+  }
+
+  async setRequiredFromHistory(command, required) {
+    await this.questionRequest(`/${command.questionId}`, 'PATCH', { form_question: { required } })
+
+    const questionCard = this.findQuestionCard(command.questionId)
+    if (questionCard) {
+      const checkbox = questionCard.querySelector('[data-action*="toggleRequired"]')
+      if (checkbox) checkbox.checked = required
+      this.updateRequiredBadge(questionCard, required)
+    }
+
+    return { command, reload: false }
+  }
+
+  async setOrderFromHistory(command, questionIds) {
+    // Questions added or deleted since keep their current place
+    const current = this.currentQuestionOrder()
+    const order = questionIds.filter(id => current.includes(id))
+      .concat(current.filter(id => !questionIds.includes(id)))
+
+    await this.questionRequest('/reorder', 'PATCH', { question_ids: order })
+
+    this.applyQuestionOrder(order)
+    this.savedQuestionOrder = order
+
+    return { command, reload: false }
+  }
+
+  // Rejects with a RequestError whose status the history steps inspect
+  questionRequest(path, method, body = null) {
+    return request(`/forms/${this.formIdValue}/questions${path}`, {
+      method,
+      json: body ?? undefined,
+      headers: { [BUILDER_CLIENT_HEADER]: BUILDER_CLIENT_ID }
+    })
+  }
+
+  findQuestionCard(questionId) {
+    return this.questionsListTarget.querySelector(`[data-question-id="${questionId}"]`)
+  }
+
+  updateHistoryButtons() {
+    const undoCommand = this.history.peekUndo()
+    const redoCommand = this.history.peekRedo()
+
+    if (this.hasUndoButtonTarget) {
+      this.undoButtonTarget.disabled = this.historyBusy || !undoCommand
+      this.undoButtonTarget.title = undoCommand ? `Undo ${undoCommand.label} (Ctrl+Z)` : 'Nothing to undo'
+    }
+
+    if (this.hasRedoButtonTarget) {
+      this.redoButtonTarget.disabled = this.historyBusy || !redoCommand
+      this.redoButtonTarget.title = redoCommand ? `Redo ${redoCommand.label} (Ctrl+Shift+Z)` : 'Nothing to redo'
+    }
+  }
+
   // Notify payment setup controller about payment question changes
   notifyPaymentQuestionAdded() {
     const paymentSetupController = this.application.getControllerForElementAndIdentifier(
@@ -0,0 +1,283 @@
+import { Controller } from "@hotwired/stimulus"
+import { BUILDER_CLIENT_ID, subscribeToFormBuilder } from "channels/form_builder_channel"
+
+const AVATAR_COLORS = ['bg-purple-500', 'bg-blue-500', 'bg-green-500', 'bg-amber-500', 'bg-pink-500', 'bg-teal-500']
+const UNLOCK_DELAY_MS = 300
+const NOTICE_DURATION_MS = 5000
+const HIGHLIGHT_DURATION_MS = 2000
+
+// Connects to data-controller="form-collaboration"
+// Live collaboration in the builder: shows who else is editing the form, locks
+// the question each of them is working on and applies their changes to the
+// form-builder questionsList without a reload (FormBuilderChannel).
+export default class extends Controller {
+  static targets = ["presence", "notice"]
+  static values = { formId: String }
+
+  connect() {
+    this.members = []
+    this.lockedQuestionId = null
+    // Remote updates to the question being edited here wait until it is left
+    this.pendingUpdates = new Map()
+
+    this.subscription = subscribeToFormBuilder(this.formIdValue, {
+      connected: () => {
+        if (this.lockedQuestionId) this.subscription.lock(this.lockedQuestionId)
+      },
+      received: (data) => this.received(data)
+    })
+
+    this.focusInHandler = (event) => this.trackFocus(event)
+    this.focusOutHandler = () => this.scheduleUnlock()
+    this.element.addEventListener('focusin', this.focusInHandler)
+    this.element.addEventListener('focusout', this.focusOutHandler)
+  }
+
+  disconnect() {
+    this.element.removeEventListener('focusin', this.focusInHandler)
+    this.element.removeEventListener('focusout', this.focusOutHandler)
+    clearTimeout(this.unlockTimeout)
+    clearTimeout(this.noticeTimeout)
+
+    if (this.subscription) this.subscription.unsubscribe()
+  }
+
+  get formBuilder() {
+    return this.application.getControllerForElementAndIdentifier(this.element, 'form-builder')
+  }
+
+  get questionsList() {
+    return this.formBuilder.questionsListTarget
+  }
+
+  received(data) {
+    console.log('Form builder update:', data.type, data)
+
+    switch (data.type) {
+      case 'presence':
+        this.members = data.members || []
+        this.renderPresence()
+        this.renderLocks()
+        break
+      case 'lock_denied':
+        this.lockDenied(data)
+        break
+      case 'question_created':
+        this.insertQuestion(data)
+        break
+      case 'question_updated':
+        this.updateQuestion(data)
+        break
+      case 'question_deleted':
+        this.removeQuestion(data)
+        break
+      case 'questions_reordered':
+        this.reorderQuestions(data)
+        break
+    }
+  }
+
+  // Remote changes
+
+  insertQuestion(data) {
+    if (this.formBuilder.findQuestionCard(data.question_id)) return
+
+    const questionCard = this.buildCard(data.html)
+    if (!questionCard) return
+
+    // Place it before the next question (in server order) that is on the page
+    const followingIds = data.question_ids.slice(data.question_ids.indexOf(data.question_id) + 1)
+    const nextCard = followingIds.map(id => this.formBuilder.findQuestionCard(id)).find(Boolean)
+    this.questionsList.insertBefore(questionCard, nextCard || null)
+
+    this.afterRemoteChange(questionCard)
+    this.showNotice(`${data.actor} added "${this.formBuilder.questionTitle(questionCard)}"`)
+  }
+
+  updateQuestion(data) {
+    const currentCard = this.formBuilder.findQuestionCard(data.question_id)
+    if (!currentCard) return this.insertQuestion(data)
+
+    if (data.question_id === this.lockedQuestionId) {
+      this.pendingUpdates.set(data.question_id, data)
+      this.showNotice(`${data.actor} changed the question you are editing. It will refresh when you leave it.`)
+      return
+    }
+
+    const questionCard = this.buildCard(data.html)
+    if (!questionCard) return
+
+    currentCard.replaceWith(questionCard)
+    this.afterRemoteChange(questionCard)
+    this.showNotice(`${data.actor} updated "${this.formBuilder.questionTitle(questionCard)}"`)
+  }
+
+  removeQuestion(data) {
+    const questionCard = this.formBuilder.findQuestionCard(data.question_id)
+    if (!questionCard || questionCard.classList.contains('deleted')) return
+
+    this.pendingUpdates.delete(data.question_id)
+    if (data.question_id === this.lockedQuestionId) this.lockedQuestionId = null
+
+    this.showNotice(`${data.actor} deleted "${this.formBuilder.questionTitle(questionCard)}"`)
+    this.formBuilder.removeQuestionCard(questionCard)
+    this.formBuilder.syncQuestionOrder()
+  }
+
+  reorderQuestions(data) {
+    this.formBuilder.applyQuestionOrder(data.question_ids)
+    this.afterRemoteChange()
+    this.showNotice(`${data.actor} reordered the questions`)
+  }
+
+  afterRemoteChange(questionCard = null) {
+    this.formBuilder.syncQuestionOrder()
+
+    // New drag handles need the keyboard reordering attributes
+    const sortable = this.application.getControllerForElementAndIdentifier(this.questionsList, 'sortable')
+    if (sortable) sortable.prepareHandles()
+
+    this.renderLocks()
+
+    if (questionCard) {
+      questionCard.classList.add('ring-2', 'ring-purple-300')
+      setTimeout(() => questionCard.classList.remove('ring-2', 'ring-purple-300'), HIGHLIGHT_DURATION_MS)
+    }
+  }
+
+  // Cards are rendered by the server with forms/_question_card_ajax
+  buildCard(html) {
+    if (!html) return null
+
+    const template = document.createElement('template')
+    template.innerHTML = html.trim()
+    return template.content.firstElementChild
+  }
+
+  // Locks
+
+  trackFocus(event) {
+    const questionCard = event.target.closest('[data-question-id]')
+    if (!questionCard || !this.questionsList.contains(questionCard)) return
+
+    clearTimeout(this.unlockTimeout)
+
+    const questionId = questionCard.dataset.questionId
+    if (questionId === this.lockedQuestionId) return
+
+    if (this.lockedQuestionId) this.releaseLock()
+    this.lockedQuestionId = questionId
+    this.subscription.lock(questionId)
+  }
+
+  // Focus moving between fields of the same card keeps the lock
+  scheduleUnlock() {
+    clearTimeout(this.unlockTimeout)
+
+    this.unlockTimeout = setTimeout(() => {
+      if (!this.lockedQuestionId) return
+
+      const active = document.activeElement
+      const questionCard = active && active.closest ? active.closest('[data-question-id]') : null
+      if (questionCard && questionCard.dataset.questionId === this.lockedQuestionId) return
+
+      this.releaseLock()
+    }, UNLOCK_DELAY_MS)
+  }
+
+  releaseLock() {
+    const questionId = this.lockedQuestionId
+    this.lockedQuestionId = null
+    this.subscription.unlock(questionId)
+
+    const pending = this.pendingUpdates.get(questionId)
+    if (pending) {
+      this.pendingUpdates.delete(questionId)
+      this.updateQuestion(pending)
+    }
+  }
+
+  lockDenied(data) {
+    if (data.question_id !== this.lockedQuestionId) return
+
+    this.lockedQuestionId = null
+    if (document.activeElement) document.activeElement.blur()
+    this.showNotice(`${data.holder.name} is already editing this question`)
+    this.renderLocks()
+  }
+
+  renderLocks() {
+    this.questionsList.querySelectorAll('[data-collaboration-lock]').forEach(badge => badge.remove())
+    this.questionsList.querySelectorAll('[data-collaboration-locked]').forEach(questionCard => {
+      questionCard.inert = false
+      questionCard.classList.remove('opacity-75')
+      delete questionCard.dataset.collaborationLocked
+    })
+
+    const cards = Array.from(this.questionsList.querySelectorAll('[data-question-id]'))
+
+    this.otherMembers().forEach(member => {
+      const questionCard = cards.find(card => card.dataset.questionId === member.question_id)
+      if (!questionCard || member.question_id === this.lockedQuestionId) return
+
+      const badge = document.createElement('div')
+      badge.dataset.collaborationLock = ''
+      badge.className = 'mb-3 inline-flex items-center px-2 py-1 text-xs font-medium bg-amber-100 text-amber-800 rounded-full'
+      badge.textContent = `${member.name} is editing question ${cards.indexOf(questionCard) + 1}`
+
+      questionCard.prepend(badge)
+      questionCard.inert = true
+      questionCard.classList.add('opacity-75')
+      questionCard.dataset.collaborationLocked = 'true'
+    })
+  }
+
+  // Presence
+
+  otherMembers() {
+    return this.members.filter(member => member.client_id !== BUILDER_CLIENT_ID)
+  }
+
+  renderPresence() {
+    if (!this.hasPresenceTarget) return
+
+    // One avatar per person, even with several tabs open
+    const people = new Map()
+    this.otherMembers().forEach(member => {
+      const person = people.get(member.user_id) || { ...member, editing: null }
+      if (member.question_id) person.editing = member.question_id
+      people.set(member.user_id, person)
+    })
+
+    const avatars = Array.from(people.values()).map(person => {
+      const avatar = document.createElement('span')
+      avatar.className = `inline-flex items-center justify-center w-8 h-8 text-xs font-semibold text-white rounded-full ring-2 ring-white ${this.avatarColor(person.user_id)}`
+      avatar.textContent = person.initials
+      avatar.title = person.editing ? `${person.name} (editing question ${this.stepNumber(person.editing)})` : person.name
+      avatar.setAttribute('aria-label', avatar.title)
+      return avatar
+    })
+
+    this.presenceTarget.replaceChildren(...avatars)
+    this.presenceTarget.classList.toggle('hidden', avatars.length === 0)
+  }
+
+  avatarColor(userId) {
+    const hash = String(userId).split('').reduce((sum, char) => sum + char.charCodeAt(0), 0)
+    return AVATAR_COLORS[hash % AVATAR_COLORS.length]
+  }
+
+  stepNumber(questionId) {
+    return this.formBuilder.currentQuestionOrder().indexOf(questionId) + 1
+  }
+
+  showNotice(message) {
+    if (!this.hasNoticeTarget) return
+
+    this.noticeTarget.textContent = message
+    this.noticeTarget.classList.remove('hidden')
+
+    clearTimeout(this.noticeTimeout)
+    this.noticeTimeout = setTimeout(() => this.noticeTarget.classList.add('hidden'), NOTICE_DURATION_MS)
+  }
+}
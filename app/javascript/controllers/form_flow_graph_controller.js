@@ -0,0 +1,271 @@
+import { Controller } from "@hotwired/stimulus"
+import { CONDITIONAL_LOGIC_SAVED_EVENT } from "lib/conditional_logic"
+import { buildFlowGraph } from "lib/form_flow"
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const NODE_WIDTH = 220
+const NODE_HEIGHT = 56
+const ROW_GAP = 36
+const COLUMN_GAP = 140
+const PADDING = 24
+const TITLE_LENGTH = 30
+
+// Connects to data-controller="form-flow-graph"
+// Graph view of the form's branching, drawn from the questions JSON as SVG
+export default class extends Controller {
+  static targets = ["list", "graph", "canvas", "summary", "listButton", "graphButton"]
+  static values = { questions: Array }
+
+  connect() {
+    // Parsed once; saved rule changes are applied to this copy
+    this.questions = this.questionsValue
+
+    this.savedHandler = (event) => this.questionSaved(event.detail)
+    window.addEventListener(CONDITIONAL_LOGIC_SAVED_EVENT, this.savedHandler)
+  }
+
+  disconnect() {
+    window.removeEventListener(CONDITIONAL_LOGIC_SAVED_EVENT, this.savedHandler)
+  }
+
+  showList() {
+    this.listTarget.classList.remove('hidden')
+    this.graphTarget.classList.add('hidden')
+    this.setPressed(this.listButtonTarget, this.graphButtonTarget)
+  }
+
+  showGraph() {
+    this.render()
+    this.graphTarget.classList.remove('hidden')
+    this.listTarget.classList.add('hidden')
+    this.setPressed(this.graphButtonTarget, this.listButtonTarget)
+  }
+
+  setPressed(active, inactive) {
+    active.setAttribute('aria-pressed', 'true')
+    active.classList.add('bg-purple-600', 'text-white')
+    active.classList.remove('text-gray-700')
+    inactive.setAttribute('aria-pressed', 'false')
+    inactive.classList.remove('bg-purple-600', 'text-white')
+    inactive.classList.add('text-gray-700')
+  }
+
+  questionSaved({ questionId, enabled, logic }) {
+    const question = this.questions.find(candidate => candidate.id === questionId)
+    if (!question) return
+
+    question.conditional_enabled = enabled
+    question.conditional_logic = logic
+    if (!this.graphTarget.classList.contains('hidden')) this.render()
+  }
+
+  // The list is the source of truth for which questions exist and their order,
+  // so deleted or reordered cards are reflected without a reload
+  currentQuestions() {
+    const cards = Array.from(this.listTarget.querySelectorAll('[data-question-id]'))
+    const order = cards.map(card => card.dataset.questionId)
+
+    return this.questions
+      .filter(question => order.includes(question.id))
+      .map(question => ({ ...question, position: order.indexOf(question.id) + 1 }))
+  }
+
+  // Rendering
+
+  render() {
+    const { nodes, edges } = buildFlowGraph(this.currentQuestions())
+    const layout = this.layout(nodes)
+    const columns = Math.max(1, ...nodes.map(node => node.depth + 1))
+
+    const width = PADDING * 2 + columns * NODE_WIDTH + (columns - 1) * COLUMN_GAP
+    const height = PADDING * 2 + Math.max(nodes.length, 1) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP
+
+    const svg = this.svgElement('svg', {
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'group',
+      'aria-label': 'Form flow graph'
+    })
+    svg.append(this.markers())
+
+    const ruleCounts = new Map()
+    edges.forEach(edge => {
+      const from = layout.get(edge.from)
+      const to = layout.get(edge.to)
+      if (!from || !to) return
+
+      if (edge.kind === 'sequence') {
+        svg.append(this.sequenceEdge(from, to))
+      } else {
+        const key = `${edge.from}:${edge.to}`
+        const offset = ruleCounts.get(key) || 0
+        ruleCounts.set(key, offset + 1)
+        svg.append(this.ruleEdge(from, to, edge.label, offset))
+      }
+    })
+
+    nodes.forEach(node => svg.append(this.nodeElement(node, layout.get(node.id))))
+
+    this.canvasTarget.replaceChildren(svg)
+    this.renderSummary(nodes)
+  }
+
+  layout(nodes) {
+    return new Map(nodes.map((node, index) => [node.id, {
+      x: PADDING + node.depth * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + index * (NODE_HEIGHT + ROW_GAP)
+    }]))
+  }
+
+  nodeElement(node, { x, y }) {
+    const status = node.unreachable ? 'Unreachable' : (node.deadEnd ? 'Dead end' : null)
+    const label = `Step ${node.position}: ${node.title}${status ? ` (${status})` : ''}`
+
+    const group = this.svgElement('g', {
+      'data-question-id': node.id,
+      role: 'button',
+      tabindex: '0',
+      'aria-label': `${label}. Open question`,
+      class: 'cursor-pointer focus:outline-none'
+    })
+
+    const colors = node.unreachable
+      ? { fill: '#fef2f2', stroke: '#ef4444' }
+      : (node.deadEnd ? { fill: '#fffbeb', stroke: '#f59e0b' } : { fill: '#ffffff', stroke: '#d1d5db' })
+
+    group.append(
+      this.svgElement('title', {}, [label, ...node.issues].join('\n')),
+      this.svgElement('rect', {
+        x, y, width: NODE_WIDTH, height: NODE_HEIGHT, rx: 10,
+        fill: colors.fill, stroke: colors.stroke, 'stroke-width': node.conditional ? 2 : 1,
+        'stroke-dasharray': node.conditional ? '6 3' : null
+      }),
+      this.svgElement('text', { x: x + 12, y: y + 20, 'font-size': 11, fill: '#6b7280' },
+        `Step ${node.position} · ${node.questionType.replace(/_/g, ' ')}${status ? ` · ${status}` : ''}`),
+      this.svgElement('text', { x: x + 12, y: y + 40, 'font-size': 13, 'font-weight': 600, fill: '#111827' },
+        this.truncate(node.title || 'Untitled question'))
+    )
+
+    if (node.issues.length > 0) {
+      group.append(this.svgElement('text', { x: x + NODE_WIDTH - 18, y: y + 20, 'font-size': 13, 'font-weight': 700, fill: '#dc2626' }, '!'))
+    }
+
+    group.addEventListener('click', () => this.openQuestion(group))
+    group.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault()
+        this.openQuestion(group)
+      }
+    })
+
+    return group
+  }
+
+  sequenceEdge(from, to) {
+    const startX = from.x + NODE_WIDTH / 2
+    const startY = from.y + NODE_HEIGHT
+    const endX = to.x + NODE_WIDTH / 2
+    const endY = to.y
+
+    return this.svgElement('path', {
+      d: `M ${startX} ${startY} C ${startX} ${startY + ROW_GAP / 2}, ${endX} ${endY - ROW_GAP / 2}, ${endX} ${endY}`,
+      fill: 'none',
+      stroke: '#9ca3af',
+      'stroke-width': 1.5,
+      'marker-end': 'url(#flow-arrow-sequence)'
+    })
+  }
+
+  ruleEdge(from, to, label, offset) {
+    const startX = from.x + NODE_WIDTH
+    const startY = from.y + NODE_HEIGHT / 2
+    const endX = to.x
+    const endY = to.y + NODE_HEIGHT / 2
+    const bend = Math.max(COLUMN_GAP / 2, Math.abs(endX - startX) / 2)
+
+    const group = this.svgElement('g', {})
+    group.append(
+      this.svgElement('path', {
+        d: `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`,
+        fill: 'none',
+        stroke: '#8b5cf6',
+        'stroke-width': 1.5,
+        'marker-end': 'url(#flow-arrow-rule)'
+      }),
+      this.svgElement('text', {
+        x: (startX + endX) / 2,
+        y: (startY + endY) / 2 - 4 + offset * 14,
+        'text-anchor': 'middle',
+        'font-size': 11,
+        fill: '#6d28d9',
+        stroke: '#f9fafb',
+        'stroke-width': 3,
+        'paint-order': 'stroke'
+      }, this.truncate(label))
+    )
+
+    return group
+  }
+
+  markers() {
+    const defs = this.svgElement('defs', {})
+
+    ;[['flow-arrow-sequence', '#9ca3af'], ['flow-arrow-rule', '#8b5cf6']].forEach(([id, color]) => {
+      const marker = this.svgElement('marker', {
+        id, viewBox: '0 0 10 10', refX: 9, refY: 5, markerWidth: 6, markerHeight: 6, orient: 'auto-start-reverse'
+      })
+      marker.append(this.svgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: color }))
+      defs.append(marker)
+    })
+
+    return defs
+  }
+
+  renderSummary(nodes) {
+    const unreachable = nodes.filter(node => node.unreachable)
+    const deadEnds = nodes.filter(node => node.deadEnd)
+    const parts = [`${nodes.length} ${nodes.length === 1 ? 'question' : 'questions'}`]
+
+    if (unreachable.length > 0) {
+      parts.push(`${unreachable.length} unreachable: ${unreachable.map(node => `Step ${node.position}`).join(', ')}`)
+    }
+    if (deadEnds.length > 0) {
+      parts.push(`${deadEnds.length} dead ${deadEnds.length === 1 ? 'end' : 'ends'}: ${deadEnds.map(node => `Step ${node.position}`).join(', ')}`)
+    }
+    if (unreachable.length === 0 && deadEnds.length === 0) {
+      parts.push('every question can be reached')
+    }
+
+    this.summaryTarget.textContent = parts.join(' · ')
+  }
+
+  // Opens the question through form_builder_controller's edit flow
+  openQuestion(nodeElement) {
+    const builderElement = this.element.closest('[data-controller~="form-builder"]')
+    const formBuilder = builderElement &&
+      this.application.getControllerForElementAndIdentifier(builderElement, 'form-builder')
+
+    if (!formBuilder) {
+      console.error('Form builder controller not found')
+      return
+    }
+
+    formBuilder.editQuestion({ preventDefault() {}, currentTarget: nodeElement })
+  }
+
+  svgElement(name, attributes, text = null) {
+    const element = document.createElementNS(SVG_NS, name)
+
+    Object.entries(attributes).forEach(([attribute, value]) => {
+      if (value !== null && value !== undefined) element.setAttribute(attribute, value)
+    })
+    if (text !== null) element.textContent = text
+
+    return element
+  }
+
+  truncate(text) {
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text
+  }
+}
@@ -0,0 +1,99 @@
+import { Controller } from "@hotwired/stimulus"
+import { errorMessages, http } from "lib/http_client"
+
+// Connects to data-controller="form-import"
+// Previews an exported form definition (dry run) before importing it
+export default class extends Controller {
+  static targets = ["file", "errors", "errorList", "preview", "summary", "warnings", "questions", "importButton"]
+  static values = { url: String }
+
+  async preview() {
+    this.definition = null
+    this.hide(this.errorsTarget)
+    this.hide(this.previewTarget)
+
+    const file = this.fileTarget.files[0]
+    if (!file) return
+
+    this.definition = await file.text()
+    const data = await this.submit(true)
+    if (data) this.renderPreview(data)
+  }
+
+  async import() {
+    if (!this.definition) return
+
+    this.importButtonTarget.disabled = true
+    this.importButtonTarget.textContent = 'Importing...'
+
+    const data = await this.submit(false)
+
+    if (data && data.redirect_url) {
+      window.location.href = data.redirect_url
+    } else {
+      this.importButtonTarget.disabled = false
+      this.importButtonTarget.textContent = 'Import form'
+    }
+  }
+
+  async submit(dryRun) {
+    try {
+      const data = await http.post(this.urlValue, { json: { definition: this.definition, dry_run: dryRun } })
+      if (!data || !data.success) {
+        this.showErrors((data && data.errors) || ['Import failed'])
+        return null
+      }
+
+      return data
+    } catch (error) {
+      console.error('Error importing form:', error)
+      this.showErrors(errorMessages(error, 'Import failed'))
+      return null
+    }
+  }
+
+  renderPreview({ preview, warnings }) {
+    const questionCount = preview.questions.length
+    this.summaryTarget.textContent =
+      `New draft form "${preview.form.name}" with ${questionCount} ${questionCount === 1 ? 'question' : 'questions'}` +
+      (preview.remapped_references > 0 ? `; ${preview.remapped_references} conditional ${preview.remapped_references === 1 ? 'reference' : 'references'} will point to the new questions.` : '.')
+
+    this.warningsTarget.replaceChildren(...warnings.map(warning => this.listItem(warning)))
+    this.warningsTarget.classList.toggle('hidden', warnings.length === 0)
+
+    this.questionsTarget.replaceChildren(...preview.questions.map(question => {
+      const details = [question.question_type.replace(/_/g, ' ')]
+      if (question.required) details.push('required')
+      if (question.conditional_rules > 0) {
+        details.push(`${question.conditional_rules} ${question.conditional_rules === 1 ? 'rule' : 'rules'}`)
+      }
+
+      const item = this.listItem(`+ ${question.position}. ${question.title} (${details.join(', ')})`)
+      item.className = 'px-3 py-2 text-green-800 bg-green-50'
+      item.title = `Ref ${question.ref}`
+      return item
+    }))
+
+    this.show(this.previewTarget)
+  }
+
+  showErrors(errors) {
+    this.errorListTarget.replaceChildren(...errors.map(error => this.listItem(error)))
+    this.show(this.errorsTarget)
+    this.hide(this.previewTarget)
+  }
+
+  listItem(text) {
+    const item = document.createElement('li')
+    item.textContent = text
+    return item
+  }
+
+  show(element) {
+    element.classList.remove('hidden')
+  }
+
+  hide(element) {
+    element.classList.add('hidden')
+  }
+}
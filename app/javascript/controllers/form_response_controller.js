@@ -1,4 +1,12 @@
 import { Controller } from "@hotwired/stimulus"
+import { sendOrQueue } from "lib/answer_outbox"
+import { ANSWER_CHANGE_EVENT } from "lib/answer_widget"
+import { visibleQuestionIds } from "lib/conditional_logic"
+import { answerText, calculate, pipeAnswers } from "lib/expressions"
+import { http } from "lib/http_client"
+import { toast } from "lib/notifications"
+
+const CALCULATION_EVENTS = ['input', 'change', ANSWER_CHANGE_EVENT]
 
 export default class extends Controller {
   static targets = ["progressBar", "currentStep", "totalSteps", "nextButton", "prevButton", "submitButton"]
@@ -8,13 +16,17 @@ export default class extends Controller {
     responseId: String,
     currentStepIndex: Number,
     totalSteps: Number,
-    autoSave: Boolean
+    autoSave: Boolean,
+    questions: Array,
+    answers: Object
   }
   
   connect() {
     this.setupBeforeUnload()
     this.trackPageView()
     this.initializeAutoSave()
+    this.initializeConditionalLogic()
+    this.initializeCalculations()
     this.updateProgress()
     this.updateNavigationButtons()
   }
@@ -22,6 +34,112 @@ export default class extends Controller {
   disconnect() {
     this.removeBeforeUnload()
     this.clearAutoSaveTimeout()
+    
+    if (this.conditionalLogicHandler) {
+      this.element.removeEventListener('change', this.conditionalLogicHandler)
+      this.element.removeEventListener('input', this.conditionalLogicHandler)
+    }
+
+    CALCULATION_EVENTS.forEach(type => this.element.removeEventListener(type, this.calculationHandler))
+  }
+
+  // Conditional logic, evaluated in the browser with the same rules as FormQuestion#should_show_for_response?
+  initializeConditionalLogic() {
+    if (!this.questionsValue.some(question => question.conditional_enabled)) return
+
+    this.conditionalLogicHandler = () => this.applyConditionalLogic()
+    this.element.addEventListener('change', this.conditionalLogicHandler)
+    this.element.addEventListener('input', this.conditionalLogicHandler)
+
+    this.applyConditionalLogic()
+  }
+
+  applyConditionalLogic() {
+    const answers = { ...this.answersValue, ...this.currentAnswers() }
+    const visibleIds = visibleQuestionIds(this.questionsValue, answers)
+
+    // Questions rendered on the current step
+    this.element.querySelectorAll('[data-conditional-question-id]').forEach(element => {
+      const visible = visibleIds.includes(element.dataset.conditionalQuestionId)
+      element.classList.toggle('hidden', !visible)
+      element.querySelectorAll('input, textarea, select').forEach(input => { input.disabled = !visible })
+    })
+
+    this.totalStepsValue = Math.max(visibleIds.length, 1)
+    if (this.currentStepIndexValue > this.totalStepsValue - 1) {
+      this.currentStepIndexValue = this.totalStepsValue - 1
+    }
+
+    this.updateProgress()
+    this.updateNavigationButtons()
+  }
+
+  // Calculated questions and {{qN}} answer piping, worked out again whenever
+  // an answer changes with the same formulas as FormQuestion#calculate. The
+  // values are posted with the other answers (see collectFormData).
+  initializeCalculations() {
+    this.calculatedValues = {}
+    this.calculationHandler = () => this.applyCalculations()
+    CALCULATION_EVENTS.forEach(type => this.element.addEventListener(type, this.calculationHandler))
+
+    this.applyCalculations()
+  }
+
+  applyCalculations() {
+    const values = this.answerValues()
+    const calculatedValues = {}
+
+    // In position order, so a formula can use the value of an earlier one
+    this.questionsValue
+      .filter(question => question.calculation)
+      .sort((a, b) => a.position - b.position)
+      .forEach(question => {
+        const value = calculate(question.calculation, values)
+        values[question.position] = value
+        if (value !== null) calculatedValues[question.id] = value
+      })
+    this.calculatedValues = calculatedValues
+
+    this.element.querySelectorAll('[data-piping-template]').forEach(element => {
+      element.textContent = pipeAnswers(element.dataset.pipingTemplate, values)
+    })
+    this.element.querySelectorAll('[data-calculated-question-id]').forEach(element => {
+      element.value = answerText(calculatedValues[element.dataset.calculatedQuestionId])
+    })
+  }
+
+  // Answers keyed by question position: those recorded when the page loaded,
+  // those the current question frame was rendered with, then the ones on the page
+  answerValues() {
+    const positions = Object.fromEntries(this.questionsValue.map(question => [String(question.id), question.position]))
+    const values = {}
+    const record = answers => Object.entries(answers).forEach(([questionId, answer]) => {
+      if (positions[questionId] !== undefined && !answer.skipped) values[positions[questionId]] = answer.value
+    })
+
+    record(this.answersValue)
+    const frame = this.element.querySelector('[data-answer-values]')
+    if (frame) Object.assign(values, JSON.parse(frame.dataset.answerValues))
+    record(this.currentAnswers())
+
+    return values
+  }
+
+  currentAnswers() {
+    const answers = {}
+
+    this.collectFormData().forEach(({ form_question_id, answer_data }) => {
+      const existing = answers[form_question_id]
+
+      // Several checked boxes for the same question become a list, as the server stores them
+      if (existing) {
+        existing.value = [].concat(existing.value, answer_data)
+      } else {
+        answers[form_question_id] = { value: answer_data, skipped: false }
+      }
+    })
+
+    return answers
   }
 
   // Auto-save functionality
@@ -62,19 +180,24 @@ export default class extends Controller {
     }
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/responses/${this.responseIdValue}/auto_save`, {
+      const result = await sendOrQueue({
+        kind: 'draft',
+        url: `/forms/${this.formIdValue}/responses/${this.responseIdValue}/auto_save`,
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.getCsrfToken()
-        },
-        body: JSON.stringify({
+        body: {
           form_response: {
             question_responses_attributes: formData
           }
-        })
+        }
       })
 
+      if (result.queued) {
+        this.lastSaveData = JSON.stringify(formData)
+        this.showSaveIndicator('queued')
+        return
+      }
+
+      const response = result.response
       if (response.ok) {
         this.lastSaveData = JSON.stringify(formData)
         this.showSaveIndicator('saved')
@@ -89,10 +212,8 @@ export default class extends Controller {
 
   collectFormData() {
     const formData = []
-    const inputs = this.element.querySelectorAll('[data-question-id]')
-    
-    inputs.forEach(input => {
-      const questionId = input.dataset.questionId
+
+    this.answerFields().forEach(({ input, questionId }) => {
       let value = null
 
       if (input.type === 'radio' || input.type === 'checkbox') {
@@ -113,9 +234,26 @@ export default class extends Controller {
       }
     })
 
+    Object.entries(this.calculatedValues || {}).forEach(([questionId, value]) => {
+      if (formData.some(entry => entry.form_question_id === questionId)) return
+
+      formData.push({ form_question_id: questionId, answer_data: value })
+    })
+
     return formData
   }
 
+  // Fields marked with their question id, and the answer[value] fields of a
+  // question frame (see responses/_question)
+  answerFields() {
+    return Array.from(this.element.querySelectorAll('[data-question-id]')).flatMap(element => {
+      const questionId = element.dataset.questionId
+      if (element.matches('input, select, textarea')) return [{ input: element, questionId }]
+
+      return Array.from(element.querySelectorAll('[name="answer[value]"], [name="answer[value][]"]'), input => ({ input, questionId }))
+    })
+  }
+
   showSaveIndicator(status) {
     // Create or update save indicator
     let indicator = this.element.querySelector('.auto-save-indicator')
@@ -142,6 +280,10 @@ export default class extends Controller {
           indicator.style.opacity = '0'
         }, 2000)
         break
+      case 'queued':
+        indicator.classList.add('bg-yellow-100', 'text-yellow-800')
+        indicator.textContent = 'Saved offline'
+        break
       case 'error':
         indicator.classList.add('bg-red-100', 'text-red-800')
         indicator.textContent = 'Save failed'
@@ -234,29 +376,20 @@ export default class extends Controller {
 
   async navigateToStep(stepIndex) {
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/responses/${this.responseIdValue}/step/${stepIndex}`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'text/html',
-          'X-Requested-With': 'XMLHttpRequest'
-        }
+      const html = await http.get(`/forms/${this.formIdValue}/responses/${this.responseIdValue}/step/${stepIndex}`, {
+        headers: { 'Accept': 'text/html' },
+        responseType: 'text'
       })
 
-      if (response.ok) {
-        const html = await response.text()
-        
-        // Update the step content
-        const stepContainer = this.element.querySelector('.step-container')
-        if (stepContainer) {
-          stepContainer.innerHTML = html
-        }
-
-        this.updateProgress()
-        this.updateNavigationButtons()
-        this.scrollToTop()
-      } else {
-        throw new Error('Failed to load step')
+      // Update the step content
+      const stepContainer = this.element.querySelector('.step-container')
+      if (stepContainer) {
+        stepContainer.innerHTML = html
       }
+
+      this.updateProgress()
+      this.updateNavigationButtons()
+      this.scrollToTop()
     } catch (error) {
       console.error('Navigation error:', error)
       this.showError('Failed to navigate to step')
@@ -326,22 +459,13 @@ export default class extends Controller {
       const formData = this.collectFormData()
       
       try {
-        const response = await fetch(`/forms/${this.formIdValue}/responses/${this.responseIdValue}/save_step`, {
-          method: 'PATCH',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-CSRF-Token': this.getCsrfToken()
-          },
-          body: JSON.stringify({
+        await http.patch(`/forms/${this.formIdValue}/responses/${this.responseIdValue}/save_step`, {
+          json: {
             form_response: {
               question_responses_attributes: formData
             }
-          })
+          }
         })
-
-        if (!response.ok) {
-          throw new Error('Failed to save step')
-        }
       } catch (error) {
         console.error('Save step error:', error)
         throw error
@@ -365,25 +489,13 @@ export default class extends Controller {
       await this.saveCurrentStep()
 
       // Submit the form
-      const response = await fetch(`/forms/${this.formIdValue}/responses/${this.responseIdValue}/submit`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.getCsrfToken()
-        }
-      })
+      const result = await http.patch(`/forms/${this.formIdValue}/responses/${this.responseIdValue}/submit`)
 
-      if (response.ok) {
-        const result = await response.json()
-        
-        // Redirect to thank you page
-        if (result.redirect_url) {
-          window.location.href = result.redirect_url
-        } else {
-          window.location.href = `/forms/${this.formIdValue}/responses/${this.responseIdValue}/thank_you`
-        }
+      // Redirect to thank you page
+      if (result && result.redirect_url) {
+        window.location.href = result.redirect_url
       } else {
-        throw new Error('Failed to submit form')
+        window.location.href = `/forms/${this.formIdValue}/responses/${this.responseIdValue}/thank_you`
       }
     } catch (error) {
       console.error('Submit error:', error)
@@ -456,46 +568,7 @@ export default class extends Controller {
   }
 
   showError(message) {
-    // Create or update error notification
-    let errorElement = this.element.querySelector('.form-error-notification')
-    
-    if (!errorElement) {
-      errorElement = document.createElement('div')
-      errorElement.className = 'form-error-notification fixed top-4 right-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded max-w-md'
-      this.element.appendChild(errorElement)
-    }
-
-    errorElement.innerHTML = `
-      <div class="flex">
-        <div class="flex-shrink-0">
-          <svg class="h-5 w-5 text-red-400" viewBox="0 0 20 20" fill="currentColor">
-            <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" />
-          </svg>
-        </div>
-        <div class="ml-3">
-          <p class="text-sm">${message}</p>
-        </div>
-        <div class="ml-auto pl-3">
-          <button class="inline-flex text-red-400 hover:text-red-600" onclick="this.parentElement.parentElement.parentElement.remove()">
-            <svg class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-              <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
-            </svg>
-          </button>
-        </div>
-      </div>
-    `
-
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-      if (errorElement.parentNode) {
-        errorElement.remove()
-      }
-    }, 5000)
-  }
-
-  getCsrfToken() {
-    const token = document.querySelector('meta[name="csrf-token"]')
-    return token ? token.getAttribute('content') : ''
+    toast(message, { type: 'error' })
   }
 
   // Keyboard navigation
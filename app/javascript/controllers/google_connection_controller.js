@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { http } from "lib/http_client"
+import { element, openModal, toast } from "lib/notifications"
 
 export default class extends Controller {
   static targets = ["status"]
@@ -9,14 +11,7 @@ export default class extends Controller {
 
   async checkConnectionStatus() {
     try {
-      const response = await fetch('/google_oauth/status', {
-        headers: {
-          'Accept': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        }
-      })
-
-      const data = await response.json()
+      const data = await http.get('/google_oauth/status')
       this.updateStatusDisplay(data)
     } catch (error) {
       console.error('Failed to check Google connection status:', error)
@@ -38,23 +33,15 @@ export default class extends Controller {
 
     try {
       // Test by making a simple API call to Google Sheets
-      const response = await fetch('/google_oauth/status', {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        }
-      })
+      const data = await http.get('/google_oauth/status')
 
-      const data = await response.json()
-      
-      if (data.connected) {
-        this.showNotification('Google Sheets connection is working perfectly!', 'success')
+      if (data && data.connected) {
+        toast('Google Sheets connection is working perfectly!', { type: 'success' })
       } else {
-        this.showNotification('Connection test failed. Please reconnect to Google.', 'error')
+        toast('Connection test failed. Please reconnect to Google.', { type: 'error' })
       }
     } catch (error) {
-      this.showNotification('Connection test failed. Please check your internet connection.', 'error')
+      toast('Connection test failed. Please check your internet connection.', { type: 'error' })
     } finally {
       button.disabled = false
       button.innerHTML = originalText
@@ -62,54 +49,26 @@ export default class extends Controller {
   }
 
   showHelp() {
-    const helpModal = document.createElement('div')
-    helpModal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50'
-    helpModal.innerHTML = `
-      <div class="bg-white rounded-lg max-w-md w-full mx-4 p-6">
-        <div class="flex items-center justify-between mb-4">
-          <h3 class="text-lg font-semibold text-gray-900">Google Sheets Integration Help</h3>
-          <button class="text-gray-400 hover:text-gray-600" onclick="this.closest('.fixed').remove()">
-            <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
-            </svg>
-          </button>
-        </div>
-        
-        <div class="space-y-4 text-sm text-gray-600">
-          <div>
-            <h4 class="font-medium text-gray-900 mb-2">What happens when you connect?</h4>
-            <ul class="space-y-1 ml-4">
-              <li>• AgentForm will request permission to access your Google Sheets</li>
-              <li>• You can create new spreadsheets or use existing ones</li>
-              <li>• Form responses will be automatically exported to your chosen sheets</li>
-              <li>• You maintain full control over your Google account</li>
-            </ul>
-          </div>
-          
-          <div>
-            <h4 class="font-medium text-gray-900 mb-2">Is it secure?</h4>
-            <p>Yes! We use Google's official OAuth2 protocol. AgentForm never sees your Google password and you can revoke access at any time from your Google Account settings.</p>
-          </div>
-          
-          <div>
-            <h4 class="font-medium text-gray-900 mb-2">What permissions do we need?</h4>
-            <ul class="space-y-1 ml-4">
-              <li>• <strong>Google Sheets:</strong> To create and update spreadsheets</li>
-              <li>• <strong>Profile info:</strong> To show which account is connected</li>
-            </ul>
-          </div>
-        </div>
-        
-        <div class="mt-6 flex justify-end">
-          <button onclick="this.closest('.fixed').remove()" 
-                  class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
-            Got it
-          </button>
-        </div>
-      </div>
-    `
-    
-    document.body.appendChild(helpModal)
+    const section = (heading, content) => element('div', '', [element('h3', 'font-medium text-gray-900 mb-2', heading), content])
+    const list = (items) => element('ul', 'space-y-1 ml-4 list-disc list-inside', items.map(item => element('li', '', item)))
+
+    openModal({
+      title: 'Google Sheets Integration Help',
+      body: [
+        section('What happens when you connect?', list([
+          'AgentForm will request permission to access your Google Sheets',
+          'You can create new spreadsheets or use existing ones',
+          'Form responses will be automatically exported to your chosen sheets',
+          'You maintain full control over your Google account'
+        ])),
+        section('Is it secure?', element('p', '', "Yes! We use Google's official OAuth2 protocol. AgentForm never sees your Google password and you can revoke access at any time from your Google Account settings.")),
+        section('What permissions do we need?', list([
+          [element('strong', '', 'Google Sheets:'), ' To create and update spreadsheets'],
+          [element('strong', '', 'Profile info:'), ' To show which account is connected']
+        ].map(parts => element('span', '', parts))))
+      ],
+      actions: [{ label: 'Got it', primary: true }]
+    })
   }
 
   updateStatusDisplay(data) {
@@ -133,58 +92,4 @@ export default class extends Controller {
       `
     }
   }
-
-  showNotification(message, type = 'info') {
-    const notification = document.createElement('div')
-    notification.className = `fixed top-4 right-4 max-w-sm w-full bg-white shadow-lg rounded-lg pointer-events-auto ring-1 ring-black ring-opacity-5 z-50`
-    
-    const bgColor = {
-      'success': 'bg-green-50 border-green-200',
-      'error': 'bg-red-50 border-red-200',
-      'info': 'bg-blue-50 border-blue-200'
-    }[type] || 'bg-gray-50 border-gray-200'
-
-    const iconColor = {
-      'success': 'text-green-400',
-      'error': 'text-red-400',
-      'info': 'text-blue-400'
-    }[type] || 'text-gray-400'
-
-    const icon = {
-      'success': '✓',
-      'error': '✕',
-      'info': 'ℹ'
-    }[type] || 'ℹ'
-
-    notification.innerHTML = `
-      <div class="p-4 ${bgColor} border rounded-lg">
-        <div class="flex">
-          <div class="flex-shrink-0">
-            <span class="inline-flex items-center justify-center w-5 h-5 rounded-full ${iconColor} text-sm font-medium">
-              ${icon}
-            </span>
-          </div>
-          <div class="ml-3 w-0 flex-1">
-            <p class="text-sm text-gray-900">${message}</p>
-          </div>
-          <div class="ml-4 flex-shrink-0 flex">
-            <button class="inline-flex text-gray-400 hover:text-gray-500" onclick="this.parentElement.parentElement.parentElement.parentElement.remove()">
-              <span class="sr-only">Close</span>
-              <svg class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd"></path>
-              </svg>
-            </button>
-          </div>
-        </div>
-      </div>
-    `
-
-    document.body.appendChild(notification)
-
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.remove()
-      }
-    }, 5000)
-  }
-}
\ No newline at end of file
+}
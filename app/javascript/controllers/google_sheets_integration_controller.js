@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { errorMessages, http, RequestError } from "lib/http_client"
+import { toast } from "lib/notifications"
 
 export default class extends Controller {
   static targets = [
@@ -64,26 +66,22 @@ export default class extends Controller {
     `
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/integrations/google_sheets/test_connection`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        }
-      })
+      const data = await http.post(`/forms/${this.formIdValue}/integrations/google_sheets/test_connection`)
 
-      const data = await response.json()
-      
       if (data.success) {
-        this.showNotification('Connection successful! Google Sheets API is working.', 'success')
+        toast('Connection successful! Google Sheets API is working.', { type: 'success' })
         if (data.test_spreadsheet_url) {
-          this.showNotification(`Test spreadsheet created: <a href="${data.test_spreadsheet_url}" target="_blank" class="underline">View here</a>`, 'info')
+          toast('Test spreadsheet created.', { type: 'info', actions: [{ label: 'View here', href: data.test_spreadsheet_url, external: true }] })
         }
       } else {
-        this.showNotification(`Connection failed: ${data.error}`, 'error')
+        toast(`Connection failed: ${data.error}`, { type: 'error' })
       }
     } catch (error) {
-      this.showNotification('Connection test failed. Please check your configuration.', 'error')
+      if (error instanceof RequestError && error.messages.length > 0) {
+        toast(`Connection failed: ${error.messages[0]}`, { type: 'error' })
+      } else {
+        toast('Connection test failed. Please check your configuration.', { type: 'error' })
+      }
     } finally {
       button.disabled = false
       button.innerHTML = originalText
@@ -120,29 +118,16 @@ export default class extends Controller {
         payload.google_sheets_integration.spreadsheet_id = this.spreadsheetIdTarget.value
       }
 
-      const response = await fetch(`/forms/${this.formIdValue}/integrations/google_sheets`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        },
-        body: JSON.stringify(payload)
-      })
+      const data = await http.post(`/forms/${this.formIdValue}/integrations/google_sheets`, { json: payload })
 
-      const data = await response.json()
-      
-      if (response.ok) {
-        this.showNotification(data.message, 'success')
-        if (data.spreadsheet_url) {
-          this.showNotification(`Spreadsheet ready: <a href="${data.spreadsheet_url}" target="_blank" class="underline">Open Google Sheets</a>`, 'info')
-        }
-        // Reload the page to show the connected state
-        setTimeout(() => window.location.reload(), 2000)
-      } else {
-        this.showNotification(data.error || 'Setup failed', 'error')
+      toast(data.message, { type: 'success' })
+      if (data.spreadsheet_url) {
+        toast('Spreadsheet ready.', { type: 'info', actions: [{ label: 'Open Google Sheets', href: data.spreadsheet_url, external: true }] })
       }
+      // Reload the page to show the connected state
+      setTimeout(() => window.location.reload(), 2000)
     } catch (error) {
-      this.showNotification('Setup failed. Please try again.', 'error')
+      toast(errorMessages(error, 'Setup failed. Please try again.')[0], { type: 'error' })
     } finally {
       button.disabled = false
       button.innerHTML = originalText
@@ -163,26 +148,14 @@ export default class extends Controller {
     `
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/integrations/google_sheets/export`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        }
-      })
+      const data = await http.post(`/forms/${this.formIdValue}/integrations/google_sheets/export`)
 
-      const data = await response.json()
-      
-      if (response.ok) {
-        this.showNotification(data.message, 'success')
-        if (data.spreadsheet_url) {
-          this.showNotification(`<a href="${data.spreadsheet_url}" target="_blank" class="underline">View updated spreadsheet</a>`, 'info')
-        }
-      } else {
-        this.showNotification(data.error || 'Export failed', 'error')
+      toast(data.message, { type: 'success' })
+      if (data.spreadsheet_url) {
+        toast('Spreadsheet updated.', { type: 'info', actions: [{ label: 'View updated spreadsheet', href: data.spreadsheet_url, external: true }] })
       }
     } catch (error) {
-      this.showNotification('Export failed. Please try again.', 'error')
+      toast(errorMessages(error, 'Export failed. Please try again.')[0], { type: 'error' })
     } finally {
       button.disabled = false
       button.innerHTML = originalText
@@ -194,26 +167,12 @@ export default class extends Controller {
     const isEnabled = checkbox.checked
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/integrations/google_sheets/toggle_auto_sync`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        }
-      })
-
-      const data = await response.json()
-      
-      if (response.ok) {
-        this.showNotification(data.message, 'success')
-      } else {
-        // Revert checkbox state on error
-        checkbox.checked = !isEnabled
-        this.showNotification('Failed to update auto-sync setting', 'error')
-      }
+      const data = await http.post(`/forms/${this.formIdValue}/integrations/google_sheets/toggle_auto_sync`)
+      toast(data.message, { type: 'success' })
     } catch (error) {
+      // Revert checkbox state on error
       checkbox.checked = !isEnabled
-      this.showNotification('Failed to update auto-sync setting', 'error')
+      toast('Failed to update auto-sync setting', { type: 'error' })
     }
   }
 
@@ -235,84 +194,16 @@ export default class extends Controller {
     `
 
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/integrations/google_sheets`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        }
-      })
+      const data = await http.delete(`/forms/${this.formIdValue}/integrations/google_sheets`)
 
-      const data = await response.json()
-      
-      if (response.ok) {
-        this.showNotification(data.message, 'success')
-        // Reload the page to show the disconnected state
-        setTimeout(() => window.location.reload(), 1500)
-      } else {
-        this.showNotification('Failed to disconnect', 'error')
-      }
+      toast(data.message, { type: 'success' })
+      // Reload the page to show the disconnected state
+      setTimeout(() => window.location.reload(), 1500)
     } catch (error) {
-      this.showNotification('Failed to disconnect', 'error')
+      toast('Failed to disconnect', { type: 'error' })
     } finally {
       button.disabled = false
       button.innerHTML = originalText
     }
   }
-
-  showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div')
-    notification.className = `fixed top-4 right-4 max-w-sm w-full bg-white shadow-lg rounded-lg pointer-events-auto ring-1 ring-black ring-opacity-5 z-50`
-    
-    const bgColor = {
-      'success': 'bg-green-50 border-green-200',
-      'error': 'bg-red-50 border-red-200',
-      'info': 'bg-blue-50 border-blue-200'
-    }[type] || 'bg-gray-50 border-gray-200'
-
-    const iconColor = {
-      'success': 'text-green-400',
-      'error': 'text-red-400',
-      'info': 'text-blue-400'
-    }[type] || 'text-gray-400'
-
-    const icon = {
-      'success': '✓',
-      'error': '✕',
-      'info': 'ℹ'
-    }[type] || 'ℹ'
-
-    notification.innerHTML = `
-      <div class="p-4 ${bgColor} border rounded-lg">
-        <div class="flex">
-          <div class="flex-shrink-0">
-            <span class="inline-flex items-center justify-center w-5 h-5 rounded-full ${iconColor} text-sm font-medium">
-              ${icon}
-            </span>
-          </div>
-          <div class="ml-3 w-0 flex-1">
-            <p class="text-sm text-gray-900">${message}</p>
-          </div>
-          <div class="ml-4 flex-shrink-0 flex">
-            <button class="inline-flex text-gray-400 hover:text-gray-500" onclick="this.parentElement.parentElement.parentElement.parentElement.remove()">
-              <span class="sr-only">Close</span>
-              <svg class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd"></path>
-              </svg>
-            </button>
-          </div>
-        </div>
-      </div>
-    `
-
-    document.body.appendChild(notification)
-
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.remove()
-      }
-    }, 5000)
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,262 @@
+import { Controller } from "@hotwired/stimulus"
+import { announceAnswer, writeAnswer } from "lib/answer_widget"
+import { createGeocodingProvider } from "lib/geocoding"
+import { COORDINATE_DECIMALS, formatCoordinates, locationErrors, parseCoordinate, parseCoordinates } from "lib/locations"
+import { SuggestionList } from "lib/suggestion_list"
+import { TileMap } from "lib/tile_map"
+
+const GEOLOCATION_OPTIONS = {
+  enableHighAccuracy: true,
+  timeout: 10000,
+  maximumAge: 60000
+}
+const SEARCH_DELAY = 300
+const MIN_QUERY_LENGTH = 3
+// Zoom a searched place is shown at
+const PLACE_ZOOM = 16
+
+// Connects to data-controller="location"
+// Location questions: a place, typed or searched for with the geocoding
+// provider (lib/geocoding), and a pin on a tile map (lib/tile_map) that is
+// placed by clicking or dragging, from the browser's current position (with
+// its accuracy radius) or by typing coordinates. The fields posted are
+// answer[location], answer[latitude], answer[longitude] and answer[accuracy].
+// When geolocation is unavailable or denied the other ways still work.
+export default class extends Controller {
+  static targets = ["location", "places", "latitude", "longitude", "accuracy", "locateButton", "clearButton", "status", "map"]
+  static values = { center: Object, zoom: Number, tiles: Object, geocoding: Object }
+
+  connect() {
+    this.locating = false
+    this.geocoder = createGeocodingProvider(this.geocodingValue)
+    if (!('geolocation' in navigator)) this.locateButtonTarget.classList.add('hidden')
+
+    if (this.geocoder && this.hasPlacesTarget) {
+      this.placeList = new SuggestionList(this.locationTarget, this.placesTarget, {
+        noun: 'place',
+        onChoose: place => this.choosePlace(place)
+      })
+    }
+
+    if (this.hasMapTarget && this.tilesValue.url) {
+      this.map = new TileMap(this.mapTarget, {
+        tileUrl: this.tilesValue.url,
+        attribution: this.tilesValue.attribution,
+        center: this.centerValue,
+        zoom: this.zoomValue,
+        onPick: point => this.pinPlaced(point)
+      })
+    }
+
+    // Coordinates the browser kept, going back to the question
+    const point = this.point
+    if (point && this.map) this.map.setPin(point, { accuracy: parseCoordinate(this.accuracyTarget.value) })
+    this.refreshClearButton()
+  }
+
+  disconnect() {
+    // A position or place that arrives after the question has changed is ignored
+    this.locating = false
+    clearTimeout(this.searchTimer)
+    if (this.geocodeRequest) this.geocodeRequest.abort()
+    if (this.map) this.map.destroy()
+  }
+
+  // Current position
+
+  locate() {
+    if (!('geolocation' in navigator)) return
+
+    this.locating = true
+    this.statusTarget.textContent = 'Getting your location...'
+    this.locateButtonTarget.disabled = true
+
+    navigator.geolocation.getCurrentPosition(
+      position => this.located(position),
+      error => this.locationFailed(error),
+      GEOLOCATION_OPTIONS
+    )
+  }
+
+  located(position) {
+    if (!this.locating) return
+    this.locating = false
+
+    const { latitude, longitude, accuracy } = position.coords
+    const point = { latitude, longitude }
+
+    this.setCoordinates(point, { accuracy })
+    if (this.map) this.map.setPin(point, { accuracy })
+    this.statusTarget.textContent = `Location found, accurate to about ${Math.round(accuracy)} m.`
+    this.locateButtonTarget.disabled = false
+    this.describePlace(point)
+  }
+
+  locationFailed(error) {
+    if (!this.locating) return
+    this.locating = false
+
+    this.statusTarget.textContent = this.errorMessage(error)
+    this.locateButtonTarget.disabled = false
+  }
+
+  errorMessage(error) {
+    const alternatives = this.map ? 'Place the pin on the map or enter coordinates instead.' : 'Enter the place or its coordinates instead.'
+
+    switch (error.code) {
+      case error.PERMISSION_DENIED:
+        return `Location access is turned off. ${alternatives}`
+      case error.POSITION_UNAVAILABLE:
+        return `Your location is unavailable. ${alternatives}`
+      case error.TIMEOUT:
+        return `Finding your location took too long. ${alternatives}`
+      default:
+        return `Unable to get your location. ${alternatives}`
+    }
+  }
+
+  // Pin and coordinates
+
+  pinPlaced(point) {
+    this.setCoordinates(point, { accuracy: null })
+    this.statusTarget.textContent = `Pin placed at ${formatCoordinates(point)}.`
+    this.describePlace(point)
+  }
+
+  // Typed coordinates move the pin. Both pasted into the latitude field
+  // ("51.5007, -0.1246") are split between the two.
+  enterCoordinates() {
+    const pasted = parseCoordinates(this.latitudeTarget.value)
+    if (pasted) {
+      writeAnswer(this.latitudeTarget, pasted.latitude)
+      writeAnswer(this.longitudeTarget, pasted.longitude)
+    }
+    writeAnswer(this.accuracyTarget, '')
+
+    const point = this.point
+    if (this.map) {
+      if (point) {
+        this.map.setPin(point)
+      } else {
+        this.map.clearPin()
+      }
+    }
+
+    announceAnswer(this.latitudeTarget)
+    this.refreshClearButton()
+  }
+
+  clearPin() {
+    for (const field of [this.latitudeTarget, this.longitudeTarget, this.accuracyTarget]) writeAnswer(field, '')
+    if (this.map) this.map.clearPin()
+
+    announceAnswer(this.latitudeTarget)
+    this.statusTarget.textContent = 'Pin removed.'
+    this.refreshClearButton()
+  }
+
+  setCoordinates({ latitude, longitude }, { accuracy }) {
+    writeAnswer(this.latitudeTarget, latitude.toFixed(COORDINATE_DECIMALS))
+    writeAnswer(this.longitudeTarget, longitude.toFixed(COORDINATE_DECIMALS))
+    writeAnswer(this.accuracyTarget, accuracy ? accuracy.toFixed(1) : '')
+
+    announceAnswer(this.latitudeTarget)
+    this.refreshClearButton()
+  }
+
+  refreshClearButton() {
+    if (this.hasClearButtonTarget) this.clearButtonTarget.classList.toggle('hidden', !this.point)
+  }
+
+  // The pin's position, when both coordinates are valid
+  get point() {
+    const answer = { latitude: this.latitudeTarget.value, longitude: this.longitudeTarget.value }
+    if (locationErrors(answer, { coordinatesRequired: true }).length > 0) return null
+
+    return { latitude: parseCoordinate(answer.latitude), longitude: parseCoordinate(answer.longitude) }
+  }
+
+  // Place search
+
+  searchPlaces() {
+    if (!this.placeList) return
+
+    clearTimeout(this.searchTimer)
+    const query = this.locationTarget.value.trim()
+    if (query.length < MIN_QUERY_LENGTH) {
+      this.closePlaces()
+      return
+    }
+
+    this.searchTimer = setTimeout(() => this.fetchPlaces(query), SEARCH_DELAY)
+  }
+
+  async fetchPlaces(query) {
+    const request = this.startGeocoding()
+
+    try {
+      const places = await this.geocoder.search(query, { signal: request.signal })
+      if (request === this.geocodeRequest && document.activeElement === this.locationTarget) {
+        this.placeList.show(places.map(place => ({ ...place, description: formatCoordinates(place) })))
+      }
+    } catch (error) {
+      this.geocodingFailed(error, 'Place search failed:')
+    }
+  }
+
+  navigatePlaces(event) {
+    if (this.placeList) this.placeList.handleKey(event)
+  }
+
+  closePlaces() {
+    clearTimeout(this.searchTimer)
+    if (this.placeList) this.placeList.close()
+  }
+
+  choosePlace(place) {
+    const point = { latitude: place.latitude, longitude: place.longitude }
+
+    writeAnswer(this.locationTarget, place.label)
+    this.describedPlace = place.label
+    this.setCoordinates(point, { accuracy: null })
+    if (this.map) {
+      this.map.setView(point, PLACE_ZOOM)
+      this.map.setPin(point)
+    }
+    this.statusTarget.textContent = `${place.label} chosen.`
+  }
+
+  // Names the place at the pin, unless the respondent typed a name
+  async describePlace(point) {
+    if (!this.geocoder || !this.geocoder.reverse) return
+
+    const typed = this.locationTarget.value.trim()
+    if (typed && typed !== this.describedPlace) return
+
+    const request = this.startGeocoding()
+    try {
+      const label = await this.geocoder.reverse(point, { signal: request.signal })
+      if (!label || request !== this.geocodeRequest) return
+
+      writeAnswer(this.locationTarget, label)
+      this.describedPlace = label
+      announceAnswer(this.locationTarget)
+    } catch (error) {
+      this.geocodingFailed(error, 'Reverse geocoding failed:')
+    }
+  }
+
+  startGeocoding() {
+    if (this.geocodeRequest) this.geocodeRequest.abort()
+    return (this.geocodeRequest = new AbortController())
+  }
+
+  // The place name is optional, so a failed lookup only closes the list
+  geocodingFailed(error, message) {
+    // Cancelled by a newer lookup: lib/http_client reports it as an aborted RequestError
+    if (error.name === 'AbortError' || error.isAborted) return
+
+    console.warn(message, error)
+    this.closePlaces()
+  }
+}
@@ -0,0 +1,133 @@
+import { Controller } from "@hotwired/stimulus"
+import { announce } from "lib/notifications"
+import { cellForKey, requiredRows, unansweredRows } from "lib/matrix"
+
+// Connects to data-controller="matrix"
+// Matrix questions: one radio (or several checkboxes) per row, posted as
+// answer[value][row id]. The arrow keys move between the options like a grid
+// (Home and End to the ends of a row, with Ctrl of the grid) and Space
+// chooses. Once the respondent tries to go on, rows that must be answered and
+// are not are highlighted until they are. Below the sm breakpoint each row is
+// a card that closes when it is answered and opens the next unanswered one.
+export default class extends Controller {
+  static targets = ["row", "toggle", "summary", "rowError", "cell", "input"]
+  static values = { multiple: Boolean, required: Boolean, requiredRows: Array }
+
+  connect() {
+    this.revealed = false
+    this.refresh()
+  }
+
+  answered(event) {
+    const row = this.rowFor(event.currentTarget)
+    this.refresh()
+
+    // A single choice completes the row; the next one is opened on small screens
+    if (!this.multipleValue && this.collapsible) {
+      this.setExpanded(row, false)
+      const next = this.rowTargets.slice(this.rowTargets.indexOf(row) + 1).find(candidate => !this.isAnswered(candidate))
+      if (next) this.setExpanded(next, true)
+    }
+  }
+
+  // Tried to submit: unanswered rows are shown from now on
+  reveal(event) {
+    if (event && event.target !== this.element.closest('form')) return
+
+    this.revealed = true
+    this.refresh()
+
+    const missing = this.missingRows()
+    if (missing.length === 0) return
+
+    missing.forEach(row => this.setExpanded(row, true))
+    announce(missing.length === 1 ? '1 row still needs an answer.' : `${missing.length} rows still need an answer.`)
+  }
+
+  toggleRow(event) {
+    const row = this.rowFor(event.currentTarget)
+    this.setExpanded(row, this.toggleFor(row).getAttribute('aria-expanded') !== 'true')
+  }
+
+  navigate(event) {
+    const input = event.currentTarget
+    const cell = cellForKey(
+      event.key,
+      { row: Number(input.dataset.rowIndex), column: Number(input.dataset.columnIndex) },
+      { rows: this.rowTargets.length, columns: this.inputsIn(this.rowTargets[0]).length },
+      { ctrlKey: event.ctrlKey }
+    )
+    if (!cell) return
+
+    // Radios would otherwise choose the next option of their row
+    event.preventDefault()
+    const row = this.rowTargets[cell.row]
+    const target = this.inputsIn(row)[cell.column]
+    if (!target) return
+
+    this.setExpanded(row, true)
+    target.focus()
+  }
+
+  // Summaries and highlights of every row
+  refresh() {
+    const missing = new Set(this.revealed ? this.missingRows() : [])
+
+    this.rowTargets.forEach(row => {
+      const chosen = this.inputsIn(row).filter(input => input.checked).map(input => input.dataset.label)
+      const summary = this.summaryTargets.find(target => row.contains(target))
+      const error = this.rowErrorTargets.find(target => row.contains(target))
+      const highlighted = missing.has(row)
+
+      if (summary) summary.textContent = chosen.length > 0 ? chosen.join(', ') : 'Not answered'
+      if (error) error.classList.toggle('hidden', !highlighted)
+      row.classList.toggle('bg-red-50', highlighted)
+      row.classList.toggle('border-red-300', highlighted)
+    })
+  }
+
+  missingRows() {
+    const ids = this.rowTargets.map(row => row.dataset.rowId)
+    const mustAnswer = requiredRows({ required: this.requiredValue, rows: ids, requiredRows: this.requiredRowsValue })
+    const missing = unansweredRows(this.answer(), mustAnswer)
+
+    return this.rowTargets.filter(row => missing.includes(row.dataset.rowId))
+  }
+
+  // { row id: column id } or { row id: [column ids] }, as lib/answer_validators reads the form
+  answer() {
+    return Object.fromEntries(this.rowTargets.map(row => {
+      const chosen = this.inputsIn(row).filter(input => input.checked).map(input => input.value)
+      return [row.dataset.rowId, this.multipleValue ? chosen : (chosen[0] ?? '')]
+    }))
+  }
+
+  isAnswered(row) {
+    return this.inputsIn(row).some(input => input.checked)
+  }
+
+  // Rows only close on small screens, where their header button shows
+  setExpanded(row, expanded) {
+    const toggle = this.toggleFor(row)
+    if (!toggle) return
+
+    toggle.setAttribute('aria-expanded', String(expanded))
+    this.cellTargets.filter(cell => row.contains(cell)).forEach(cell => cell.classList.toggle('hidden', !expanded))
+  }
+
+  get collapsible() {
+    return this.hasToggleTarget && this.toggleTarget.offsetParent !== null
+  }
+
+  rowFor(element) {
+    return this.rowTargets.find(row => row.contains(element))
+  }
+
+  toggleFor(row) {
+    return this.toggleTargets.find(target => row.contains(target))
+  }
+
+  inputsIn(row) {
+    return this.inputTargets.filter(input => row.contains(input))
+  }
+}
@@ -0,0 +1,79 @@
+import { Controller } from "@hotwired/stimulus"
+
+const INTERPRETATIONS = {
+  detractor: {
+    category: 'Detractor (0-6)',
+    description: 'Unhappy customers who can damage your brand through negative word-of-mouth.',
+    circleClasses: ['border-red-500', 'bg-red-500'],
+    panelClasses: ['bg-red-50', 'text-red-800']
+  },
+  passive: {
+    category: 'Passive (7-8)',
+    description: 'Satisfied but unenthusiastic customers who are vulnerable to competitive offerings.',
+    circleClasses: ['border-yellow-500', 'bg-yellow-500'],
+    panelClasses: ['bg-yellow-50', 'text-yellow-800']
+  },
+  promoter: {
+    category: 'Promoter (9-10)',
+    description: 'Loyal enthusiasts who will keep buying and refer others, fueling growth.',
+    circleClasses: ['border-green-500', 'bg-green-500'],
+    panelClasses: ['bg-green-50', 'text-green-800']
+  }
+}
+
+const ALL_CIRCLE_CLASSES = Object.values(INTERPRETATIONS).flatMap(interpretation => interpretation.circleClasses)
+const ALL_PANEL_CLASSES = Object.values(INTERPRETATIONS).flatMap(interpretation => interpretation.panelClasses)
+
+// Connects to data-controller="nps-score"
+// Colours the chosen 0-10 score by NPS group and explains the group. The
+// answer itself is the native answer[value] radio.
+export default class extends Controller {
+  static targets = ["input", "circle", "interpretation", "category", "description"]
+
+  connect() {
+    this.update()
+  }
+
+  update() {
+    const index = this.inputTargets.findIndex(input => input.checked)
+    const group = index >= 0 ? this.groupFor(Number(this.inputTargets[index].value)) : null
+
+    this.circleTargets.forEach((circle, circleIndex) => {
+      this.styleCircle(circle, circleIndex === index ? group : null)
+    })
+
+    this.showInterpretation(group)
+  }
+
+  styleCircle(circle, group) {
+    const label = circle.querySelector('span')
+
+    circle.classList.remove(...ALL_CIRCLE_CLASSES)
+    circle.classList.toggle('border-gray-300', !group)
+    label.classList.toggle('text-white', Boolean(group))
+    label.classList.toggle('text-gray-600', !group)
+
+    if (group) {
+      circle.classList.add(...INTERPRETATIONS[group].circleClasses)
+    }
+  }
+
+  showInterpretation(group) {
+    if (!this.hasInterpretationTarget) return
+
+    this.interpretationTarget.classList.remove(...ALL_PANEL_CLASSES)
+    this.interpretationTarget.classList.toggle('hidden', !group)
+    if (!group) return
+
+    const interpretation = INTERPRETATIONS[group]
+    this.categoryTarget.textContent = interpretation.category
+    this.descriptionTarget.textContent = interpretation.description
+    this.interpretationTarget.classList.add(...interpretation.panelClasses)
+  }
+
+  groupFor(score) {
+    if (score <= 6) return 'detractor'
+    if (score <= 8) return 'passive'
+    return 'promoter'
+  }
+}
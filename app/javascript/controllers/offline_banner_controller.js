@@ -0,0 +1,54 @@
+import { Controller } from "@hotwired/stimulus"
+import { OUTBOX_CHANGE_EVENT, isOffline, startOutbox } from "lib/answer_outbox"
+
+// Connects to data-controller="offline-banner"
+// Tells respondents when they are offline and how many responses are waiting to be sent
+export default class extends Controller {
+  static targets = ["message"]
+
+  connect() {
+    this.changeHandler = (event) => this.render(event.detail)
+    window.addEventListener(OUTBOX_CHANGE_EVENT, this.changeHandler)
+
+    this.render({ pending: 0, offline: isOffline(), sending: false })
+
+    // Replays anything queued on a previous visit and listens for connectivity changes
+    startOutbox()
+  }
+
+  disconnect() {
+    window.removeEventListener(OUTBOX_CHANGE_EVENT, this.changeHandler)
+  }
+
+  render({ pending, offline, sending }) {
+    const message = this.messageFor({ pending, offline, sending })
+
+    if (!message) {
+      this.element.classList.add('hidden')
+      return
+    }
+
+    this.messageTarget.textContent = message
+    this.element.classList.remove('hidden')
+  }
+
+  messageFor({ pending, offline, sending }) {
+    const responses = `${pending} saved ${pending === 1 ? 'response' : 'responses'}`
+
+    if (offline) {
+      return pending > 0
+        ? `You're offline. ${responses} will be sent when your connection returns.`
+        : "You're offline. You can keep going; your answers will be sent when your connection returns."
+    }
+
+    if (sending) {
+      return `Back online. Sending ${responses}...`
+    }
+
+    if (pending > 0) {
+      return `${responses} waiting to be sent. We'll keep retrying.`
+    }
+
+    return null
+  }
+}
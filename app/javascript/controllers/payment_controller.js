@@ -0,0 +1,189 @@
+import { Controller } from "@hotwired/stimulus"
+import { commitAnswer } from "lib/answer_widget"
+
+const STRIPE_SDK_URL = 'https://js.stripe.com/v3/'
+const PAYPAL_SDK_URL = 'https://www.paypal.com/sdk/js'
+
+const CARD_STYLE = {
+  base: {
+    fontSize: '16px',
+    color: '#424770',
+    '::placeholder': { color: '#aab7c4' }
+  }
+}
+
+// Each SDK is loaded once per page, however many payment questions connect
+const sdkLoads = new Map()
+
+function loadScript(src) {
+  if (!sdkLoads.has(src)) {
+    sdkLoads.set(src, new Promise((resolve, reject) => {
+      const script = document.createElement('script')
+      script.src = src
+      script.async = true
+      script.onload = resolve
+      script.onerror = () => {
+        sdkLoads.delete(src)
+        reject(new Error(`Could not load ${src}`))
+      }
+      document.head.appendChild(script)
+    }))
+  }
+
+  return sdkLoads.get(src)
+}
+
+// Connects to data-controller="payment"
+// Payment questions: shows the panel for the chosen payment method and
+// mounts Stripe's card element and PayPal's buttons. A completed card is
+// turned into a Stripe payment method posted in answer[payment_method_id];
+// an approved PayPal order is posted in answer[payment_confirmation] and the
+// question is submitted. Without Stripe.js plain card fields are shown.
+export default class extends Controller {
+  static targets = ["method", "panel", "card", "error", "paypalButtons", "manualCard", "paymentMethodId", "confirmation"]
+  static values = {
+    amount: Number,
+    currency: { type: String, default: 'USD' },
+    description: { type: String, default: 'Payment' },
+    stripeKey: String,
+    paypalClientId: { type: String, default: 'sb' }
+  }
+
+  connect() {
+    // The partial stops early when the form owner cannot accept payments
+    if (!this.hasPanelTarget) return
+
+    this.showMethod()
+    this.setupStripe()
+    this.setupPaypal()
+  }
+
+  disconnect() {
+    if (this.cardElement) {
+      this.cardElement.destroy()
+      this.cardElement = null
+    }
+
+    if (this.paypalButtons && typeof this.paypalButtons.close === 'function') {
+      this.paypalButtons.close()
+    }
+    this.paypalButtons = null
+  }
+
+  showMethod() {
+    const selected = this.methodTargets.find(input => input.checked)
+    const method = selected ? selected.value : 'credit_card'
+
+    this.panelTargets.forEach(panel => {
+      panel.classList.toggle('hidden', panel.dataset.paymentMethod !== method)
+    })
+  }
+
+  // Stripe
+
+  async setupStripe() {
+    if (!this.hasCardTarget) return
+
+    if (!this.stripeKeyValue) {
+      this.showManualCardInput()
+      return
+    }
+
+    try {
+      await loadScript(STRIPE_SDK_URL)
+    } catch (error) {
+      console.warn('Stripe.js not loaded, showing manual input:', error)
+      this.showManualCardInput()
+      return
+    }
+
+    if (!this.element.isConnected) return
+
+    try {
+      this.stripe = window.Stripe(this.stripeKeyValue)
+      this.cardElement = this.stripe.elements().create('card', { style: CARD_STYLE })
+      this.cardElement.mount(this.cardTarget)
+      this.cardElement.on('change', event => this.cardChanged(event))
+    } catch (error) {
+      console.error('Stripe initialization error:', error)
+      this.showManualCardInput()
+    }
+  }
+
+  async cardChanged(event) {
+    this.showError(event.error ? event.error.message : null)
+
+    if (!event.complete) {
+      if (this.paymentMethodIdTarget.value) commitAnswer(this.paymentMethodIdTarget, '')
+      return
+    }
+
+    const { paymentMethod, error } = await this.stripe.createPaymentMethod({ type: 'card', card: this.cardElement })
+
+    if (error) {
+      this.showError(error.message)
+      commitAnswer(this.paymentMethodIdTarget, '')
+    } else {
+      commitAnswer(this.paymentMethodIdTarget, paymentMethod.id)
+    }
+  }
+
+  showManualCardInput() {
+    if (!this.hasManualCardTarget) return
+
+    this.cardTarget.replaceChildren(this.manualCardTarget.content.cloneNode(true))
+  }
+
+  // PayPal
+
+  async setupPaypal() {
+    if (!this.hasPaypalButtonsTarget || !this.amountValue) return
+
+    const params = new URLSearchParams({ 'client-id': this.paypalClientIdValue, currency: this.currencyValue })
+
+    try {
+      await loadScript(`${PAYPAL_SDK_URL}?${params}`)
+    } catch (error) {
+      console.warn('PayPal SDK not loaded:', error)
+      return
+    }
+
+    if (!this.element.isConnected) return
+
+    try {
+      this.paypalButtons = window.paypal.Buttons({
+        createOrder: (data, actions) => actions.order.create({
+          purchase_units: [{
+            amount: { value: this.amountValue.toString(), currency_code: this.currencyValue },
+            description: this.descriptionValue
+          }]
+        }),
+        onApprove: async (data, actions) => {
+          const details = await actions.order.capture()
+          this.paypalApproved(details)
+        },
+        onError: error => {
+          console.error('PayPal Error:', error)
+          this.showError('Payment failed. Please try again.')
+        }
+      })
+      this.paypalButtons.render(this.paypalButtonsTarget)
+    } catch (error) {
+      console.error('PayPal initialization error:', error)
+    }
+  }
+
+  paypalApproved(details) {
+    commitAnswer(this.confirmationTarget, details)
+
+    const form = this.element.closest('form')
+    if (form) form.requestSubmit()
+  }
+
+  showError(message) {
+    if (!this.hasErrorTarget) return
+
+    this.errorTarget.textContent = message || ''
+    this.errorTarget.classList.toggle('hidden', !message)
+  }
+}
@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { http } from "lib/http_client"
 
 // Stimulus controller for handling payment error interactions
 export default class extends Controller {
@@ -81,14 +82,7 @@ export default class extends Controller {
   // Sends error event to server for logging
   async sendErrorEvent(eventData) {
     try {
-      await fetch('/api/v1/analytics/payment_errors', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]')?.content
-        },
-        body: JSON.stringify({ event: eventData })
-      })
+      await http.post('/api/v1/analytics/payment_errors', { json: { event: eventData } })
     } catch (error) {
       console.warn('Failed to send payment error event:', error)
     }
@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { element, openModal } from "lib/notifications"
 
 // Connects to data-controller="payment-error-flash"
 export default class extends Controller {
@@ -6,8 +7,6 @@ export default class extends Controller {
     errorType: String,
     dismissible: Boolean
   }
-  
-  static targets = ["helpModal", "checklistModal"]
 
   connect() {
     this.trackErrorDisplay()
@@ -58,161 +57,44 @@ export default class extends Controller {
   }
 
   showHelp() {
-    this.createHelpModal()
-    this.trackHelpRequest()
-  }
-
-  showChecklist() {
-    this.createChecklistModal()
-    this.trackChecklistRequest()
-  }
+    const help = this.getErrorTypeHelp()
+    const body = [
+      help.description,
+      element('div', '', [
+        element('h3', 'font-medium text-gray-900 mb-2', 'Next Steps:'),
+        element('ol', 'list-decimal list-inside space-y-1 text-gray-700', help.steps.map(step => element('li', '', step)))
+      ])
+    ]
 
-  createHelpModal() {
-    const modal = document.createElement('div')
-    modal.className = 'fixed inset-0 z-50 overflow-y-auto'
-    modal.innerHTML = this.getHelpModalContent()
-    
-    document.body.appendChild(modal)
-    
-    // Add event listeners for modal close
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal || e.target.closest('[data-action="close-modal"]')) {
-        this.closeModal(modal)
-      }
-    })
-    
-    // Focus trap and accessibility
-    const firstFocusable = modal.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])')
-    if (firstFocusable) {
-      firstFocusable.focus()
+    if (help.additionalInfo) {
+      body.push(element('p', 'p-3 bg-blue-50 rounded-md text-blue-800', help.additionalInfo))
     }
-  }
 
-  createChecklistModal() {
-    const modal = document.createElement('div')
-    modal.className = 'fixed inset-0 z-50 overflow-y-auto'
-    modal.innerHTML = this.getChecklistModalContent()
-    
-    document.body.appendChild(modal)
-    
-    // Add event listeners
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal || e.target.closest('[data-action="close-modal"]')) {
-        this.closeModal(modal)
-      }
+    openModal({
+      title: 'Payment Setup Help',
+      body,
+      actions: [{ label: 'Close' }, { label: 'Got it', primary: true }]
     })
+    this.trackHelpRequest()
   }
 
-  closeModal(modal) {
-    modal.style.transition = 'opacity 0.3s ease-out'
-    modal.style.opacity = '0'
-    
-    setTimeout(() => {
-      modal.remove()
-    }, 300)
-  }
-
-  getHelpModalContent() {
-    const errorTypeHelp = this.getErrorTypeHelp()
-    
-    return `
-      <div class="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
-        <div class="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"></div>
-        
-        <div class="inline-block align-bottom bg-white rounded-lg px-4 pt-5 pb-4 text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full sm:p-6">
-          <div class="sm:flex sm:items-start">
-            <div class="mx-auto flex-shrink-0 flex items-center justify-center h-12 w-12 rounded-full bg-blue-100 sm:mx-0 sm:h-10 sm:w-10">
-              <svg class="h-6 w-6 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-              </svg>
-            </div>
-            <div class="mt-3 text-center sm:mt-0 sm:ml-4 sm:text-left">
-              <h3 class="text-lg leading-6 font-medium text-gray-900">
-                Payment Setup Help
-              </h3>
-              <div class="mt-2">
-                <div class="text-sm text-gray-500">
-                  ${errorTypeHelp.description}
-                </div>
-                <div class="mt-4">
-                  <h4 class="font-medium text-gray-900 mb-2">Next Steps:</h4>
-                  <ol class="list-decimal list-inside space-y-1 text-sm text-gray-700">
-                    ${errorTypeHelp.steps.map(step => `<li>${step}</li>`).join('')}
-                  </ol>
-                </div>
-                ${errorTypeHelp.additionalInfo ? `
-                  <div class="mt-4 p-3 bg-blue-50 rounded-md">
-                    <p class="text-sm text-blue-800">${errorTypeHelp.additionalInfo}</p>
-                  </div>
-                ` : ''}
-              </div>
-            </div>
-          </div>
-          <div class="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
-            <button type="button" 
-                    class="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:ml-3 sm:w-auto sm:text-sm"
-                    data-action="close-modal">
-              Got it
-            </button>
-            <button type="button" 
-                    class="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 sm:mt-0 sm:w-auto sm:text-sm"
-                    data-action="close-modal">
-              Close
-            </button>
-          </div>
-        </div>
-      </div>
-    `
-  }
-
-  getChecklistModalContent() {
-    return `
-      <div class="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
-        <div class="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity"></div>
-        
-        <div class="inline-block align-bottom bg-white rounded-lg px-4 pt-5 pb-4 text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-md sm:w-full sm:p-6">
-          <div class="sm:flex sm:items-start">
-            <div class="mx-auto flex-shrink-0 flex items-center justify-center h-12 w-12 rounded-full bg-indigo-100 sm:mx-0 sm:h-10 sm:w-10">
-              <svg class="h-6 w-6 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
-              </svg>
-            </div>
-            <div class="mt-3 text-center sm:mt-0 sm:ml-4 sm:text-left w-full">
-              <h3 class="text-lg leading-6 font-medium text-gray-900">
-                Setup Checklist
-              </h3>
-              <div class="mt-2">
-                <div class="space-y-3">
-                  ${this.getChecklistItems().map(item => `
-                    <div class="flex items-center">
-                      <div class="flex-shrink-0">
-                        ${item.completed ? 
-                          '<svg class="h-5 w-5 text-green-500" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd" /></svg>' :
-                          '<svg class="h-5 w-5 text-gray-300" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm0-2a6 6 0 100-12 6 6 0 000 12z" clip-rule="evenodd" /></svg>'
-                        }
-                      </div>
-                      <div class="ml-3 flex-1">
-                        <p class="text-sm font-medium ${item.completed ? 'text-gray-900' : 'text-gray-500'}">
-                          ${item.title}
-                        </p>
-                        ${item.description ? `<p class="text-xs text-gray-500">${item.description}</p>` : ''}
-                      </div>
-                    </div>
-                  `).join('')}
-                </div>
-              </div>
-            </div>
-          </div>
-          <div class="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
-            <button type="button" 
-                    class="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-indigo-600 text-base font-medium text-white hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 sm:ml-3 sm:w-auto sm:text-sm"
-                    data-action="close-modal">
-              Close
-            </button>
-          </div>
-        </div>
-      </div>
-    `
+  showChecklist() {
+    const items = this.getChecklistItems().map(item => element('li', 'flex items-start', [
+      element('span', `flex-shrink-0 w-5 text-center ${item.completed ? 'text-green-500' : 'text-gray-300'}`, item.completed ? '✓' : '○'),
+      element('div', 'ml-3 flex-1', [
+        element('p', `font-medium ${item.completed ? 'text-gray-900' : 'text-gray-500'}`, item.title),
+        ...(item.description ? [element('p', 'text-xs text-gray-500', item.description)] : []),
+        element('span', 'sr-only', item.completed ? 'Completed' : 'Not completed')
+      ])
+    ]))
+
+    openModal({
+      title: 'Setup Checklist',
+      body: element('ul', 'space-y-3', items),
+      size: 'sm',
+      actions: [{ label: 'Close', primary: true }]
+    })
+    this.trackChecklistRequest()
   }
 
   getErrorTypeHelp() {
@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { http } from "lib/http_client"
 
 // Stimulus controller for handling payment setup guidance and status updates
 export default class extends Controller {
@@ -102,16 +103,9 @@ export default class extends Controller {
   checkSetupProgress() {
     if (!this.hasPaymentQuestionsValue) return
 
-    fetch('/payment_setup/status', {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]')?.content
-      }
-    })
-    .then(response => response.json())
+    http.get('/payment_setup/status')
     .then(data => {
-      if (data.success) {
+      if (data && data.success) {
         this.updateSetupValues(data.setup_status)
         this.updateSetupStatus()
       }
@@ -399,14 +393,7 @@ export default class extends Controller {
 
   async sendSetupEvent(eventData) {
     try {
-      await fetch('/analytics/payment_setup', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]')?.content
-        },
-        body: JSON.stringify({ event: eventData })
-      })
+      await http.post('/analytics/payment_setup', { json: { event: eventData } })
     } catch (error) {
       console.warn('Failed to send payment setup event:', error)
     }
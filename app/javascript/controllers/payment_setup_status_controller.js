@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { http } from "lib/http_client"
+import { toast } from "lib/notifications"
 
 // Connects to data-controller="payment-setup-status"
 export default class extends Controller {
@@ -254,18 +256,8 @@ export default class extends Controller {
   // Check setup status via API
   async checkSetupStatus() {
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/payment_setup_status`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      })
-
-      if (response.ok) {
-        const data = await response.json()
-        this.updateStatusFromAPI(data)
-      }
+      const data = await http.get(`/forms/${this.formIdValue}/payment_setup_status`)
+      this.updateStatusFromAPI(data)
     } catch (error) {
       console.error('Error checking payment setup status:', error)
     }
@@ -304,53 +296,12 @@ export default class extends Controller {
   // Show notification when status changes
   showStatusChangeNotification(data) {
     if (data.setup_complete) {
-      this.showToast('Payment setup completed! Your form is now ready to accept payments.', 'success')
+      toast('Payment setup completed! Your form is now ready to accept payments.', { type: 'success' })
     } else if (data.completion_percentage > this.completionPercentageValue) {
-      this.showToast('Payment setup progress updated.', 'info')
+      toast('Payment setup progress updated.', { type: 'info' })
     }
   }
 
-  // Show toast notification
-  showToast(message, type = 'info') {
-    const toast = document.createElement('div')
-    toast.className = `fixed top-4 right-4 z-50 max-w-sm w-full bg-white shadow-lg rounded-lg pointer-events-auto ring-1 ring-black ring-opacity-5 overflow-hidden`
-    
-    const bgColor = type === 'success' ? 'bg-green-50' : type === 'error' ? 'bg-red-50' : 'bg-blue-50'
-    const textColor = type === 'success' ? 'text-green-800' : type === 'error' ? 'text-red-800' : 'text-blue-800'
-    
-    toast.innerHTML = `
-      <div class="p-4">
-        <div class="flex items-start">
-          <div class="flex-shrink-0">
-            <svg class="h-6 w-6 ${textColor}" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-            </svg>
-          </div>
-          <div class="ml-3 w-0 flex-1 pt-0.5">
-            <p class="text-sm font-medium ${textColor}">${message}</p>
-          </div>
-          <div class="ml-4 flex-shrink-0 flex">
-            <button class="bg-white rounded-md inline-flex text-gray-400 hover:text-gray-500 focus:outline-none" onclick="this.parentElement.parentElement.parentElement.parentElement.remove()">
-              <span class="sr-only">Close</span>
-              <svg class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                <path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" />
-              </svg>
-            </button>
-          </div>
-        </div>
-      </div>
-    `
-    
-    document.body.appendChild(toast)
-    
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-      if (toast.parentNode) {
-        toast.remove()
-      }
-    }, 5000)
-  }
-
   // Handle payment question changes
   onPaymentQuestionAdded() {
     this.hasPaymentQuestionsValue = true
@@ -365,19 +316,9 @@ export default class extends Controller {
   // Check if form still has payment questions
   async checkPaymentQuestions() {
     try {
-      const response = await fetch(`/forms/${this.formIdValue}/has_payment_questions`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      })
-
-      if (response.ok) {
-        const data = await response.json()
-        this.hasPaymentQuestionsValue = data.has_payment_questions
-        this.updateStatusDisplay()
-      }
+      const data = await http.get(`/forms/${this.formIdValue}/has_payment_questions`)
+      this.hasPaymentQuestionsValue = data.has_payment_questions
+      this.updateStatusDisplay()
     } catch (error) {
       console.error('Error checking payment questions:', error)
     }
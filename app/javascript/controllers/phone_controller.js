@@ -0,0 +1,98 @@
+import { Controller } from "@hotwired/stimulus"
+import { commitAnswer, writeAnswer } from "lib/answer_widget"
+import { defaultCountryCode, formatNationalNumber, isInternational, parsePhoneNumber } from "lib/phone_numbers"
+
+// Connects to data-controller="phone"
+// Phone number input with a country selector. The number is grouped the way
+// its country writes it as it is typed, and the answer field holds it in
+// E.164 form (lib/phone_numbers). Typing or pasting a number with its calling
+// code ("+44 ...") picks the country. The country starts as the question's
+// default country, or the one of the browser language.
+export default class extends Controller {
+  static targets = ["country", "input", "field", "example"]
+  static values = { countries: Array, defaultCountry: String }
+
+  connect() {
+    this.countryTarget.value = defaultCountryCode(this.countriesValue, {
+      configured: this.defaultCountryValue || null,
+      languages: navigator.languages || [navigator.language]
+    })
+    this.customPlaceholder = this.inputTarget.placeholder
+
+    // A field the browser kept, going back to the question
+    if (this.fieldTarget.value && !this.inputTarget.value) {
+      this.inputTarget.value = this.fieldTarget.value
+      this.format()
+    }
+    this.showExample()
+  }
+
+  selectCountry() {
+    this.format()
+    this.showExample()
+    this.commit()
+  }
+
+  // Written on every key press; committed (and so checked) on change
+  format() {
+    const value = this.inputTarget.value
+    const number = parsePhoneNumber(value, this.countriesValue, this.countryTarget.value)
+
+    if (number && number.nationalNumber) {
+      const international = isInternational(value)
+
+      if (international && number.country !== this.countryTarget.value) {
+        this.countryTarget.value = number.country
+        this.showExample()
+      }
+
+      this.replaceInput(this.display(number, { withPrefix: !international && this.typedNationalPrefix(value) }))
+    }
+
+    writeAnswer(this.fieldTarget, number && number.nationalNumber ? number.e164 : value.trim())
+  }
+
+  commit() {
+    commitAnswer(this.fieldTarget, this.fieldTarget.value)
+  }
+
+  showExample() {
+    const country = this.country
+    if (!country || !country.example) return
+
+    const example = this.display({ nationalNumber: country.example }, { withPrefix: Boolean(country.national_prefix) })
+    if (this.hasExampleTarget) this.exampleTarget.textContent = `Example: ${example}`
+    if (!this.customPlaceholder) this.inputTarget.placeholder = example
+  }
+
+  display(number, { withPrefix }) {
+    const formatted = formatNationalNumber(number.nationalNumber, this.country)
+    return withPrefix ? `${this.country.national_prefix}${formatted}` : formatted
+  }
+
+  typedNationalPrefix(value) {
+    const prefix = this.country && this.country.national_prefix
+    return Boolean(prefix) && value.replace(/\D/g, '').startsWith(prefix)
+  }
+
+  // Keeps the caret after the same number of digits
+  replaceInput(text) {
+    const input = this.inputTarget
+    if (input.value === text) return
+
+    const caret = input.selectionStart ?? input.value.length
+    const digitsBefore = input.value.slice(0, caret).replace(/\D/g, '').length
+    input.value = text
+    if (document.activeElement !== input) return
+
+    let position = 0
+    for (let seen = 0; position < text.length && seen < digitsBefore; position++) {
+      if (/\d/.test(text[position])) seen++
+    }
+    input.setSelectionRange(position, position)
+  }
+
+  get country() {
+    return this.countriesValue.find(country => country.code === this.countryTarget.value)
+  }
+}
@@ -1,4 +1,10 @@
 import { Controller } from "@hotwired/stimulus"
+import { OUTBOX_DELIVERED_EVENT, hasPendingRequest, sendOrQueue } from "lib/answer_outbox"
+import { pendingAnswerMessages } from "lib/answer_widget"
+import { answerFromFormData, validateAnswer } from "lib/answer_validators"
+import { http } from "lib/http_client"
+import { toast } from "lib/notifications"
+import { QUIZ_SCORE_EVENT } from "lib/quiz"
 
 export default class extends Controller {
   static targets = [
@@ -10,7 +16,9 @@ export default class extends Controller {
     "charCount",
     "otherCheckbox",
     "otherInput",
-    "otherInputContainer"
+    "otherInputContainer",
+    "questionFrame",
+    "fieldError"
   ]
   
   static values = {
@@ -23,6 +31,8 @@ export default class extends Controller {
     this.setStartTime()
     this.setupCharacterCount()
     this.setupAutoSave()
+    this.setupHistory()
+    this.setupOutbox()
   }
   
   setStartTime() {
@@ -50,13 +60,67 @@ export default class extends Controller {
     if (this.autoSaveInterval) {
       clearInterval(this.autoSaveInterval)
     }
+    
+    if (this.popStateHandler) {
+      window.removeEventListener('popstate', this.popStateHandler)
+    }
+    
+    if (this.outboxDeliveredHandler) {
+      window.removeEventListener(OUTBOX_DELIVERED_EVENT, this.outboxDeliveredHandler)
+    }
+  }
+  
+  setupOutbox() {
+    // Answers queued while offline are replayed by the outbox; pick up the
+    // server's reply for the question still on screen and carry on from there
+    this.outboxDeliveredHandler = (event) => {
+      const { entry, data } = event.detail
+      if (entry.kind !== 'answer' || entry.meta.questionId !== this.questionIdValue) return
+      
+      this.isSubmitting = false
+      this.answerQueued = false
+      this.handleSubmissionResult(data || { success: false })
+    }
+    
+    window.addEventListener(OUTBOX_DELIVERED_EVENT, this.outboxDeliveredHandler)
+  }
+  
+  setupHistory() {
+    // Record the question that was rendered by the server so Back can return to it
+    if (this.questionIdValue) {
+      window.history.replaceState({ questionId: this.questionIdValue }, '', window.location.href)
+    }
+    
+    this.popStateHandler = (event) => {
+      const questionId = event.state && event.state.questionId
+      if (questionId && questionId !== this.questionIdValue) {
+        this.loadQuestion(this.questionFragmentUrl(questionId), { pushHistory: false })
+      }
+    }
+    
+    window.addEventListener('popstate', this.popStateHandler)
   }
   
   validateInput(event) {
     const input = event.target
     this.updateCharCount(input)
     this.updateSliderValue(event)
-    this.validateAnswer()
+    this.answerEdited = true
+    // Choices are complete when picked; typed answers are checked on focusout
+    this.validateAnswer({ reveal: event.type === 'change' })
+  }
+  
+  // Widget controllers (signature, ranking, location, ...) commit the answers
+  // they keep in hidden fields through lib/answer_widget
+  answerChanged() {
+    this.answerEdited = true
+    this.validateAnswer({ reveal: true })
+  }
+
+  revealErrors() {
+    if (this.answerEdited) {
+      this.validateAnswer({ reveal: true })
+    }
   }
   
   updateCharCount(input) {
@@ -65,51 +129,114 @@ export default class extends Controller {
     }
   }
   
-  validateAnswer() {
-    const isValid = this.isAnswerValid()
+  // Once shown, messages follow every change until the answer is valid
+  validateAnswer({ reveal = false } = {}) {
+    const errors = this.answerErrors()
     
     if (this.hasSubmitButtonTarget) {
-      this.submitButtonTarget.disabled = !isValid
+      this.submitButtonTarget.disabled = errors.length > 0 || this.answerQueued
+    }
+    
+    if (reveal || this.errorsRevealed) {
+      this.errorsRevealed = true
+      this.showFieldErrors(errors)
     }
     
     this.hideValidationErrors()
-    return isValid
+    return errors.length === 0
   }
   
-  isAnswerValid() {
-    if (!this.requiredValue) return true
+  // Rules per question type live in lib/answer_validators and match the
+  // server's FormQuestion::AnswerValidator
+  answerErrors() {
+    if (!this.hasQuestionFrameTarget) return []
     
-    // Check different input types
-    const textInputs = this.answerInputTargets.filter(input => 
-      input.type === 'text' || input.type === 'email' || input.tagName === 'TEXTAREA'
-    )
+    const frame = this.questionFrameTarget
+    const form = frame.querySelector('form')
+    if (!form) return []
     
-    const radioInputs = this.answerInputTargets.filter(input => input.type === 'radio')
-    const checkboxInputs = this.answerInputTargets.filter(input => input.type === 'checkbox')
+    // Widgets still preparing their answer (see lib/answer_widget) hold it back
+    const pending = pendingAnswerMessages(form)
+    if (pending.length > 0) return pending
     
-    // Text inputs
-    if (textInputs.length > 0) {
-      return textInputs.some(input => input.value.trim() !== '')
+    return validateAnswer(frame.dataset.questionType, answerFromFormData(new FormData(form)), this.answerConstraints(frame))
+  }
+  
+  // Answers filled in from the share URL (see FormResponse#record_url_parameters)
+  // are put in the fields as if chosen, so widgets and validation follow. A
+  // locked answer cannot be changed here; the server keeps it regardless.
+  questionFrameTargetConnected(frame) {
+    this.restoreQueuedState(frame.dataset.questionId)
+    if (frame.dataset.prefill === undefined) return
+
+    let value
+    try {
+      value = JSON.parse(frame.dataset.prefill)
+    } catch (error) {
+      console.error('Invalid prefilled answer:', error)
+      return
     }
-    
-    // Radio buttons
-    if (radioInputs.length > 0) {
-      return radioInputs.some(input => input.checked)
+
+    const values = (Array.isArray(value) ? value : [value]).map(String)
+    const locked = frame.dataset.prefillLocked === 'true'
+
+    frame.querySelectorAll('[name="answer[value]"], [name="answer[value][]"]').forEach(field => {
+      if (field.type === 'hidden') return
+
+      if (field.type === 'radio' || field.type === 'checkbox') {
+        field.checked = values.includes(field.value)
+      } else if (field.tagName === 'SELECT') {
+        Array.from(field.options).forEach(option => { option.selected = values.includes(option.value) })
+      } else {
+        field.value = values[0]
+      }
+      if (locked) this.lockField(field)
+
+      field.dispatchEvent(new Event('change', { bubbles: true }))
+    })
+  }
+
+  lockField(field) {
+    field.setAttribute('aria-readonly', 'true')
+    if (field.type === 'radio' || field.type === 'checkbox' || field.tagName === 'SELECT') {
+      // A select opens on mousedown, choices change on click
+      field.addEventListener(field.tagName === 'SELECT' ? 'mousedown' : 'click', event => event.preventDefault())
+      field.addEventListener('keydown', event => { if (event.key !== 'Tab') event.preventDefault() })
+      field.closest('label')?.classList.add('cursor-not-allowed', 'opacity-75')
+    } else {
+      field.readOnly = true
+      field.classList.add('bg-gray-50', 'cursor-not-allowed')
     }
-    
-    // Checkboxes
-    if (checkboxInputs.length > 0) {
-      return checkboxInputs.some(input => input.checked)
+  }
+
+  answerConstraints(frame) {
+    try {
+      return JSON.parse(frame.dataset.answerConstraints || '{}')
+    } catch (error) {
+      console.error('Invalid answer constraints:', error)
+      return { required: this.requiredValue }
     }
+  }
+  
+  showFieldErrors(errors) {
+    if (!this.hasFieldErrorTarget) return
+    
+    const invalid = errors.length > 0
+    this.fieldErrorTarget.textContent = errors.join(' ')
+    this.fieldErrorTarget.classList.toggle('hidden', !invalid)
     
-    return true
+    this.answerInputTargets.forEach(input => {
+      input.setAttribute('aria-invalid', String(invalid))
+      input.setAttribute('aria-describedby', this.fieldErrorTarget.id)
+    })
   }
   
   submitAnswer(event) {
     event.preventDefault()
+    if (this.answerQueued) return
     
-    if (!this.validateAnswer()) {
-      this.showValidationErrors(['Please provide an answer to continue'])
+    if (!this.validateAnswer({ reveal: true })) {
+      this.focusFirstInput()
       return
     }
     
@@ -122,55 +249,104 @@ export default class extends Controller {
     }, 200)
   }
 
-  performSubmission(form) {
+  async performSubmission(form) {
     this.showLoading()
+    this.isSubmitting = true
     
-    const formData = new FormData(form)
-    
-    fetch(form.action, {
-      method: 'POST',
-      body: formData,
-      headers: {
-        'Accept': 'application/json',
-        'X-Requested-With': 'XMLHttpRequest',
-        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
+    try {
+      const result = await sendOrQueue({
+        kind: 'answer',
+        url: form.action,
+        body: new FormData(form),
+        meta: { questionId: this.questionIdValue }
+      })
+      
+      if (result.queued) {
+        this.showQueuedState()
+        return
       }
-    })
-    .then(response => response.json())
-    .then(data => {
+      
+      this.isSubmitting = false
+      this.handleSubmissionResult(await result.response.json())
+    } catch (error) {
+      this.isSubmitting = false
       this.hideLoading()
+      console.error('Error:', error)
+      this.triggerAnimation('question-did-change')
+      this.showValidationErrors(['An error occurred. Please try again.'])
+    }
+  }
+  
+  handleSubmissionResult(data) {
+    this.hideLoading()
+    
+    if (data.success) {
+      // Quizzes scored live: the quiz bar shows the score (quiz_controller)
+      if (data.quiz) {
+        window.dispatchEvent(new CustomEvent(QUIZ_SCORE_EVENT, { detail: data.quiz }))
+      }
       
-      if (data.success) {
-        if (data.completed) {
-          // Simple success animation before redirect
-          this.showSuccessMessage(() => {
-            if (data.redirect_url && data.redirect_url !== 'undefined' && data.redirect_url !== '/f/undefined') {
-              console.log('Redirecting to:', data.redirect_url)
-              window.location.href = data.redirect_url
+      if (data.completed) {
+        // Simple success animation before redirect
+        this.showSuccessMessage(() => {
+          if (data.redirect_url && data.redirect_url !== 'undefined' && data.redirect_url !== '/f/undefined') {
+            console.log('Redirecting to:', data.redirect_url)
+            window.location.href = data.redirect_url
+          } else {
+            console.error('Invalid redirect URL:', data.redirect_url)
+            this.showValidationErrors(['Invalid redirect URL. Please refresh the page.'])
+            if (this.formTokenValue) {
+              window.location.href = `/f/${this.formTokenValue}`
             } else {
-              console.error('Invalid redirect URL:', data.redirect_url)
-              this.showValidationErrors(['Invalid redirect URL. Please refresh the page.'])
-              if (this.formTokenValue) {
-                window.location.href = `/f/${this.formTokenValue}`
-              } else {
-                window.location.reload()
-              }
+              window.location.reload()
             }
-          })
-        } else if (data.next_question) {
-          this.loadNextQuestion(data.next_question)
-        } else {
-          window.location.reload()
-        }
+          }
+        })
+      } else if (data.next_question) {
+        this.progress = data.progress
+        this.loadNextQuestion(data.next_question)
       } else {
-        this.showValidationErrors(data.errors || ['An error occurred. Please try again.'])
+        window.location.reload()
       }
-    })
-    .catch(error => {
-      this.hideLoading()
-      console.error('Error:', error)
-      this.showValidationErrors(['An error occurred. Please try again.'])
-    })
+    } else {
+      this.triggerAnimation('question-did-change')
+      this.showValidationErrors(data.errors || ['An error occurred. Please try again.'])
+    }
+  }
+  
+  showQueuedState() {
+    // Keep the answer on screen; it is sent automatically once the connection returns
+    this.triggerAnimation('question-did-change')
+    this.showWaitingState()
+    
+    toast("You're offline. Your answer is saved and will be sent when your connection returns.", { type: 'info' })
+  }
+  
+  // While its answer waits in the outbox the question cannot be submitted
+  // again: a second answer would be queued, and replayed, as well
+  showWaitingState() {
+    this.answerQueued = true
+    
+    if (this.hasSubmitButtonTarget) {
+      this.submitButtonTarget.disabled = true
+    }
+    
+    if (this.hasSubmitTextTarget) {
+      this.submitTextTarget.textContent = 'Waiting for connection...'
+    }
+    
+    if (this.hasLoadingSpinnerTarget) {
+      this.loadingSpinnerTarget.classList.add('hidden')
+    }
+  }
+  
+  // Coming back to a question, or reloading the page, while its answer is
+  // still queued
+  async restoreQueuedState(questionId) {
+    this.answerQueued = false
+    
+    const queued = await hasPendingRequest(entry => entry.kind === 'answer' && entry.meta.questionId === questionId)
+    if (queued && questionId === this.questionIdValue) this.showWaitingState()
   }
   
   showLoading() {
@@ -243,30 +419,48 @@ export default class extends Controller {
     }
   }
   
-  saveDraft() {
+  async saveDraft() {
     const formData = this.collectFormData()
     
-    fetch(`/f/${this.formTokenValue}/save_draft`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
-      },
-      body: JSON.stringify({ draft_data: formData })
-    })
-    .then(response => response.json())
-    .then(data => {
+    try {
+      const result = await sendOrQueue({
+        kind: 'draft',
+        url: `/f/${this.formTokenValue}/save_draft`,
+        body: { draft_data: formData }
+      })
+      
+      if (result.queued) {
+        toast('Draft saved on this device. It will sync when you are back online.', { type: 'info' })
+        return
+      }
+      
+      const data = await result.response.json()
       if (data.success) {
-        this.showNotification('Draft saved successfully', 'success')
+        toast('Draft saved successfully', { type: 'success' })
       } else {
-        this.showNotification('Failed to save draft', 'error')
+        toast('Failed to save draft', { type: 'error' })
       }
-    })
-    .catch(error => {
+    } catch (error) {
       console.error('Error saving draft:', error)
-      this.showNotification('Failed to save draft', 'error')
-    })
+      toast('Failed to save draft', { type: 'error' })
+    }
+  }
+  
+  async abandon(event) {
+    if (event) event.preventDefault()
+    
+    const reason = (event && event.params && event.params.reason) || 'user_abandoned'
+    
+    try {
+      // Queued like answers so an abandon recorded offline still reaches the server
+      await sendOrQueue({
+        kind: 'abandon',
+        url: `/f/${this.formTokenValue}/abandon`,
+        body: { reason }
+      })
+    } catch (error) {
+      console.error('Error recording abandonment:', error)
+    }
   }
   
   autoSaveDraft() {
@@ -316,23 +510,6 @@ export default class extends Controller {
     window.history.back()
   }
   
-  showNotification(message, type = 'info') {
-    // Create a simple notification
-    const notification = document.createElement('div')
-    notification.className = `fixed top-4 right-4 z-50 p-4 rounded-lg shadow-lg ${
-      type === 'success' ? 'bg-green-100 text-green-800 border border-green-200' :
-      type === 'error' ? 'bg-red-100 text-red-800 border border-red-200' :
-      'bg-blue-100 text-blue-800 border border-blue-200'
-    }`
-    notification.textContent = message
-    
-    document.body.appendChild(notification)
-    
-    // Remove after 3 seconds
-    setTimeout(() => {
-      notification.remove()
-    }, 3000)
-  }
   
   updateSliderValue(event) {
     const input = event.target
@@ -349,47 +526,83 @@ export default class extends Controller {
     }
   }
 
+  // Simple animation methods
+  showSuccessMessage(callback) {
+    toast('Form submitted successfully!', { type: 'success', duration: 1500 })
+    setTimeout(() => { if (callback) callback() }, 1500)
+  }
+
   loadNextQuestion(questionData) {
-    // This would implement dynamic question loading
-    // For now, we'll just reload the page
-    window.location.reload()
+    const url = questionData.fragment_url || this.questionFragmentUrl(questionData.id)
+    this.loadQuestion(url, { pushHistory: true })
   }
 
-  // Simple animation methods
-  showSuccessMessage(callback) {
-    // Simple success notification
-    const notification = document.createElement('div')
-    notification.className = 'fixed top-4 right-4 z-50 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg'
-    notification.innerHTML = `
-      <div class="flex items-center">
-        <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
-        </svg>
-        Form submitted successfully!
-      </div>
-    `
-    document.body.appendChild(notification)
+  questionFragmentUrl(questionId) {
+    return `/f/${this.formTokenValue}/questions/${questionId}`
+  }
+
+  async loadQuestion(url, { pushHistory = true } = {}) {
+    try {
+      const html = await http.get(url, { headers: { 'Accept': 'text/html' }, responseType: 'text' })
+      this.renderQuestion(html)
+      
+      if (pushHistory) {
+        window.history.pushState({ questionId: this.questionIdValue }, '', window.location.href)
+      }
+    } catch (error) {
+      console.error('Error loading question:', error)
+      // Fall back to a full page load so the respondent is never stuck
+      window.location.reload()
+    }
+  }
+
+  renderQuestion(html) {
+    const template = document.createElement('template')
+    template.innerHTML = html.trim()
+    const newFrame = template.content.querySelector('#question-frame')
     
-    setTimeout(() => {
-      notification.remove()
-      if (callback) callback()
-    }, 1500)
+    if (!newFrame || !this.hasQuestionFrameTarget) {
+      throw new Error('Question fragment is missing #question-frame')
+    }
+    
+    this.questionFrameTarget.replaceWith(newFrame)
+    
+    this.questionIdValue = newFrame.dataset.questionId
+    this.requiredValue = newFrame.dataset.required === 'true'
+    this.answerEdited = false
+    this.errorsRevealed = false
+    
+    this.setStartTime()
+    this.setupCharacterCount()
+    
+    const formAnimationController = this.formAnimationController()
+    if (formAnimationController) {
+      formAnimationController.updateProgress(this.progress, Number(newFrame.dataset.position))
+    }
+    
+    this.triggerAnimation('question-did-change')
+    this.focusFirstInput()
   }
 
-  loadNextQuestion(questionData) {
-    // Simple page reload for next question
-    window.location.reload()
+  focusFirstInput() {
+    const input = this.answerInputTargets.find(input => !input.disabled && input.type !== 'hidden')
+    if (input) {
+      input.focus({ preventScroll: true })
+    }
   }
 
   // Helper method to trigger animations
   triggerAnimation(eventType) {
     // Try to call the form animation controller if it exists
-    const formAnimationController = this.application.getControllerForElementAndIdentifier(this.element, 'form-animation')
+    const formAnimationController = this.formAnimationController()
     if (formAnimationController) {
       switch(eventType) {
         case 'question-will-change':
           formAnimationController.animateNextQuestion()
           break
+        case 'question-did-change':
+          formAnimationController.animateQuestionIn()
+          break
         case 'form-submitting':
           formAnimationController.showLoadingState()
           break
@@ -399,4 +612,8 @@ export default class extends Controller {
       }
     }
   }
+
+  formAnimationController() {
+    return this.application.getControllerForElementAndIdentifier(this.element, 'form-animation')
+  }
 }
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { Controller } from "@hotwired/stimulus"
+import { announce, toast } from "lib/notifications"
+import { QUIZ_SCORE_EVENT, formatCountdown, formatPoints, scoreFeedback, secondsLeft } from "lib/quiz"
+
+const WARNING_SECONDS = 60
+
+// Connects to data-controller="quiz"
+// The quiz bar above the questions. A timed quiz counts down to the deadline
+// the server set (FormResponse#quiz_deadline) and, when it runs out, reloads
+// the form, which the server ends on the thank you page. Quizzes scored
+// live show the score so far and tell the respondent how each answer scored.
+export default class extends Controller {
+  static targets = ["timer", "score"]
+  static values = { deadline: String, expiredUrl: String, score: Number, maxScore: Number }
+
+  connect() {
+    this.scoreHandler = event => this.scored(event.detail)
+    window.addEventListener(QUIZ_SCORE_EVENT, this.scoreHandler)
+
+    this.renderScore()
+    if (!this.hasTimerTarget || !this.deadlineValue) return
+
+    this.tick()
+    this.timer = setInterval(() => this.tick(), 1000)
+  }
+
+  disconnect() {
+    window.removeEventListener(QUIZ_SCORE_EVENT, this.scoreHandler)
+    if (this.timer) clearInterval(this.timer)
+  }
+
+  tick() {
+    const seconds = secondsLeft(this.deadlineValue)
+    if (seconds === null) return
+
+    this.timerTarget.textContent = formatCountdown(seconds)
+    this.timerTarget.classList.toggle('text-red-600', seconds <= WARNING_SECONDS)
+    if (seconds === WARNING_SECONDS) announce('One minute left.')
+
+    if (seconds === 0) {
+      clearInterval(this.timer)
+      this.timer = null
+      toast("Time's up! Your answers so far have been submitted.", { type: 'warning' })
+      setTimeout(() => { window.location.href = this.expiredUrlValue }, 1500)
+    }
+  }
+
+  scored(quiz) {
+    this.scoreValue = quiz.score
+    this.maxScoreValue = quiz.max_score
+    this.renderScore()
+
+    toast(scoreFeedback(quiz), { type: quiz.correct === false ? 'warning' : 'success' })
+  }
+
+  renderScore() {
+    if (!this.hasScoreTarget) return
+
+    this.scoreTarget.textContent = `${formatPoints(this.scoreValue)} / ${formatPoints(this.maxScoreValue)}`
+  }
+}
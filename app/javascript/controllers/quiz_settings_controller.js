@@ -0,0 +1,57 @@
+import { Controller } from "@hotwired/stimulus"
+import { errorMessages, http } from "lib/http_client"
+import { element } from "lib/notifications"
+
+// Connects to data-controller="quiz-settings"
+// The builder's quiz panel: quiz mode, when the score is shown, the time
+// limit and the outcomes the thank you page picks from by score. Saved with
+// the form (Form#quiz=), which checks them as Form#quiz_config reads them.
+export default class extends Controller {
+  static targets = ["enabled", "scoring", "timeLimit", "outcomes", "outcomeTemplate", "errors", "saveButton", "status"]
+  static values = { updateUrl: String }
+
+  addOutcome() {
+    const row = this.outcomeTemplateTarget.content.firstElementChild.cloneNode(true)
+    this.outcomesTarget.append(row)
+    row.querySelector('[data-field="title"]').focus()
+  }
+
+  removeOutcome(event) {
+    event.target.closest('[data-quiz-outcome]').remove()
+  }
+
+  async save() {
+    this.showErrors([])
+    this.saveButtonTarget.disabled = true
+    this.statusTarget.textContent = 'Saving...'
+
+    try {
+      await http.patch(this.updateUrlValue, { json: { form: { quiz: this.settings() } } })
+      this.statusTarget.textContent = 'Saved'
+    } catch (error) {
+      console.error('Error saving quiz settings:', error)
+      this.showErrors(errorMessages(error, 'Failed to save the quiz settings. Please try again.'))
+      this.statusTarget.textContent = ''
+    } finally {
+      this.saveButtonTarget.disabled = false
+    }
+  }
+
+  settings() {
+    return {
+      enabled: this.enabledTarget.checked,
+      scoring: this.scoringTarget.value,
+      time_limit_minutes: this.timeLimitTarget.value,
+      outcomes: [...this.outcomesTarget.querySelectorAll('[data-quiz-outcome]')].map(row => ({
+        min_percent: row.querySelector('[data-field="min_percent"]').value,
+        title: row.querySelector('[data-field="title"]').value.trim(),
+        message: row.querySelector('[data-field="message"]').value.trim()
+      }))
+    }
+  }
+
+  showErrors(errors) {
+    this.errorsTarget.replaceChildren(...errors.map(message => element('li', '', message)))
+    this.errorsTarget.classList.toggle('hidden', errors.length === 0)
+  }
+}
@@ -0,0 +1,116 @@
+import { Controller } from "@hotwired/stimulus"
+import Sortable from "sortablejs"
+import { commitAnswer, writeAnswer } from "lib/answer_widget"
+import { announce } from "lib/notifications"
+import { moveElement, positionForKey, rankingAnnouncement } from "lib/reorder"
+
+// Connects to data-controller="ranking"
+// Reordering for ranking questions, with four equivalent controls: dragging an
+// item by its handle (mouse and touch, through SortableJS), the arrow keys,
+// Home and End on the focused handle, the move up/down buttons and the
+// position menu of each item. Every move is announced to screen readers. The
+// order is posted in answer[value] as JSON:
+// [{ id, position, original_position }, ...] from first to last.
+export default class extends Controller {
+  static targets = ["list", "item", "rank", "positionSelect", "moveUpButton", "moveDownButton", "field"]
+
+  connect() {
+    this.sortable = Sortable.create(this.listTarget, {
+      handle: '[data-ranking-handle]',
+      animation: 150,
+      ghostClass: 'opacity-50',
+      onEnd: (event) => {
+        if (event.oldIndex !== event.newIndex) this.moved(event.item)
+      }
+    })
+
+    this.refresh()
+    // The order as rendered is a complete ranking, so it is posted unless the
+    // respondent changes it
+    writeAnswer(this.fieldTarget, this.ranking())
+  }
+
+  disconnect() {
+    if (this.sortable) this.sortable.destroy()
+    this.sortable = null
+  }
+
+  keydown(event) {
+    const item = this.itemFor(event.currentTarget)
+    const position = positionForKey(event.key, this.positionOf(item), this.itemTargets.length)
+    if (position === null) return
+
+    event.preventDefault()
+    this.moveTo(item, position, event.currentTarget)
+  }
+
+  moveUp(event) {
+    const item = this.itemFor(event.currentTarget)
+    this.moveTo(item, this.positionOf(item) - 1, event.currentTarget)
+  }
+
+  moveDown(event) {
+    const item = this.itemFor(event.currentTarget)
+    this.moveTo(item, this.positionOf(item) + 1, event.currentTarget)
+  }
+
+  selectPosition(event) {
+    const item = this.itemFor(event.currentTarget)
+    this.moveTo(item, Number(event.currentTarget.value), event.currentTarget)
+  }
+
+  // `control` is the element that asked for the move. Moving the item in the
+  // DOM drops its focus in some browsers, so it is focused again.
+  moveTo(item, position, control = null) {
+    if (position < 1 || position > this.itemTargets.length || position === this.positionOf(item)) {
+      this.refresh()
+      return
+    }
+
+    moveElement(this.listTarget, item, position)
+    if (control) control.focus()
+    this.moved(item)
+  }
+
+  moved(item) {
+    this.refresh()
+    commitAnswer(this.fieldTarget, this.ranking())
+    announce(rankingAnnouncement(item.dataset.label, this.positionOf(item), this.itemTargets.length))
+  }
+
+  // Brings the rank badges, position menus and move buttons in line with the
+  // current order. The end buttons are aria-disabled rather than disabled so
+  // they keep the focus after moving an item to the top or bottom.
+  refresh() {
+    const total = this.itemTargets.length
+
+    this.itemTargets.forEach((item, index) => {
+      const position = index + 1
+      const rank = this.rankTargets.find(target => item.contains(target))
+      const select = this.positionSelectTargets.find(target => item.contains(target))
+      const upButton = this.moveUpButtonTargets.find(target => item.contains(target))
+      const downButton = this.moveDownButtonTargets.find(target => item.contains(target))
+
+      if (rank) rank.textContent = position
+      if (select) select.value = String(position)
+      if (upButton) upButton.setAttribute('aria-disabled', String(position === 1))
+      if (downButton) downButton.setAttribute('aria-disabled', String(position === total))
+    })
+  }
+
+  itemFor(element) {
+    return this.itemTargets.find(item => item.contains(element))
+  }
+
+  positionOf(item) {
+    return this.itemTargets.indexOf(item) + 1
+  }
+
+  ranking() {
+    return this.itemTargets.map((item, index) => ({
+      id: item.dataset.itemId,
+      position: index + 1,
+      original_position: Number(item.dataset.originalPosition)
+    }))
+  }
+}
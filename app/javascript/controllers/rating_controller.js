@@ -1,88 +1,70 @@
 import { Controller } from "@hotwired/stimulus"
 
+const SELECTED_CLASSES = ['selected', 'border-indigo-500', 'bg-indigo-500', 'scale-110']
+const PREVIEW_CLASSES = ['border-indigo-400', 'bg-indigo-50', 'scale-110']
+
+// Connects to data-controller="rating"
+// Highlights the chosen rating and previews the one under the pointer. The
+// answer itself is the native answer[value] radio.
 export default class extends Controller {
-  static targets = ["option", "container"]
-  static values = { 
-    questionId: String,
-    required: Boolean 
-  }
+  static targets = ["input", "option"]
 
   connect() {
-    console.log('Rating controller connected for question:', this.questionIdValue)
-    this.initializeSelection()
+    this.select()
   }
 
-  disconnect() {
-    console.log('Rating controller disconnected')
+  select() {
+    this.optionTargets.forEach((option, index) => {
+      this.styleOption(option, this.inputTargets[index].checked)
+    })
   }
 
-  // Handle rating selection
-  selectRating(event) {
-    console.log('Rating selected:', event.target.value)
-    const radio = event.target
-    const value = radio.value
-    
-    if (radio.checked) {
-      // Remove selected class from all options
-      this.optionTargets.forEach(option => {
-        option.classList.remove('selected')
-      })
-      
-      // Add selected class to clicked option
-      const selectedOption = this.optionTargets.find(option => 
-        option.dataset.value === value
-      )
-      
-      if (selectedOption) {
-        selectedOption.classList.add('selected')
-        
-        // Add a subtle animation
-        selectedOption.style.animation = 'none'
-        selectedOption.offsetHeight // Trigger reflow
-        selectedOption.style.animation = 'pulse 0.3s ease-in-out'
-      }
-      
-      // Also trigger the change event for the question response controller
-      radio.dispatchEvent(new Event('change', { bubbles: true }))
-    }
-  }
+  preview(event) {
+    const option = this.optionFor(event.currentTarget)
+    if (!option || option.classList.contains('selected')) return
 
-  // Initialize any pre-selected values
-  initializeSelection() {
-    console.log('Initializing selection, options found:', this.optionTargets.length)
-    this.optionTargets.forEach(option => {
-      const value = option.dataset.value
-      const radio = this.element.querySelector(`input[type="radio"][value="${value}"]`)
-      
-      if (radio && radio.checked) {
-        console.log('Found pre-selected value:', value)
-        option.classList.add('selected')
-      }
-    })
+    option.classList.add(...PREVIEW_CLASSES)
+    this.toggleLabelColor(option, 'text-indigo-600')
   }
 
-  // Handle hover effects
-  optionTargetConnected(element) {
-    element.addEventListener('mouseenter', this.handleMouseEnter)
-    element.addEventListener('mouseleave', this.handleMouseLeave)
-  }
+  clearPreview(event) {
+    const option = this.optionFor(event.currentTarget)
+    if (!option || option.classList.contains('selected')) return
 
-  optionTargetDisconnected(element) {
-    element.removeEventListener('mouseenter', this.handleMouseEnter)
-    element.removeEventListener('mouseleave', this.handleMouseLeave)
+    option.classList.remove(...PREVIEW_CLASSES)
+    this.toggleLabelColor(option, 'text-gray-600')
   }
 
-  handleMouseEnter = (event) => {
-    const option = event.currentTarget
-    if (!option.classList.contains('selected')) {
-      option.classList.add('border-indigo-400', 'bg-indigo-50', 'scale-110')
+  styleOption(option, selected) {
+    const wasSelected = option.classList.contains('selected')
+
+    option.classList.remove(...PREVIEW_CLASSES)
+    option.classList.toggle('border-gray-300', !selected)
+    SELECTED_CLASSES.forEach(className => option.classList.toggle(className, selected))
+
+    const label = option.querySelector('span')
+    if (label) {
+      label.classList.toggle('font-bold', selected)
     }
-  }
+    this.toggleLabelColor(option, selected ? 'text-white' : 'text-gray-600')
 
-  handleMouseLeave = (event) => {
-    const option = event.currentTarget
-    if (!option.classList.contains('selected')) {
-      option.classList.remove('border-indigo-400', 'bg-indigo-50', 'scale-110')
+    // Replay the pulse when a different option is picked
+    if (selected && !wasSelected) {
+      option.style.animation = 'none'
+      option.offsetHeight // Trigger reflow
+      option.style.animation = ''
     }
   }
-}
\ No newline at end of file
+
+  toggleLabelColor(option, colorClass) {
+    const label = option.querySelector('span')
+    if (!label) return
+
+    label.classList.remove('text-white', 'text-gray-600', 'text-indigo-600')
+    label.classList.add(colorClass)
+  }
+
+  optionFor(label) {
+    return this.optionTargets.find(option => label.contains(option))
+  }
+}
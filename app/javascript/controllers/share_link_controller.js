@@ -0,0 +1,89 @@
+import { Controller } from "@hotwired/stimulus"
+import { errorMessages, http } from "lib/http_client"
+import { element, toast } from "lib/notifications"
+import { hiddenFieldErrors, parseHiddenFields, prefilledUrl } from "lib/share_links"
+
+// Connects to data-controller="share-link"
+// The builder's share link panel. Hidden fields are saved with the form
+// (Form#hidden_fields); every hidden field and question prefill key gets a
+// value box, and the prefilled share URL is written out as they are typed.
+export default class extends Controller {
+  static targets = ["names", "errors", "saveButton", "status", "parameters", "link"]
+  static values = { updateUrl: String, publicUrl: String, hiddenFields: Array, questions: Array }
+
+  connect() {
+    this.parameterValues = {}
+    this.renderParameters()
+  }
+
+  async saveHiddenFields() {
+    const names = parseHiddenFields(this.namesTarget.value)
+    const errors = hiddenFieldErrors(names)
+    this.showErrors(errors)
+    if (errors.length > 0) return
+
+    this.saveButtonTarget.disabled = true
+    this.statusTarget.textContent = 'Saving...'
+
+    try {
+      const data = await http.patch(this.updateUrlValue, { json: { form: { hidden_fields: names } } })
+
+      this.hiddenFieldsValue = data.form_settings?.hidden_fields || names
+      this.namesTarget.value = this.hiddenFieldsValue.join('\n')
+      this.statusTarget.textContent = 'Saved'
+      this.renderParameters()
+    } catch (error) {
+      console.error('Error saving hidden fields:', error)
+      this.showErrors(errorMessages(error, 'Failed to save the hidden fields. Please try again.'))
+      this.statusTarget.textContent = ''
+    } finally {
+      this.saveButtonTarget.disabled = false
+    }
+  }
+
+  async copy() {
+    try {
+      await navigator.clipboard.writeText(this.linkTarget.value)
+      toast('Share link copied.', { type: 'success' })
+    } catch (error) {
+      this.linkTarget.select()
+      toast('Press Ctrl+C (or ⌘C) to copy the selected link.')
+    }
+  }
+
+  renderParameters() {
+    this.parametersTarget.replaceChildren(...this.parameters().map(({ name, label }) => {
+      const input = element('input', 'mt-1 w-full px-2 py-1 border border-gray-300 rounded text-xs')
+      input.type = 'text'
+      input.value = this.parameterValues[name] || ''
+      input.addEventListener('input', () => {
+        this.parameterValues[name] = input.value
+        this.updateLink()
+      })
+
+      return element('label', 'block', [
+        element('span', 'block font-mono text-xs font-medium text-gray-700', name),
+        element('span', 'block text-xs text-gray-500', label),
+        input
+      ])
+    }))
+
+    this.updateLink()
+  }
+
+  updateLink() {
+    this.linkTarget.value = prefilledUrl(this.publicUrlValue, this.parameterValues, this.parameters().map(({ name }) => name))
+  }
+
+  parameters() {
+    return [
+      ...this.hiddenFieldsValue.map(name => ({ name, label: 'Hidden field' })),
+      ...this.questionsValue.map(question => ({ name: question.key, label: question.title }))
+    ]
+  }
+
+  showErrors(errors) {
+    this.errorsTarget.replaceChildren(...errors.map(message => element('li', '', message)))
+    this.errorsTarget.classList.toggle('hidden', errors.length === 0)
+  }
+}
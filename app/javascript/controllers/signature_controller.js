@@ -0,0 +1,160 @@
+import { Controller } from "@hotwired/stimulus"
+import { announceAnswer, writeAnswer } from "lib/answer_widget"
+import { drawSignature, isBlankSignature, parseSignature, signatureDuration, signatureToSvg } from "lib/signature_strokes"
+
+// Connects to data-controller="signature"
+// Signature pad for signature questions. Strokes are recorded as timestamped
+// points with pointer events (mouse, pen pressure and touch) and drawn as
+// smoothed curves on a canvas scaled for the screen's pixel density. When a
+// stroke ends or is undone the signature is posted three ways: the strokes
+// (answer[signature_strokes], see lib/signature_strokes), an SVG rendering
+// (answer[signature_svg]) and a PNG data URL (answer[signature_data]).
+export default class extends Controller {
+  static targets = ["canvas", "field", "svgField", "strokesField", "status", "undoButton"]
+
+  connect() {
+    this.context = this.canvasTarget.getContext('2d')
+    this.currentStroke = null
+    // A signature restored from a draft is drawn back onto the pad
+    this.signature = parseSignature(this.strokesFieldTarget.value) || this.emptySignature()
+    // Strokes added to a restored signature are timed after its last point
+    this.startedAt = performance.now() - signatureDuration(this.signature)
+
+    this.resizeObserver = new ResizeObserver(() => this.resize())
+    this.resizeObserver.observe(this.canvasTarget)
+    this.resize()
+    this.updateStatus()
+  }
+
+  disconnect() {
+    this.resizeObserver.disconnect()
+    cancelAnimationFrame(this.renderFrame)
+    this.currentStroke = null
+  }
+
+  start(event) {
+    if (!event.isPrimary) return
+    event.preventDefault()
+    this.canvasTarget.setPointerCapture(event.pointerId)
+
+    if (isBlankSignature(this.signature)) {
+      const { width, height } = this.canvasTarget.getBoundingClientRect()
+      this.signature = { width, height, strokes: [] }
+      this.startedAt = event.timeStamp
+    }
+
+    this.currentStroke = [this.pointFor(event)]
+    this.signature.strokes.push(this.currentStroke)
+    this.scheduleRender()
+  }
+
+  draw(event) {
+    if (!this.currentStroke || !event.isPrimary) return
+    event.preventDefault()
+
+    // Coalesced events keep the points the browser merged into this one
+    const events = typeof event.getCoalescedEvents === 'function' ? event.getCoalescedEvents() : []
+    ;(events.length > 0 ? events : [event]).forEach(pointerEvent => {
+      this.currentStroke.push(this.pointFor(pointerEvent))
+    })
+    this.scheduleRender()
+  }
+
+  end(event) {
+    if (!this.currentStroke || !event.isPrimary) return
+    event.preventDefault()
+    this.currentStroke = null
+
+    this.render()
+    this.commit()
+  }
+
+  undo() {
+    if (isBlankSignature(this.signature)) return
+
+    this.signature.strokes.pop()
+    this.render()
+    this.commit()
+  }
+
+  clear() {
+    this.signature = this.emptySignature()
+    this.render()
+    this.commit()
+  }
+
+  commit() {
+    const blank = isBlankSignature(this.signature)
+
+    writeAnswer(this.strokesFieldTarget, blank ? '' : this.signature)
+    writeAnswer(this.svgFieldTarget, blank ? '' : signatureToSvg(this.signature))
+    writeAnswer(this.fieldTarget, blank ? '' : this.canvasTarget.toDataURL('image/png'))
+    announceAnswer(this.fieldTarget)
+    this.updateStatus()
+  }
+
+  updateStatus() {
+    const blank = isBlankSignature(this.signature)
+
+    this.statusTarget.textContent = blank ? 'No signature' : 'Signature captured'
+    if (this.hasUndoButtonTarget) {
+      this.undoButtonTarget.disabled = blank
+    }
+  }
+
+  // Sizes the drawing buffer for devicePixelRatio so lines stay sharp
+  resize() {
+    const { width, height } = this.canvasTarget.getBoundingClientRect()
+    if (width === 0 || height === 0) return
+
+    const ratio = window.devicePixelRatio || 1
+    this.canvasTarget.width = Math.round(width * ratio)
+    this.canvasTarget.height = Math.round(height * ratio)
+    this.render()
+  }
+
+  scheduleRender() {
+    cancelAnimationFrame(this.renderFrame)
+    this.renderFrame = requestAnimationFrame(() => this.render())
+  }
+
+  render() {
+    const scale = this.scale()
+
+    this.context.setTransform(1, 0, 0, 1, 0, 0)
+    this.context.clearRect(0, 0, this.canvasTarget.width, this.canvasTarget.height)
+    this.context.setTransform(scale, 0, 0, scale, 0, 0)
+    drawSignature(this.context, this.signature)
+  }
+
+  // Buffer pixels per signature unit. Points keep the coordinates of the pad
+  // size the signature was started at, whatever the pad is resized to later.
+  scale() {
+    return this.canvasTarget.width / this.signature.width
+  }
+
+  pointFor(event) {
+    const rect = this.canvasTarget.getBoundingClientRect()
+    const unit = this.signature.width / rect.width
+    const point = [
+      round((event.clientX - rect.left) * unit),
+      round((event.clientY - rect.top) * unit),
+      Math.round(event.timeStamp - this.startedAt)
+    ]
+
+    if (event.pointerType === 'pen' && event.pressure > 0) {
+      point.push(round(event.pressure))
+    }
+
+    return point
+  }
+
+  emptySignature() {
+    const { width, height } = this.canvasTarget.getBoundingClientRect()
+    return { width: width || 400, height: height || 200, strokes: [] }
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
@@ -0,0 +1,104 @@
+import { Controller } from "@hotwired/stimulus"
+import { drawSignature, parseSignature, signatureDuration, signatureToSvg } from "lib/signature_strokes"
+
+// Connects to data-controller="signature-replay"
+// Read-only view of a signature answer. The signature is drawn from its
+// stroke data, can be replayed stroke by stroke at the speed it was signed and
+// downloaded as SVG. Both are rendered from the stroke numbers, never from the
+// SVG markup that was posted with the answer.
+export default class extends Controller {
+  static targets = ["canvas", "replayButton", "downloadButton"]
+  static values = {
+    signature: String,
+    filename: { type: String, default: 'signature.svg' }
+  }
+
+  connect() {
+    this.signature = parseSignature(this.signatureValue)
+    this.context = this.canvasTarget.getContext('2d')
+
+    if (!this.signature) {
+      this.disableControls()
+      return
+    }
+
+    this.resizeObserver = new ResizeObserver(() => this.resize())
+    this.resizeObserver.observe(this.canvasTarget)
+    this.resize()
+  }
+
+  disconnect() {
+    if (this.resizeObserver) this.resizeObserver.disconnect()
+    this.stopReplay()
+  }
+
+  replay() {
+    if (!this.signature) return
+
+    this.stopReplay()
+    const duration = signatureDuration(this.signature)
+    const startedAt = performance.now()
+    this.replayButtonTarget.disabled = true
+
+    const step = now => {
+      const elapsed = now - startedAt
+      this.render(elapsed)
+
+      if (elapsed < duration) {
+        this.replayFrame = requestAnimationFrame(step)
+      } else {
+        this.stopReplay()
+      }
+    }
+
+    this.replayFrame = requestAnimationFrame(step)
+  }
+
+  stopReplay() {
+    cancelAnimationFrame(this.replayFrame)
+    this.replayFrame = null
+    if (this.hasReplayButtonTarget) this.replayButtonTarget.disabled = !this.signature
+  }
+
+  downloadSvg() {
+    if (!this.signature) return
+
+    const url = URL.createObjectURL(new Blob([signatureToSvg(this.signature)], { type: 'image/svg+xml' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = this.filenameValue
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
+  resize() {
+    const { width } = this.canvasTarget.getBoundingClientRect()
+    if (width === 0) return
+
+    // The canvas keeps the pad's aspect ratio and the screen's pixel density
+    const ratio = window.devicePixelRatio || 1
+    const height = width * this.signature.height / this.signature.width
+    this.canvasTarget.style.height = `${height}px`
+    this.canvasTarget.width = Math.round(width * ratio)
+    this.canvasTarget.height = Math.round(height * ratio)
+
+    if (!this.replayFrame) this.render()
+  }
+
+  render(until = Infinity) {
+    const scale = this.canvasTarget.width / this.signature.width
+
+    this.context.setTransform(1, 0, 0, 1, 0, 0)
+    this.context.clearRect(0, 0, this.canvasTarget.width, this.canvasTarget.height)
+    this.context.setTransform(scale, 0, 0, scale, 0, 0)
+    drawSignature(this.context, this.signature, { until })
+  }
+
+  disableControls() {
+    [...this.replayButtonTargets, ...this.downloadButtonTargets].forEach(button => {
+      button.disabled = true
+    })
+  }
+}
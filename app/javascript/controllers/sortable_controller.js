@@ -1,31 +1,175 @@
 import { Controller } from "@hotwired/stimulus"
 import Sortable from "sortablejs"
 
+// Connects to data-controller="sortable"
+// Drag and drop ordering with a keyboard alternative: focus an item's handle,
+// press Space to grab it, move it with the arrow keys and press Space again to
+// drop it (Escape cancels). Both paths dispatch the same `sorted` event.
 export default class extends Controller {
-  static values = { handle: String }
-  
+  static values = {
+    handle: String,
+    itemLabel: { type: String, default: 'item' }
+  }
+
   connect() {
     this.initializeSortable()
+    this.initializeKeyboardReordering()
   }
 
   disconnect() {
     if (this.sortable) {
       this.sortable.destroy()
     }
+
+    this.element.removeEventListener('keydown', this.keydownHandler)
+    if (this.handleObserver) this.handleObserver.disconnect()
+    if (this.liveRegion) this.liveRegion.remove()
+  }
+
+  get handleSelector() {
+    return this.hasHandleValue ? this.handleValue : '.cursor-grab'
   }
 
   initializeSortable() {
-    const handleSelector = this.hasHandleValue ? this.handleValue : '.cursor-grab'
-    
     this.sortable = Sortable.create(this.element, {
-      handle: handleSelector,
+      handle: this.handleSelector,
       animation: 150,
       ghostClass: 'sortable-ghost',
       chosenClass: 'sortable-chosen',
       dragClass: 'sortable-drag',
       onEnd: (evt) => {
-        this.dispatch('sorted', { detail: { item: evt.item, newIndex: evt.newIndex, oldIndex: evt.oldIndex } })
+        this.dispatchSorted(evt.item, evt.newIndex, evt.oldIndex)
+      }
+    })
+  }
+
+  dispatchSorted(item, newIndex, oldIndex) {
+    this.dispatch('sorted', { detail: { item, newIndex, oldIndex } })
+  }
+
+  // Keyboard reordering
+
+  initializeKeyboardReordering() {
+    this.grabbed = null
+    this.prepareHandles()
+
+    // Announcements live next to the list so they are not sortable items
+    this.liveRegion = document.createElement('div')
+    this.liveRegion.className = 'sr-only'
+    this.liveRegion.setAttribute('aria-live', 'assertive')
+    this.element.insertAdjacentElement('afterend', this.liveRegion)
+
+    this.keydownHandler = (event) => this.handleKeydown(event)
+    this.element.addEventListener('keydown', this.keydownHandler)
+
+    // Items added later (new, duplicated or restored questions) need the same
+    // handle attributes
+    this.handleObserver = new MutationObserver(() => this.prepareHandles())
+    this.handleObserver.observe(this.element, { childList: true, subtree: true })
+  }
+
+  // Leaves attributes already set alone, so moving a grabbed item keeps its
+  // handle pressed
+  prepareHandles() {
+    this.element.querySelectorAll(this.handleSelector).forEach(handle => {
+      if (!handle.hasAttribute('tabindex')) handle.setAttribute('tabindex', '0')
+      handle.setAttribute('role', 'button')
+      if (!handle.hasAttribute('aria-pressed')) handle.setAttribute('aria-pressed', 'false')
+      if (!handle.hasAttribute('aria-label')) {
+        handle.setAttribute('aria-label', `Reorder ${this.itemLabelValue}. Press Space to grab, arrow keys to move.`)
       }
     })
   }
-}
\ No newline at end of file
+
+  handleKeydown(event) {
+    const handle = event.target.closest(this.handleSelector)
+    if (!handle || !this.element.contains(handle)) return
+
+    switch (event.key) {
+      case ' ':
+        event.preventDefault()
+        if (this.grabbed) {
+          this.drop()
+        } else {
+          this.grab(handle)
+        }
+        break
+      case 'ArrowUp':
+      case 'ArrowDown':
+        if (!this.grabbed) return
+        event.preventDefault()
+        this.moveGrabbed(event.key === 'ArrowUp' ? -1 : 1)
+        break
+      case 'Escape':
+        if (!this.grabbed) return
+        event.preventDefault()
+        this.cancel()
+        break
+    }
+  }
+
+  items() {
+    return Array.from(this.element.children)
+  }
+
+  grab(handle) {
+    const item = this.items().find(candidate => candidate.contains(handle))
+    if (!item) return
+
+    this.grabbed = { item, handle, oldIndex: this.items().indexOf(item) }
+    item.classList.add('sortable-chosen')
+    handle.setAttribute('aria-pressed', 'true')
+    this.announce(`Grabbed ${this.itemLabelValue} ${this.grabbed.oldIndex + 1} of ${this.items().length}. Use the arrow keys to move, Space to drop, Escape to cancel.`)
+  }
+
+  moveGrabbed(direction) {
+    const { item, handle } = this.grabbed
+    const items = this.items()
+    const sibling = items[items.indexOf(item) + direction]
+    if (!sibling) return
+
+    if (direction < 0) {
+      sibling.before(item)
+    } else {
+      sibling.after(item)
+    }
+
+    // Moving the node drops focus in some browsers
+    handle.focus()
+    this.announce(`Moved to position ${this.items().indexOf(item) + 1} of ${items.length}.`)
+  }
+
+  drop() {
+    const { item, oldIndex } = this.grabbed
+    const newIndex = this.items().indexOf(item)
+
+    this.release()
+    this.announce(`Dropped at position ${newIndex + 1}.`)
+    if (newIndex !== oldIndex) this.dispatchSorted(item, newIndex, oldIndex)
+  }
+
+  cancel() {
+    const { item, handle, oldIndex } = this.grabbed
+    const others = this.items().filter(candidate => candidate !== item)
+
+    if (oldIndex < others.length) {
+      others[oldIndex].before(item)
+    } else {
+      this.element.append(item)
+    }
+
+    handle.focus()
+    this.release()
+    this.announce('Reorder cancelled.')
+  }
+
+  release() {
+    this.grabbed.item.classList.remove('sortable-chosen')
+    this.grabbed.handle.setAttribute('aria-pressed', 'false')
+    this.grabbed = null
+  }
+
+  announce(message) {
+    this.liveRegion.textContent = message
+  }
+}
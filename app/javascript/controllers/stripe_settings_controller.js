@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { errorMessages, http } from "lib/http_client"
+import { element } from "lib/notifications"
 
 export default class extends Controller {
   static targets = ["publishableKey", "secretKey", "webhookSecret", "submitButton", "status"]
@@ -49,15 +51,7 @@ export default class extends Controller {
     `
 
     try {
-      const response = await fetch('/stripe_settings/test_connection', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
-        }
-      })
-
-      const data = await response.json()
+      const data = await http.post('/stripe_settings/test_connection')
 
       if (data.success) {
         this.showSuccessStatus(data)
@@ -66,7 +60,7 @@ export default class extends Controller {
       }
     } catch (error) {
       console.error('Test connection error:', error)
-      this.showErrorStatus('Connection test failed. Please try again.')
+      this.showErrorStatus(errorMessages(error, 'Connection test failed. Please try again.')[0])
     } finally {
       // Reset button
       button.disabled = false
@@ -76,44 +70,45 @@ export default class extends Controller {
 
   showSuccessStatus(data) {
     if (!this.hasStatusTarget) return
-    
+
+    const detail = (label, value) => element('p', '', [element('strong', '', `${label}:`), ` ${value}`])
+    const details = [
+      detail('Account ID', data.account_id),
+      ...(data.business_name ? [detail('Business', data.business_name)] : []),
+      detail('Country', data.country),
+      detail('Currency', data.currency),
+      detail('Charges Enabled', data.charges_enabled ? 'Yes' : 'No'),
+      detail('Payouts Enabled', data.payouts_enabled ? 'Yes' : 'No')
+    ]
+
     this.statusTarget.className = 'mt-4 p-4 rounded-md bg-green-50 border border-green-200'
-    this.statusTarget.innerHTML = `
-      <div class="flex items-start">
-        <svg class="w-5 h-5 text-green-600 mt-0.5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-        </svg>
-        <div class="flex-1">
-          <h4 class="text-sm font-medium text-green-900">Connection Successful!</h4>
-          <div class="mt-2 text-sm text-green-700">
-            <p><strong>Account ID:</strong> ${data.account_id}</p>
-            ${data.business_name ? `<p><strong>Business:</strong> ${data.business_name}</p>` : ''}
-            <p><strong>Country:</strong> ${data.country}</p>
-            <p><strong>Currency:</strong> ${data.currency}</p>
-            <p><strong>Charges Enabled:</strong> ${data.charges_enabled ? 'Yes' : 'No'}</p>
-            <p><strong>Payouts Enabled:</strong> ${data.payouts_enabled ? 'Yes' : 'No'}</p>
-          </div>
-        </div>
-      </div>
-    `
-    this.statusTarget.classList.remove('hidden')
+    this.renderStatus('text-green-600', 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z', element('div', 'flex-1', [
+      element('h4', 'text-sm font-medium text-green-900', 'Connection Successful!'),
+      element('div', 'mt-2 text-sm text-green-700', details)
+    ]))
   }
 
   showErrorStatus(error) {
     if (!this.hasStatusTarget) return
-    
+
     this.statusTarget.className = 'mt-4 p-4 rounded-md bg-red-50 border border-red-200'
-    this.statusTarget.innerHTML = `
-      <div class="flex items-start">
-        <svg class="w-5 h-5 text-red-600 mt-0.5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-        </svg>
-        <div>
-          <h4 class="text-sm font-medium text-red-900">Connection Failed</h4>
-          <p class="mt-1 text-sm text-red-700">${error}</p>
-        </div>
-      </div>
+    this.renderStatus('text-red-600', 'M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z', element('div', '', [
+      element('h4', 'text-sm font-medium text-red-900', 'Connection Failed'),
+      element('p', 'mt-1 text-sm text-red-700', error)
+    ]))
+  }
+
+  // Stripe account details and error messages are rendered as text
+  renderStatus(iconClass, iconPath, content) {
+    const row = element('div', 'flex items-start')
+    row.innerHTML = `
+      <svg class="w-5 h-5 ${iconClass} mt-0.5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${iconPath}"></path>
+      </svg>
     `
+    row.append(content)
+
+    this.statusTarget.replaceChildren(row)
     this.statusTarget.classList.remove('hidden')
   }
 
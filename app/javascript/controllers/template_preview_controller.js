@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { csrfToken } from "lib/http_client"
 
 // Connects to data-controller="template-preview"
 export default class extends Controller {
@@ -62,12 +63,12 @@ export default class extends Controller {
     form.action = instantiateUrl
     
     // Add CSRF token
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content')
-    if (csrfToken) {
+    const token = csrfToken()
+    if (token) {
       const csrfInput = document.createElement('input')
       csrfInput.type = 'hidden'
       csrfInput.name = 'authenticity_token'
-      csrfInput.value = csrfToken
+      csrfInput.value = token
       form.appendChild(csrfInput)
     }
     
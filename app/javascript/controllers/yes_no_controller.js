@@ -0,0 +1,22 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Connects to data-controller="yes-no"
+// Highlights the chosen Yes/No card. Each option lists its highlight classes
+// in data-selected-class; the answer itself is the native answer[value] radio.
+export default class extends Controller {
+  static targets = ["option", "indicator"]
+
+  connect() {
+    this.update()
+  }
+
+  update() {
+    this.optionTargets.forEach((option, index) => {
+      const selected = option.querySelector('input[type="radio"]').checked
+      const selectedClasses = (option.dataset.selectedClass || '').split(' ').filter(Boolean)
+
+      selectedClasses.forEach(className => option.classList.toggle(className, selected))
+      this.indicatorTargets[index].classList.toggle('hidden', !selected)
+    })
+  }
+}
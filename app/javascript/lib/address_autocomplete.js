@@ -0,0 +1,113 @@
+// app/javascript/lib/address_autocomplete.js
+//
+// Address suggestions for the address widget, from a pluggable provider. A
+// provider is an object with
+//
+//   search(query, { country, signal }) => Promise<[{ id, label, description, address }]>
+//   resolve(suggestion)                => Promise<address>   (optional)
+//
+// where address holds the structured components of lib/addresses (line1,
+// line2, city, region, postal_code, country). resolve is for providers whose
+// search results do not carry the full address. Providers are registered by
+// name and picked with config.x.address_autocomplete (see
+// config/initializers/address_autocomplete.rb). The offline provider searches
+// a local dataset and needs no network or key.
+//
+//   import { createAddressProvider } from "lib/address_autocomplete"
+//
+//   const provider = createAddressProvider({ provider: 'offline', url: '/addresses.json' })
+//   const suggestions = await provider.search('10 downing', { country: 'GB' })
+
+import { request, RequestError } from "lib/http_client"
+import { matchesTerms, words } from "lib/search_terms"
+
+export const DEFAULT_SUGGESTION_LIMIT = 5
+
+const providers = new Map()
+
+// Adds a provider. The factory receives the configured options (url, key,
+// limit, ...) and returns the provider.
+export function registerAddressProvider(name, factory) {
+  providers.set(name, factory)
+}
+
+// Returns the configured provider, or null when autocomplete is off or the
+// provider is not registered
+export function createAddressProvider({ provider: name, ...options } = {}) {
+  if (!name) return null
+
+  const factory = providers.get(name)
+  if (!factory) {
+    console.warn(`No address autocomplete provider: ${name}`)
+    return null
+  }
+
+  return factory(options)
+}
+
+// Searches a list of addresses: given inline, or fetched once from url. Every
+// word of the query has to start a word of the address (lib/search_terms).
+export class OfflineAddressProvider {
+  constructor({ addresses = null, url = null, limit = DEFAULT_SUGGESTION_LIMIT } = {}) {
+    this.addresses = addresses
+    this.url = url
+    this.limit = limit
+  }
+
+  async search(query, { country = null, signal } = {}) {
+    const terms = words(query)
+    if (terms.length === 0) return []
+
+    const addresses = await this.load(signal)
+    const matches = []
+
+    for (const [index, address] of addresses.entries()) {
+      if (country && address.country !== country) continue
+
+      if (!matchesTerms(terms, Object.values(address).join(' '))) continue
+
+      matches.push(suggestion(address, index))
+      if (matches.length >= this.limit) break
+    }
+
+    return matches
+  }
+
+  // One download serves every lookup. Each lookup only stops waiting for it
+  // when its own signal aborts, so cancelling one search never fails another.
+  async load(signal) {
+    if (this.addresses) return this.addresses
+    if (!this.url) return []
+
+    this.loading ||= request(this.url)
+      .then(addresses => (this.addresses = addresses))
+      .finally(() => (this.loading = null))
+
+    return untilAborted(this.loading, signal)
+  }
+}
+
+registerAddressProvider('offline', options => new OfflineAddressProvider(options))
+
+function suggestion(address, index) {
+  const place = [address.city, address.region, address.postal_code].filter(Boolean).join(', ')
+
+  return {
+    id: address.id || String(index),
+    label: [address.line1, address.line2].filter(Boolean).join(', '),
+    description: [place, address.country].filter(Boolean).join(', '),
+    address
+  }
+}
+
+function untilAborted(promise, signal) {
+  if (!signal) return promise
+
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(new RequestError('The request was cancelled', { kind: 'aborted' }))
+    if (signal.aborted) return abort()
+
+    signal.addEventListener('abort', abort, { once: true })
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort))
+  })
+}
@@ -0,0 +1,74 @@
+// app/javascript/lib/addresses.js
+//
+// Structured answers for address questions: line1, line2, city, region,
+// postal_code and country. How each country writes its addresses (the rows
+// of fields, their labels, the required fields and the postal code format)
+// comes from config/address_formats.json, which reaches the browser in an
+// address question's answer constraints (FormQuestion#answer_constraints).
+// FormQuestion::Address applies the same rules on the server.
+//
+//   import { addressErrors, addressLines } from "lib/addresses"
+//
+//   addressErrors({ line1: '1 Main St', city: 'Springfield', country: 'US' }, countries)
+//   // => ['State is required', 'ZIP code is required']
+//   addressLines({ city: 'Springfield', region: 'IL', postal_code: '62701' }, us)
+//   // => ['Springfield, IL 62701']
+
+export const ADDRESS_COMPONENTS = ['line1', 'line2', 'city', 'region', 'postal_code']
+export const ADDRESS_COUNTRY_MESSAGE = 'Choose a country from the list'
+
+export function addressFormat(countries, code) {
+  return countries.find(format => format.code === String(code || '').toUpperCase()) || null
+}
+
+// Trimmed components with single spaces, the postal code and country in
+// capitals. Empty components are left out.
+export function normalizeAddress(address) {
+  const normalized = {}
+
+  for (const key of [...ADDRESS_COMPONENTS, 'country']) {
+    let value = String(address?.[key] ?? '').trim().replace(/\s+/g, ' ')
+    if (key === 'postal_code' || key === 'country') value = value.toUpperCase()
+    if (value) normalized[key] = value
+  }
+
+  return normalized
+}
+
+// The country menu always posts a country, which alone is no address
+export function isEmptyAddress(address) {
+  const normalized = normalizeAddress(address)
+  return ADDRESS_COMPONENTS.every(key => !normalized[key])
+}
+
+export function addressErrors(address, countries, defaultCountry = null) {
+  const normalized = normalizeAddress(address)
+  const format = addressFormat(countries, normalized.country || defaultCountry)
+  if (!format) return [ADDRESS_COUNTRY_MESSAGE]
+
+  const errors = format.required
+    .filter(key => !normalized[key])
+    .map(key => `${format.labels[key]} is required`)
+
+  const postalCode = normalized.postal_code
+  if (postalCode && format.postal_code_pattern && !new RegExp(`^(?:${format.postal_code_pattern})$`).test(postalCode)) {
+    errors.push(`${format.labels.postal_code} is not valid`)
+  }
+
+  return errors
+}
+
+// The address as the country writes it, one string per layout row. Postal
+// codes are set off with a space, other components with a comma.
+export function addressLines(address, format) {
+  const normalized = normalizeAddress(address)
+
+  return format.layout
+    .map(row => row.filter(key => normalized[key]).reduce((line, key, index, keys) => {
+      if (index === 0) return normalized[key]
+
+      const separator = key === 'postal_code' || keys[index - 1] === 'postal_code' ? ' ' : ', '
+      return `${line}${separator}${normalized[key]}`
+    }, ''))
+    .filter(line => line !== '')
+}
@@ -0,0 +1,317 @@
+// app/javascript/lib/answer_outbox.js
+//
+// Persistent outbox for the public /f/:share_token flow. Answers, drafts and
+// abandon events that cannot reach the server are stored in IndexedDB and
+// replayed in order, each with its own Idempotency-Key, once connectivity
+// returns. The server (IdempotentRequests concern) replays the stored response
+// for keys it has already processed, so a retried request is never applied twice.
+
+import { csrfToken } from "lib/http_client"
+
+const DB_NAME = 'agentform-outbox'
+const DB_VERSION = 1
+const STORE_NAME = 'requests'
+const MAX_RETRY_DELAY_MS = 30000
+
+export const OUTBOX_CHANGE_EVENT = 'answer-outbox:change'
+export const OUTBOX_DELIVERED_EVENT = 'answer-outbox:delivered'
+
+let dbPromise = null
+let flushPromise = null
+let retryTimeout = null
+let started = false
+
+// Public API
+
+// Sends the request right away when possible, otherwise stores it for replay.
+// Resolves to { queued: true } or { queued: false, response }.
+export async function sendOrQueue({ kind, url, method = 'POST', body = null, headers = {}, meta = {} }) {
+  const entry = {
+    kind,
+    url,
+    method,
+    headers,
+    meta,
+    body: serializeBody(body),
+    idempotencyKey: generateIdempotencyKey(),
+    createdAt: new Date().toISOString(),
+    attempts: 0
+  }
+
+  // Anything already waiting must go first, so new requests join the queue
+  if (isOffline() || (await pendingCount()) > 0) {
+    await enqueue(entry)
+    flush()
+    return { queued: true }
+  }
+
+  try {
+    const response = await deliver(entry)
+    return { queued: false, response }
+  } catch (error) {
+    if (!isNetworkError(error)) throw error
+
+    await enqueue(entry)
+    scheduleRetry(entry.attempts)
+    return { queued: true }
+  }
+}
+
+// Replays queued requests in insertion order, stopping at the first one that
+// still cannot be delivered.
+export function flush() {
+  if (flushPromise) return flushPromise
+
+  flushPromise = replayQueue().finally(() => {
+    flushPromise = null
+  })
+
+  return flushPromise
+}
+
+export async function pendingCount() {
+  if (!indexedDbAvailable()) return 0
+
+  const db = await openDatabase()
+  return requestToPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).count())
+}
+
+// Whether a stored request the test accepts is still waiting to be sent
+export async function hasPendingRequest(test) {
+  if (!indexedDbAvailable()) return false
+
+  const db = await openDatabase()
+  const entries = await requestToPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll())
+  return entries.some(test)
+}
+
+// Registers the connectivity listeners once per page and replays anything left
+// over from a previous visit.
+export function startOutbox() {
+  if (started) return
+  started = true
+
+  window.addEventListener('online', () => flush())
+  window.addEventListener('offline', () => notifyChange())
+
+  flush()
+}
+
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false
+}
+
+export function isNetworkError(error) {
+  // fetch rejects with a TypeError when the request never reached the server
+  return error instanceof TypeError
+}
+
+// Queue processing
+
+async function replayQueue() {
+  if (!indexedDbAvailable() || isOffline()) {
+    await notifyChange()
+    return
+  }
+
+  await notifyChange({ sending: true })
+
+  let entry = await firstEntry()
+  while (entry) {
+    let response
+
+    try {
+      response = await deliver(entry)
+    } catch (error) {
+      if (!isNetworkError(error)) console.error('Outbox delivery error:', error)
+      await recordAttempt(entry)
+      scheduleRetry(entry.attempts)
+      break
+    }
+
+    if (isRetryableStatus(response.status)) {
+      await recordAttempt(entry)
+      scheduleRetry(entry.attempts)
+      break
+    }
+
+    await removeEntry(entry.id)
+    await announceDelivery(entry, response)
+
+    entry = await firstEntry()
+  }
+
+  await notifyChange()
+}
+
+async function deliver(entry) {
+  return fetch(entry.url, {
+    method: entry.method,
+    body: deserializeBody(entry.body),
+    headers: {
+      'Accept': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest',
+      ...entry.headers,
+      ...(entry.body && entry.body.type === 'json' ? { 'Content-Type': 'application/json' } : {}),
+      // Always use the current token; the one from when the entry was queued may have rotated
+      'X-CSRF-Token': csrfToken(),
+      'Idempotency-Key': entry.idempotencyKey
+    }
+  })
+}
+
+async function announceDelivery(entry, response) {
+  let data = null
+
+  try {
+    data = await response.clone().json()
+  } catch (error) {
+    // Empty bodies (head :ok) and HTML responses carry no data
+  }
+
+  window.dispatchEvent(new CustomEvent(OUTBOX_DELIVERED_EVENT, {
+    detail: { entry, ok: response.ok, status: response.status, data }
+  }))
+}
+
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429
+}
+
+function scheduleRetry(attempts) {
+  if (retryTimeout) clearTimeout(retryTimeout)
+
+  const delay = Math.min(1000 * 2 ** attempts, MAX_RETRY_DELAY_MS)
+  retryTimeout = setTimeout(() => {
+    retryTimeout = null
+    flush()
+  }, delay)
+}
+
+async function notifyChange({ sending = false } = {}) {
+  const count = await pendingCount()
+
+  window.dispatchEvent(new CustomEvent(OUTBOX_CHANGE_EVENT, {
+    detail: { pending: count, offline: isOffline(), sending: sending && count > 0 }
+  }))
+}
+
+// IndexedDB storage
+
+function indexedDbAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      dbPromise = null
+      reject(request.error)
+    }
+  })
+
+  return dbPromise
+}
+
+async function enqueue(entry) {
+  if (!indexedDbAvailable()) {
+    throw new Error('Offline storage is not available in this browser')
+  }
+
+  const db = await openDatabase()
+  const transaction = db.transaction(STORE_NAME, 'readwrite')
+  const store = transaction.objectStore(STORE_NAME)
+
+  // Only the latest draft for a given endpoint is worth sending
+  if (entry.kind === 'draft') {
+    const entries = await requestToPromise(store.getAll())
+    entries
+      .filter(existing => existing.kind === 'draft' && existing.url === entry.url)
+      .forEach(existing => store.delete(existing.id))
+  }
+
+  store.add(entry)
+  await transactionToPromise(transaction)
+  await notifyChange()
+}
+
+async function firstEntry() {
+  const db = await openDatabase()
+  const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME)
+  const cursor = await requestToPromise(store.openCursor())
+
+  return cursor ? cursor.value : null
+}
+
+async function recordAttempt(entry) {
+  entry.attempts += 1
+
+  const db = await openDatabase()
+  const transaction = db.transaction(STORE_NAME, 'readwrite')
+  transaction.objectStore(STORE_NAME).put(entry)
+  await transactionToPromise(transaction)
+}
+
+async function removeEntry(id) {
+  const db = await openDatabase()
+  const transaction = db.transaction(STORE_NAME, 'readwrite')
+  transaction.objectStore(STORE_NAME).delete(id)
+  await transactionToPromise(transaction)
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+// Helpers
+
+// FormData cannot be stored in IndexedDB, so keep its entries (strings and
+// Blobs are both structured-cloneable) and rebuild it on delivery.
+function serializeBody(body) {
+  if (body === null || body === undefined) return null
+
+  if (body instanceof FormData) {
+    return { type: 'form', entries: Array.from(body.entries()) }
+  }
+
+  return { type: 'json', data: typeof body === 'string' ? body : JSON.stringify(body) }
+}
+
+function deserializeBody(body) {
+  if (!body) return null
+
+  if (body.type === 'form') {
+    const formData = new FormData()
+    body.entries.forEach(([name, value]) => formData.append(name, value))
+    return formData
+  }
+
+  return body.data
+}
+
+function generateIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID()
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`
+}
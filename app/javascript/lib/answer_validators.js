@@ -0,0 +1,375 @@
+// app/javascript/lib/answer_validators.js
+//
+// Client-side answer validation with one validator per question type
+// (FormQuestion::QUESTION_TYPES). Constraints come from the question frame's
+// data-answer-constraints attribute (FormQuestion#answer_constraints). The
+// rules and messages match FormQuestion::AnswerValidator, so an answer accepted
+// here is accepted by the server; both run the cases in
+// spec/fixtures/files/answer_validation_cases.json.
+//
+//   import { answerFromFormData, validateAnswer } from "lib/answer_validators"
+//
+//   const answer = answerFromFormData(new FormData(form))
+//   validateAnswer('email', answer, { required: true }) // => ['Enter a valid email address']
+
+import { addressErrors, isEmptyAddress } from "lib/addresses"
+import {
+  DATE_RANGE_MESSAGE, DATE_RANGE_ORDER_MESSAGE, DATE_RANGE_UNAVAILABLE_MESSAGE, dayErrors, rangeIncludesBlackout
+} from "lib/dates"
+import { locationErrors } from "lib/locations"
+import { matrixErrors } from "lib/matrix"
+import { isInternational, parsePhoneNumber } from "lib/phone_numbers"
+
+export const QUESTION_TYPES = [
+  'text_short', 'text_long', 'email', 'phone', 'url', 'number',
+  'multiple_choice', 'single_choice', 'checkbox',
+  'rating', 'scale', 'slider', 'yes_no', 'boolean',
+  'date', 'datetime', 'time',
+  'file_upload', 'image_upload',
+  'address', 'location', 'payment', 'signature',
+  'nps_score', 'matrix', 'ranking', 'drag_drop'
+]
+
+export const REQUIRED_MESSAGE = 'This question is required'
+export const PHONE_COUNTRY_MESSAGE = 'Enter a phone number from one of the listed countries'
+
+const EMAIL_FORMAT = /^[^@\s]+@[^@\s]+\.[^@\s]+$/
+const PHONE_FORMAT = /^\+?[0-9\s\-().]+$/
+const PHONE_MIN_DIGITS = 7
+const PHONE_MAX_DIGITS = 15
+const URL_FORMAT = /^https?:\/\/[^\s/?#]+\.[^\s/?#]+(?:[/?#]\S*)?$/i
+const NUMBER_FORMAT = /^-?\d+(?:\.\d+)?$/
+const DATE_FORMAT = /^(\d{4})-(\d{2})-(\d{2})$/
+const DATETIME_FORMAT = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/
+const TIME_FORMAT = /^(\d{2}):(\d{2})(?::(\d{2}))?$/
+
+// Fields posted next to the answer that are not part of it
+const ANSWER_METADATA_FIELDS = ['started_at', 'other_value', 'timezone']
+
+const validators = new Map()
+
+// Public API
+
+// Replaces the validator for a question type. A validator receives the
+// normalized, non-blank answer and the constraints and returns messages.
+export function registerValidator(questionType, validator) {
+  if (!QUESTION_TYPES.includes(questionType)) {
+    throw new Error(`Unknown question type: ${questionType}`)
+  }
+
+  validators.set(questionType, validator)
+}
+
+// Returns the error messages for an answer, an empty list when it is valid
+export function validateAnswer(questionType, answer, constraints = {}) {
+  const value = normalizeAnswer(questionType, answer)
+  if (isBlank(value)) return constraints.required ? [REQUIRED_MESSAGE] : []
+
+  const validator = validators.get(questionType)
+  if (!validator) {
+    console.warn(`No answer validator for question type: ${questionType}`)
+    return []
+  }
+
+  return validator(value, constraints)
+}
+
+// Reads the answer the way Rails parses the question form: answer[value],
+// answer[value][], answer[value][row] and answer[value][row][]. Widgets that
+// post their own fields (answer[street], answer[latitude], ...) give a hash
+// of those instead, like ResponsesController#submitted_answer_value.
+export function answerFromFormData(formData) {
+  let value
+  const fields = {}
+  let hasValue = false
+
+  for (const [name, entry] of formData.entries()) {
+    const text = typeof entry === 'string' ? entry : (entry.size > 0 ? entry.name : '')
+    const valueMatch = name.match(/^answer\[value\](?:\[([^\]]*)\])?(\[\])?$/)
+
+    if (valueMatch) {
+      hasValue = true
+      const [, key, list] = valueMatch
+
+      if (key === undefined) {
+        value = text
+      } else if (key === '') {
+        value = (Array.isArray(value) ? value : []).concat(text)
+      } else {
+        value = isHash(value) ? value : {}
+        value[key] = list ? [].concat(value[key] || [], text) : text
+      }
+      continue
+    }
+
+    const fieldMatch = name.match(/^answer\[([^\]]+)\]$/)
+    if (fieldMatch && !ANSWER_METADATA_FIELDS.includes(fieldMatch[1])) {
+      fields[fieldMatch[1]] = text
+    }
+  }
+
+  if (hasValue) return value
+  return Object.keys(fields).length > 0 ? fields : null
+}
+
+export function isBlank(value) {
+  if (value === null || value === undefined) return true
+  if (typeof value === 'string' || Array.isArray(value)) return value.length === 0
+  if (isHash(value)) return Object.keys(value).length === 0
+  return false
+}
+
+// Normalization: strings are trimmed and blank entries dropped
+
+function normalizeAnswer(questionType, answer) {
+  if (questionType === 'ranking') return normalizeRanking(answer)
+
+  if (answer === null || answer === undefined) return null
+  if (Array.isArray(answer)) return answer.map(entry => String(entry).trim()).filter(entry => entry !== '')
+  if (isHash(answer)) {
+    return Object.fromEntries(Object.entries(answer)
+      .map(([key, entry]) => [key, normalizeAnswer(questionType, entry)])
+      .filter(([, entry]) => !isBlank(entry)))
+  }
+
+  return String(answer).trim()
+}
+
+// The ranking widget posts a JSON list of { id, position } entries
+function normalizeRanking(answer) {
+  if (typeof answer === 'string') {
+    try {
+      answer = JSON.parse(answer)
+    } catch (error) {
+      answer = answer.trim()
+    }
+  }
+
+  if (!Array.isArray(answer)) return answer
+
+  return answer
+    .map(entry => String(isHash(entry) ? entry.id ?? '' : entry).trim())
+    .filter(entry => entry !== '')
+}
+
+function isHash(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Validators
+
+const noRules = () => []
+
+// Single value types treat a list or hash as an unreadable answer
+const text = validator => (value, constraints) => validator(typeof value === 'string' ? value : '', constraints)
+
+function validateLength(value, { min_length: minLength, max_length: maxLength }) {
+  const length = Array.from(value).length
+
+  if (minLength != null && length < minLength) return [`Must be at least ${minLength} characters`]
+  if (maxLength != null && length > maxLength) return [`Must be at most ${maxLength} characters`]
+  return []
+}
+
+function validateEmail(value) {
+  return EMAIL_FORMAT.test(value) ? [] : ['Enter a valid email address']
+}
+
+// Numbers are checked against the numbering plan of their country (see
+// lib/phone_numbers). National numbers need a default country for that.
+function validatePhone(value, { countries = [], default_country: defaultCountry = null }) {
+  const digits = (value.match(/[0-9]/g) || []).length
+  const valid = PHONE_FORMAT.test(value) && digits >= PHONE_MIN_DIGITS && digits <= PHONE_MAX_DIGITS
+  if (!valid) return ['Enter a valid phone number']
+  if (countries.length === 0) return []
+
+  const number = parsePhoneNumber(value, countries, defaultCountry)
+  if (!number) return isInternational(value) ? [PHONE_COUNTRY_MESSAGE] : []
+  if (number.valid) return []
+
+  const country = countries.find(candidate => candidate.code === number.country)
+  return [`Enter a valid ${country.name} phone number`]
+}
+
+// A string is an address typed into the single field layout. Posted fields
+// are checked against the format of their country (see lib/addresses).
+function validateAddress(value, { required, countries = [], default_country: defaultCountry = null }) {
+  if (!isHash(value)) return []
+  if (isEmptyAddress(value)) return required ? [REQUIRED_MESSAGE] : []
+  if (countries.length === 0) return []
+
+  return addressErrors(value, countries, defaultCountry)
+}
+
+// A typed place, coordinates, or both (see lib/locations)
+function validateLocation(value, { coordinates_required: coordinatesRequired = false }) {
+  if (!isHash(value)) return []
+
+  return locationErrors(value, { coordinatesRequired })
+}
+
+function validateUrl(value) {
+  return URL_FORMAT.test(value) ? [] : ['Enter a valid URL starting with http:// or https://']
+}
+
+function validateNumber(value, { min_value: minValue, max_value: maxValue }) {
+  if (!NUMBER_FORMAT.test(value)) return ['Enter a number']
+
+  const number = Number(value)
+  if (minValue != null && number < minValue) return [`Must be at least ${minValue}`]
+  if (maxValue != null && number > maxValue) return [`Must be at most ${maxValue}`]
+  return []
+}
+
+function validateSelections(value, { min_selections: minSelections, max_selections: maxSelections }) {
+  const selected = Array.isArray(value) ? value : [value]
+
+  if (minSelections != null && selected.length < minSelections) return [`Select at least ${optionsCount(minSelections)}`]
+  if (maxSelections != null && selected.length > maxSelections) return [`Select at most ${optionsCount(maxSelections)}`]
+  return []
+}
+
+function optionsCount(count) {
+  return count === 1 ? '1 option' : `${count} options`
+}
+
+// Upload widgets post one signed blob id per file
+function validateFileCount(value, { max_files: maxFiles }) {
+  const files = Array.isArray(value) ? value : [value]
+
+  if (maxFiles != null && files.length > maxFiles) return [`Upload at most ${filesCount(maxFiles)}`]
+  return []
+}
+
+function filesCount(count) {
+  return count === 1 ? '1 file' : `${count} files`
+}
+
+// Range questions post answer[value][start] and answer[value][end]
+function validateDateAnswer(value, constraints) {
+  return constraints.range ? validateDateRange(value, constraints) : validateDate(typeof value === 'string' ? value : '', constraints)
+}
+
+function validateDate(value, constraints) {
+  if (!validDate(value.match(DATE_FORMAT))) return ['Enter a valid date']
+
+  const errors = validateRange(value, constraints, 'min_date', 'max_date', 'a date on or', limit => limit)
+  return errors.length > 0 ? errors : dayErrors(value, dayRules(constraints))
+}
+
+// Both days are checked like single dates; blackout dates may not fall
+// between them (see lib/dates)
+function validateDateRange(value, constraints) {
+  if (!isHash(value) || typeof value.start !== 'string' || typeof value.end !== 'string') return [DATE_RANGE_MESSAGE]
+
+  const errors = validateDate(value.start, constraints)
+  if (errors.length > 0) return errors
+  const endErrors = validateDate(value.end, constraints)
+  if (endErrors.length > 0) return endErrors
+
+  if (value.end < value.start) return [DATE_RANGE_ORDER_MESSAGE]
+  return rangeIncludesBlackout(value.start, value.end, dayRules(constraints).blackoutDates) ? [DATE_RANGE_UNAVAILABLE_MESSAGE] : []
+}
+
+function validateDatetime(value, constraints) {
+  const match = value.match(DATETIME_FORMAT)
+  if (!validDate(match) || !validClock(match[4], match[5], match[6])) return ['Enter a valid date and time']
+
+  const errors = validateRange(comparableDatetime(value), constraints, 'min_datetime', 'max_datetime', 'a time on or', comparableDatetime)
+  return errors.length > 0 ? errors : dayErrors(value.slice(0, 10), dayRules(constraints))
+}
+
+function dayRules({ disabled_weekdays: disabledWeekdays = [], blackout_dates: blackoutDates = [] }) {
+  return { disabledWeekdays, blackoutDates }
+}
+
+function validateTime(value, constraints) {
+  const match = value.match(TIME_FORMAT)
+  if (!match || !validClock(match[1], match[2], match[3])) return ['Enter a valid time']
+
+  return validateRange(comparableTime(value), constraints, 'min_time', 'max_time', 'a time at or', comparableTime)
+}
+
+// Dates and times are compared as zero-padded ISO 8601 strings; `comparable`
+// turns a limit into that form
+function validateRange(value, constraints, minKey, maxKey, phrase, comparable) {
+  const minLimit = constraints[minKey]
+  const maxLimit = constraints[maxKey]
+
+  if (minLimit && value < comparable(minLimit)) return [`Choose ${phrase} after ${minLimit.replace('T', ' ')}`]
+  if (maxLimit && value > comparable(maxLimit)) return [`Choose ${phrase} before ${maxLimit.replace('T', ' ')}`]
+  return []
+}
+
+function validDate(match) {
+  if (!match) return false
+
+  const [year, month, day] = [match[1], match[2], match[3]].map(Number)
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day)
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+function validClock(hours, minutes, seconds = '0') {
+  return Number(hours) < 24 && Number(minutes) < 60 && Number(seconds) < 60
+}
+
+function comparableDatetime(value) {
+  const match = value.match(DATETIME_FORMAT)
+  return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6] || '00'}`
+}
+
+function comparableTime(value) {
+  const match = value.match(TIME_FORMAT)
+  return `${match[1]}:${match[2]}:${match[3] || '00'}`
+}
+
+// Row id => column id(s); every row needs an answer when the question is
+// required, otherwise the rows marked as required (see lib/matrix)
+function validateMatrix(value, { required, rows, required_rows: requiredRows, columns, multiple }) {
+  return matrixErrors(value, { required, rows, requiredRows, columns, multiple })
+}
+
+function validateRanking(value, { items = [] }) {
+  if (!Array.isArray(value)) return ['Rank every item']
+  if (items.length === 0) return []
+
+  const ranked = [...value].sort()
+  const expected = [...items].sort()
+  const complete = ranked.length === expected.length && ranked.every((id, index) => id === expected[index])
+
+  return complete ? [] : ['Rank every item']
+}
+
+const BUILT_IN_VALIDATORS = {
+  text_short: text(validateLength),
+  text_long: text(validateLength),
+  email: text(validateEmail),
+  phone: text(validatePhone),
+  url: text(validateUrl),
+  number: text(validateNumber),
+  multiple_choice: (value, constraints) => (constraints.multiple ? validateSelections(value, constraints) : []),
+  single_choice: noRules,
+  checkbox: validateSelections,
+  rating: text(validateNumber),
+  scale: text(validateNumber),
+  slider: text(validateNumber),
+  yes_no: noRules,
+  boolean: noRules,
+  date: validateDateAnswer,
+  datetime: text(validateDatetime),
+  time: text(validateTime),
+  file_upload: validateFileCount,
+  image_upload: validateFileCount,
+  address: validateAddress,
+  location: validateLocation,
+  payment: noRules,
+  signature: noRules,
+  nps_score: text(validateNumber),
+  matrix: validateMatrix,
+  ranking: validateRanking,
+  drag_drop: noRules
+}
+
+Object.entries(BUILT_IN_VALIDATORS).forEach(([questionType, validator]) => registerValidator(questionType, validator))
@@ -0,0 +1,56 @@
+// app/javascript/lib/answer_widget.js
+//
+// The contract between question-type widget controllers (signature, ranking,
+// location, ...) and question_response_controller. A widget keeps its answer
+// in form fields named answer[...], so the form posts it like any other input
+// and answerFromFormData (lib/answer_validators) reads it back. After writing
+// a field the widget commits it, which dispatches ANSWER_CHANGE_EVENT from the
+// field; question_response_controller listens for it on the question form and
+// validates the answer again.
+//
+//   import { commitAnswer } from "lib/answer_widget"
+//
+//   commitAnswer(this.fieldTarget, [{ id: 'a', position: 1 }]) // posts '[{"id":"a","position":1}]'
+//   commitAnswer(this.fieldTarget, '')                           // clears the answer
+
+export const ANSWER_CHANGE_EVENT = 'answer:change'
+
+// Lists and hashes are posted as JSON, blank values as an empty string
+export function serializeAnswer(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+export function writeAnswer(field, value) {
+  field.value = serializeAnswer(value)
+}
+
+export function commitAnswer(field, value) {
+  writeAnswer(field, value)
+  announceAnswer(field)
+}
+
+// For widgets whose answer lives in native inputs the browser already posts,
+// or that write several fields before announcing once
+export function announceAnswer(field) {
+  field.dispatchEvent(new CustomEvent(ANSWER_CHANGE_EVENT, {
+    bubbles: true,
+    detail: { name: field.name, value: field.value }
+  }))
+}
+
+// A widget that is still working on its answer (uploads in progress) marks
+// one of its fields with the reason; question_response_controller reports it
+// instead of sending the answer. Pass null once the answer is ready.
+export function setAnswerPending(field, message) {
+  if (message) {
+    field.dataset.answerPending = message
+  } else {
+    delete field.dataset.answerPending
+  }
+}
+
+export function pendingAnswerMessages(form) {
+  return Array.from(form.querySelectorAll('[data-answer-pending]'), field => field.dataset.answerPending)
+}
@@ -0,0 +1,99 @@
+// app/javascript/lib/command_stack.js
+//
+// Undo/redo history for the form builder. Commands are plain serializable
+// objects ({ type, label, ... }) kept in sessionStorage under a per-form key,
+// so the history survives the reloads the builder does after adding a
+// question. The caller applies and reverts commands; the stack only tracks
+// what can be undone or redone.
+
+const DEFAULT_LIMIT = 50
+
+export class CommandStack {
+  constructor(storageKey, { limit = DEFAULT_LIMIT, onChange = () => {} } = {}) {
+    this.storageKey = storageKey
+    this.limit = limit
+    this.onChange = onChange
+
+    const stored = readStorage(storageKey)
+    this.done = stored.done
+    this.undone = stored.undone
+  }
+
+  get canUndo() {
+    return this.done.length > 0
+  }
+
+  get canRedo() {
+    return this.undone.length > 0
+  }
+
+  peekUndo() {
+    return this.done[this.done.length - 1] || null
+  }
+
+  peekRedo() {
+    return this.undone[this.undone.length - 1] || null
+  }
+
+  // A new mutation invalidates anything that was undone
+  record(command) {
+    this.done.push(command)
+    if (this.done.length > this.limit) this.done.shift()
+    this.undone = []
+    this.persist()
+  }
+
+  // Called once the top command has been reverted. The reverted command may
+  // carry new data (e.g. an id the server handed out while reverting it).
+  markUndone(command = this.peekUndo()) {
+    this.done.pop()
+    this.undone.push(command)
+    this.persist()
+  }
+
+  markRedone(command = this.peekRedo()) {
+    this.undone.pop()
+    this.done.push(command)
+    this.persist()
+  }
+
+  // Drops a command that can no longer be applied in either direction
+  discard(command) {
+    this.done = this.done.filter(candidate => candidate !== command)
+    this.undone = this.undone.filter(candidate => candidate !== command)
+    this.persist()
+  }
+
+  clear() {
+    this.done = []
+    this.undone = []
+    this.persist()
+  }
+
+  persist() {
+    writeStorage(this.storageKey, { done: this.done, undone: this.undone })
+    this.onChange(this)
+  }
+}
+
+// sessionStorage can be unavailable (privacy modes) or full; the history then
+// simply lives for the current page only
+
+function readStorage(key) {
+  try {
+    const stored = JSON.parse(window.sessionStorage.getItem(key))
+    if (stored && Array.isArray(stored.done) && Array.isArray(stored.undone)) return stored
+  } catch (error) {
+    console.warn('Could not read builder history:', error)
+  }
+
+  return { done: [], undone: [] }
+}
+
+function writeStorage(key, value) {
+  try {
+    window.sessionStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.warn('Could not persist builder history:', error)
+  }
+}
@@ -0,0 +1,322 @@
+// app/javascript/lib/conditional_logic.js
+//
+// Client-side evaluator for FormQuestion#conditional_logic. It mirrors
+// FormQuestion#should_show_for_response? rule for rule (skipped dependencies,
+// missing and empty answers, value normalization per question type and every
+// comparison operator) so the browser can show or hide questions without a
+// round trip. spec/fixtures/files/conditional_logic_cases.json is evaluated by
+// both implementations; update it together with any change on either side.
+//
+// Answers are plain objects keyed by question id:
+//   { "<question_id>": { value: "Yes", skipped: false } }
+// A missing key means the question has no response yet.
+
+const EMPTY_VALUES = ['empty', '', 'null']
+const COMPARISON_OPERATORS = [
+  'equals', 'not_equals', 'contains', 'starts_with', 'ends_with',
+  'greater_than', 'less_than', 'greater_than_or_equal', 'less_than_or_equal',
+  'matches_pattern', 'in_list', 'not_in_list'
+]
+
+// Dispatched on window by the builder's rule editor after saving a question's logic
+export const CONDITIONAL_LOGIC_SAVED_EVENT = 'conditional-logic-editor:saved'
+
+// Public API
+
+export function hasConditionalLogic(question) {
+  return Boolean(question && question.conditional_enabled) && isPresent(question.conditional_logic)
+}
+
+export function conditionalRules(question) {
+  if (!hasConditionalLogic(question)) return []
+
+  return question.conditional_logic.rules || []
+}
+
+// Equivalent of FormQuestion#should_show_for_response?. questionTypes maps the
+// ids referenced by the rules to their question_type.
+export function shouldShowQuestion(question, answers = {}, questionTypes = {}) {
+  if (!hasConditionalLogic(question)) return true
+
+  const rules = conditionalRules(question)
+  if (rules.length === 0) return true
+
+  const skippedDependencies = flatConditionalRules(rules)
+    .map(rule => rule.question_id)
+    .filter(questionId => answers[questionId] && answers[questionId].skipped)
+
+  // Rules that depend on skipped questions are ignored; if nothing is left the
+  // question is skipped as well
+  const validRules = rejectSkippedRules(rules, skippedDependencies)
+  if (validRules.length === 0) return false
+
+  return evaluateRuleSet(validRules, question.conditional_logic.operator, answers, questionTypes)
+}
+
+// Individual comparison rules, with AND/OR groups expanded
+export function flatConditionalRules(rules = []) {
+  return rules.flatMap(rule => (isConditionalGroup(rule) ? flatConditionalRules(rule.rules) : [rule]))
+}
+
+// Equivalent of FormQuestion#conditional_dependency_cycle. Returns the chain of
+// question ids leading back to questionId when it uses the given rules, or null.
+export function findDependencyCycle(questionId, rules, questions) {
+  const dependencies = {}
+  questions.forEach(question => {
+    dependencies[question.id] = flatConditionalRules(conditionalRules(question)).map(rule => String(rule.question_id))
+  })
+  dependencies[questionId] = flatConditionalRules(rules).map(rule => String(rule.question_id))
+
+  const visit = (currentId, path) => {
+    for (const dependencyId of dependencies[currentId] || []) {
+      if (dependencyId === path[0]) return [...path, dependencyId]
+      if (path.includes(dependencyId)) continue
+
+      const cycle = visit(dependencyId, [...path, dependencyId])
+      if (cycle) return cycle
+    }
+
+    return null
+  }
+
+  return visit(String(questionId), [String(questionId)])
+}
+
+export function isConditionalGroup(rule) {
+  return Boolean(rule) && Array.isArray(rule.rules)
+}
+
+// Walks the questions in order, the same way ResponsesController#find_next_unanswered_question
+// does: a hidden question is recorded as skipped before the following ones are evaluated.
+// Returns the ids of the questions the respondent will see.
+export function visibleQuestionIds(questions, answers = {}) {
+  const questionTypes = {}
+  questions.forEach(question => { questionTypes[question.id] = question.question_type })
+
+  const workingAnswers = { ...answers }
+
+  return questions.reduce((visibleIds, question) => {
+    if (shouldShowQuestion(question, workingAnswers, questionTypes)) {
+      visibleIds.push(question.id)
+    } else {
+      workingAnswers[question.id] = { value: null, skipped: true }
+    }
+
+    return visibleIds
+  }, [])
+}
+
+// Rule evaluation
+
+function rejectSkippedRules(rules, skippedQuestionIds) {
+  return rules.reduce((validRules, rule) => {
+    if (isConditionalGroup(rule)) {
+      const groupRules = rejectSkippedRules(rule.rules, skippedQuestionIds)
+      if (groupRules.length > 0) validRules.push({ ...rule, rules: groupRules })
+    } else if (!skippedQuestionIds.includes(rule.question_id)) {
+      validRules.push(rule)
+    }
+
+    return validRules
+  }, [])
+}
+
+// Unknown logic operators fall back to AND
+function evaluateRuleSet(rules, logicOperator, answers, questionTypes) {
+  const evaluate = rule => (isConditionalGroup(rule)
+    ? evaluateRuleSet(rule.rules, rule.operator, answers, questionTypes)
+    : evaluateCondition(rule, answers, questionTypes))
+
+  return String(logicOperator || 'and').toLowerCase() === 'or' ? rules.some(evaluate) : rules.every(evaluate)
+}
+
+function evaluateCondition(rule, answers, questionTypes) {
+  const { operator, value: expectedValue } = rule
+  const answer = answers[rule.question_id]
+
+  if (!answer) return handleMissingResponse(operator)
+
+  const questionType = questionTypes[rule.question_id]
+  if (!questionType) return false
+
+  const actualValue = answer.value
+  if (isBlank(actualValue) || actualValue === '{}') {
+    return handleEmptyResponse(operator, expectedValue)
+  }
+
+  const normalizedActual = normalizeValueForComparison(actualValue, questionType)
+  const normalizedExpected = normalizeValueForComparison(expectedValue, questionType)
+
+  return performComparison(operator, normalizedActual, normalizedExpected, actualValue, expectedValue)
+}
+
+function handleMissingResponse(operator) {
+  // Only the emptiness checks can be answered without a response
+  return operator === 'is_empty'
+}
+
+function handleEmptyResponse(operator, expectedValue) {
+  const expected = rubyToString(expectedValue).toLowerCase()
+
+  switch (operator) {
+    case 'is_empty':
+      return true
+    case 'equals':
+      return isBlank(expectedValue) || EMPTY_VALUES.includes(expected)
+    case 'not_equals':
+      return isPresent(expectedValue) && !EMPTY_VALUES.includes(expected)
+    case 'in_list':
+      return listValues(expectedValue).some(value => isBlank(value) || EMPTY_VALUES.includes(rubyToString(value).toLowerCase()))
+    case 'not_in_list':
+      return !listValues(expectedValue).some(value => isBlank(value) || EMPTY_VALUES.includes(rubyToString(value).toLowerCase()))
+    default:
+      if (operator !== 'is_not_empty' && !COMPARISON_OPERATORS.includes(operator)) {
+        console.warn(`Unknown operator for empty response: ${operator}`)
+      }
+      return false
+  }
+}
+
+function performComparison(operator, normalizedActual, normalizedExpected, actualValue, expectedValue) {
+  switch (operator) {
+    case 'equals':
+    case 'equals_ignore_case':
+      return normalizedActual === normalizedExpected
+    case 'not_equals':
+    case 'not_equals_ignore_case':
+      return normalizedActual !== normalizedExpected
+    case 'contains':
+    case 'contains_ignore_case':
+      return normalizedActual.includes(normalizedExpected)
+    case 'starts_with':
+    case 'starts_with_ignore_case':
+      return normalizedActual.startsWith(normalizedExpected)
+    case 'ends_with':
+    case 'ends_with_ignore_case':
+      return normalizedActual.endsWith(normalizedExpected)
+    case 'greater_than':
+      return convertToNumeric(actualValue) > convertToNumeric(expectedValue)
+    case 'greater_than_or_equal':
+      return convertToNumeric(actualValue) >= convertToNumeric(expectedValue)
+    case 'less_than':
+      return convertToNumeric(actualValue) < convertToNumeric(expectedValue)
+    case 'less_than_or_equal':
+      return convertToNumeric(actualValue) <= convertToNumeric(expectedValue)
+    case 'is_empty':
+      return isBlank(actualValue)
+    case 'is_not_empty':
+      return isPresent(actualValue)
+    case 'matches_pattern':
+      try {
+        return new RegExp(rubyToString(expectedValue), 'i').test(rubyToString(actualValue))
+      } catch (error) {
+        console.error(`Invalid regex pattern: ${expectedValue} - ${error.message}`)
+        return false
+      }
+    case 'in_list':
+      return listValues(expectedValue)
+        .map(value => normalizeValueForComparison(value, 'text_short'))
+        .includes(normalizedActual)
+    case 'not_in_list':
+      return !listValues(expectedValue)
+        .map(value => normalizeValueForComparison(value, 'text_short'))
+        .includes(normalizedActual)
+    default:
+      console.warn(`Unknown operator: ${operator}`)
+      return false
+  }
+}
+
+// Normalization, matching FormQuestion#normalize_value_for_comparison
+
+function normalizeValueForComparison(value, questionType) {
+  if (isBlank(value)) return ''
+
+  const stringValue = rubyToString(value)
+
+  switch (questionType) {
+    case 'yes_no':
+    case 'boolean': {
+      const normalized = stringValue.toLowerCase().trim()
+      if (['true', '1', 'yes', 'y', 'sí', 'si'].includes(normalized)) return 'true'
+      if (['false', '0', 'no', 'n'].includes(normalized)) return 'false'
+      return normalized
+    }
+    case 'rating':
+    case 'scale':
+    case 'nps_score':
+    case 'number':
+      return stringValue.trim()
+    case 'date':
+    case 'datetime':
+    case 'time':
+      return parseDate(stringValue) || stringValue.trim()
+    default:
+      // Text, choice and any other type compare case-insensitively
+      return stringValue.toLowerCase().trim()
+  }
+}
+
+// Numeric dates only (2024-03-05, 2024/03/05, 05/03/2024 day first), which is
+// what the date inputs submit. Returns YYYY-MM-DD or null when unparseable.
+function parseDate(value) {
+  let match = value.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/)
+  let year, month, day
+
+  if (match) {
+    [, year, month, day] = match
+  } else {
+    match = value.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/)
+    if (!match) return null
+    ;[, day, month, year] = match
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)))
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null
+
+  return date.toISOString().slice(0, 10)
+}
+
+// Mirrors FormQuestion#convert_to_numeric: currency symbols, separators and
+// spaces are dropped and anything that is not a number counts as 0
+function convertToNumeric(value) {
+  if (isBlank(value)) return 0
+
+  const cleaned = rubyToString(value).replace(/[$€£¥,\s]/g, '')
+  if (!/^[+-]?(\d+(_\d+)*)?(\.\d+(_\d+)*)?([eE][+-]?\d+)?$/.test(cleaned) || !/\d/.test(cleaned)) return 0
+
+  return parseFloat(cleaned.replace(/_/g, ''))
+}
+
+// Ruby semantics helpers
+
+function listValues(expectedValue) {
+  if (Array.isArray(expectedValue)) return expectedValue
+
+  // String#split drops trailing empty fields
+  const values = rubyToString(expectedValue).split(',').map(value => value.trim())
+  while (values.length > 0 && values[values.length - 1] === '') values.pop()
+  return values
+}
+
+// Object#blank?
+function isBlank(value) {
+  if (value === null || value === undefined || value === false) return true
+  if (typeof value === 'string') return value.trim() === ''
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'object') return Object.keys(value).length === 0
+  return false
+}
+
+function isPresent(value) {
+  return !isBlank(value)
+}
+
+// Object#to_s, including Array#to_s so multi-select answers compare the same way
+function rubyToString(value) {
+  if (value === null || value === undefined) return ''
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (typeof item === 'string' ? JSON.stringify(item) : rubyToString(item))).join(', ')}]`
+  }
+  return String(value)
+}
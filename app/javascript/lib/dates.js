@@ -0,0 +1,102 @@
+// app/javascript/lib/dates.js
+//
+// Calendar days for the date and datetime questions: which days can be
+// chosen and the month grid of the date picker (date_picker_controller).
+// Days are ISO 8601 strings (2025-06-07), compared as strings. The limits,
+// unavailable weekdays (0 is Sunday) and blackout dates come from the
+// question's answer constraints, with relative limits ("today + 2 days")
+// already resolved by FormQuestion#date_config. FormQuestion::AnswerValidator
+// checks days with the same rules.
+//
+//   import { dayErrors, isAvailableDay } from "lib/dates"
+//
+//   dayErrors('2025-06-07', { disabledWeekdays: [0, 6] })        // => ['That date is not available']
+//   isAvailableDay('2025-06-09', { min: '2025-06-10' })           // => false
+
+export const DATE_UNAVAILABLE_MESSAGE = 'That date is not available'
+export const DATE_RANGE_MESSAGE = 'Enter a start and an end date'
+export const DATE_RANGE_ORDER_MESSAGE = 'Choose an end date on or after the start date'
+export const DATE_RANGE_UNAVAILABLE_MESSAGE = 'Choose dates that do not include an unavailable day'
+
+const DATE_FORMAT = /^(\d{4})-(\d{2})-(\d{2})$/
+
+// { year, month, day } of a valid day, or null
+export function parseDay(value) {
+  const match = String(value ?? '').match(DATE_FORMAT)
+  if (!match) return null
+
+  const [year, month, day] = [match[1], match[2], match[3]].map(Number)
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day)
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null
+
+  return { year, month, day }
+}
+
+// Months and days past their end roll over: formatDay(2025, 1, 32) is 2025-02-01
+export function formatDay(year, month, day) {
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day)
+  return date.toISOString().slice(0, 10)
+}
+
+export function addDays(value, days) {
+  const { year, month, day } = parseDay(value)
+  return formatDay(year, month, day + days)
+}
+
+// The same day of another month, or that month's last day when it is shorter
+export function addMonths(value, months) {
+  const { year, month, day } = parseDay(value)
+  const first = parseDay(formatDay(year, month + months, 1))
+
+  return formatDay(first.year, first.month, Math.min(day, daysInMonth(first.year, first.month)))
+}
+
+export function weekdayOf(value) {
+  const { year, month, day } = parseDay(value)
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day)
+  return date.getUTCDay()
+}
+
+// Whether a valid day is within the limits and not an unavailable weekday or
+// a blackout date
+export function isAvailableDay(value, { min = null, max = null, disabledWeekdays = [], blackoutDates = [] } = {}) {
+  if (!parseDay(value)) return false
+  if ((min && value < min) || (max && value > max)) return false
+
+  return !disabledWeekdays.includes(weekdayOf(value)) && !blackoutDates.includes(value)
+}
+
+// Messages for a valid day against the weekday and blackout rules; the
+// limits have their own messages (see lib/answer_validators)
+export function dayErrors(value, { disabledWeekdays = [], blackoutDates = [] } = {}) {
+  return isAvailableDay(value, { disabledWeekdays, blackoutDates }) ? [] : [DATE_UNAVAILABLE_MESSAGE]
+}
+
+// Whether a blackout date falls between two days (inclusive). Unavailable
+// weekdays only apply to the first and last day, so a range may span a
+// weekend that cannot be chosen.
+export function rangeIncludesBlackout(start, end, blackoutDates = []) {
+  return blackoutDates.some(date => date >= start && date <= end)
+}
+
+// The weeks shown for a month: rows of seven days (null outside the month),
+// starting on firstWeekday
+export function calendarWeeks(year, month, firstWeekday = 0) {
+  const first = formatDay(year, month, 1)
+  const length = daysInMonth(year, month)
+  const blanks = (weekdayOf(first) - firstWeekday + 7) % 7
+  const days = Array(blanks).fill(null)
+  for (let day = 1; day <= length; day++) days.push(formatDay(year, month, day))
+  while (days.length % 7 !== 0) days.push(null)
+
+  const weeks = []
+  for (let index = 0; index < days.length; index += 7) weeks.push(days.slice(index, index + 7))
+  return weeks
+}
+
+function daysInMonth(year, month) {
+  return parseDay(formatDay(year, month + 1, 0)).day
+}
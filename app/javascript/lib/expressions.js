@@ -0,0 +1,392 @@
+// app/javascript/lib/expressions.js
+//
+// Formulas of calculated questions and answer piping. Both refer to earlier
+// answers as {{qN}}, N being the question's position: the title "Thanks
+// {{q3}}, how did you hear about us?" shows the third answer, and the formula
+// round({{q4}} / ({{q5}} / 100) ^ 2, 1) works out a BMI. Formulas are parsed
+// and evaluated here, never with eval. They take numbers, the operators
+// + - * / % ^, the comparisons = != < <= > >=, and, or, not, parentheses and
+// the functions in FUNCTIONS. Comparisons give 1 or 0. A formula has no value
+// while an answer it uses is missing or not a number (see answerNumber),
+// unless coalesce() or one of the list functions leaves it out.
+// FormQuestion::Expression implements the same language; both run
+// spec/fixtures/files/expression_cases.json. When questions move, the server
+// rewrites the references so they keep naming the same questions
+// (Form#renumber_questions!).
+//
+// Values are keyed by question position: { 3: 'Ada', 4: '72', 5: 180 }.
+//
+//   import { calculate, pipeAnswers } from "lib/expressions"
+//
+//   calculate({ formula: '{{q4}} / ({{q5}} / 100) ^ 2', decimals: 1 }, values) // => 22.2
+//   pipeAnswers('Thanks {{q3}}!', values)                                       // => 'Thanks Ada!'
+
+export const REFERENCE_PATTERN = /\{\{\s*q(\d+)\s*\}\}/gi
+const PLACEHOLDER_PATTERN = /\{\{[\s\S]*?\}\}/g
+const NUMBER_FORMAT = /^-?\d+(?:\.\d+)?$/
+const MAX_DECIMALS = 10
+export const DEFAULT_DECIMALS = 2
+
+// Parsing and evaluating recurse, so formulas are kept well within the stack
+const MAX_TOKENS = 1000
+const MAX_NESTING = 32
+
+// [fewest, most] arguments of each function
+const FUNCTIONS = {
+  abs: [1, 1],
+  ceil: [1, 1],
+  floor: [1, 1],
+  sqrt: [1, 1],
+  round: [1, 2],
+  if: [3, 3],
+  min: [1, Infinity],
+  max: [1, Infinity],
+  sum: [1, Infinity],
+  avg: [1, Infinity],
+  coalesce: [1, Infinity]
+}
+
+const COMPARISONS = ['=', '==', '!=', '<', '<=', '>', '>=']
+
+export class ExpressionError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ExpressionError'
+  }
+}
+
+// Positions of the answers a text or formula refers to, in order
+export function referencedPositions(text) {
+  const positions = Array.from(String(text ?? '').matchAll(REFERENCE_PATTERN), match => Number(match[1]))
+  return [...new Set(positions)].sort((a, b) => a - b)
+}
+
+// Messages for placeholders that are not references and references to
+// positions other than the earlier questions'
+export function referenceErrors(text, earlierPositions = []) {
+  const errors = []
+  for (const [placeholder] of String(text ?? '').matchAll(PLACEHOLDER_PATTERN)) {
+    const match = placeholder.match(/^\{\{\s*q(\d+)\s*\}\}$/i)
+    if (!match) {
+      errors.push(`${placeholder} is not a reference; refer to answers as {{q1}}, {{q2}} and so on`)
+    } else if (!earlierPositions.includes(Number(match[1]))) {
+      errors.push(`${placeholder} does not refer to an earlier question`)
+    }
+  }
+  return [...new Set(errors)]
+}
+
+// Replaces each reference with the answer's text (see answerText)
+export function pipeAnswers(text, values = {}) {
+  return String(text ?? '').replace(REFERENCE_PATTERN, (_, position) => answerText(values[position]))
+}
+
+// Lists are joined with commas; hashes (addresses, matrices) have no text
+export function answerText(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : ''
+  if (typeof value === 'boolean') return String(value)
+  if (typeof value === 'string') return value.trim()
+  if (Array.isArray(value)) return value.map(answerText).filter(text => text !== '').join(', ')
+  return ''
+}
+
+// Numbers and numeric text as they are, yes and true as 1, no and false as 0
+// and lists as the number of their entries; null for anything else
+export function answerNumber(value) {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (Array.isArray(value)) return value.filter(entry => answerText(entry) !== '').length
+  if (typeof value !== 'string') return null
+
+  const text = value.trim().toLowerCase()
+  if (NUMBER_FORMAT.test(text)) return Number(text)
+  if (text === 'yes' || text === 'true') return 1
+  if (text === 'no' || text === 'false') return 0
+  return null
+}
+
+// The message of a formula that does not parse, or null
+export function expressionError(source) {
+  try {
+    parseExpression(source)
+    return null
+  } catch (error) {
+    if (error instanceof ExpressionError) return error.message
+    throw error
+  }
+}
+
+// A number, or null when the formula does not parse or has no value
+export function evaluateExpression(source, values = {}) {
+  let tree
+  try {
+    tree = parseExpression(source)
+  } catch (error) {
+    if (error instanceof ExpressionError) return null
+    throw error
+  }
+
+  return evaluate(tree, values)
+}
+
+// A calculated question's value, rounded to its decimals
+export function calculate({ formula, decimals = DEFAULT_DECIMALS } = {}, values = {}) {
+  return roundNumber(evaluateExpression(formula, values), decimals)
+}
+
+// Half away from zero, as Ruby's Float#round
+export function roundNumber(value, decimals = 0) {
+  if (value === null) return null
+
+  const places = Math.min(Math.max(Math.trunc(Number(decimals) || 0), 0), MAX_DECIMALS)
+  const factor = 10 ** places
+  return finite(Math.sign(value) * Math.round(Math.abs(value) * factor) / factor)
+}
+
+// Parsing
+
+export function parseExpression(source) {
+  const parser = new Parser(tokenize(String(source ?? '')))
+  const tree = parser.parseOr()
+  parser.expectEnd()
+  return tree
+}
+
+function tokenize(source) {
+  const tokens = []
+  const pattern = /\s+|(\d+(?:\.\d+)?)|\{\{\s*q(\d+)\s*\}\}|([a-z_][a-z0-9_]*)|(<=|>=|!=|==|[-+*/%^=<>(),])/iy
+
+  while (pattern.lastIndex < source.length) {
+    const at = pattern.lastIndex
+    const match = pattern.exec(source)
+    if (!match) {
+      const text = source.startsWith('{{', at) ? source.slice(at).match(/^\{\{[\s\S]*?(\}\}|$)/)[0] : source[at]
+      throw new ExpressionError(`Unexpected "${text}" at character ${at + 1}`)
+    }
+
+    const [text, number, reference, name, operator] = match
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number), text, at })
+    else if (reference !== undefined) tokens.push({ type: 'reference', position: Number(reference), text, at })
+    else if (name !== undefined) tokens.push({ type: 'name', value: name.toLowerCase(), text, at })
+    else if (operator !== undefined) tokens.push({ type: 'operator', value: operator, text, at })
+    if (tokens.length > MAX_TOKENS) throw new ExpressionError('The formula is too long')
+  }
+
+  return tokens
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens
+    this.index = 0
+    this.depth = 0
+  }
+
+  parseOr() {
+    let left = this.parseAnd()
+    while (this.acceptName('or')) left = { type: 'binary', operator: 'or', left, right: this.parseAnd() }
+    return left
+  }
+
+  parseAnd() {
+    let left = this.parseComparison()
+    while (this.acceptName('and')) left = { type: 'binary', operator: 'and', left, right: this.parseComparison() }
+    return left
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive()
+    const operator = this.acceptOperator(...COMPARISONS)
+    return operator ? { type: 'binary', operator, left, right: this.parseAdditive() } : left
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative()
+    let operator
+    while ((operator = this.acceptOperator('+', '-'))) left = { type: 'binary', operator, left, right: this.parseMultiplicative() }
+    return left
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary()
+    let operator
+    while ((operator = this.acceptOperator('*', '/', '%'))) left = { type: 'binary', operator, left, right: this.parseUnary() }
+    return left
+  }
+
+  parseUnary() {
+    const operator = this.acceptOperator('-', '+') || (this.acceptName('not') && 'not')
+    return operator ? { type: 'unary', operator, operand: this.nested(() => this.parseUnary()) } : this.parsePower()
+  }
+
+  // Right associative: 2 ^ 3 ^ 2 is 2 ^ 9
+  parsePower() {
+    const base = this.parsePrimary()
+    return this.acceptOperator('^') ? { type: 'binary', operator: '^', left: base, right: this.nested(() => this.parseUnary()) } : base
+  }
+
+  parsePrimary() {
+    const token = this.next()
+
+    if (token.type === 'number') return { type: 'number', value: token.value }
+    if (token.type === 'reference') return { type: 'reference', position: token.position }
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = this.nested(() => this.parseOr())
+      this.expectOperator(')')
+      return inner
+    }
+    if (token.type === 'name') {
+      if (token.value === 'true' || token.value === 'false') return { type: 'number', value: token.value === 'true' ? 1 : 0 }
+      if (!this.acceptOperator('(')) throw new ExpressionError(`Unknown name "${token.text}" at character ${token.at + 1}`)
+      return this.parseCall(token)
+    }
+
+    throw unexpected(token)
+  }
+
+  parseCall(token) {
+    const arity = Object.hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null
+    if (!arity) throw new ExpressionError(`Unknown function "${token.text}" at character ${token.at + 1}`)
+
+    const args = []
+    if (!this.acceptOperator(')')) {
+      do { args.push(this.nested(() => this.parseOr())) } while (this.acceptOperator(','))
+      this.expectOperator(')')
+    }
+
+    const [fewest, most] = arity
+    if (args.length < fewest || args.length > most) throw new ExpressionError(arityMessage(token.value, arity))
+    return { type: 'call', name: token.value, args }
+  }
+
+  // Parentheses, function arguments, unary operators and exponents nest
+  nested(parse) {
+    if (this.depth >= MAX_NESTING) throw new ExpressionError('The formula is nested too deeply')
+
+    this.depth += 1
+    try {
+      return parse()
+    } finally {
+      this.depth -= 1
+    }
+  }
+
+  next() {
+    const token = this.tokens[this.index]
+    if (!token) throw new ExpressionError('Unexpected end of formula')
+
+    this.index += 1
+    return token
+  }
+
+  acceptOperator(...operators) {
+    const token = this.tokens[this.index]
+    if (!token || token.type !== 'operator' || !operators.includes(token.value)) return null
+
+    this.index += 1
+    return token.value
+  }
+
+  acceptName(name) {
+    const token = this.tokens[this.index]
+    if (!token || token.type !== 'name' || token.value !== name) return false
+
+    this.index += 1
+    return true
+  }
+
+  expectOperator(operator) {
+    const token = this.next()
+    if (token.type !== 'operator' || token.value !== operator) throw unexpected(token)
+  }
+
+  expectEnd() {
+    const token = this.tokens[this.index]
+    if (token) throw unexpected(token)
+  }
+}
+
+function unexpected(token) {
+  return new ExpressionError(`Unexpected "${token.text}" at character ${token.at + 1}`)
+}
+
+function arityMessage(name, [fewest, most]) {
+  if (most === Infinity) return `"${name}" takes at least ${fewest} ${fewest === 1 ? 'argument' : 'arguments'}`
+  if (fewest === most) return `"${name}" takes ${fewest} ${fewest === 1 ? 'argument' : 'arguments'}`
+  return `"${name}" takes ${fewest} or ${most} arguments`
+}
+
+// Evaluation
+
+function evaluate(node, values) {
+  switch (node.type) {
+    case 'number':
+      return node.value
+    case 'reference':
+      return answerNumber(values[node.position])
+    case 'unary':
+      return evaluateUnary(node.operator, evaluate(node.operand, values))
+    case 'binary':
+      return evaluateBinary(node.operator, evaluate(node.left, values), evaluate(node.right, values))
+    case 'call':
+      return evaluateCall(node.name, node.args.map(arg => evaluate(arg, values)))
+  }
+}
+
+function evaluateUnary(operator, value) {
+  if (value === null) return null
+  if (operator === 'not') return value === 0 ? 1 : 0
+  return operator === '-' ? -value : value
+}
+
+function evaluateBinary(operator, left, right) {
+  if (left === null || right === null) return null
+
+  switch (operator) {
+    case '+': return finite(left + right)
+    case '-': return finite(left - right)
+    case '*': return finite(left * right)
+    case '/': return right === 0 ? null : finite(left / right)
+    case '%': return right === 0 ? null : finite(left % right)
+    case '^': return finite(left ** right)
+    case '=':
+    case '==': return left === right ? 1 : 0
+    case '!=': return left !== right ? 1 : 0
+    case '<': return left < right ? 1 : 0
+    case '<=': return left <= right ? 1 : 0
+    case '>': return left > right ? 1 : 0
+    case '>=': return left >= right ? 1 : 0
+    case 'and': return left !== 0 && right !== 0 ? 1 : 0
+    case 'or': return left !== 0 || right !== 0 ? 1 : 0
+  }
+}
+
+function evaluateCall(name, args) {
+  const present = args.filter(arg => arg !== null)
+
+  switch (name) {
+    case 'if': return args[0] === null ? null : args[0] !== 0 ? args[1] : args[2]
+    case 'coalesce': return present.length > 0 ? present[0] : null
+    case 'min': return present.length > 0 ? Math.min(...present) : null
+    case 'max': return present.length > 0 ? Math.max(...present) : null
+    case 'sum': return present.length > 0 ? finite(present.reduce((total, arg) => total + arg, 0)) : null
+    case 'avg': return present.length > 0 ? finite(present.reduce((total, arg) => total + arg, 0) / present.length) : null
+  }
+
+  if (present.length < args.length) return null
+
+  const [value, decimals] = args
+  switch (name) {
+    case 'abs': return Math.abs(value)
+    case 'ceil': return Math.ceil(value)
+    case 'floor': return Math.floor(value)
+    case 'sqrt': return value < 0 ? null : Math.sqrt(value)
+    case 'round': return roundNumber(value, decimals ?? 0)
+  }
+}
+
+function finite(value) {
+  return Number.isFinite(value) ? value : null
+}
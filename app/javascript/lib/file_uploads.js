@@ -0,0 +1,144 @@
+// app/javascript/lib/file_uploads.js
+//
+// Resumable uploads for the file_upload and image_upload widgets, on top of
+// Active Storage direct uploads. A file up to CHUNK_SIZE is stored as one
+// blob. A larger file is cut into chunks that are stored one after the other
+// and then joined into one blob on the server (FormUploadsController). Stored
+// chunks are kept when an upload is cancelled or fails, so starting it again
+// resumes with the chunk it stopped at.
+//
+// The storage calls are passed in, so this module has no imports:
+//
+//   import { ChunkedUpload } from "lib/file_uploads"
+//
+//   const upload = new ChunkedUpload(file, {
+//     storeBlob: (blob, { onProgress, signal }) => ...,   // resolves with the blob's signed id
+//     composeBlobs: (signedIds, file, { signal }) => ..., // resolves with the joined blob's signed id
+//     onProgress: (loaded, total) => ...
+//   })
+//   const signedId = await upload.start()
+//   upload.cancel() // start() rejects with an UploadCancelledError
+
+// The smallest part S3 accepts when blobs are composed
+export const CHUNK_SIZE = 5 * 1024 * 1024
+
+const MEGABYTE = 1024 * 1024
+
+export class UploadCancelledError extends Error {
+  constructor() {
+    super('Upload cancelled')
+    this.name = 'UploadCancelledError'
+  }
+}
+
+// Byte ranges of the chunks a file of `size` bytes is uploaded in
+export function chunkRanges(size, chunkSize = CHUNK_SIZE) {
+  if (size <= chunkSize) return [{ start: 0, end: size }]
+
+  const ranges = []
+  for (let start = 0; start < size; start += chunkSize) {
+    ranges.push({ start, end: Math.min(start + chunkSize, size) })
+  }
+  return ranges
+}
+
+// Why a file cannot be uploaded to the question, or null. The same checks
+// and messages as FormQuestion::UploadedFiles on the server. `allowedTypes`
+// entries are extensions ("pdf", ".pdf") or MIME types ("image/png", "image/*").
+export function fileRejection(file, { maxSizeMb = null, allowedTypes = [], imagesOnly = false } = {}) {
+  if (maxSizeMb && file.size > maxSizeMb * MEGABYTE) return `${file.name} is larger than ${maxSizeMb} MB`
+  if (!acceptedType(file, allowedTypes, imagesOnly)) return `${file.name} is not an accepted file type`
+  return null
+}
+
+export class ChunkedUpload {
+  constructor(file, { storeBlob, composeBlobs, onProgress = () => {}, chunkSize = CHUNK_SIZE }) {
+    this.file = file
+    this.storeBlob = storeBlob
+    this.composeBlobs = composeBlobs
+    this.onProgress = onProgress
+    this.chunks = chunkRanges(file.size, chunkSize).map(range => ({ ...range, signedId: null }))
+    this.signedId = null
+    this.abortController = null
+  }
+
+  get uploadedBytes() {
+    return this.chunks.reduce((total, chunk) => total + (chunk.signedId ? chunk.end - chunk.start : 0), 0)
+  }
+
+  get running() {
+    return this.abortController !== null
+  }
+
+  // Uploads the chunks not stored yet and resolves with the signed id of the
+  // file's blob. Calling it again after a failure resumes the upload.
+  async start() {
+    if (this.signedId) return this.signedId
+    if (this.running) throw new Error('Upload already running')
+
+    const abortController = new AbortController()
+    this.abortController = abortController
+
+    try {
+      for (const [index, chunk] of this.chunks.entries()) {
+        if (chunk.signedId) continue
+
+        chunk.signedId = await abortable(this.storeBlob(this.chunkBlob(chunk, index), {
+          onProgress: loaded => this.onProgress(this.uploadedBytes + loaded, this.file.size),
+          signal: abortController.signal
+        }), abortController.signal)
+        this.onProgress(this.uploadedBytes, this.file.size)
+      }
+
+      const signedIds = this.chunks.map(chunk => chunk.signedId)
+      this.signedId = signedIds.length === 1
+        ? signedIds[0]
+        : await abortable(this.composeBlobs(signedIds, this.file, { signal: abortController.signal }), abortController.signal)
+
+      return this.signedId
+    } catch (error) {
+      throw abortController.signal.aborted ? new UploadCancelledError() : error
+    } finally {
+      this.abortController = null
+    }
+  }
+
+  cancel() {
+    if (this.abortController) this.abortController.abort()
+  }
+
+  chunkBlob(chunk, index) {
+    if (this.chunks.length === 1) return this.file
+
+    return new File([this.file.slice(chunk.start, chunk.end)], `${this.file.name}.part${index + 1}`, { type: this.file.type })
+  }
+}
+
+// Rejects as soon as the signal aborts, even when the storage call itself
+// cannot be interrupted
+function abortable(promise, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new UploadCancelledError())
+      return
+    }
+
+    signal.addEventListener('abort', () => reject(new UploadCancelledError()), { once: true })
+    promise.then(resolve, reject)
+  })
+}
+
+function acceptedType({ name, type = '' }, allowedTypes, imagesOnly) {
+  if (imagesOnly && !type.startsWith('image/')) return false
+  if (allowedTypes.length === 0) return true
+
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : ''
+
+  return allowedTypes.some(allowed => {
+    const pattern = String(allowed).trim().toLowerCase()
+
+    if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1))
+    if (pattern.includes('/')) return type === pattern
+    return extension !== '' && extension === pattern.replace(/^\./, '')
+  })
+}
@@ -0,0 +1,208 @@
+// app/javascript/lib/form_flow.js
+//
+// Static analysis of a form's branching, used by the builder's flow graph.
+// Questions come from ConditionalLogicHelper#conditional_logic_editor_questions
+// and follow the runtime rules of FormQuestion#should_show_for_response?:
+// questions are asked in position order, a rule whose question was skipped is
+// ignored, and a question whose rules were all ignored is skipped too.
+//
+// The analysis is deliberately optimistic: a question is only reported as
+// unreachable when no combination of answers can show it.
+
+import { conditionalRules, flatConditionalRules, hasConditionalLogic, isConditionalGroup } from "lib/conditional_logic"
+
+const CHOICE_OPERATORS = ['equals', 'equals_ignore_case', 'in_list']
+const NUMERIC_TYPES = ['rating', 'scale', 'nps_score']
+
+// Returns { nodes, edges } where
+//   nodes: [{ id, title, position, questionType, conditional, depth, unreachable, deadEnd, issues }]
+//   edges: [{ from, to, kind: 'sequence' | 'rule', label }]
+export function buildFlowGraph(questions) {
+  const ordered = [...questions].sort((a, b) => a.position - b.position)
+  const byId = new Map(ordered.map(question => [question.id, question]))
+  const nodes = new Map()
+
+  ordered.forEach(question => {
+    const issues = ruleIssues(question, byId)
+    const unreachable = hasConditionalLogic(question) && !canShow(question, byId, nodes)
+
+    nodes.set(question.id, {
+      id: question.id,
+      title: question.title,
+      position: question.position,
+      questionType: question.question_type,
+      conditional: hasConditionalLogic(question),
+      depth: dependencyDepth(question, nodes),
+      unreachable,
+      deadEnd: false,
+      issues
+    })
+  })
+
+  // Respondents who reach a dead end always finish the form there, even though
+  // questions follow it: nothing after it can ever be shown
+  const nodeList = Array.from(nodes.values())
+  nodeList.forEach((node, index) => {
+    const later = nodeList.slice(index + 1)
+    node.deadEnd = !node.unreachable && later.length > 0 && later.every(candidate => candidate.unreachable)
+  })
+
+  return { nodes: nodeList, edges: buildEdges(ordered, byId) }
+}
+
+// Edges
+
+function buildEdges(ordered, byId) {
+  const edges = []
+
+  ordered.forEach((question, index) => {
+    const next = ordered[index + 1]
+    if (next) edges.push({ from: question.id, to: next.id, kind: 'sequence', label: '' })
+
+    flatConditionalRules(conditionalRules(question)).forEach(rule => {
+      if (!byId.has(rule.question_id)) return
+
+      edges.push({ from: rule.question_id, to: question.id, kind: 'rule', label: describeRule(rule) })
+    })
+  })
+
+  return edges
+}
+
+export function describeRule(rule) {
+  const operator = String(rule.operator || '').replace(/_/g, ' ')
+  const value = Array.isArray(rule.value) ? rule.value.join(', ') : rule.value
+
+  return value === undefined || value === null || value === '' ? operator : `${operator} ${value}`
+}
+
+// Reachability
+
+function canShow(question, byId, nodes) {
+  const rules = conditionalRules(question)
+  if (rules.length === 0) return true
+
+  // Rules on questions that are never shown are always ignored
+  const effectiveRules = dropAlwaysSkipped(rules, nodes)
+  if (effectiveRules.length === 0) return false
+
+  return ruleSetCanMatch(effectiveRules, question.conditional_logic.operator, question, byId)
+}
+
+function dropAlwaysSkipped(rules, nodes) {
+  return rules.reduce((kept, rule) => {
+    if (isConditionalGroup(rule)) {
+      const groupRules = dropAlwaysSkipped(rule.rules, nodes)
+      if (groupRules.length > 0) kept.push({ ...rule, rules: groupRules })
+    } else {
+      const source = nodes.get(rule.question_id)
+      if (!source || !source.unreachable) kept.push(rule)
+    }
+    return kept
+  }, [])
+}
+
+function ruleSetCanMatch(rules, operator, question, byId) {
+  const canMatch = rule => (isConditionalGroup(rule)
+    ? ruleSetCanMatch(rule.rules, rule.operator, question, byId)
+    : ruleCanMatch(rule, question, byId))
+
+  if (String(operator || 'and').toLowerCase() === 'or') return rules.some(canMatch)
+
+  return rules.every(canMatch) && !hasContradictoryEquals(rules, byId)
+}
+
+function ruleCanMatch(rule, question, byId) {
+  const source = byId.get(rule.question_id)
+
+  // Missing sources, and sources asked after this question, never have an answer yet
+  if (!source || source.position >= question.position) return rule.operator === 'is_empty'
+
+  // A conditional source may be skipped, and then the rule is ignored
+  if (hasConditionalLogic(source)) return true
+
+  const options = (source.options || []).map(option => normalize(option.value))
+
+  if (options.length > 0 && CHOICE_OPERATORS.includes(rule.operator)) {
+    const expected = rule.operator === 'in_list' ? listValues(rule.value) : [rule.value]
+    return expected.some(value => options.includes(normalize(value, source.question_type)))
+  }
+
+  if (NUMERIC_TYPES.includes(source.question_type) && options.length > 0) {
+    const values = options.map(Number)
+    const limit = Number(rule.value)
+    const min = Math.min(...values)
+    const max = Math.max(...values)
+
+    switch (rule.operator) {
+      case 'greater_than': return max > limit
+      case 'greater_than_or_equal': return max >= limit
+      case 'less_than': return min < limit
+      case 'less_than_or_equal': return min <= limit
+    }
+  }
+
+  return true
+}
+
+// Two "equals" rules on the same single-answer question cannot both hold
+function hasContradictoryEquals(rules, byId) {
+  const expected = new Map()
+
+  return rules.some(rule => {
+    if (isConditionalGroup(rule) || rule.operator !== 'equals') return false
+
+    const source = byId.get(rule.question_id)
+    if (!source || source.question_type === 'checkbox' || source.question_type === 'multiple_choice') return false
+
+    const value = normalize(rule.value, source.question_type)
+    if (expected.has(rule.question_id) && expected.get(rule.question_id) !== value) return true
+
+    expected.set(rule.question_id, value)
+    return false
+  })
+}
+
+// Layout helpers
+
+// Unconditional questions sit in the main column; each level of dependency on
+// a conditional question moves a node one column further right
+function dependencyDepth(question, nodes) {
+  if (!hasConditionalLogic(question)) return 0
+
+  const sourceDepths = flatConditionalRules(conditionalRules(question))
+    .map(rule => nodes.get(rule.question_id))
+    .filter(Boolean)
+    .map(source => (source.conditional ? source.depth : 0))
+
+  return 1 + Math.max(0, ...sourceDepths)
+}
+
+function ruleIssues(question, byId) {
+  return flatConditionalRules(conditionalRules(question)).reduce((issues, rule) => {
+    const source = byId.get(rule.question_id)
+
+    if (!source) {
+      issues.push('A rule refers to a question that no longer exists')
+    } else if (source.position >= question.position) {
+      issues.push(`A rule refers to "${source.title}", which is asked later`)
+    }
+
+    return issues
+  }, [])
+}
+
+function normalize(value, questionType) {
+  const normalized = String(value === null || value === undefined ? '' : value).trim().toLowerCase()
+
+  if (questionType === 'yes_no' || questionType === 'boolean') {
+    if (['true', '1', 'yes', 'y', 'sí', 'si'].includes(normalized)) return 'yes'
+    if (['false', '0', 'no', 'n'].includes(normalized)) return 'no'
+  }
+
+  return normalized
+}
+
+function listValues(value) {
+  return Array.isArray(value) ? value : String(value || '').split(',').map(item => item.trim()).filter(Boolean)
+}
@@ -0,0 +1,123 @@
+// app/javascript/lib/geocoding.js
+//
+// Place search and reverse geocoding for the location widget, from a
+// pluggable provider. A provider is an object with
+//
+//   search(query, { signal })                => Promise<[{ id, label, latitude, longitude }]>
+//   reverse({ latitude, longitude }, { signal }) => Promise<label or null>
+//
+// Providers are registered by name and picked with config.x.geocoding (see
+// config/initializers/maps.rb). 'nominatim' calls a Nominatim API
+// (OpenStreetMap's, or a compatible service given its url and key); 'memory'
+// searches a list of places held in memory and is what specs use.
+//
+//   import { createGeocodingProvider } from "lib/geocoding"
+//
+//   const geocoder = createGeocodingProvider({ provider: 'memory', places })
+//   const [place] = await geocoder.search('town hall')
+//   await geocoder.reverse(place) // => 'Town Hall'
+
+import { request } from "lib/http_client"
+import { matchesTerms, words } from "lib/search_terms"
+
+export const DEFAULT_RESULT_LIMIT = 5
+export const NOMINATIM_URL = 'https://nominatim.openstreetmap.org'
+
+const EARTH_RADIUS = 6371008.8
+
+const providers = new Map()
+
+// Adds a provider. The factory receives the configured options (url, key,
+// limit, ...) and returns the provider.
+export function registerGeocodingProvider(name, factory) {
+  providers.set(name, factory)
+}
+
+// Returns the configured provider, or null when geocoding is off or the
+// provider is not registered
+export function createGeocodingProvider({ provider: name, ...options } = {}) {
+  if (!name) return null
+
+  const factory = providers.get(name)
+  if (!factory) {
+    console.warn(`No geocoding provider: ${name}`)
+    return null
+  }
+
+  return factory(options)
+}
+
+// Distance in meters along the Earth's surface
+export function distanceBetween(from, to) {
+  const radians = degrees => degrees * Math.PI / 180
+  const dLat = radians(to.latitude - from.latitude)
+  const dLng = radians(to.longitude - from.longitude)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLng / 2) ** 2
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+// Places given as [{ id, label, latitude, longitude }]. Every word of a
+// search has to start a word of the label, accents and case ignored; reverse
+// gives the nearest place within radius meters.
+export class MemoryGeocodingProvider {
+  constructor({ places = [], limit = DEFAULT_RESULT_LIMIT, radius = 1000 } = {}) {
+    this.places = places
+    this.limit = limit
+    this.radius = radius
+  }
+
+  async search(query) {
+    const terms = words(query)
+    if (terms.length === 0) return []
+
+    return this.places
+      .filter(place => matchesTerms(terms, place.label))
+      .slice(0, this.limit)
+      .map((place, index) => ({ id: place.id || String(index), ...place }))
+  }
+
+  async reverse(point) {
+    const nearest = this.places
+      .map(place => ({ place, distance: distanceBetween(point, place) }))
+      .filter(({ distance }) => distance <= this.radius)
+      .sort((a, b) => a.distance - b.distance)[0]
+
+    return nearest ? nearest.place.label : null
+  }
+}
+
+export class NominatimGeocodingProvider {
+  constructor({ url = NOMINATIM_URL, key = null, limit = DEFAULT_RESULT_LIMIT } = {}) {
+    this.url = url.replace(/\/+$/, '')
+    this.key = key
+    this.limit = limit
+  }
+
+  async search(query, { signal } = {}) {
+    const results = await this.lookup('search', { q: query, limit: this.limit }, signal)
+
+    return results.map(result => ({
+      id: String(result.place_id),
+      label: result.display_name,
+      latitude: Number(result.lat),
+      longitude: Number(result.lon)
+    }))
+  }
+
+  async reverse({ latitude, longitude }, { signal } = {}) {
+    const result = await this.lookup('reverse', { lat: latitude, lon: longitude }, signal)
+    return result && result.display_name ? result.display_name : null
+  }
+
+  async lookup(path, params, signal) {
+    const query = new URLSearchParams({ format: 'jsonv2', ...params })
+    if (this.key) query.set('key', this.key)
+
+    return request(`${this.url}/${path}?${query}`, { signal })
+  }
+}
+
+registerGeocodingProvider('memory', options => new MemoryGeocodingProvider(options))
+registerGeocodingProvider('nominatim', options => new NominatimGeocodingProvider(options))
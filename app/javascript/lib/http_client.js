@@ -0,0 +1,275 @@
+// app/javascript/lib/http_client.js
+//
+// Shared fetch wrapper for controllers. It adds the Rails CSRF token and the
+// JSON headers, encodes `json` bodies, aborts requests that run past their
+// timeout, retries idempotent requests with exponential backoff and turns
+// every failure (network, timeout, non-2xx status, unreadable body) into a
+// RequestError carrying the server's validation messages.
+//
+//   import { errorMessages, http, RequestError } from "lib/http_client"
+//
+//   const data = await http.patch(url, { json: { form_question: attributes } })
+//   const html = await http.get(url, { responseType: 'text', headers: { 'Accept': 'text/vnd.turbo-stream.html' } })
+
+const DEFAULT_TIMEOUT_MS = 30000
+const DEFAULT_RETRIES = 2
+const BASE_RETRY_DELAY_MS = 400
+const MAX_RETRY_DELAY_MS = 8000
+
+// Only safe methods are retried by default. Other requests are retried when
+// they carry an Idempotency-Key (see the IdempotentRequests concern) or when
+// the caller passes `retries` explicitly.
+const RETRIED_METHODS = ['GET', 'HEAD', 'OPTIONS']
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504]
+
+export class RequestError extends Error {
+  // kind is one of 'http', 'network', 'timeout', 'aborted' or 'parse'
+  constructor(message, { kind = 'http', status = 0, data = null, response = null, cause = null } = {}) {
+    super(message)
+    this.name = 'RequestError'
+    this.kind = kind
+    this.status = status
+    this.data = data
+    this.response = response
+    this.cause = cause
+    this.messages = extractMessages(data)
+    this.fieldErrors = extractFieldErrors(data)
+
+    if (this.messages.length > 0) this.message = this.messages.join('. ')
+  }
+
+  get isNetworkError() {
+    return this.kind === 'network'
+  }
+
+  get isTimeout() {
+    return this.kind === 'timeout'
+  }
+
+  get isAborted() {
+    return this.kind === 'aborted'
+  }
+
+  get isValidationError() {
+    return this.status === 422
+  }
+
+  get retryable() {
+    return this.kind === 'network' || this.kind === 'timeout' || RETRYABLE_STATUSES.includes(this.status)
+  }
+}
+
+// The server's messages for a failed request, or [fallback] for anything else
+// (including errors thrown while handling a successful response)
+export function errorMessages(error, fallback) {
+  if (error instanceof RequestError && error.messages.length > 0) return error.messages
+  return [fallback]
+}
+
+export function csrfToken() {
+  const meta = document.querySelector('meta[name="csrf-token"]')
+  return meta ? meta.content : ''
+}
+
+// Resolves to the parsed body: JSON by default (null for empty responses),
+// or text, a Blob or the raw Response depending on `responseType`.
+export async function request(url, options = {}) {
+  const {
+    method = 'GET',
+    json,
+    body = null,
+    headers = {},
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries,
+    signal = null,
+    responseType = 'json'
+  } = options
+
+  const verb = method.toUpperCase()
+  const requestHeaders = buildHeaders(url, verb, headers, json !== undefined, responseType)
+  const requestBody = json !== undefined ? JSON.stringify(json) : body
+  const maxRetries = retries ?? (retriedByDefault(verb, requestHeaders) ? DEFAULT_RETRIES : 0)
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await send(url, { method: verb, headers: requestHeaders, body: requestBody, credentials: 'same-origin' }, timeout, signal)
+
+      if (!response.ok) {
+        throw new RequestError(`Request failed with status ${response.status}`, {
+          status: response.status,
+          data: await readErrorBody(response),
+          response
+        })
+      }
+
+      return await readBody(response, responseType)
+    } catch (error) {
+      const failure = normalizeError(error)
+      if (attempt >= maxRetries || !failure.retryable) throw failure
+
+      console.warn(`Retrying ${verb} ${url} after ${failure.kind} error (attempt ${attempt + 1} of ${maxRetries})`)
+      await sleep(retryDelay(attempt, failure.response))
+    }
+  }
+}
+
+export const http = {
+  get: (url, options = {}) => request(url, { ...options, method: 'GET' }),
+  post: (url, options = {}) => request(url, { ...options, method: 'POST' }),
+  put: (url, options = {}) => request(url, { ...options, method: 'PUT' }),
+  patch: (url, options = {}) => request(url, { ...options, method: 'PATCH' }),
+  delete: (url, options = {}) => request(url, { ...options, method: 'DELETE' })
+}
+
+// Request building
+
+function buildHeaders(url, verb, headers, hasJson, responseType) {
+  const result = { 'Accept': responseType === 'json' ? 'application/json' : '*/*' }
+  if (hasJson) result['Content-Type'] = 'application/json'
+
+  // The Rails headers are never sent to other origins: the token is secret,
+  // and custom headers would make every cross-origin GET need a preflight
+  if (sameOrigin(url)) {
+    result['X-Requested-With'] = 'XMLHttpRequest'
+
+    const token = RETRIED_METHODS.includes(verb) ? null : csrfToken()
+    if (token) result['X-CSRF-Token'] = token
+  }
+
+  return { ...result, ...headers }
+}
+
+function sameOrigin(url) {
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin
+  } catch (error) {
+    return false
+  }
+}
+
+function retriedByDefault(verb, headers) {
+  return RETRIED_METHODS.includes(verb) ||
+    Object.keys(headers).some(name => name.toLowerCase() === 'idempotency-key')
+}
+
+// Each attempt gets its own AbortController so a timeout only ends that
+// attempt; the caller's signal aborts every attempt
+async function send(url, init, timeout, signal) {
+  if (signal && signal.aborted) throw abortedError()
+
+  const controller = new AbortController()
+  let timedOut = false
+
+  const timer = timeout > 0 ? setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout) : null
+
+  const abortFromCaller = () => controller.abort()
+  if (signal) signal.addEventListener('abort', abortFromCaller)
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal })
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error
+    if (timedOut) throw new RequestError('The request timed out', { kind: 'timeout', cause: error })
+    throw abortedError(error)
+  } finally {
+    clearTimeout(timer)
+    if (signal) signal.removeEventListener('abort', abortFromCaller)
+  }
+}
+
+function abortedError(cause = null) {
+  return new RequestError('The request was cancelled', { kind: 'aborted', cause })
+}
+
+// Response handling
+
+async function readBody(response, responseType) {
+  switch (responseType) {
+    case 'response':
+      return response
+    case 'text':
+      return response.text()
+    case 'blob':
+      return response.blob()
+  }
+
+  const text = await response.text()
+  if (!text) return null
+
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new RequestError('The server sent an unexpected response', { kind: 'parse', status: response.status, response, cause: error })
+  }
+}
+
+async function readErrorBody(response) {
+  try {
+    const text = await response.text()
+    if (!text) return null
+
+    const contentType = response.headers.get('Content-Type') || ''
+    return contentType.includes('json') ? JSON.parse(text) : null
+  } catch (error) {
+    return null
+  }
+}
+
+function normalizeError(error) {
+  if (error instanceof RequestError) return error
+
+  // fetch rejects with a TypeError when the request never reached the server
+  if (error instanceof TypeError) {
+    return new RequestError('Could not reach the server. Check your connection and try again.', { kind: 'network', cause: error })
+  }
+
+  return new RequestError(error.message || 'The request failed', { kind: 'network', cause: error })
+}
+
+// Rails controllers answer with { error: '...' }, { errors: ['...'] },
+// { errors: { field: ['...'] } } or { message: '...' }
+function extractMessages(data) {
+  if (!data || typeof data !== 'object') return []
+
+  const { errors, error, message } = data
+
+  if (Array.isArray(errors)) return errors.map(String)
+  if (errors && typeof errors === 'object') {
+    return Object.entries(errors).flatMap(([field, messages]) =>
+      [].concat(messages).map(text => field === 'base' ? String(text) : `${humanize(field)} ${text}`)
+    )
+  }
+  if (typeof errors === 'string') return [errors]
+  if (typeof error === 'string') return [error]
+  if (error && typeof error.message === 'string') return [error.message]
+  if (typeof message === 'string' && data.success === false) return [message]
+
+  return []
+}
+
+function extractFieldErrors(data) {
+  const errors = data && data.errors
+  if (!errors || typeof errors !== 'object' || Array.isArray(errors)) return {}
+
+  return Object.fromEntries(Object.entries(errors).map(([field, messages]) => [field, [].concat(messages).map(String)]))
+}
+
+function humanize(field) {
+  const words = field.replace(/_id$/, '').replace(/_/g, ' ')
+  return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+function retryDelay(attempt, response) {
+  const retryAfter = response && Number(response.headers.get('Retry-After'))
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS)
+
+  const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS)
+  return backoff / 2 + Math.random() * backoff / 2
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
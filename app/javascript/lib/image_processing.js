@@ -0,0 +1,265 @@
+// app/javascript/lib/image_processing.js
+//
+// Prepares photos for image_upload answers before they are uploaded. The
+// image is decoded, turned upright from its EXIF orientation, cropped to the
+// question's aspect ratio if it has one, scaled down to fit maxDimension and
+// encoded again. Encoding from a canvas keeps only the pixels, so EXIF and
+// other metadata (camera details, GPS location) never leave the browser.
+//
+// The work runs in a Web Worker with an OffscreenCanvas where the browser has
+// them, and on the page otherwise. The worker is this same module, so it has
+// no imports:
+//
+//   import { processImage } from "lib/image_processing"
+//
+//   const photo = await processImage(file, { maxDimension: 2048, quality: 0.85, aspectRatio: '4:3' })
+
+export const DEFAULT_MAX_DIMENSION = 2048
+export const DEFAULT_QUALITY = 0.85
+
+// EXIF sits in an APP1 segment at the start of a JPEG
+const EXIF_SCAN_BYTES = 128 * 1024
+const ORIENTATION_TAG = 0x0112
+
+// Animated GIFs would lose their animation and SVGs are not bitmaps
+const PROCESSABLE_TYPE = /^image\/(?!gif$|svg)/
+
+export function isProcessableImage(file) {
+  return PROCESSABLE_TYPE.test(file.type || '')
+}
+
+// Resolves with the processed image as a File named after the original
+export async function processImage(file, options = {}) {
+  const settings = { ...options, decoderOrients: decoderAppliesOrientation() }
+
+  if (canUseWorker()) {
+    try {
+      return await processInWorker(file, settings)
+    } catch (error) {
+      // Browsers without a 2D OffscreenCanvas or module workers end up here
+      console.warn('Image worker unavailable, processing on the page:', error)
+    }
+  }
+
+  return renderImage(file, settings)
+}
+
+export async function renderImage(file, { maxDimension = DEFAULT_MAX_DIMENSION, quality = DEFAULT_QUALITY, aspectRatio = null, decoderOrients = false } = {}) {
+  const orientation = decoderOrients ? 1 : readExifOrientation(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer())
+  const image = await decode(file)
+
+  try {
+    let source = image
+    let { width, height } = image
+
+    if (orientation > 1) {
+      ({ width, height } = orientedSize(width, height, orientation))
+      source = createCanvas(width, height)
+
+      const context = source.getContext('2d')
+      context.setTransform(...orientationTransform(orientation, image.width, image.height))
+      context.drawImage(image, 0, 0)
+    }
+
+    const plan = processingPlan(width, height, { maxDimension, aspectRatio: parseAspectRatio(aspectRatio) })
+    const type = outputType(file.type)
+    const canvas = createCanvas(plan.width, plan.height)
+    const context = canvas.getContext('2d')
+
+    if (type === 'image/jpeg') {
+      // JPEG has no transparency; white reads better than the default black
+      context.fillStyle = '#fff'
+      context.fillRect(0, 0, plan.width, plan.height)
+    }
+
+    context.imageSmoothingQuality = 'high'
+    context.drawImage(source, plan.crop.x, plan.crop.y, plan.crop.width, plan.crop.height, 0, 0, plan.width, plan.height)
+
+    const blob = await encode(canvas, type, quality)
+    return new File([blob], processedName(file.name, blob.type), { type: blob.type, lastModified: file.lastModified })
+  } finally {
+    if (image.close) image.close()
+  }
+}
+
+// EXIF orientation (1-8) of a JPEG, 1 when it has none
+export function readExifOrientation(buffer) {
+  const view = new DataView(buffer)
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1
+
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset)
+    const length = view.getUint16(offset + 2)
+
+    // Anything else is not a segment, and image data starts at SOS
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1
+
+    // "Exif" followed by two zero bytes, then the TIFF header
+    if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      return tiffOrientation(view, offset + 10, Math.min(offset + 2 + length, view.byteLength))
+    }
+
+    offset += 2 + length
+  }
+
+  return 1
+}
+
+function tiffOrientation(view, start, end) {
+  if (start + 8 > end) return 1
+
+  const littleEndian = view.getUint16(start) === 0x4949
+  const directory = start + view.getUint32(start + 4, littleEndian)
+  if (directory + 2 > end) return 1
+
+  const count = view.getUint16(directory, littleEndian)
+  for (let index = 0; index < count; index++) {
+    const entry = directory + 2 + index * 12
+    if (entry + 12 > end) return 1
+
+    if (view.getUint16(entry, littleEndian) === ORIENTATION_TAG) {
+      const orientation = view.getUint16(entry + 8, littleEndian)
+      return orientation >= 1 && orientation <= 8 ? orientation : 1
+    }
+  }
+
+  return 1
+}
+
+// Orientations 5-8 turn the image by a quarter
+export function orientedSize(width, height, orientation) {
+  return orientation >= 5 ? { width: height, height: width } : { width, height }
+}
+
+// Canvas transform that draws a width x height image upright
+export function orientationTransform(orientation, width, height) {
+  switch (orientation) {
+    case 2: return [-1, 0, 0, 1, width, 0]
+    case 3: return [-1, 0, 0, -1, width, height]
+    case 4: return [1, 0, 0, -1, 0, height]
+    case 5: return [0, 1, 1, 0, 0, 0]
+    case 6: return [0, 1, -1, 0, height, 0]
+    case 7: return [0, -1, -1, 0, height, width]
+    case 8: return [0, -1, 1, 0, 0, width]
+    default: return [1, 0, 0, 1, 0, 0]
+  }
+}
+
+// The centred crop for aspectRatio (width / height) and the size it is
+// scaled to so its longer side fits maxDimension. Images are never enlarged.
+export function processingPlan(width, height, { maxDimension = DEFAULT_MAX_DIMENSION, aspectRatio = null } = {}) {
+  let crop = { x: 0, y: 0, width, height }
+
+  if (aspectRatio && width / height > aspectRatio) {
+    const cropWidth = Math.round(height * aspectRatio)
+    crop = { x: Math.floor((width - cropWidth) / 2), y: 0, width: cropWidth, height }
+  } else if (aspectRatio) {
+    const cropHeight = Math.round(width / aspectRatio)
+    crop = { x: 0, y: Math.floor((height - cropHeight) / 2), width, height: cropHeight }
+  }
+
+  const scale = Math.min(1, maxDimension / Math.max(crop.width, crop.height))
+
+  return {
+    crop,
+    width: Math.max(1, Math.round(crop.width * scale)),
+    height: Math.max(1, Math.round(crop.height * scale))
+  }
+}
+
+// "16:9" => 1.777..., null for anything else
+export function parseAspectRatio(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*$/.exec(value || '')
+  if (!match) return null
+
+  const ratio = Number(match[1]) / Number(match[2])
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : null
+}
+
+// PNGs stay PNGs to keep their transparency; photos become JPEGs
+export function outputType(type) {
+  return type === 'image/png' ? 'image/png' : 'image/jpeg'
+}
+
+export function processedName(name, type) {
+  const extension = type === 'image/png' ? '.png' : '.jpg'
+  const base = name.replace(/\.[^./]*$/, '')
+
+  return `${base || 'image'}${extension}`
+}
+
+// Browsers that support CSS image-orientation also turn decoded images
+// upright themselves, and applying the EXIF orientation again would turn
+// them too far. Workers have no CSS, so the page works this out for them.
+function decoderAppliesOrientation() {
+  return typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image')
+}
+
+function canUseWorker() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function'
+}
+
+function processInWorker(file, settings) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(import.meta.url, { type: 'module' })
+
+    worker.onmessage = ({ data }) => {
+      worker.terminate()
+      data.error ? reject(new Error(data.error)) : resolve(data.file)
+    }
+    worker.onerror = (event) => {
+      worker.terminate()
+      reject(new Error(event.message || 'Image worker failed'))
+    }
+
+    worker.postMessage({ file, settings })
+  })
+}
+
+function decode(file) {
+  if (typeof createImageBitmap === 'function') return createImageBitmap(file)
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const image = new Image()
+
+    image.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(image)
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error(`${file.name} could not be read as an image`))
+    }
+    image.src = url
+  })
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+function encode(canvas, type, quality) {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality })
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be encoded'))), type, quality)
+  })
+}
+
+// Running as the worker started by processInWorker
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = async ({ data }) => {
+    try {
+      self.postMessage({ file: await renderImage(data.file, data.settings) })
+    } catch (error) {
+      self.postMessage({ error: error.message })
+    }
+  }
+}
@@ -0,0 +1,133 @@
+// app/javascript/lib/locations.js
+//
+// Coordinates for location questions: reading and checking typed latitudes
+// and longitudes, and the Web Mercator maths behind the tile map picker
+// (lib/tile_map). Tiles are TILE_SIZE pixels square and the world is
+// TILE_SIZE * 2^zoom pixels wide at a zoom level, as in OpenStreetMap tiles.
+// FormQuestion::AnswerValidator checks coordinates with the same rules.
+//
+//   import { locationErrors, project, unproject } from "lib/locations"
+//
+//   locationErrors({ latitude: '51.5007', longitude: '-0.1246' }) // => []
+//   project({ latitude: 0, longitude: 0 }, 1)                     // => { x: 256, y: 256 }
+
+export const TILE_SIZE = 256
+export const MIN_ZOOM = 1
+export const MAX_ZOOM = 19
+export const COORDINATE_DECIMALS = 6
+// Web Mercator stops short of the poles
+export const MAX_LATITUDE = 85.0511287798
+
+export const LATITUDE_MESSAGE = 'Enter a latitude between -90 and 90'
+export const LONGITUDE_MESSAGE = 'Enter a longitude between -180 and 180'
+export const COORDINATES_REQUIRED_MESSAGE = 'Choose the location on the map'
+
+const NUMBER_FORMAT = /^-?\d+(?:\.\d+)?$/
+const EARTH_CIRCUMFERENCE = 40075016.686
+
+// A coordinate as a number, or null when it is not one
+export function parseCoordinate(value) {
+  const text = String(value ?? '').trim()
+  return NUMBER_FORMAT.test(text) ? Number(text) : null
+}
+
+// "51.5007, -0.1246" as typed or pasted from a map app
+export function parseCoordinates(text) {
+  const match = String(text ?? '').trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/)
+  if (!match) return null
+
+  const [latitude, longitude] = [Number(match[1]), Number(match[2])]
+  return locationErrors({ latitude, longitude }).length === 0 ? { latitude, longitude } : null
+}
+
+export function formatCoordinates({ latitude, longitude }) {
+  return `${Number(latitude).toFixed(COORDINATE_DECIMALS)}, ${Number(longitude).toFixed(COORDINATE_DECIMALS)}`
+}
+
+// Messages for a location answer: { location, latitude, longitude, accuracy }.
+// Coordinates come in pairs; a typed place alone is accepted unless
+// coordinatesRequired.
+export function locationErrors(answer, { coordinatesRequired = false } = {}) {
+  const latitude = answer.latitude ?? ''
+  const longitude = answer.longitude ?? ''
+
+  if (String(latitude).trim() === '' && String(longitude).trim() === '') {
+    return coordinatesRequired ? [COORDINATES_REQUIRED_MESSAGE] : []
+  }
+
+  const errors = []
+  const lat = parseCoordinate(latitude)
+  const lng = parseCoordinate(longitude)
+  if (lat === null || lat < -90 || lat > 90) errors.push(LATITUDE_MESSAGE)
+  if (lng === null || lng < -180 || lng > 180) errors.push(LONGITUDE_MESSAGE)
+  return errors
+}
+
+export function clampZoom(zoom) {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.round(zoom)))
+}
+
+// Longitudes past the antimeridian come back into -180..180
+export function wrapLongitude(longitude) {
+  return ((((longitude + 180) % 360) + 360) % 360) - 180
+}
+
+// World pixel coordinates of a point at a zoom level
+export function project({ latitude, longitude }, zoom) {
+  const size = TILE_SIZE * 2 ** zoom
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude))
+  const sin = Math.sin(lat * Math.PI / 180)
+
+  return {
+    x: (longitude + 180) / 360 * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  }
+}
+
+export function unproject({ x, y }, zoom) {
+  const size = TILE_SIZE * 2 ** zoom
+  const n = Math.PI - 2 * Math.PI * y / size
+
+  return {
+    latitude: Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, 180 / Math.PI * Math.atan(Math.sinh(n)))),
+    longitude: wrapLongitude(x / size * 360 - 180)
+  }
+}
+
+// Ground distance covered by one pixel, for drawing accuracy circles
+export function metersPerPixel(latitude, zoom) {
+  return EARTH_CIRCUMFERENCE * Math.cos(latitude * Math.PI / 180) / (TILE_SIZE * 2 ** zoom)
+}
+
+// The tiles covering a width x height view centred on center, with their
+// offsets from the view's top left corner. Tile columns wrap around the
+// antimeridian (key tells the copies apart); rows beyond the poles are left
+// out.
+export function visibleTiles(center, zoom, width, height) {
+  const count = 2 ** zoom
+  const origin = project(center, zoom)
+  const left = origin.x - width / 2
+  const top = origin.y - height / 2
+  const tiles = []
+
+  for (let row = Math.floor(top / TILE_SIZE); row * TILE_SIZE < top + height; row++) {
+    if (row < 0 || row >= count) continue
+
+    for (let column = Math.floor(left / TILE_SIZE); column * TILE_SIZE < left + width; column++) {
+      tiles.push({
+        key: `${zoom}/${column}/${row}`,
+        x: ((column % count) + count) % count,
+        y: row,
+        z: zoom,
+        left: Math.round(column * TILE_SIZE - left),
+        top: Math.round(row * TILE_SIZE - top)
+      })
+    }
+  }
+
+  return tiles
+}
+
+export function tileUrl(template, { x, y, z }) {
+  return template.replace('{z}', z).replace('{x}', x).replace('{y}', y)
+}
@@ -0,0 +1,75 @@
+// app/javascript/lib/matrix.js
+//
+// Rows and keyboard movement for matrix questions. An answer maps row ids to
+// the chosen column id, or to a list of column ids when several may be
+// chosen per row: { speed: '1', price: ['0', '2'] }. Every row must be
+// answered when the question is required; otherwise only the rows marked as
+// required. FormQuestion::AnswerValidator checks answers with the same rules.
+//
+//   import { matrixErrors, unansweredRows } from "lib/matrix"
+//
+//   matrixErrors({ speed: '1' }, { required: true, rows: ['speed', 'price'] }) // => ['Answer every row']
+//   unansweredRows({ speed: '1' }, ['speed', 'price'])                         // => ['price']
+
+export const MATRIX_REQUIRED_MESSAGE = 'Answer every row'
+export const MATRIX_REQUIRED_ROWS_MESSAGE = 'Answer every row marked as required'
+export const MATRIX_OPTION_MESSAGE = 'Choose from the listed options in each row'
+
+// Rows that must be answered
+export function requiredRows({ required = false, rows = [], requiredRows = [] }) {
+  return required ? rows : rows.filter(row => requiredRows.includes(row))
+}
+
+export function unansweredRows(answer, rows) {
+  return rows.filter(row => isBlankEntry(answer?.[row]))
+}
+
+// Messages for a normalized matrix answer. Single choice rows hold a column
+// id, multiple choice rows a list of them; with no columns listed any value
+// is accepted.
+export function matrixErrors(answer, { required = false, rows = [], requiredRows: marked = [], columns = [], multiple = false } = {}) {
+  if (!isHash(answer)) return [MATRIX_REQUIRED_MESSAGE]
+
+  const errors = []
+  const listed = choice => typeof choice === 'string' && (columns.length === 0 || columns.includes(choice))
+  const validEntry = entry => multiple ? [entry].flat().every(listed) : listed(entry)
+  if (!Object.values(answer).every(validEntry)) errors.push(MATRIX_OPTION_MESSAGE)
+
+  const missing = unansweredRows(answer, requiredRows({ required, rows, requiredRows: marked }))
+  if (missing.length > 0) errors.push(required ? MATRIX_REQUIRED_MESSAGE : MATRIX_REQUIRED_ROWS_MESSAGE)
+
+  return errors
+}
+
+// Cell ({ row, column }, 0-based) focus moves to from `cell` in a grid of
+// `rows` x `columns` for a key press, or null for keys that do not move it.
+// Arrows stop at the edges; Home and End go to the ends of the row, or of the
+// grid with Ctrl.
+export function cellForKey(key, { row, column }, { rows, columns }, { ctrlKey = false } = {}) {
+  switch (key) {
+    case 'ArrowLeft':
+      return { row, column: Math.max(column - 1, 0) }
+    case 'ArrowRight':
+      return { row, column: Math.min(column + 1, columns - 1) }
+    case 'ArrowUp':
+      return { row: Math.max(row - 1, 0), column }
+    case 'ArrowDown':
+      return { row: Math.min(row + 1, rows - 1), column }
+    case 'Home':
+      return { row: ctrlKey ? 0 : row, column: 0 }
+    case 'End':
+      return { row: ctrlKey ? rows - 1 : row, column: columns - 1 }
+    default:
+      return null
+  }
+}
+
+function isBlankEntry(entry) {
+  if (entry === null || entry === undefined) return true
+  if (typeof entry === 'string' || Array.isArray(entry)) return entry.length === 0
+  return false
+}
+
+function isHash(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
@@ -0,0 +1,401 @@
+// app/javascript/lib/notifications.js
+//
+// Toasts and modal dialogs shared by every controller. Both render through a
+// single <notification-center> element, created on first use: toasts are
+// queued and stacked in the top right corner and announced through ARIA live
+// regions; modals open one at a time with focus trapped inside them and
+// returned to the opener when they close.
+//
+// Strings are always rendered as text. Richer content is passed as DOM nodes
+// (see element() below) and links or buttons as `actions`, never as HTML.
+//
+//   import { openModal, toast } from "lib/notifications"
+//
+//   toast('Settings saved', { type: 'success' })
+//   toast(error.message, { type: 'error', actions: [{ label: 'Retry', onClick: () => this.save() }] })
+//   openModal({
+//     title: 'Payment Setup Help',
+//     body: [description, element('ol', 'list-decimal list-inside', steps.map(step => element('li', '', step)))],
+//     actions: [{ label: 'Got it', primary: true }]
+//   })
+
+const MAX_VISIBLE_TOASTS = 3
+const DEFAULT_DURATIONS = { success: 4000, info: 5000, warning: 7000, error: 8000 }
+const ANNOUNCE_DELAY_MS = 100
+const LEAVE_ANIMATION_MS = 200
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+
+const TOAST_STYLES = {
+  success: { container: 'bg-green-50 border-green-200', text: 'text-green-800', icon: '✓' },
+  error: { container: 'bg-red-50 border-red-200', text: 'text-red-800', icon: '✕' },
+  warning: { container: 'bg-yellow-50 border-yellow-200', text: 'text-yellow-800', icon: '!' },
+  info: { container: 'bg-blue-50 border-blue-200', text: 'text-blue-800', icon: 'ℹ' }
+}
+
+const MODAL_WIDTHS = { sm: 'sm:max-w-md', md: 'sm:max-w-lg', lg: 'sm:max-w-2xl' }
+
+let modalCount = 0
+
+// Public API
+
+// Shows a toast. `duration: 0` keeps it until dismissed. Returns a handle whose
+// dismiss() also removes a toast that is still waiting in the queue.
+export function toast(message, { type = 'info', title = null, actions = [], duration = null, dismissible = true } = {}) {
+  const entry = {
+    message,
+    type: TOAST_STYLES[type] ? type : 'info',
+    title,
+    actions,
+    dismissible,
+    duration: duration ?? DEFAULT_DURATIONS[type] ?? DEFAULT_DURATIONS.info
+  }
+
+  notificationCenter().showToast(entry)
+  return { dismiss: () => notificationCenter().dismissToast(entry) }
+}
+
+// Opens a modal dialog, or queues it while another one is open. `body` may be
+// a string, a node or an array of them. Actions close the modal unless they
+// set `dismiss: false`; `closed` resolves with the value of the action used.
+export function openModal({ title, body = null, actions = [], size = 'md', dismissible = true, onClose = null } = {}) {
+  let resolveClosed
+  const closed = new Promise(resolve => { resolveClosed = resolve })
+
+  const entry = { title, body, actions, size, dismissible, onClose, resolveClosed }
+  notificationCenter().openModal(entry)
+
+  return { closed, close: (value = null) => notificationCenter().closeModal(entry, value) }
+}
+
+// Screen reader only announcement, for status changes without a visible toast
+export function announce(message, { assertive = false } = {}) {
+  notificationCenter().announce(message, assertive)
+}
+
+// Builds modal and toast content without markup strings: `children` may be
+// a string (set as text), a node or an array of either
+export function element(tag, className = '', children = []) {
+  const node = createElement(tag, className)
+  node.append(...[].concat(children).map(child => (child instanceof Node ? child : document.createTextNode(String(child)))))
+  return node
+}
+
+// The element
+
+class NotificationCenter extends HTMLElement {
+  connectedCallback() {
+    if (this.stack) return
+
+    this.toastQueue = []
+    this.visibleToasts = []
+    this.modalQueue = []
+    this.activeModal = null
+
+    this.stack = createElement('div', 'fixed top-4 right-4 z-50 flex flex-col items-end w-full max-w-sm space-y-3 pointer-events-none')
+    this.stack.setAttribute('role', 'region')
+    this.stack.setAttribute('aria-label', 'Notifications')
+
+    this.politeRegion = liveRegion('status', 'polite')
+    this.assertiveRegion = liveRegion('alert', 'assertive')
+
+    this.append(this.stack, this.politeRegion, this.assertiveRegion)
+  }
+
+  // Toasts
+
+  showToast(entry) {
+    // The same message twice in a row only restarts the timer
+    const duplicate = this.visibleToasts.find(visible => visible.type === entry.type && visible.message === entry.message && typeof entry.message === 'string')
+    if (duplicate) {
+      this.startToastTimer(duplicate)
+      return
+    }
+
+    if (this.visibleToasts.length >= MAX_VISIBLE_TOASTS) {
+      this.toastQueue.push(entry)
+      return
+    }
+
+    entry.element = this.buildToast(entry)
+    this.visibleToasts.push(entry)
+    this.stack.append(entry.element)
+
+    this.announce(textOf(entry.title, entry.message), entry.type === 'error')
+    this.startToastTimer(entry)
+  }
+
+  dismissToast(entry) {
+    if (this.toastQueue.includes(entry)) {
+      this.toastQueue = this.toastQueue.filter(queued => queued !== entry)
+      return
+    }
+    if (!this.visibleToasts.includes(entry)) return
+
+    clearTimeout(entry.timer)
+    this.visibleToasts = this.visibleToasts.filter(visible => visible !== entry)
+
+    const element = entry.element
+    element.classList.add('opacity-0', 'translate-x-4')
+    setTimeout(() => element.remove(), LEAVE_ANIMATION_MS)
+
+    if (this.toastQueue.length > 0) this.showToast(this.toastQueue.shift())
+  }
+
+  startToastTimer(entry) {
+    clearTimeout(entry.timer)
+    if (entry.duration > 0) entry.timer = setTimeout(() => this.dismissToast(entry), entry.duration)
+  }
+
+  buildToast(entry) {
+    const style = TOAST_STYLES[entry.type]
+    const element = createElement('div', `pointer-events-auto w-full p-4 border rounded-lg shadow-lg transition duration-200 ${style.container}`)
+
+    const row = createElement('div', 'flex items-start')
+    const icon = createElement('span', `flex-shrink-0 inline-flex items-center justify-center w-5 h-5 text-sm font-semibold ${style.text}`, style.icon)
+    icon.setAttribute('aria-hidden', 'true')
+
+    const content = createElement('div', 'ml-3 flex-1 min-w-0')
+    if (entry.title) content.append(createElement('p', `text-sm font-semibold ${style.text}`, entry.title))
+
+    const message = createElement('div', `text-sm break-words ${style.text}`)
+    message.append(renderContent(entry.message))
+    content.append(message)
+
+    if (entry.actions.length > 0) {
+      const actions = createElement('div', 'mt-2 flex flex-wrap gap-3')
+      entry.actions.forEach(action => actions.append(this.buildAction(action, {
+        className: `text-sm font-medium underline ${style.text}`,
+        done: () => this.dismissToast(entry)
+      })))
+      content.append(actions)
+    }
+
+    row.append(icon, content)
+
+    if (entry.dismissible) {
+      const close = createElement('button', 'ml-4 flex-shrink-0 text-gray-400 hover:text-gray-600 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded', '✕')
+      close.type = 'button'
+      close.setAttribute('aria-label', 'Dismiss notification')
+      close.addEventListener('click', () => this.dismissToast(entry))
+      row.append(close)
+    }
+
+    element.append(row)
+
+    // Reading or interacting with a toast keeps it open
+    element.addEventListener('mouseenter', () => clearTimeout(entry.timer))
+    element.addEventListener('focusin', () => clearTimeout(entry.timer))
+    element.addEventListener('mouseleave', () => this.startToastTimer(entry))
+    element.addEventListener('focusout', () => this.startToastTimer(entry))
+
+    return element
+  }
+
+  // Modals
+
+  openModal(entry) {
+    if (this.activeModal) {
+      this.modalQueue.push(entry)
+      return
+    }
+
+    this.activeModal = entry
+    entry.returnFocus = document.activeElement
+    entry.element = this.buildModal(entry)
+
+    document.body.append(entry.element)
+    document.body.classList.add('overflow-hidden')
+
+    const primary = entry.element.querySelector('[data-modal-primary]')
+    const target = primary || entry.element.querySelector(FOCUSABLE)
+    if (target) target.focus()
+  }
+
+  closeModal(entry, value = null) {
+    if (this.modalQueue.includes(entry)) {
+      this.modalQueue = this.modalQueue.filter(queued => queued !== entry)
+      entry.resolveClosed(value)
+      return
+    }
+    if (this.activeModal !== entry) return
+
+    this.activeModal = null
+    entry.element.remove()
+    document.body.classList.remove('overflow-hidden')
+
+    if (entry.returnFocus && entry.returnFocus.isConnected) entry.returnFocus.focus()
+    if (entry.onClose) entry.onClose(value)
+    entry.resolveClosed(value)
+
+    if (this.modalQueue.length > 0) this.openModal(this.modalQueue.shift())
+  }
+
+  buildModal(entry) {
+    const titleId = `notification-modal-title-${++modalCount}`
+
+    const overlay = createElement('div', 'fixed inset-0 z-50 overflow-y-auto')
+    const backdrop = createElement('div', 'fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity')
+    backdrop.setAttribute('aria-hidden', 'true')
+
+    const wrapper = createElement('div', 'relative flex items-center justify-center min-h-screen p-4')
+    const dialog = createElement('div', `relative w-full bg-white rounded-lg shadow-xl p-6 text-left ${MODAL_WIDTHS[entry.size] || MODAL_WIDTHS.md}`)
+    dialog.setAttribute('role', 'dialog')
+    dialog.setAttribute('aria-modal', 'true')
+    dialog.setAttribute('aria-labelledby', titleId)
+
+    const title = createElement('h2', 'text-lg font-medium text-gray-900', entry.title)
+    title.id = titleId
+
+    const body = createElement('div', 'mt-3 text-sm text-gray-600 space-y-3')
+    body.append(renderContent(entry.body))
+
+    dialog.append(title, body)
+
+    const actions = entry.actions.length > 0 ? entry.actions : [{ label: 'Close' }]
+    const footer = createElement('div', 'mt-6 flex flex-col-reverse gap-3 sm:flex-row sm:justify-end')
+    actions.forEach(action => footer.append(this.buildAction(action, {
+      className: action.primary
+        ? 'inline-flex justify-center px-4 py-2 text-sm font-medium text-white bg-indigo-600 border border-transparent rounded-md shadow-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500'
+        : 'inline-flex justify-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500',
+      done: (value) => this.closeModal(entry, value)
+    })))
+    dialog.append(footer)
+
+    wrapper.append(dialog)
+    overlay.append(backdrop, wrapper)
+
+    if (entry.dismissible) {
+      wrapper.addEventListener('click', (event) => {
+        if (event.target === wrapper) this.closeModal(entry)
+      })
+    }
+
+    overlay.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && entry.dismissible) {
+        event.preventDefault()
+        this.closeModal(entry)
+      } else if (event.key === 'Tab') {
+        trapFocus(event, dialog)
+      }
+    })
+
+    return overlay
+  }
+
+  // Shared by toasts and modals: a link for `href` (http(s), mailto or
+  // relative URLs only), otherwise a button
+  buildAction(action, { className, done }) {
+    const url = safeUrl(action.href)
+    const element = createElement(url ? 'a' : 'button', className, action.label)
+
+    if (url) {
+      element.href = url
+      if (action.external) {
+        element.target = '_blank'
+        element.rel = 'noopener noreferrer'
+      }
+    } else {
+      element.type = 'button'
+    }
+
+    if (action.primary) element.dataset.modalPrimary = ''
+
+    element.addEventListener('click', (event) => {
+      if (action.onClick) action.onClick(event)
+      if (action.dismiss !== false) done(action.value ?? action.label)
+    })
+
+    return element
+  }
+
+  // Cleared first so that repeating a message is announced again
+  announce(message, assertive = false) {
+    const region = assertive ? this.assertiveRegion : this.politeRegion
+    region.textContent = ''
+    setTimeout(() => { region.textContent = message }, ANNOUNCE_DELAY_MS)
+  }
+}
+
+if (!customElements.get('notification-center')) {
+  customElements.define('notification-center', NotificationCenter)
+}
+
+// Helpers
+
+function notificationCenter() {
+  let center = document.querySelector('notification-center')
+
+  if (!center) {
+    center = document.createElement('notification-center')
+    document.body.append(center)
+  }
+
+  return center
+}
+
+function createElement(tag, className, text = null) {
+  const element = document.createElement(tag)
+  element.className = className
+  if (text !== null) element.textContent = text
+  return element
+}
+
+function liveRegion(role, politeness) {
+  const region = createElement('div', 'sr-only')
+  region.setAttribute('role', role)
+  region.setAttribute('aria-live', politeness)
+  region.setAttribute('aria-atomic', 'true')
+  return region
+}
+
+function renderContent(content) {
+  const fragment = document.createDocumentFragment()
+
+  ;[].concat(content ?? []).forEach(part => {
+    if (part instanceof Node) {
+      fragment.append(part)
+    } else if (part !== null && part !== undefined) {
+      fragment.append(createElement('p', '', String(part)))
+    }
+  })
+
+  return fragment
+}
+
+function textOf(...parts) {
+  return parts
+    .flatMap(part => [].concat(part ?? []))
+    .map(part => (part instanceof Node ? part.textContent : String(part)).trim())
+    .filter(Boolean)
+    .join('. ')
+}
+
+function safeUrl(href) {
+  if (!href) return null
+
+  try {
+    const url = new URL(href, window.location.href)
+    return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null
+  } catch (error) {
+    return null
+  }
+}
+
+function trapFocus(event, container) {
+  const focusable = Array.from(container.querySelectorAll(FOCUSABLE)).filter(element => element.offsetParent !== null)
+  if (focusable.length === 0) {
+    event.preventDefault()
+    return
+  }
+
+  const first = focusable[0]
+  const last = focusable[focusable.length - 1]
+
+  if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault()
+    last.focus()
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault()
+    first.focus()
+  }
+}
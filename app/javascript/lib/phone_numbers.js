@@ -0,0 +1,124 @@
+// app/javascript/lib/phone_numbers.js
+//
+// Reads, checks and formats phone numbers with the per-country numbering
+// plans in config/phone_numbering_plans.json, which reach the browser in a
+// phone question's answer constraints (FormQuestion#answer_constraints).
+// FormQuestion::PhoneNumber reads numbers the same way on the server. Answers
+// are stored in E.164 form: + calling code + national significant number.
+//
+//   import { formatNationalNumber, parsePhoneNumber } from "lib/phone_numbers"
+//
+//   const number = parsePhoneNumber('07400 123456', countries, 'GB')
+//   number.e164                                      // => '+447400123456'
+//   number.valid                                     // => true
+//   formatNationalNumber(number.nationalNumber, gb)  // => '7400 123456'
+
+// Used when neither the question nor the browser language picks a country
+export const FALLBACK_COUNTRY = 'US'
+
+// Returns { country, nationalNumber, e164, valid }, or null when no plan
+// applies: an international number with a calling code none of the countries
+// has, or a national number without a default country. International numbers
+// start with + or 00; anything else is read as a number of defaultCountry.
+export function parsePhoneNumber(value, countries, defaultCountry = null) {
+  const text = String(value ?? '').trim()
+  const digits = text.replace(/\D/g, '')
+
+  if (isInternational(text)) {
+    const international = text.startsWith('+') ? digits : digits.slice(2)
+    const callingCode = countries
+      .map(country => country.calling_code)
+      .filter(code => international.startsWith(code))
+      .sort((a, b) => b.length - a.length)[0]
+    if (!callingCode) return null
+
+    const candidates = countries.filter(country => country.calling_code === callingCode)
+    const number = international.slice(callingCode.length)
+    const matches = country => nationalPattern(country).test(nationalDigits(number, country))
+
+    // The chosen country, then the first one listed, when the number fits
+    // it; else the chosen or the main country for the calling code
+    const country = candidates.find(candidate => candidate.code === defaultCountry && matches(candidate)) ||
+      candidates.find(matches) ||
+      candidates.find(candidate => candidate.code === defaultCountry) ||
+      candidates.find(candidate => candidate.main_country) ||
+      candidates[0]
+
+    return phoneNumber(country, nationalDigits(number, country))
+  }
+
+  const country = countries.find(candidate => candidate.code === defaultCountry)
+  return country ? phoneNumber(country, nationalDigits(digits, country)) : null
+}
+
+export function isInternational(value) {
+  const text = String(value ?? '').trim()
+  return text.startsWith('+') || text.startsWith('00')
+}
+
+// Groups the digits of a national number, complete or not, by the country's
+// first matching format. Digits beyond the format are added at the end.
+export function formatNationalNumber(nationalNumber, country) {
+  const digits = String(nationalNumber).replace(/\D/g, '')
+  if (!digits) return ''
+
+  const format = (country.formats || []).find(candidate => !candidate.leading || new RegExp(`^(?:${candidate.leading})`).test(digits))
+  if (!format) return digits
+
+  let formatted = ''
+  let index = 0
+  for (const character of format.template) {
+    if (index >= digits.length) break
+
+    if (character === '#') {
+      formatted += digits[index]
+      index += 1
+    } else {
+      formatted += character
+    }
+  }
+
+  return formatted + digits.slice(index)
+}
+
+// The configured country, else the region of the first browser language
+// that has a plan (en-GB => GB), else FALLBACK_COUNTRY or the first country
+export function defaultCountryCode(countries, { configured = null, languages = [] } = {}) {
+  const codes = countries.map(country => country.code)
+  if (configured && codes.includes(configured)) return configured
+
+  for (const language of languages) {
+    const region = regionOf(language)
+    if (region && codes.includes(region)) return region
+  }
+
+  return codes.includes(FALLBACK_COUNTRY) ? FALLBACK_COUNTRY : codes[0] || null
+}
+
+function regionOf(language) {
+  try {
+    return new Intl.Locale(language).maximize().region || null
+  } catch {
+    const match = /^[a-z]{2,3}[-_]([A-Z]{2})\b/i.exec(language || '')
+    return match ? match[1].toUpperCase() : null
+  }
+}
+
+function phoneNumber(country, nationalNumber) {
+  return {
+    country: country.code,
+    nationalNumber,
+    e164: `+${country.calling_code}${nationalNumber}`,
+    valid: nationalPattern(country).test(nationalNumber)
+  }
+}
+
+// The national prefix is dropped wherever it is typed: "+44 (0)7400..."
+function nationalDigits(digits, country) {
+  const prefix = country.national_prefix
+  return prefix && digits.startsWith(prefix) ? digits.slice(prefix.length) : digits
+}
+
+function nationalPattern(country) {
+  return new RegExp(`^(?:${country.pattern})$`)
+}
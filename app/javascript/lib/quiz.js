@@ -0,0 +1,50 @@
+// app/javascript/lib/quiz.js
+//
+// The respondent side of quiz mode (Form#quiz_config): the countdown of a
+// timed quiz and the score shown after each answer (quiz_controller).
+// Answers are scored by the server, which never sends the correct answers
+// (questions come with FormQuestion#public_config) and keeps the first answer
+// to a question once its score is shown; question_response_controller passes
+// the score in an answer's reply on as a QUIZ_SCORE_EVENT.
+//
+//   import { formatCountdown, formatPoints, scoreFeedback, secondsLeft } from "lib/quiz"
+//
+//   secondsLeft('2025-06-07T10:30:00Z', Date.parse('2025-06-07T10:28:45Z'))   // => 75
+//   formatCountdown(75)                                                      // => '1:15'
+//   formatPoints(2.5)                                                        // => '2.5'
+//   scoreFeedback({ correct: true, question_score: 2, question_max_score: 2 })  // => 'Correct! +2 points'
+
+export const QUIZ_SCORE_EVENT = 'quiz:score'
+
+// Whole seconds until the deadline, never below zero; null without a deadline
+export function secondsLeft(deadline, now = Date.now()) {
+  const time = Date.parse(deadline ?? '')
+  if (Number.isNaN(time)) return null
+
+  return Math.max(0, Math.ceil((time - now) / 1000))
+}
+
+// m:ss, or h:mm:ss from an hour up
+export function formatCountdown(seconds) {
+  const total = Math.max(0, Math.floor(seconds))
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const rest = String(total % 60).padStart(2, '0')
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`
+}
+
+// Up to two decimals, without trailing zeros, as the result pages show points
+export function formatPoints(value) {
+  const points = Number(value)
+  return Number.isFinite(points) ? String(Number(points.toFixed(2)) || 0) : '0'
+}
+
+// What the respondent is told about the answer just scored
+export function scoreFeedback({ correct = null, question_score: score = 0, question_max_score: maxScore = 0 } = {}) {
+  const points = `${formatPoints(score)} ${Number(score) === 1 ? 'point' : 'points'}`
+  if (correct === true) return `Correct! +${points}`
+  if (correct === false) return Number(score) > 0 ? `Not quite. +${points}` : 'Not quite.'
+
+  return `${formatPoints(score)} of ${formatPoints(maxScore)} points`
+}
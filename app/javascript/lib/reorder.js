@@ -0,0 +1,49 @@
+// app/javascript/lib/reorder.js
+//
+// Positions and screen reader messages for the ranking and drag_drop question
+// widgets. Their drag, button, arrow key and menu controls all move items
+// through these helpers, so every control ends in the same place and is
+// announced the same way.
+//
+//   import { moveElement, positionForKey } from "lib/reorder"
+//
+//   positionForKey('ArrowUp', 3, 5) // => 2
+//   moveElement(list, item, 1)      // item becomes the first child of list
+
+// Position (1-based) an item at `position` of `total` moves to for a key
+// press, or null for keys that do not move items
+export function positionForKey(key, position, total) {
+  switch (key) {
+    case 'ArrowUp':
+      return clampPosition(position - 1, total)
+    case 'ArrowDown':
+      return clampPosition(position + 1, total)
+    case 'Home':
+      return 1
+    case 'End':
+      return total
+    default:
+      return null
+  }
+}
+
+export function clampPosition(position, total) {
+  return Math.min(Math.max(position, 1), total)
+}
+
+// Moves `element` so that it is the child at `position` (1-based) of
+// `container`, among the container's other children
+export function moveElement(container, element, position) {
+  const others = Array.from(container.children).filter(child => child !== element)
+  const next = others[clampPosition(position, others.length + 1) - 1]
+
+  container.insertBefore(element, next || null)
+}
+
+export function rankingAnnouncement(label, position, total) {
+  return `${label} moved to position ${position} of ${total}.`
+}
+
+export function categoryAnnouncement(label, category) {
+  return `${label} moved to ${category}.`
+}
@@ -0,0 +1,24 @@
+// app/javascript/lib/search_terms.js
+//
+// Word matching for the providers that search locally (the offline address
+// dataset, in-memory places): every word of the query has to start a word of
+// the text, accents and case ignored.
+//
+//   import { matchesTerms, words } from "lib/search_terms"
+//
+//   words('Rúa do Vilar, 12')                          // => ['rua', 'do', 'vilar', '12']
+//   matchesTerms(words('vil 12'), 'Rúa do Vilar, 12')  // => true
+
+export function words(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+}
+
+export function matchesTerms(terms, text) {
+  const candidates = words(text)
+  return terms.every(term => candidates.some(candidate => candidate.startsWith(term)))
+}
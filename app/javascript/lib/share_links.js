@@ -0,0 +1,53 @@
+// app/javascript/lib/share_links.js
+//
+// Share links that pass values into a public form (share_link_controller):
+// hidden fields the response records and answers questions are prefilled
+// with. Names follow the rules of Form#hidden_fields and the prefill keys of
+// FormQuestion#prefill_config, and links are built as Form#prefilled_url
+// builds them, so the builder shows the URL the server would.
+//
+//   import { hiddenFieldErrors, parseHiddenFields, prefilledUrl } from "lib/share_links"
+//
+//   parseHiddenFields('utm_source\ncustomer_id, utm_source')       // => ['utm_source', 'customer_id']
+//   hiddenFieldErrors(['2fast'])                                     // => ['hidden field 2fast must start with a letter ...']
+//   prefilledUrl('https://example.com/f/abc', { email: 'ada@example.com', plan: ['pro', 'team'] })
+//   // => 'https://example.com/f/abc?email=ada%40example.com&plan=pro%2Cteam'
+
+export const URL_PARAMETER_FORMAT = /^[a-z][a-z0-9_]{0,63}$/i
+export const RESERVED_URL_PARAMETERS = ['share_token', 'question_id', 'session_id', 'format', 'controller', 'action']
+
+// Names one per line or comma, without blanks or repeats
+export function parseHiddenFields(text) {
+  const names = String(text ?? '').split(/[\n,]/).map(name => name.trim()).filter(Boolean)
+  return [...new Set(names)]
+}
+
+// The messages Form validates hidden field names with
+export function hiddenFieldErrors(names) {
+  return names.flatMap(name => {
+    if (!URL_PARAMETER_FORMAT.test(name)) return [`hidden field ${name} must start with a letter and use only letters, digits and underscores`]
+    if (RESERVED_URL_PARAMETERS.includes(name)) return [`hidden field ${name} is a reserved name`]
+    return []
+  })
+}
+
+// The share URL with the values as query parameters, sorted by name and
+// encoded as Rails' to_query does. Lists are joined with commas; blank values
+// are left out, and so are names outside `names` when it is given.
+export function prefilledUrl(baseUrl, values, names = null) {
+  const query = Object.keys(values)
+    .filter(name => names === null || names.includes(name))
+    .sort()
+    .map(name => [name, [values[name]].flat().map(entry => String(entry ?? '').trim()).filter(Boolean).join(',')])
+    .filter(([, value]) => value !== '')
+    .map(([name, value]) => `${encodeQueryComponent(name)}=${encodeQueryComponent(value)}`)
+
+  return query.length === 0 ? baseUrl : `${baseUrl}?${query.join('&')}`
+}
+
+// CGI.escape: spaces as +, and everything but letters, digits and -._~ escaped
+function encodeQueryComponent(text) {
+  return encodeURIComponent(text)
+    .replace(/[!'()*]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/%20/g, '+')
+}
@@ -0,0 +1,187 @@
+// app/javascript/lib/signature_strokes.js
+//
+// Vector signatures. A signature is the list of strokes drawn on a pad of a
+// given size; each stroke is a list of [x, y, t] points, plus the pen pressure
+// as a fourth entry for styluses. x and y are CSS pixels on the pad and t is
+// milliseconds since the first point of the signature, so a signature can be
+// replayed as it was drawn. Strokes are drawn as Catmull-Rom curves (cubic
+// Béziers) whose width follows the pen pressure, or the drawing speed when
+// there is none: fast strokes are thin, slow strokes are thick.
+//
+//   import { drawSignature, signatureToSvg } from "lib/signature_strokes"
+//
+//   const signature = { width: 400, height: 200, strokes: [[[10, 10, 0], [40, 25, 16], [80, 30, 33]]] }
+//   drawSignature(canvas.getContext('2d'), signature)
+//   signatureToSvg(signature) // => '<svg xmlns="http://www.w3.org/2000/svg" ...'
+
+export const PEN = {
+  minWidth: 0.75,
+  maxWidth: 2.75,
+  // Share of the newest speed in the smoothed speed
+  velocityFilterWeight: 0.7,
+  color: '#000'
+}
+
+const MAX_STROKES = 500
+const MAX_POINTS = 20000
+
+// Signature data from a form post or the database, or null when it is not a
+// well-formed signature. Only finite numbers are kept, so the result is safe
+// to draw and to turn into SVG markup.
+export function parseSignature(data) {
+  let signature = data
+  if (typeof signature === 'string') {
+    try {
+      signature = JSON.parse(signature)
+    } catch (error) {
+      return null
+    }
+  }
+
+  if (!signature || typeof signature !== 'object') return null
+
+  const { width, height, strokes } = signature
+  if (!isPositive(width) || !isPositive(height) || !Array.isArray(strokes) || strokes.length > MAX_STROKES) return null
+
+  let pointCount = 0
+  const validStrokes = []
+
+  for (const stroke of strokes) {
+    if (!Array.isArray(stroke) || stroke.length === 0) return null
+    pointCount += stroke.length
+    if (pointCount > MAX_POINTS) return null
+
+    const points = stroke.map(point => (Array.isArray(point) && point.length >= 3 && point.length <= 4 && point.every(Number.isFinite) ? point : null))
+    if (points.includes(null)) return null
+
+    validStrokes.push(points)
+  }
+
+  return { width, height, strokes: validStrokes }
+}
+
+export function isBlankSignature(signature) {
+  return !signature || signature.strokes.length === 0
+}
+
+// Milliseconds from the first to the last point
+export function signatureDuration(signature) {
+  return signature.strokes.reduce((duration, stroke) => Math.max(duration, stroke[stroke.length - 1][2]), 0)
+}
+
+// Each stroke as drawable parts: a dot for a single point, otherwise one
+// curve per pair of neighbouring points. Every part carries the time it was
+// finished at (`t`) so replays can draw up to a moment.
+export function strokeParts(stroke, pen = PEN) {
+  if (stroke.length === 1) {
+    const [x, y, t] = stroke[0]
+    return [{ type: 'dot', x, y, radius: pen.maxWidth / 2, t }]
+  }
+
+  const widths = pointWidths(stroke, pen)
+
+  return stroke.slice(1).map((point, index) => {
+    const p0 = stroke[Math.max(index - 1, 0)]
+    const p1 = stroke[index]
+    const p2 = point
+    const p3 = stroke[Math.min(index + 2, stroke.length - 1)]
+
+    return {
+      type: 'curve',
+      from: [p1[0], p1[1]],
+      // Catmull-Rom tangents turned into cubic Bézier control points
+      c1: [p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6],
+      c2: [p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6],
+      to: [p2[0], p2[1]],
+      width: (widths[index] + widths[index + 1]) / 2,
+      t: p2[2]
+    }
+  })
+}
+
+// Draws the signature in the context's current coordinate space, stopping at
+// parts finished after `until` milliseconds
+export function drawSignature(context, signature, { until = Infinity, pen = PEN } = {}) {
+  context.save()
+  context.strokeStyle = pen.color
+  context.fillStyle = pen.color
+  context.lineCap = 'round'
+  context.lineJoin = 'round'
+
+  signature.strokes.forEach(stroke => {
+    strokeParts(stroke, pen).forEach(part => {
+      if (part.t > until) return
+
+      context.beginPath()
+      if (part.type === 'dot') {
+        context.arc(part.x, part.y, part.radius, 0, 2 * Math.PI)
+        context.fill()
+      } else {
+        context.lineWidth = part.width
+        context.moveTo(...part.from)
+        context.bezierCurveTo(...part.c1, ...part.c2, ...part.to)
+        context.stroke()
+      }
+    })
+  })
+
+  context.restore()
+}
+
+export function signatureToSvg(signature, pen = PEN) {
+  const curves = []
+  const dots = []
+
+  signature.strokes.forEach(stroke => {
+    strokeParts(stroke, pen).forEach(part => {
+      if (part.type === 'dot') {
+        dots.push(`<circle cx="${round(part.x)}" cy="${round(part.y)}" r="${round(part.radius)}"/>`)
+      } else {
+        const path = `M${coords(part.from)} C${coords(part.c1)} ${coords(part.c2)} ${coords(part.to)}`
+        curves.push(`<path d="${path}" stroke-width="${round(part.width)}"/>`)
+      }
+    })
+  })
+
+  const { width, height } = signature
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}">`,
+    `<g fill="none" stroke="${pen.color}" stroke-linecap="round" stroke-linejoin="round">${curves.join('')}</g>`,
+    `<g fill="${pen.color}">${dots.join('')}</g>`,
+    '</svg>'
+  ].join('')
+}
+
+// Width at each point from the stylus pressure, or from the smoothed speed
+// in pixels per millisecond
+function pointWidths(stroke, pen) {
+  let velocity = 0
+
+  return stroke.map((point, index) => {
+    if (point.length === 4) return pen.minWidth + (pen.maxWidth - pen.minWidth) * clamp(point[3], 0, 1)
+    if (index === 0) return pen.maxWidth
+
+    const previous = stroke[index - 1]
+    const distance = Math.hypot(point[0] - previous[0], point[1] - previous[1])
+    const speed = distance / Math.max(point[2] - previous[2], 1)
+    velocity = pen.velocityFilterWeight * speed + (1 - pen.velocityFilterWeight) * velocity
+
+    return Math.max(pen.maxWidth / (velocity + 1), pen.minWidth)
+  })
+}
+
+function isPositive(value) {
+  return Number.isFinite(value) && value > 0
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max)
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+function coords([x, y]) {
+  return `${round(x)} ${round(y)}`
+}
@@ -0,0 +1,117 @@
+// app/javascript/lib/suggestion_list.js
+//
+// The list half of a combobox: a text input that offers suggestions as the
+// respondent types (address autocomplete, place search). The suggestions are
+// rendered as options in a listbox element; the arrow keys move through them,
+// Enter or a click chooses one and Escape closes the list. The input's ARIA
+// state follows along and the number of suggestions is announced.
+//
+//   import { SuggestionList } from "lib/suggestion_list"
+//
+//   const list = new SuggestionList(input, listbox, { onChoose: suggestion => ... })
+//   list.show([{ label: '10 Downing Street', description: 'London' }])
+//   input.addEventListener('keydown', event => list.handleKey(event))
+
+import { announce, element } from "lib/notifications"
+
+export class SuggestionList {
+  constructor(input, listbox, { onChoose, noun = 'suggestion' }) {
+    this.input = input
+    this.listbox = listbox
+    this.onChoose = onChoose
+    this.noun = noun
+    this.suggestions = []
+    this.activeIndex = -1
+
+    // Keeps the focus in the input while an option is clicked
+    this.listbox.addEventListener('mousedown', event => event.preventDefault())
+    this.listbox.addEventListener('click', event => {
+      const option = event.target.closest('[role="option"]')
+      if (option) this.choose(Number(option.dataset.index))
+    })
+  }
+
+  show(suggestions) {
+    this.suggestions = suggestions
+    this.activeIndex = -1
+
+    this.listbox.replaceChildren(...suggestions.map((suggestion, index) => {
+      const option = element('li', 'cursor-pointer px-3 py-2 text-sm text-gray-900 hover:bg-gray-50', [
+        element('span', 'block font-medium', suggestion.label),
+        element('span', 'block text-xs text-gray-500', suggestion.description || '')
+      ])
+      option.id = `${this.listbox.id}_${index}`
+      option.dataset.index = index
+      option.setAttribute('role', 'option')
+      option.setAttribute('aria-selected', 'false')
+      return option
+    }))
+
+    this.setExpanded(suggestions.length > 0)
+    announce(suggestions.length === 1 ? `1 ${this.noun}` : `${suggestions.length} ${this.noun}s`)
+  }
+
+  close() {
+    this.suggestions = []
+    this.activeIndex = -1
+    this.listbox.replaceChildren()
+    this.setExpanded(false)
+  }
+
+  get open() {
+    return this.suggestions.length > 0
+  }
+
+  // Returns whether the key was used
+  handleKey(event) {
+    if (!this.open) return false
+
+    const count = this.suggestions.length
+    switch (event.key) {
+      case 'ArrowDown':
+        this.activate((this.activeIndex + 1) % count)
+        break
+      case 'ArrowUp':
+        this.activate((this.activeIndex - 1 + count) % count)
+        break
+      case 'Enter':
+        if (this.activeIndex < 0) return false
+        this.choose(this.activeIndex)
+        break
+      case 'Escape':
+        this.close()
+        break
+      default:
+        return false
+    }
+
+    event.preventDefault()
+    return true
+  }
+
+  activate(index) {
+    this.activeIndex = index
+
+    Array.from(this.listbox.children).forEach((option, position) => {
+      const active = position === index
+      option.setAttribute('aria-selected', String(active))
+      option.classList.toggle('bg-indigo-50', active)
+      if (active) {
+        this.input.setAttribute('aria-activedescendant', option.id)
+        option.scrollIntoView({ block: 'nearest' })
+      }
+    })
+  }
+
+  choose(index) {
+    const suggestion = this.suggestions[index]
+    this.close()
+    if (suggestion) this.onChoose(suggestion)
+  }
+
+  setExpanded(expanded) {
+    this.listbox.classList.toggle('hidden', !expanded)
+    this.input.setAttribute('aria-expanded', String(expanded))
+    if (!expanded) this.input.removeAttribute('aria-activedescendant')
+  }
+}
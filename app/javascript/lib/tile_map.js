@@ -0,0 +1,243 @@
+// app/javascript/lib/tile_map.js
+//
+// A small map for picking a point, drawn from raster tiles (lib/locations).
+// It pans by dragging and zooms with its buttons or + and -. Clicking places
+// the pin, which can then be dragged, or moved with the arrow keys while the
+// map has focus. An accuracy circle can be drawn around the pin. onPick gets
+// the pin's position each time the respondent places or moves it.
+//
+//   import { TileMap } from "lib/tile_map"
+//
+//   const map = new TileMap(container, { tileUrl, attribution, center, zoom, onPick: point => ... })
+//   map.setPin({ latitude: 51.5007, longitude: -0.1246 }, { accuracy: 25 })
+
+import { element } from "lib/notifications"
+import { TILE_SIZE, clampZoom, metersPerPixel, project, tileUrl, unproject, visibleTiles } from "lib/locations"
+
+// Pixels the pin moves per arrow key press, five times that with Shift
+const KEY_STEP = 10
+// Pointer movement under this many pixels is a click, not a drag
+const CLICK_TOLERANCE = 4
+
+export class TileMap {
+  constructor(container, { tileUrl: template, attribution = '', center, zoom, onPick = () => {} }) {
+    this.container = container
+    this.template = template
+    this.center = center
+    this.zoom = clampZoom(zoom)
+    this.onPick = onPick
+    this.pin = null
+    this.accuracy = null
+    this.images = new Map()
+
+    this.build(attribution)
+    this.listen()
+    this.render()
+  }
+
+  setPin(point, { accuracy = null, center = true } = {}) {
+    this.pin = { latitude: point.latitude, longitude: point.longitude }
+    this.accuracy = accuracy
+    if (center) this.center = this.pin
+    this.render()
+  }
+
+  clearPin() {
+    this.pin = null
+    this.accuracy = null
+    this.render()
+  }
+
+  setView(center, zoom = this.zoom) {
+    this.center = center
+    this.zoom = clampZoom(zoom)
+    this.render()
+  }
+
+  zoomBy(delta) {
+    this.setView(this.center, this.zoom + delta)
+  }
+
+  destroy() {
+    if (this.resizeObserver) this.resizeObserver.disconnect()
+    this.container.replaceChildren()
+  }
+
+  // Drawing
+
+  build(attribution) {
+    this.container.classList.add('relative', 'overflow-hidden', 'touch-none', 'select-none', 'cursor-grab')
+    this.container.tabIndex = 0
+    this.container.setAttribute('role', 'application')
+    this.container.setAttribute('aria-roledescription', 'map')
+    this.container.setAttribute('aria-label', 'Map. Click to place the pin, or use the arrow keys to move it and plus and minus to zoom.')
+
+    this.tileLayer = element('div', 'absolute inset-0')
+    this.circle = element('div', 'hidden absolute rounded-full border-2 border-indigo-500 bg-indigo-500 bg-opacity-20 pointer-events-none')
+    this.marker = element('div', 'hidden absolute h-8 w-8 -ml-4 -mt-8 cursor-move text-indigo-600 drop-shadow')
+    this.marker.innerHTML = '<svg viewBox="0 0 24 24" fill="currentColor" class="h-8 w-8" aria-hidden="true"><path d="M12 2a7 7 0 0 0-7 7c0 5.25 7 13 7 13s7-7.75 7-13a7 7 0 0 0-7-7zm0 9.5a2.5 2.5 0 1 1 0-5 2.5 2.5 0 0 1 0 5z"/></svg>'
+
+    const zoomIn = element('button', 'flex h-8 w-8 items-center justify-center bg-white text-gray-700 hover:bg-gray-50 border-b border-gray-300', '+')
+    const zoomOut = element('button', 'flex h-8 w-8 items-center justify-center bg-white text-gray-700 hover:bg-gray-50', '−')
+    zoomIn.type = zoomOut.type = 'button'
+    zoomIn.setAttribute('aria-label', 'Zoom in')
+    zoomOut.setAttribute('aria-label', 'Zoom out')
+    zoomIn.addEventListener('click', () => this.zoomBy(1))
+    zoomOut.addEventListener('click', () => this.zoomBy(-1))
+    this.controls = element('div', 'absolute top-2 right-2 flex flex-col rounded-md border border-gray-300 shadow-sm overflow-hidden', [zoomIn, zoomOut])
+
+    const credit = element('div', 'absolute bottom-0 right-0 bg-white bg-opacity-75 px-1 text-xs text-gray-600 pointer-events-none', attribution)
+
+    this.container.replaceChildren(this.tileLayer, this.circle, this.marker, this.controls, credit)
+  }
+
+  render() {
+    const width = this.container.clientWidth
+    const height = this.container.clientHeight
+    if (width === 0 || height === 0) return
+
+    const shown = new Set()
+    for (const tile of visibleTiles(this.center, this.zoom, width, height)) {
+      let image = this.images.get(tile.key)
+      if (!image) {
+        image = element('img', 'absolute max-w-none pointer-events-none')
+        image.alt = ''
+        image.draggable = false
+        image.width = image.height = TILE_SIZE
+        image.src = tileUrl(this.template, tile)
+        this.images.set(tile.key, image)
+        this.tileLayer.append(image)
+      }
+      image.style.transform = `translate(${tile.left}px, ${tile.top}px)`
+      shown.add(tile.key)
+    }
+
+    for (const [key, image] of this.images) {
+      if (shown.has(key)) continue
+      image.remove()
+      this.images.delete(key)
+    }
+
+    this.renderPin(width, height)
+  }
+
+  renderPin(width, height) {
+    this.marker.classList.toggle('hidden', !this.pin)
+    this.circle.classList.toggle('hidden', !this.pin || !this.accuracy)
+    if (!this.pin) return
+
+    const { x, y } = this.offsetOf(this.pin, width, height)
+    this.marker.style.left = `${x}px`
+    this.marker.style.top = `${y}px`
+
+    if (this.accuracy) {
+      const radius = this.accuracy / metersPerPixel(this.pin.latitude, this.zoom)
+      Object.assign(this.circle.style, {
+        left: `${x - radius}px`,
+        top: `${y - radius}px`,
+        width: `${radius * 2}px`,
+        height: `${radius * 2}px`
+      })
+    }
+  }
+
+  // Position of a point from the map's top left corner, and back
+  offsetOf(point, width = this.container.clientWidth, height = this.container.clientHeight) {
+    const origin = project(this.center, this.zoom)
+    const target = project(point, this.zoom)
+    return { x: target.x - origin.x + width / 2, y: target.y - origin.y + height / 2 }
+  }
+
+  pointAt(x, y) {
+    const origin = project(this.center, this.zoom)
+    return unproject({
+      x: origin.x + x - this.container.clientWidth / 2,
+      y: origin.y + y - this.container.clientHeight / 2
+    }, this.zoom)
+  }
+
+  // Input
+
+  listen() {
+    this.container.addEventListener('pointerdown', event => this.pointerDown(event))
+    this.container.addEventListener('pointermove', event => this.pointerMove(event))
+    this.container.addEventListener('pointerup', event => this.pointerUp(event))
+    this.container.addEventListener('pointercancel', () => (this.drag = null))
+    this.container.addEventListener('keydown', event => this.keyDown(event))
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.render())
+      this.resizeObserver.observe(this.container)
+    }
+  }
+
+  pointerDown(event) {
+    if (event.button !== 0 || this.controls.contains(event.target)) return
+
+    this.container.setPointerCapture(event.pointerId)
+    this.drag = {
+      pin: this.marker.contains(event.target),
+      startX: event.clientX,
+      startY: event.clientY,
+      center: project(this.center, this.zoom),
+      moved: false
+    }
+  }
+
+  pointerMove(event) {
+    const drag = this.drag
+    if (!drag) return
+
+    const dx = event.clientX - drag.startX
+    const dy = event.clientY - drag.startY
+    drag.moved ||= Math.hypot(dx, dy) >= CLICK_TOLERANCE
+    if (!drag.moved) return
+
+    if (drag.pin) {
+      this.pin = this.pointAt(...this.localPosition(event))
+      this.accuracy = null
+    } else {
+      this.center = unproject({ x: drag.center.x - dx, y: drag.center.y - dy }, this.zoom)
+    }
+    this.render()
+  }
+
+  pointerUp(event) {
+    const drag = this.drag
+    this.drag = null
+    if (!drag) return
+
+    if (!drag.moved) {
+      this.pin = this.pointAt(...this.localPosition(event))
+      this.accuracy = null
+      this.render()
+    }
+    if (drag.pin || !drag.moved) this.onPick(this.pin)
+  }
+
+  keyDown(event) {
+    if (event.target !== this.container) return
+
+    const step = event.shiftKey ? KEY_STEP * 5 : KEY_STEP
+    const moves = { ArrowUp: [0, -step], ArrowDown: [0, step], ArrowLeft: [-step, 0], ArrowRight: [step, 0] }
+
+    if (event.key === '+' || event.key === '=') {
+      event.preventDefault()
+      this.zoomBy(1)
+    } else if (event.key === '-') {
+      event.preventDefault()
+      this.zoomBy(-1)
+    } else if (moves[event.key]) {
+      event.preventDefault()
+      const [dx, dy] = moves[event.key]
+      const { x, y } = this.pin ? this.offsetOf(this.pin) : { x: this.container.clientWidth / 2, y: this.container.clientHeight / 2 }
+      this.setPin(this.pointAt(x + dx, y + dy), { center: false })
+      this.onPick(this.pin)
+    }
+  }
+
+  localPosition(event) {
+    const bounds = this.container.getBoundingClientRect()
+    return [event.clientX - bounds.left, event.clientY - bounds.top]
+  }
+}
@@ -24,6 +24,19 @@ class Form < ApplicationRecord
     contact_form: 'contact_form'
   }
 
+  # Names of the share URL query parameters a form reads: hidden fields and
+  # the prefill keys of questions (FormQuestion#prefill_config)
+  URL_PARAMETER_FORMAT = /\A[a-z][a-z0-9_]{0,63}\z/i
+  # Query parameters the public form routes use themselves
+  RESERVED_URL_PARAMETERS = %w[share_token question_id session_id format controller action].freeze
+  # Recorded with every response, whether or not they are hidden fields
+  UTM_PARAMETERS = %w[utm_source utm_medium utm_campaign utm_term utm_content].freeze
+
+  # When a quiz tells respondents their score: after each answer or on the
+  # thank you page only (see #quiz_config)
+  QUIZ_SCORING_MODES = %w[end live].freeze
+  MAX_QUIZ_TIME_LIMIT_MINUTES = 600
+
   # Aliases for database fields
   alias_attribute :workflow_class_name, :workflow_class
 
@@ -104,6 +117,31 @@ class Form < ApplicationRecord
     (form_questions.maximum(:position) || 0) + 1
   end
 
+  # Numbers the questions 1, 2, 3... in the order given and, as {{qN}}
+  # references in titles, descriptions and formulas name positions, rewrites
+  # them to keep pointing at the same questions. References to a question no
+  # longer given become {{q0}}, which never has an answer. A question not
+  # saved yet (one being restored) takes its place in the order; its own
+  # references are taken to be in the new numbering already.
+  # @param questions [Array<FormQuestion>] every question of the form, in order
+  def renumber_questions!(questions)
+    positions = questions.each.with_index(1).filter_map do |question, position|
+      [question.position_in_database, position] unless question.new_record?
+    end.to_h
+
+    transaction do
+      questions.each.with_index(1) do |question, position|
+        next question.update!(position: position) if question.new_record?
+
+        changes = question.renumbered_answer_references(positions)
+        changes[:position] = position if question.position != position
+        # Written as they are: a reference may now name a later question,
+        # which is not a reason to refuse the move
+        question.update_columns(changes) if changes.any?
+      end
+    end
+  end
+
   def public_url
     begin
       Rails.application.routes.url_helpers.public_form_url(share_token)
@@ -113,6 +151,85 @@ class Form < ApplicationRecord
     end
   end
 
+  # Query parameters of the share URL recorded with each response, such as a
+  # campaign or customer id (form_settings 'hidden_fields')
+  def hidden_fields
+    Array(form_settings&.dig('hidden_fields')).map { |name| name.to_s.strip }.reject(&:empty?).uniq
+  end
+
+  # Accepts a list of names or one name per line or comma
+  def hidden_fields=(names)
+    names = names.to_s.split(/[\n,]/) unless names.is_a?(Array)
+    self.form_settings = (form_settings || {}).merge('hidden_fields' => names.map { |name| name.to_s.strip }.reject(&:empty?).uniq)
+  end
+
+  # Questions a share URL parameter answers in advance, keyed by the parameter
+  def prefill_questions
+    form_questions.select { |question| question.prefill_config.present? }.index_by { |question| question.prefill_config[:key] }
+  end
+
+  # The share URL with hidden field values and prefilled answers as query
+  # parameters (lists joined with commas). Names the form does not read are
+  # left out.
+  def prefilled_url(values)
+    query = values.to_h.stringify_keys.slice(*hidden_fields, *prefill_questions.keys)
+                  .transform_values { |value| Array(value).map { |entry| entry.to_s.strip }.reject(&:empty?).join(',') }
+                  .reject { |_, value| value.empty? }
+    query.empty? ? public_url : "#{public_url}?#{query.to_query}"
+  end
+
+  # Quiz mode (form_settings 'quiz'): questions are scored as
+  # FormQuestion#scoring_config says, the score is shown after each answer or
+  # at the end, an optional time limit runs from the first question, and the
+  # thank you page shows the outcome the score falls in. Outcomes start at a
+  # percentage of the highest score and run up to where the next one starts.
+  # Empty unless quiz mode is on.
+  def quiz_config
+    settings = form_settings&.dig('quiz')
+    return {} unless settings.is_a?(Hash) && ActiveModel::Type::Boolean.new.cast(settings['enabled']) == true
+
+    time_limit = Integer(settings['time_limit_minutes'], exception: false)
+    outcomes = Array(settings['outcomes']).filter_map do |outcome|
+      next unless outcome.is_a?(Hash) && outcome['title'].present?
+
+      min_percent = Float(outcome['min_percent'].presence || 0, exception: false)
+      { min_percent: min_percent.clamp(0.0, 100.0), title: outcome['title'].to_s.strip, message: outcome['message'].to_s.strip } if min_percent
+    end
+
+    {
+      scoring: QUIZ_SCORING_MODES.include?(settings['scoring']) ? settings['scoring'] : 'end',
+      time_limit_minutes: time_limit && (1..MAX_QUIZ_TIME_LIMIT_MINUTES).cover?(time_limit) ? time_limit : nil,
+      outcomes: outcomes.sort_by { |outcome| outcome[:min_percent] }
+    }
+  end
+
+  def quiz?
+    quiz_config.present?
+  end
+
+  # Accepts the settings the builder posts; outcomes may be a list or a hash
+  # keyed by index, as form fields send them
+  def quiz=(settings)
+    settings = settings.to_h.stringify_keys
+    outcomes = settings['outcomes'].is_a?(Hash) ? settings['outcomes'].values : Array(settings['outcomes'])
+
+    self.form_settings = (form_settings || {}).merge('quiz' => {
+      'enabled' => ActiveModel::Type::Boolean.new.cast(settings['enabled']) == true,
+      'scoring' => settings['scoring'].to_s,
+      'time_limit_minutes' => settings['time_limit_minutes'].to_s.strip.presence,
+      'outcomes' => outcomes.map { |outcome| outcome.to_h.stringify_keys.slice('min_percent', 'title', 'message') }
+    })
+  end
+
+  # The outcome a score falls in, by its percentage of the highest score
+  def quiz_outcome(percentage)
+    quiz_config.fetch(:outcomes, []).reverse.find { |outcome| percentage >= outcome[:min_percent] }
+  end
+
+  def quiz_max_score
+    form_questions.map(&:max_score).sum(0.0)
+  end
+
   def embed_code(options = {})
     width = options[:width] || '100%'
     height = options[:height] || '600px'
@@ -253,6 +370,8 @@ class Form < ApplicationRecord
 
   validate :validate_ai_configuration, if: :ai_enhanced?
   validate :validate_premium_features
+  validate :validate_hidden_fields
+  validate :validate_quiz_settings
 
   private
 
@@ -294,6 +413,40 @@ class Form < ApplicationRecord
     end
   end
 
+  def validate_hidden_fields
+    hidden_fields.each do |name|
+      if !URL_PARAMETER_FORMAT.match?(name)
+        errors.add(:form_settings, "hidden field #{name} must start with a letter and use only letters, digits and underscores")
+      elsif RESERVED_URL_PARAMETERS.include?(name)
+        errors.add(:form_settings, "hidden field #{name} is a reserved name")
+      end
+    end
+  end
+
+  def validate_quiz_settings
+    settings = form_settings&.dig('quiz')
+    return unless settings.is_a?(Hash)
+
+    if settings['scoring'].present? && !QUIZ_SCORING_MODES.include?(settings['scoring'])
+      errors.add(:form_settings, "quiz scoring must be #{QUIZ_SCORING_MODES.join(' or ')}")
+    end
+
+    time_limit = settings['time_limit_minutes']
+    if time_limit.present? && !(1..MAX_QUIZ_TIME_LIMIT_MINUTES).cover?(Integer(time_limit, exception: false))
+      errors.add(:form_settings, "quiz time limit must be a whole number of minutes from 1 to #{MAX_QUIZ_TIME_LIMIT_MINUTES}")
+    end
+
+    Array(settings['outcomes']).each.with_index(1) do |outcome, number|
+      outcome = {} unless outcome.is_a?(Hash)
+      errors.add(:form_settings, "quiz outcome #{number} needs a title") if outcome['title'].blank?
+
+      min_percent = outcome['min_percent'].presence || 0
+      unless (0..100).cover?(Float(min_percent, exception: false))
+        errors.add(:form_settings, "quiz outcome #{number} must start at a percentage from 0 to 100")
+      end
+    end
+  end
+
   def validate_premium_features
     return unless requires_premium_features?
     
@@ -15,8 +15,65 @@ class FormQuestion < ApplicationRecord
     file_upload image_upload
     address location payment signature
     nps_score matrix ranking drag_drop
+    calculated
   ].freeze
 
+  # Definition attributes kept when a question is deleted, so the builder's
+  # undo can re-create it (FormQuestionsController#restore)
+  RESTORABLE_ATTRIBUTES = %w[
+    id title description question_type position required hidden read_only
+    question_config validation_rules display_options conditional_logic conditional_enabled
+    ai_enhanced ai_config ai_prompt reference_id metadata
+  ].freeze
+
+  # question_config settings that limit the accepted answer (see #answer_constraints)
+  ANSWER_LENGTH_CONSTRAINTS = %w[min_length max_length min_selections max_selections].freeze
+  ANSWER_DATE_CONSTRAINTS = {
+    'date' => %w[min_date max_date],
+    'datetime' => %w[min_datetime max_datetime],
+    'time' => %w[min_time max_time]
+  }.freeze
+  # disabled_weekdays may name days instead of numbering them (0 is Sunday)
+  WEEKDAYS = %w[sunday monday tuesday wednesday thursday friday saturday].freeze
+
+  # Scale bounds the answer widgets fall back to when none are configured
+  DEFAULT_ANSWER_RANGES = {
+    'rating' => [1, 5],
+    'scale' => [0, 10],
+    'slider' => [0, 100],
+    'nps_score' => [0, 10]
+  }.freeze
+
+  FILE_UPLOAD_TYPES = %w[file_upload image_upload].freeze
+  # Files a multiple-file upload question takes when max_files is not set
+  DEFAULT_MAX_FILES = 10
+  # How image_upload answers are resized in the browser (see #image_processing_config)
+  DEFAULT_IMAGE_MAX_DIMENSION = 2048
+  DEFAULT_IMAGE_QUALITY = 0.85
+  IMAGE_DIMENSION_RANGE = (320..8192).freeze
+  ASPECT_RATIO_FORMAT = /\A\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*\z/
+  # Where the location map starts without a configured center (see #location_config)
+  DEFAULT_MAP_CENTER = { latitude: 20.0, longitude: 0.0 }.freeze
+  DEFAULT_MAP_ZOOM = 2
+  # The zoom a configured center is shown at, about a neighbourhood
+  DEFAULT_PLACE_ZOOM = 15
+  MAP_ZOOM_RANGE = (1..19).freeze
+  # Types whose answer a share URL parameter can fill in (see #prefill_config)
+  PREFILL_TYPES = %w[
+    text_short text_long email url number
+    multiple_choice single_choice checkbox
+    rating scale slider yes_no boolean nps_score
+  ].freeze
+  # Types a quiz scores (see #scoring_config)
+  SCORABLE_TYPES = %w[
+    multiple_choice single_choice checkbox yes_no boolean
+    text_short number
+  ].freeze
+  # What a correct answer is worth when question_config 'points' is not set
+  DEFAULT_POINTS = 1.0
+  # The answer key, left out of what respondents are sent (see #public_config)
+  SCORING_KEYS = %w[correct_answers option_points].freeze
+
   # Enums
   enum :question_type, QUESTION_TYPES.index_with(&:itself)
 
@@ -29,6 +86,9 @@ class FormQuestion < ApplicationRecord
   # Custom validations
   validate :validate_question_config
   validate :validate_conditional_logic
+  validate :validate_answer_references
+  validate :validate_prefill_key
+  validate :validate_scoring_config
 
   # Aliases for backward compatibility
   alias_attribute :configuration, :question_config
@@ -50,11 +110,38 @@ class FormQuestion < ApplicationRecord
     end
     
     def validate_answer(answer)
-      [] # Return empty errors array for now
+      errors = FormQuestion::AnswerValidator.new(@question.question_type, @question.answer_constraints).validate(answer)
+      return errors unless errors.empty? && @question.file_upload_question?
+
+      FormQuestion::UploadedFiles.new(@question, answer).errors
     end
     
-    def process_answer(answer)
-      answer # Return answer as-is
+    # Upload answers are stored as the uploaded files' details, phone
+    # numbers in E.164 form, addresses as their normalized components,
+    # locations with numeric coordinates, matrices as a map of answered rows
+    # and datetimes in UTC, read in the respondent's time zone (an IANA name
+    # posted beside the answer) unless the question sets one; other answers
+    # as they were posted
+    def process_answer(answer, timezone: nil)
+      return FormQuestion::UploadedFiles.new(@question, answer).answer_value if @question.file_upload_question?
+
+      case @question.question_type
+      when 'date'
+        return date_range_value(answer) if answer.is_a?(Hash) || answer.respond_to?(:to_unsafe_h)
+      when 'datetime'
+        return utc_datetime(answer, timezone) if answer.is_a?(String)
+      when 'phone'
+        number = @question.phone_number(answer)
+        return number.e164 if number&.valid?
+      when 'address'
+        return @question.address(answer).to_h if answer.is_a?(Hash) || answer.respond_to?(:to_unsafe_h)
+      when 'location'
+        return location_value(answer) if answer.is_a?(Hash) || answer.respond_to?(:to_unsafe_h)
+      when 'matrix'
+        return matrix_value(answer) if answer.is_a?(Hash) || answer.respond_to?(:to_unsafe_h)
+      end
+
+      answer
     end
     
     def render_component
@@ -64,6 +151,54 @@ class FormQuestion < ApplicationRecord
     def default_value
       nil
     end
+
+    private
+
+    # The typed or looked up place, the pin's coordinates and the accuracy of
+    # a position from the browser in meters, when there is one
+    def location_value(answer)
+      answer = answer.respond_to?(:to_unsafe_h) ? answer.to_unsafe_h : answer
+      place = answer['location'].to_s.strip
+      latitude, longitude, accuracy = answer.values_at('latitude', 'longitude', 'accuracy').map { |value| Float(value, exception: false) }
+
+      {
+        'location' => place.presence,
+        'latitude' => latitude&.round(6),
+        'longitude' => longitude&.round(6),
+        'accuracy' => accuracy&.positive? ? accuracy.round(1) : nil
+      }.compact.presence
+    end
+
+    def date_range_value(answer)
+      answer = answer.respond_to?(:to_unsafe_h) ? answer.to_unsafe_h : answer
+      { 'start' => answer['start'].to_s.strip, 'end' => answer['end'].to_s.strip }
+    end
+
+    # 2025-03-01T10:00 in Paris is stored as 2025-03-01T09:00:00Z
+    def utc_datetime(answer, timezone)
+      match = FormQuestion::AnswerValidator::DATETIME_FORMAT.match(answer.strip)
+      return answer unless match
+
+      @question.answer_time_zone(timezone).local(*match.captures.map(&:to_i)).utc.iso8601
+    rescue ArgumentError
+      answer
+    end
+
+    # Row id => column id, or a list of column ids when several may be
+    # chosen, for the question's rows in order. Blank choices (the empty
+    # values posted beside checkboxes) and unknown rows are dropped.
+    def matrix_value(answer)
+      answer = answer.respond_to?(:to_unsafe_h) ? answer.to_unsafe_h : answer.to_h
+      answer = answer.transform_keys(&:to_s)
+      config = @question.matrix_config
+
+      config[:rows].each_with_object({}) do |row, value|
+        choices = Array(answer[row[:id]]).map { |choice| choice.to_s.strip }.reject(&:empty?)
+        next if choices.empty?
+
+        value[row[:id]] = config[:multiple] ? choices : choices.first
+      end.presence
+    end
   end
 
   def render_component
@@ -74,8 +209,8 @@ class FormQuestion < ApplicationRecord
     question_type_handler.validate_answer(answer)
   end
 
-  def process_answer(raw_answer)
-    question_type_handler.process_answer(raw_answer)
+  def process_answer(raw_answer, timezone: nil)
+    question_type_handler.process_answer(raw_answer, timezone: timezone)
   end
 
   def default_value
@@ -138,6 +273,40 @@ class FormQuestion < ApplicationRecord
     conditional_logic.fetch('rules', [])
   end
 
+  # Individual comparison rules, with AND/OR groups expanded
+  def flat_conditional_rules(rules = conditional_rules)
+    Array(rules).flat_map do |rule|
+      conditional_group?(rule) ? flat_conditional_rules(rule['rules']) : [rule]
+    end
+  end
+
+  # Returns the chain of question ids that leads back to this question when the
+  # given rules are applied, or nil when there is no circular reference
+  def conditional_dependency_cycle(rules = conditional_rules)
+    dependencies = form.form_questions.where.not(id: id).each_with_object({}) do |question, graph|
+      graph[question.id.to_s] = question.flat_conditional_rules.map { |rule| rule['question_id'].to_s }
+    end
+    dependencies[id.to_s] = flat_conditional_rules(rules).map { |rule| rule['question_id'].to_s }
+
+    find_dependency_cycle(id.to_s, dependencies, [id.to_s])
+  end
+
+  # Evaluates the conditional logic against answers that are not stored yet,
+  # e.g. the sample answers entered in the form builder preview
+  #
+  # @param answers [Hash{String => Object}] Answer values keyed by question id
+  def should_show_for_answers?(answers)
+    preview_response = FormResponse.new(form: form)
+
+    answers.each do |question_id, value|
+      next if value.blank?
+
+      preview_response.question_responses.build(form_question_id: question_id, answer_data: { 'value' => value })
+    end
+
+    should_show_for_response?(preview_response)
+  end
+
 def should_show_for_response?(form_response)
   return true unless has_conditional_logic?
   
@@ -149,7 +318,7 @@ def should_show_for_response?(form_response)
   Rails.logger.info "    Rules to evaluate: #{rules.length}"
   
   # Verificar si alguna de las preguntas dependientes fue saltada
-  dependency_check = check_dependency_chain(rules, form_response)
+  dependency_check = check_dependency_chain(flat_conditional_rules(rules), form_response)
   if dependency_check[:has_skipped_dependencies]
     Rails.logger.info "    Question depends on skipped questions, handling gracefully"
     return handle_skipped_dependencies(dependency_check, rules, form_response)
@@ -157,18 +326,7 @@ def should_show_for_response?(form_response)
   
   # Evaluar todas las reglas - por defecto usamos AND logic
   logic_operator = conditional_logic.fetch('operator', 'and').downcase
-  
-  case logic_operator
-  when 'and'
-    # Todas las reglas deben ser verdaderas
-    result = rules.all? { |rule| evaluate_condition(rule, form_response) }
-  when 'or'
-    # Al menos una regla debe ser verdadera
-    result = rules.any? { |rule| evaluate_condition(rule, form_response) }
-  else
-    # Fallback a AND
-    result = rules.all? { |rule| evaluate_condition(rule, form_response) }
-  end
+  result = evaluate_rule_set(rules, logic_operator, form_response)
   
   Rails.logger.info "    Final conditional result: #{result}"
   result
@@ -192,12 +350,339 @@ end
   end
 
   def file_upload_config
-    return {} unless %w[file_upload image_upload].include?(question_type)
+    return {} unless file_upload_question?
     
     {
-      max_size: question_config.fetch('max_size_mb', 10),
+      max_size: question_config['max_size_mb'].presence || 10,
       allowed_types: question_config.fetch('allowed_types', []),
-      multiple: question_config.fetch('multiple', false)
+      multiple: question_config.fetch('multiple', false),
+      max_files: max_upload_files
+    }
+  end
+
+  # The countries a phone question accepts (their numbering plans, see
+  # FormQuestion::PhoneNumber) and the one national numbers are read as.
+  # Without a default country the widget picks one from the browser language.
+  def phone_config
+    return {} unless question_type == 'phone'
+
+    countries = FormQuestion::PhoneNumber.plans_for(question_config['countries'])
+    default_country = question_config['default_country'].to_s.upcase
+
+    {
+      countries: countries,
+      default_country: countries.any? { |plan| plan['code'] == default_country } ? default_country : nil
+    }
+  end
+
+  # @return [FormQuestion::PhoneNumber, nil]
+  def phone_number(value)
+    FormQuestion::PhoneNumber.parse(value, plans: phone_config[:countries], default_country: phone_config[:default_country])
+  end
+
+  # The countries an address question accepts (their layouts, see
+  # FormQuestion::Address) and the one its country menu starts on. Without a
+  # default country the widget picks one from the browser language. Single
+  # field questions take the address as typed. Suggestions come from the
+  # provider in config.x.address_autocomplete unless the question turns them off.
+  def address_config
+    return {} unless question_type == 'address'
+
+    # Countries without a layout are left out; all countries when none is left
+    countries = FormQuestion::Address.formats_for(question_config['countries']).presence || FormQuestion::Address.formats
+    default_country = question_config['default_country'].to_s.upcase
+
+    {
+      countries: countries,
+      default_country: countries.any? { |format| format['code'] == default_country } ? default_country : nil,
+      single_field: ActiveModel::Type::Boolean.new.cast(question_config['single_field']) == true,
+      autocomplete: ActiveModel::Type::Boolean.new.cast(question_config['autocomplete']) == false ? {} : Rails.application.config.x.address_autocomplete.to_h
+    }
+  end
+
+  # @return [FormQuestion::Address]
+  def address(value)
+    FormQuestion::Address.new(value, formats: address_config[:countries], default_country: address_config[:default_country])
+  end
+
+  # The answers date, datetime and time questions accept: the earliest and
+  # latest (fixed limits, or for days a number of days from today, whichever
+  # is narrower), weekdays that cannot be chosen (0 is Sunday), blackout
+  # dates and whether a date question asks for a range. Days are counted
+  # from today in the question's time zone, or the application's.
+  def date_config
+    return {} unless ANSWER_DATE_CONSTRAINTS.key?(question_type)
+
+    config = question_config || {}
+    validator = FormQuestion::AnswerValidator.new(question_type, {})
+    min_limit, max_limit = ANSWER_DATE_CONSTRAINTS[question_type].map do |key|
+      limit = config[key].to_s
+      limit if limit.present? && validator.validate(limit).empty?
+    end
+    days = question_type != 'time'
+
+    if days
+      today = Time.current.in_time_zone(answer_time_zone).to_date
+      clock = question_type == 'datetime' ? %w[T00:00 T23:59] : ['', '']
+      min_days, max_days = config.values_at('min_days_from_today', 'max_days_from_today').map do |value|
+        Integer(value, exception: false) if value.present?
+      end
+      min_limit = [min_limit, ("#{(today + min_days).iso8601}#{clock[0]}" if min_days)].compact.max
+      max_limit = [max_limit, ("#{(today + max_days).iso8601}#{clock[1]}" if max_days)].compact.min
+    end
+
+    {
+      min: min_limit,
+      max: max_limit,
+      disabled_weekdays: days ? Array(config['disabled_weekdays']).filter_map { |day| weekday_number(day) }.uniq.sort : [],
+      blackout_dates: days ? blackout_dates(config['blackout_dates']) : [],
+      range: question_type == 'date' && ActiveModel::Type::Boolean.new.cast(config['range']) == true,
+      timezone: (answer_time_zone.tzinfo.name if config['timezone'].present? && ActiveSupport::TimeZone[config['timezone'].to_s])
+    }
+  end
+
+  # The zone datetime answers are entered in: the question's when it sets
+  # one (an office's opening hours), else the respondent's, else the
+  # application's
+  # @return [ActiveSupport::TimeZone]
+  def answer_time_zone(respondent_timezone = nil)
+    [question_config&.dig('timezone'), respondent_timezone].each do |name|
+      zone = ActiveSupport::TimeZone[name.to_s] if name.present?
+      return zone if zone
+    end
+
+    Time.zone
+  end
+
+  # Matrix rows and columns by id (see #answer_item_ids) with their labels,
+  # and whether several columns may be chosen per row. Rows marked required
+  # have to be answered even when the question is optional.
+  def matrix_config
+    return {} unless question_type == 'matrix'
+
+    rows = Array(question_config['rows'])
+    columns = Array(question_config['columns'])
+    row_ids = answer_item_ids(rows)
+    column_ids = answer_item_ids(columns)
+
+    {
+      rows: rows.each_with_index.map do |row, index|
+        details = row.is_a?(Hash) ? row : {}
+        {
+          id: row_ids[index],
+          label: (details.empty? ? row : details['label']).to_s,
+          description: details['description'].presence,
+          required: ActiveModel::Type::Boolean.new.cast(details['required']) == true
+        }
+      end,
+      columns: columns.each_with_index.map do |column, index|
+        { id: column_ids[index], label: (column.is_a?(Hash) ? column['label'] : column).to_s }
+      end,
+      multiple: ActiveModel::Type::Boolean.new.cast(question_config['multiple_selection']) == true
+    }
+  end
+
+  # The location widget's map: where it starts, the tiles and geocoding
+  # provider it uses (config.x.map_tiles and config.x.geocoding, see
+  # config/initializers/maps.rb) and whether respondents have to place the
+  # pin. The map shows unless the question turns it off.
+  def location_config
+    return {} unless question_type == 'location'
+
+    latitude = Float(question_config['default_latitude'], exception: false)
+    longitude = Float(question_config['default_longitude'], exception: false)
+    configured_center = latitude && longitude &&
+                        FormQuestion::AnswerValidator::LATITUDE_RANGE.cover?(latitude) &&
+                        FormQuestion::AnswerValidator::LONGITUDE_RANGE.cover?(longitude)
+    zoom = Integer(question_config['default_zoom'], exception: false)
+
+    {
+      show_map: ActiveModel::Type::Boolean.new.cast(question_config['show_map']) != false,
+      center: configured_center ? { latitude: latitude, longitude: longitude } : DEFAULT_MAP_CENTER,
+      zoom: zoom && MAP_ZOOM_RANGE.cover?(zoom) ? zoom : (configured_center ? DEFAULT_PLACE_ZOOM : DEFAULT_MAP_ZOOM),
+      coordinates_required: ActiveModel::Type::Boolean.new.cast(question_config['require_coordinates']) == true,
+      tiles: Rails.application.config.x.map_tiles.to_h,
+      geocoding: Rails.application.config.x.geocoding.to_h
+    }
+  end
+
+  # The formula of a calculated question and the decimals its value is
+  # rounded to (see FormQuestion::Expression)
+  def calculation_config
+    return {} unless question_type == 'calculated'
+
+    config = question_config || {}
+    decimals = Integer(config['decimals'], exception: false)
+    {
+      formula: config['formula'].to_s.strip,
+      decimals: decimals && (0..FormQuestion::Expression::MAX_DECIMALS).cover?(decimals) ? decimals : FormQuestion::Expression::DEFAULT_DECIMALS
+    }
+  end
+
+  # A calculated question's value for the answers so far, keyed by question
+  # position (see FormResponse#answer_values); nil while it has none
+  # @return [Float, nil]
+  def calculate(values)
+    config = calculation_config
+    return if config[:formula].blank?
+
+    FormQuestion::Expression.round_number(FormQuestion::Expression.new(config[:formula]).evaluate(values), config[:decimals])
+  end
+
+  # The title and description with {{qN}} references replaced by the answers
+  def piped_title(values)
+    FormQuestion::Expression.pipe(title, values)
+  end
+
+  def piped_description(values)
+    FormQuestion::Expression.pipe(description, values)
+  end
+
+  def pipes_answers?
+    [title, description].any? { |text| FormQuestion::Expression::REFERENCE.match?(text.to_s) }
+  end
+
+  # The title, description and question_config with {{qN}} references
+  # renumbered (see FormQuestion::Expression.renumber); only what changes
+  def renumbered_answer_references(positions)
+    changes = {
+      title: FormQuestion::Expression.renumber(title, positions),
+      description: FormQuestion::Expression.renumber(description, positions)
+    }
+    if question_type == 'calculated' && question_config.is_a?(Hash)
+      changes[:question_config] = question_config.merge('formula' => FormQuestion::Expression.renumber(question_config['formula'], positions))
+    end
+
+    changes.reject { |attribute, value| self[attribute] == value }
+  end
+
+  def file_upload_question?
+    FILE_UPLOAD_TYPES.include?(question_type)
+  end
+
+  # The share URL parameter that answers the question in advance and whether
+  # the respondent may change that answer (question_config 'prefill_key' and
+  # 'lock_prefilled')
+  def prefill_config
+    return {} unless PREFILL_TYPES.include?(question_type)
+
+    config = question_config || {}
+    key = config['prefill_key'].to_s.strip
+    return {} if key.empty?
+
+    { key: key, locked: ActiveModel::Type::Boolean.new.cast(config['lock_prefilled']) == true }
+  end
+
+  # The answer a share URL parameter fills in, or nil when the question would
+  # not accept it. Questions that take several options read a comma separated
+  # list; choice questions only take their options.
+  def prefill_answer(value)
+    return if value.is_a?(Hash)
+
+    multiple = multiple_answers?
+    entries = Array(value).map(&:to_s)
+    entries = entries.flat_map { |entry| entry.split(',') } if multiple
+    entries = entries.map(&:strip).reject(&:empty?)
+    return if entries.empty?
+
+    answer = multiple ? entries.uniq : entries.first
+    options = option_values
+    return if options.any? && (Array(answer) - options).any?
+
+    answer if validate_answer(answer).empty?
+  end
+
+  # The values a choice, yes/no or boolean answer is one of
+  def option_values
+    case question_type
+    when 'yes_no' then %w[yes no]
+    when 'boolean' then %w[true false]
+    else choice_options.map { |option| option.is_a?(Hash) ? option['value'].to_s : option.to_s }
+    end
+  end
+
+  # How a quiz scores the answer (Form#quiz_config): points for each option
+  # chosen (question_config 'option_points', keyed by option value) and the
+  # answers that count as correct ('correct_answers'), worth 'points' when no
+  # option has points. Text answers match regardless of case and surrounding
+  # spaces, numbers by value. Empty for questions that are not scored.
+  def scoring_config
+    return {} unless SCORABLE_TYPES.include?(question_type)
+
+    config = question_config || {}
+    options = option_values
+    option_points = config['option_points'].is_a?(Hash) && options.any? ? config['option_points'] : {}
+    option_points = option_points.to_h { |option, points| [option.to_s, Float(points, exception: false)] }
+                                 .select { |option, points| points && options.include?(option) }
+    correct_answers = Array(config['correct_answers']).flat_map { |answer| answer.to_s.split(/\r?\n/) }
+                                                      .map(&:strip).reject(&:empty?).uniq
+    correct_answers &= options if options.any?
+    return {} if option_points.empty? && correct_answers.empty?
+
+    points = Float(config['points'], exception: false)
+    {
+      option_points: option_points,
+      correct_answers: correct_answers,
+      points: points&.positive? ? points : DEFAULT_POINTS
+    }
+  end
+
+  def scored?
+    scoring_config.present?
+  end
+
+  # The most points an answer can earn: every option with points for
+  # questions that take several, the best option otherwise
+  def max_score
+    config = scoring_config
+    return 0.0 if config.empty?
+    return config[:points] if config[:option_points].empty?
+
+    points = config[:option_points].values
+    multiple_answers? ? points.select(&:positive?).sum(0.0) : [points.max, 0.0].max
+  end
+
+  # @return [Hash] 'score', 'max_score' and 'correct' (nil when the question
+  #   has no correct answers); empty when the question is not scored
+  def score_answer(answer)
+    config = scoring_config
+    return {} if config.empty?
+
+    given = scoring_entries(answer)
+    correct = correct_answer?(given, config[:correct_answers]) if config[:correct_answers].any?
+    score = if config[:option_points].any?
+              given.uniq.sum(0.0) { |entry| config[:option_points].fetch(entry, 0.0) }
+            else
+              correct ? config[:points] : 0.0
+            end
+
+    { 'score' => score, 'max_score' => max_score, 'correct' => correct }
+  end
+
+  # question_config as respondents get it, without the quiz's answer key;
+  # they only learn whether an answer was right from the score it earns
+  def public_config
+    (question_config || {}).except(*SCORING_KEYS)
+  end
+
+  def multiple_answers?
+    question_type == 'checkbox' || answer_constraints['multiple'] == true
+  end
+
+  # How the image upload widget prepares photos before uploading them
+  # (app/javascript/lib/image_processing.js): the longest side in pixels, the
+  # JPEG quality and an optional "width:height" crop. Settings that do not
+  # parse fall back to the defaults.
+  def image_processing_config
+    return {} unless question_type == 'image_upload'
+
+    max_dimension = Integer(question_config['max_dimension'], exception: false)
+    quality = Float(question_config['image_quality'], exception: false)
+
+    {
+      max_dimension: max_dimension && IMAGE_DIMENSION_RANGE.cover?(max_dimension) ? max_dimension : DEFAULT_IMAGE_MAX_DIMENSION,
+      quality: quality&.positive? && quality <= 1 ? quality : DEFAULT_IMAGE_QUALITY,
+      crop_aspect_ratio: crop_aspect_ratio
     }
   end
 
@@ -212,6 +697,70 @@ end
     }
   end
 
+  # Limits on the accepted answer, checked by FormQuestion::AnswerValidator on
+  # the server and by lib/answer_validators.js in the browser (rendered as
+  # data-answer-constraints). Settings that do not parse are left out.
+  def answer_constraints
+    config = question_config || {}
+    constraints = { 'required' => required? }
+
+    ANSWER_LENGTH_CONSTRAINTS.each do |key|
+      limit = Integer(config[key], exception: false) if config[key].present?
+      constraints[key] = limit if limit
+    end
+
+    if FormQuestion::AnswerValidator::NUMERIC_TYPES.include?(question_type)
+      default_min, default_max = DEFAULT_ANSWER_RANGES[question_type]
+      { 'min_value' => default_min, 'max_value' => default_max }.each do |key, default|
+        limit = config[key].present? ? Float(config[key], exception: false) : default
+        constraints[key] = limit.to_i == limit ? limit.to_i : limit if limit
+      end
+    end
+
+    if ANSWER_DATE_CONSTRAINTS.key?(question_type)
+      dates = date_config
+      min_key, max_key = ANSWER_DATE_CONSTRAINTS[question_type]
+      constraints[min_key] = dates[:min] if dates[:min]
+      constraints[max_key] = dates[:max] if dates[:max]
+      constraints['disabled_weekdays'] = dates[:disabled_weekdays] if dates[:disabled_weekdays].any?
+      constraints['blackout_dates'] = dates[:blackout_dates] if dates[:blackout_dates].any?
+      constraints['range'] = true if dates[:range]
+    end
+
+    case question_type
+    when 'multiple_choice'
+      constraints['multiple'] = config['allow_multiple'] == true
+    when 'matrix'
+      constraints['rows'] = matrix_config[:rows].pluck(:id)
+      constraints['columns'] = matrix_config[:columns].pluck(:id)
+      constraints['multiple'] = matrix_config[:multiple]
+      required_rows = matrix_config[:rows].select { |row| row[:required] }.pluck(:id)
+      constraints['required_rows'] = required_rows if required_rows.any?
+    when 'ranking'
+      constraints['items'] = answer_item_ids(config['items'])
+    when *FILE_UPLOAD_TYPES
+      constraints['max_files'] = file_upload_config[:max_files]
+    when 'phone'
+      constraints['countries'] = phone_config[:countries]
+      constraints['default_country'] = phone_config[:default_country] if phone_config[:default_country]
+    when 'location'
+      constraints['coordinates_required'] = location_config[:coordinates_required]
+    when 'address'
+      unless address_config[:single_field]
+        constraints['countries'] = address_config[:countries]
+        constraints['default_country'] = address_config[:default_country] if address_config[:default_country]
+      end
+    end
+
+    constraints
+  end
+
+  # Matrix rows and ranking items are posted by id, or by position when they
+  # have none
+  def answer_item_ids(items)
+    Array(items).each_with_index.map { |item, index| (item.is_a?(Hash) && item['id'].presence || index).to_s }
+  end
+
   def average_response_time_seconds
     question_responses.where.not(time_spent_seconds: 0).average(:time_spent_seconds)&.to_i || 0
   end
@@ -223,6 +772,11 @@ end
     (completed_responses.to_f / responses_count * 100).round(2)
   end
 
+  # Snapshot of the question definition; responses are not included
+  def restorable_attributes
+    attributes.slice(*RESTORABLE_ATTRIBUTES)
+  end
+
   def analytics_summary(period = 30.days)
     {
       total_responses: question_responses.count,
@@ -285,17 +839,31 @@ end
 
   private
 
+  # 0 to 6, or a day's name or its first three letters
+  def weekday_number(day)
+    number = Integer(day, exception: false)
+    return number if number && (0..6).cover?(number)
+
+    name = day.to_s.strip.downcase
+    WEEKDAYS.index { |weekday| weekday.start_with?(name) } if name.length >= 3
+  end
+
+  # A list, or dates separated by commas or new lines
+  def blackout_dates(dates)
+    dates = dates.split(/[\s,]+/) if dates.is_a?(String)
+    validator = FormQuestion::AnswerValidator.new('date', {})
+    Array(dates).map { |date| date.to_s.strip }.select { |date| date.present? && validator.validate(date).empty? }.uniq.sort
+  end
+
   def handle_skipped_dependencies(dependency_check, rules, form_response)
     Rails.logger.info "      Handling skipped dependencies: #{dependency_check[:skipped_dependencies]}"
     
     # Estrategia: Si una pregunta depende de preguntas que fueron saltadas,
     # evaluar solo las reglas que NO dependen de preguntas saltadas
     
-    valid_rules = rules.reject do |rule|
-      dependency_check[:skipped_dependencies].include?(rule['question_id'])
-    end
+    valid_rules = reject_skipped_rules(rules, dependency_check[:skipped_dependencies])
     
-    Rails.logger.info "      Valid rules after filtering: #{valid_rules.length}/#{rules.length}"
+    Rails.logger.info "      Valid rules after filtering: #{flat_conditional_rules(valid_rules).length}/#{flat_conditional_rules(rules).length}"
     
     if valid_rules.empty?
       # Si todas las dependencias fueron saltadas, la pregunta también se salta
@@ -305,28 +873,71 @@ end
     
     # Evaluar solo las reglas válidas
     logic_operator = conditional_logic.fetch('operator', 'and').downcase
-    
-    case logic_operator
-    when 'and'
-      result = valid_rules.all? { |rule| evaluate_condition(rule, form_response) }
-    when 'or'
-      result = valid_rules.any? { |rule| evaluate_condition(rule, form_response) }
-    else
-      result = valid_rules.all? { |rule| evaluate_condition(rule, form_response) }
-    end
+    result = evaluate_rule_set(valid_rules, logic_operator, form_response)
     
     Rails.logger.info "      Result after filtering skipped dependencies: #{result}"
     result
   end
 
+  # Drops rules that depend on skipped questions; groups left without rules are dropped too
+  def reject_skipped_rules(rules, skipped_question_ids)
+    rules.filter_map do |rule|
+      if conditional_group?(rule)
+        group_rules = reject_skipped_rules(rule['rules'], skipped_question_ids)
+        rule.merge('rules' => group_rules) if group_rules.any?
+      elsif !skipped_question_ids.include?(rule['question_id'])
+        rule
+      end
+    end
+  end
+
+  # Combines rules and nested AND/OR groups with the given logic operator
+  def evaluate_rule_set(rules, logic_operator, form_response)
+    evaluate = lambda do |rule|
+      if conditional_group?(rule)
+        evaluate_rule_set(rule['rules'], rule.fetch('operator', 'and').to_s.downcase, form_response)
+      else
+        evaluate_condition(rule, form_response)
+      end
+    end
+
+    # Cualquier operador desconocido se trata como AND
+    logic_operator == 'or' ? rules.any?(&evaluate) : rules.all?(&evaluate)
+  end
+
+  def conditional_group?(rule)
+    rule.is_a?(Hash) && rule['rules'].is_a?(Array)
+  end
+
+  def find_dependency_cycle(question_id, dependencies, path)
+    dependencies.fetch(question_id, []).each do |dependency_id|
+      return path + [dependency_id] if dependency_id == path.first
+      next if path.include?(dependency_id)
+
+      cycle = find_dependency_cycle(dependency_id, dependencies, path + [dependency_id])
+      return cycle if cycle
+    end
+
+    nil
+  end
+
+  def find_dependency_response(form_response, question_id)
+    # Las respuestas sin guardar (vista previa del editor) solo existen en memoria
+    if form_response.new_record?
+      form_response.question_responses.find { |response| response.form_question_id.to_s == question_id.to_s }
+    else
+      form_response.question_responses.joins(:form_question)
+                   .find_by(form_questions: { id: question_id })
+    end
+  end
+
   def check_dependency_chain(rules, form_response)
     skipped_dependencies = []
     missing_dependencies = []
     
     rules.each do |rule|
       question_id = rule['question_id']
-      response = form_response.question_responses.joins(:form_question)
-                            .find_by(form_questions: { id: question_id })
+      response = find_dependency_response(form_response, question_id)
       
       if response.nil?
         missing_dependencies << question_id
@@ -458,9 +1069,107 @@ end
       validate_file_config if question_config.present?
     when 'text_short', 'text_long'
       validate_text_config if question_config.present?
+    when 'calculated'
+      validate_calculation_config
+    end
+  end
+
+  def validate_calculation_config
+    formula = calculation_config[:formula]
+    if formula.blank?
+      errors.add(:question_config, 'must include a formula for calculated questions')
+    elsif (error = FormQuestion::Expression.new(formula).error)
+      errors.add(:question_config, "formula: #{error}")
+    end
+  end
+
+  # Titles, descriptions and formulas may only refer to earlier questions.
+  # Checked as they are written: moving questions keeps references on the same
+  # questions (Form#renumber_questions!), which may then come later, and that
+  # must not stop other changes to the question.
+  def validate_answer_references
+    texts = { title: title, description: description }
+    texts[:question_config] = calculation_config[:formula] if question_type == 'calculated'
+    texts.select! { |attribute, text| text.to_s.include?('{{') && answer_reference_text_changed?(attribute, text) }
+    return if texts.empty?
+
+    earlier_positions = earlier_question_positions
+    texts.each do |attribute, text|
+      FormQuestion::Expression.reference_errors(text, earlier_positions).each do |message|
+        errors.add(attribute, attribute == :question_config ? "formula: #{message}" : message)
+      end
+    end
+  end
+
+  def validate_prefill_key
+    key = (question_config || {})['prefill_key'].to_s.strip
+    return if key.empty?
+
+    if !Form::URL_PARAMETER_FORMAT.match?(key)
+      errors.add(:question_config, 'prefill_key must start with a letter and use only letters, digits and underscores')
+    elsif Form::RESERVED_URL_PARAMETERS.include?(key)
+      errors.add(:question_config, "prefill_key #{key} is a reserved name")
+    end
+  end
+
+  def validate_scoring_config
+    return unless SCORABLE_TYPES.include?(question_type)
+
+    config = question_config || {}
+    if config['points'].present? && !Float(config['points'], exception: false)&.positive?
+      errors.add(:question_config, 'points must be a number greater than 0')
+    end
+
+    if config['option_points'].is_a?(Hash)
+      config['option_points'].each do |option, points|
+        next if points.blank? || Float(points, exception: false)
+
+        errors.add(:question_config, "points for option #{option} must be a number")
+      end
+    end
+
+    return unless question_type == 'number'
+
+    scoring_config.fetch(:correct_answers, []).reject { |answer| Float(answer, exception: false) }.each do |answer|
+      errors.add(:question_config, "correct answer #{answer} is not a number")
+    end
+  end
+
+  # An answer as the entries scoring compares: option values, or the text of
+  # a single answer
+  def scoring_entries(answer)
+    Array(answer).reject { |entry| entry.is_a?(Hash) }.map { |entry| entry.to_s.strip }.reject(&:empty?)
+  end
+
+  def correct_answer?(given, correct_answers)
+    return false if given.empty?
+    return given.uniq.sort == correct_answers.sort if multiple_answers?
+    return false unless given.size == 1
+
+    case question_type
+    when 'number'
+      value = Float(given.first, exception: false)
+      !value.nil? && correct_answers.any? { |answer| Float(answer, exception: false) == value }
+    when 'text_short'
+      correct_answers.any? { |answer| answer.casecmp?(given.first) }
+    else
+      correct_answers.include?(given.first)
     end
   end
 
+  def answer_reference_text_changed?(attribute, text)
+    return true if new_record? || question_type_changed?
+    return text != attribute_in_database(attribute) unless attribute == :question_config
+
+    text != (attribute_in_database(:question_config) || {})['formula'].to_s.strip
+  end
+
+  def earlier_question_positions
+    return [] if form.nil? || position.nil?
+
+    form.form_questions.where(position: ...position).where.not(id: id).pluck(:position)
+  end
+
   def validate_choice_config
     options = question_config['options']
     if options.blank? || !options.is_a?(Array) || options.empty?
@@ -477,11 +1186,46 @@ end
     end
   end
 
+  # Multiple-file questions take max_files files (DEFAULT_MAX_FILES when it
+  # is not set), the others one
+  def max_upload_files
+    return 1 unless ActiveModel::Type::Boolean.new.cast(question_config['multiple'])
+
+    limit = Integer(question_config['max_files'], exception: false)
+    limit&.positive? ? limit : DEFAULT_MAX_FILES
+  end
+
   def validate_file_config
     max_size = question_config['max_size_mb']
     if max_size.present? && (max_size <= 0 || max_size > 100)
       errors.add(:question_config, 'max_size_mb must be between 1 and 100')
     end
+
+    validate_image_processing_config if question_type == 'image_upload'
+  end
+
+  def validate_image_processing_config
+    max_dimension = question_config['max_dimension']
+    if max_dimension.present? && !IMAGE_DIMENSION_RANGE.cover?(Integer(max_dimension, exception: false))
+      errors.add(:question_config, "max_dimension must be between #{IMAGE_DIMENSION_RANGE.min} and #{IMAGE_DIMENSION_RANGE.max}")
+    end
+
+    quality = question_config['image_quality']
+    if quality.present? && !(Float(quality, exception: false)&.then { |value| value.positive? && value <= 1 })
+      errors.add(:question_config, 'image_quality must be greater than 0 and at most 1')
+    end
+
+    if question_config['crop_aspect_ratio'].present? && crop_aspect_ratio.nil?
+      errors.add(:question_config, 'crop_aspect_ratio must be a width:height ratio such as 4:3')
+    end
+  end
+
+  # "4 : 3" => "4:3", nil when unset or not a ratio of two positive numbers
+  def crop_aspect_ratio
+    match = ASPECT_RATIO_FORMAT.match(question_config['crop_aspect_ratio'].to_s)
+    return unless match && match[1].to_f.positive? && match[2].to_f.positive?
+
+    "#{match[1]}:#{match[2]}"
   end
 
   def validate_text_config
@@ -507,9 +1251,24 @@ end
     rules.each_with_index do |rule, index|
       validate_conditional_rule(rule, index)
     end
+
+    return if errors[:conditional_logic].any? || form.nil?
+
+    if conditional_dependency_cycle(rules)
+      errors.add(:conditional_logic, 'creates a circular reference between questions')
+    end
   end
 
   def validate_conditional_rule(rule, index)
+    if conditional_group?(rule)
+      if rule['rules'].empty?
+        errors.add(:conditional_logic, "group #{index + 1} must contain at least one rule")
+      else
+        rule['rules'].each { |group_rule| validate_conditional_rule(group_rule, index) }
+      end
+      return
+    end
+
     required_keys = %w[question_id operator value]
     missing_keys = required_keys - rule.keys
     
@@ -594,8 +1353,7 @@ def evaluate_condition(rule, form_response)
   Rails.logger.info "      Evaluating rule: #{question_id} #{operator} #{expected_value}"
 
   # Encuentra la respuesta para la pregunta de la que dependemos
-  response = form_response.question_responses.joins(:form_question)
-                        .find_by(form_questions: { id: question_id })
+  response = find_dependency_response(form_response, question_id)
 
   if response.nil?
     Rails.logger.info "      No response found for question #{question_id}"
@@ -0,0 +1,106 @@
+# frozen_string_literal: true
+
+# A structured address answer: line1, line2, city, region, postal_code and
+# country, checked against the per-country layouts in
+# config/address_formats.json. Each layout lists the rows of fields the
+# country writes its addresses in, their labels, the fields it requires and
+# its postal code format. app/javascript/lib/addresses.js applies the same
+# rules in the browser, from the formats FormQuestion#answer_constraints
+# renders.
+class FormQuestion::Address
+  FORMATS_PATH = Rails.root.join('config/address_formats.json')
+  COMPONENTS = %w[line1 line2 city region postal_code].freeze
+  COUNTRY_MESSAGE = 'Choose a country from the list'
+
+  attr_reader :components, :format
+
+  # @return [Array<Hash>] The formats, with string keys as in the JSON and
+  #   every field's label filled in from the default labels
+  def self.formats
+    @formats ||= begin
+      data = JSON.parse(File.read(FORMATS_PATH))
+      data['countries'].map do |format|
+        format.merge('labels' => data['labels'].merge(format['labels'] || {})).freeze
+      end.freeze
+    end
+  end
+
+  # @param codes [Array<String, Hash>, nil] ISO 3166 country codes, or the
+  #   { 'name', 'code' } hashes older address questions were configured
+  #   with; all formats when blank
+  def self.formats_for(codes)
+    codes = Array(codes).map { |code| (code.is_a?(Hash) ? code['code'] || code[:code] : code).to_s.strip.upcase }.reject(&:empty?)
+    codes.empty? ? formats : formats.select { |format| codes.include?(format['code']) }
+  end
+
+  # Trimmed components with single spaces, the postal code and country in
+  # capitals. Empty components are left out.
+  def self.normalize(answer)
+    answer = answer.respond_to?(:to_unsafe_h) ? answer.to_unsafe_h : answer.to_h
+
+    (COMPONENTS + ['country']).each_with_object({}) do |key, normalized|
+      value = (answer[key] || answer[key.to_sym]).to_s.squish
+      value = value.upcase if %w[postal_code country].include?(key)
+      normalized[key] = value if value.present?
+    end
+  end
+
+  # @param answer [Hash] The posted components
+  # @param formats [Array<Hash>] The formats the question offers
+  # @param default_country [String, nil] Used when the answer has no country
+  def initialize(answer, formats: self.class.formats, default_country: nil)
+    @components = self.class.normalize(answer)
+    code = @components['country'] || default_country.to_s.upcase
+    @format = formats.find { |candidate| candidate['code'] == code }
+  end
+
+  # The country menu always posts a country, which alone is no address
+  def empty?
+    COMPONENTS.none? { |key| components[key] }
+  end
+
+  # @return [Array<String>] One message per missing required field or
+  #   invalid postal code; only COUNTRY_MESSAGE for a country not offered
+  def errors
+    return [COUNTRY_MESSAGE] if format.nil?
+
+    errors = format['required'].reject { |key| components[key] }.map { |key| "#{format['labels'][key]} is required" }
+
+    postal_code = components['postal_code']
+    if postal_code && format['postal_code_pattern'] && !/\A(?:#{format['postal_code_pattern']})\z/.match?(postal_code)
+      errors << "#{format['labels']['postal_code']} is not valid"
+    end
+
+    errors
+  end
+
+  def country_name
+    format&.dig('name')
+  end
+
+  # The address as the country writes it, one string per layout row. Postal
+  # codes are set off with a space, other components with a comma.
+  def lines
+    return COMPONENTS.filter_map { |key| components[key] } if format.nil?
+
+    format['layout'].filter_map do |row|
+      keys = row.select { |key| components[key] }
+      next if keys.empty?
+
+      keys.each_cons(2).reduce(components[keys.first].dup) do |line, (previous, key)|
+        separator = [previous, key].include?('postal_code') ? ' ' : ', '
+        line << separator << components[key]
+      end
+    end
+  end
+
+  # The stored answer: the components the country's layout asks for and its
+  # country code, or nil for an empty address
+  def to_h
+    return if empty?
+    return components if format.nil?
+
+    fields = format['layout'].flatten
+    components.slice(*fields).merge('country' => format['code'])
+  end
+end
@@ -0,0 +1,303 @@
+# frozen_string_literal: true
+
+# Checks a submitted answer against FormQuestion#answer_constraints and returns
+# the error messages. app/javascript/lib/answer_validators.js applies the same
+# rules with the same messages in the browser; both are run against
+# spec/fixtures/files/answer_validation_cases.json.
+class FormQuestion::AnswerValidator
+  REQUIRED_MESSAGE = 'This question is required'
+  PHONE_COUNTRY_MESSAGE = 'Enter a phone number from one of the listed countries'
+  LATITUDE_MESSAGE = 'Enter a latitude between -90 and 90'
+  LONGITUDE_MESSAGE = 'Enter a longitude between -180 and 180'
+  COORDINATES_REQUIRED_MESSAGE = 'Choose the location on the map'
+  DATE_UNAVAILABLE_MESSAGE = 'That date is not available'
+  DATE_RANGE_MESSAGE = 'Enter a start and an end date'
+  DATE_RANGE_ORDER_MESSAGE = 'Choose an end date on or after the start date'
+  DATE_RANGE_UNAVAILABLE_MESSAGE = 'Choose dates that do not include an unavailable day'
+  MATRIX_REQUIRED_MESSAGE = 'Answer every row'
+  MATRIX_REQUIRED_ROWS_MESSAGE = 'Answer every row marked as required'
+  MATRIX_OPTION_MESSAGE = 'Choose from the listed options in each row'
+
+  EMAIL_FORMAT = /\A[^@\s]+@[^@\s]+\.[^@\s]+\z/
+  PHONE_FORMAT = /\A\+?[0-9\s\-().]+\z/
+  PHONE_DIGITS = (7..15)
+  URL_FORMAT = %r{\Ahttps?://[^\s/?#]+\.[^\s/?#]+(?:[/?#]\S*)?\z}i
+  NUMBER_FORMAT = /\A-?\d+(?:\.\d+)?\z/
+  DATE_FORMAT = /\A(\d{4})-(\d{2})-(\d{2})\z/
+  DATETIME_FORMAT = /\A(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?\z/
+  TIME_FORMAT = /\A(\d{2}):(\d{2})(?::(\d{2}))?\z/
+  LATITUDE_RANGE = (-90..90)
+  LONGITUDE_RANGE = (-180..180)
+
+  NUMERIC_TYPES = %w[number rating scale slider nps_score].freeze
+
+  attr_reader :question_type, :constraints
+
+  def initialize(question_type, constraints)
+    @question_type = question_type.to_s
+    @constraints = constraints.to_h.stringify_keys
+  end
+
+  # @param answer [Object] The submitted value: a string, an array of strings
+  #   (checkbox, ranking, uploads) or a hash of row id => column(s) (matrix)
+  # @return [Array<String>]
+  def validate(answer)
+    value = normalize(answer)
+    return constraints['required'] ? [REQUIRED_MESSAGE] : [] if blank?(value)
+
+    # Single value types treat a list or hash as an unreadable answer
+    text = value.is_a?(String) ? value : ''
+
+    case question_type
+    when 'text_short', 'text_long' then validate_length(text)
+    when 'email' then EMAIL_FORMAT.match?(text) ? [] : ['Enter a valid email address']
+    when 'phone' then validate_phone(text)
+    when 'address' then validate_address(value)
+    when 'location' then validate_location(value)
+    when 'url' then URL_FORMAT.match?(text) ? [] : ['Enter a valid URL starting with http:// or https://']
+    when *NUMERIC_TYPES then validate_number(text)
+    when 'checkbox' then validate_selections(value)
+    when 'multiple_choice' then constraints['multiple'] ? validate_selections(value) : []
+    when 'date' then constraints['range'] ? validate_date_range(value) : validate_date(text)
+    when 'datetime' then validate_datetime(text)
+    when 'time' then validate_time(text)
+    when 'matrix' then validate_matrix(value)
+    when 'ranking' then validate_ranking(value)
+    when *FormQuestion::FILE_UPLOAD_TYPES then validate_file_count(value)
+    else []
+    end
+  end
+
+  private
+
+  # Strings are stripped and blank entries dropped, as the browser does
+  def normalize(answer)
+    answer = answer.to_unsafe_h if answer.respond_to?(:to_unsafe_h)
+    return normalize_ranking(answer) if question_type == 'ranking'
+
+    case answer
+    when Hash
+      answer.to_h { |key, entry| [key.to_s, normalize(entry)] }.reject { |_, entry| blank?(entry) }
+    when Array
+      answer.map { |entry| entry.to_s.strip }.reject(&:empty?)
+    when nil
+      nil
+    else
+      answer.to_s.strip
+    end
+  end
+
+  # The ranking widget posts a JSON list of { id, position } entries
+  def normalize_ranking(answer)
+    if answer.is_a?(String)
+      answer = begin
+        JSON.parse(answer)
+      rescue JSON::ParserError
+        answer.strip
+      end
+    end
+
+    return answer unless answer.is_a?(Array)
+
+    answer.map { |entry| (entry.is_a?(Hash) ? entry['id'] : entry).to_s.strip }.reject(&:empty?)
+  end
+
+  def blank?(value)
+    value.nil? || value.respond_to?(:empty?) && value.empty?
+  end
+
+  def validate_length(value)
+    min_length = constraints['min_length']
+    max_length = constraints['max_length']
+
+    return ["Must be at least #{min_length} characters"] if min_length && value.length < min_length
+    return ["Must be at most #{max_length} characters"] if max_length && value.length > max_length
+
+    []
+  end
+
+  # Numbers are checked against the numbering plan of their country (see
+  # FormQuestion::PhoneNumber). National numbers need a default country for that.
+  def validate_phone(value)
+    digits = value.count('0-9')
+    return ['Enter a valid phone number'] unless PHONE_FORMAT.match?(value) && PHONE_DIGITS.cover?(digits)
+
+    countries = Array(constraints['countries'])
+    return [] if countries.empty?
+
+    number = FormQuestion::PhoneNumber.parse(value, plans: countries, default_country: constraints['default_country'])
+    return FormQuestion::PhoneNumber.international?(value) ? [PHONE_COUNTRY_MESSAGE] : [] if number.nil?
+
+    number.valid? ? [] : ["Enter a valid #{number.country_name} phone number"]
+  end
+
+  # A string is an address typed into the single field layout. Posted fields
+  # are checked against the format of their country (see FormQuestion::Address).
+  def validate_address(value)
+    return [] unless value.is_a?(Hash)
+
+    address = FormQuestion::Address.new(value, formats: Array(constraints['countries']), default_country: constraints['default_country'])
+    return constraints['required'] ? [REQUIRED_MESSAGE] : [] if address.empty?
+    return [] if Array(constraints['countries']).empty?
+
+    address.errors
+  end
+
+  # A typed place, coordinates, or both. Coordinates come in pairs.
+  def validate_location(value)
+    return [] unless value.is_a?(Hash)
+
+    latitude, longitude = value.values_at('latitude', 'longitude')
+    return constraints['coordinates_required'] ? [COORDINATES_REQUIRED_MESSAGE] : [] if [latitude, longitude].all? { |coordinate| coordinate.to_s.strip.empty? }
+
+    errors = []
+    errors << LATITUDE_MESSAGE unless coordinate_in?(latitude, LATITUDE_RANGE)
+    errors << LONGITUDE_MESSAGE unless coordinate_in?(longitude, LONGITUDE_RANGE)
+    errors
+  end
+
+  def coordinate_in?(value, range)
+    NUMBER_FORMAT.match?(value.to_s) && range.cover?(value.to_f)
+  end
+
+  def validate_number(value)
+    return ['Enter a number'] unless NUMBER_FORMAT.match?(value)
+
+    number = value.to_f
+    min_value = constraints['min_value']
+    max_value = constraints['max_value']
+
+    return ["Must be at least #{min_value}"] if min_value && number < min_value
+    return ["Must be at most #{max_value}"] if max_value && number > max_value
+
+    []
+  end
+
+  def validate_selections(value)
+    selected = value.is_a?(Array) ? value : [value]
+    min_selections = constraints['min_selections']
+    max_selections = constraints['max_selections']
+
+    return ["Select at least #{options_count(min_selections)}"] if min_selections && selected.size < min_selections
+    return ["Select at most #{options_count(max_selections)}"] if max_selections && selected.size > max_selections
+
+    []
+  end
+
+  def options_count(count)
+    count == 1 ? '1 option' : "#{count} options"
+  end
+
+  # Upload widgets post one signed blob id per file
+  def validate_file_count(value)
+    files = value.is_a?(Array) ? value : [value]
+    max_files = constraints['max_files']
+
+    max_files && files.size > max_files ? ["Upload at most #{files_count(max_files)}"] : []
+  end
+
+  def files_count(count)
+    count == 1 ? '1 file' : "#{count} files"
+  end
+
+  def validate_date(value)
+    return ['Enter a valid date'] unless valid_date?(DATE_FORMAT.match(value))
+
+    errors = validate_range(value, 'min_date', 'max_date', 'a date on or') { |limit| limit }
+    errors.presence || validate_day(value)
+  end
+
+  # Range questions post a start and an end day. Both are checked like single
+  # dates; blackout dates may not fall between them, unavailable weekdays may.
+  def validate_date_range(value)
+    return [DATE_RANGE_MESSAGE] unless value.is_a?(Hash) && value['start'].is_a?(String) && value['end'].is_a?(String)
+
+    errors = validate_date(value['start']).presence || validate_date(value['end'])
+    return errors if errors.any?
+    return [DATE_RANGE_ORDER_MESSAGE] if value['end'] < value['start']
+
+    blackout_dates.any? { |date| date.between?(value['start'], value['end']) } ? [DATE_RANGE_UNAVAILABLE_MESSAGE] : []
+  end
+
+  def validate_datetime(value)
+    match = DATETIME_FORMAT.match(value)
+    return ['Enter a valid date and time'] unless valid_date?(match) && valid_clock?(match[4], match[5], match[6])
+
+    errors = validate_range(comparable_datetime(value), 'min_datetime', 'max_datetime', 'a time on or') { |limit| comparable_datetime(limit) }
+    errors.presence || validate_day(value[0, 10])
+  end
+
+  # Weekdays (0 is Sunday) and blackout dates that cannot be chosen
+  def validate_day(value)
+    weekday = Date.iso8601(value).wday
+    Array(constraints['disabled_weekdays']).include?(weekday) || blackout_dates.include?(value) ? [DATE_UNAVAILABLE_MESSAGE] : []
+  end
+
+  def blackout_dates
+    Array(constraints['blackout_dates'])
+  end
+
+  def validate_time(value)
+    match = TIME_FORMAT.match(value)
+    return ['Enter a valid time'] unless match && valid_clock?(match[1], match[2], match[3])
+
+    validate_range(comparable_time(value), 'min_time', 'max_time', 'a time at or') { |limit| comparable_time(limit) }
+  end
+
+  # Dates and times are compared as zero-padded ISO 8601 strings; the block
+  # turns a limit into that form
+  def validate_range(value, min_key, max_key, phrase)
+    min_limit = constraints[min_key]
+    max_limit = constraints[max_key]
+
+    return ["Choose #{phrase} after #{min_limit.tr('T', ' ')}"] if min_limit && value < yield(min_limit)
+    return ["Choose #{phrase} before #{max_limit.tr('T', ' ')}"] if max_limit && value > yield(max_limit)
+
+    []
+  end
+
+  def valid_date?(match)
+    match && Date.valid_date?(match[1].to_i, match[2].to_i, match[3].to_i)
+  end
+
+  def valid_clock?(hours, minutes, seconds)
+    hours.to_i < 24 && minutes.to_i < 60 && seconds.to_i < 60
+  end
+
+  def comparable_datetime(value)
+    match = DATETIME_FORMAT.match(value)
+    "#{match[1]}-#{match[2]}-#{match[3]}T#{match[4]}:#{match[5]}:#{match[6] || '00'}"
+  end
+
+  def comparable_time(value)
+    match = TIME_FORMAT.match(value)
+    "#{match[1]}:#{match[2]}:#{match[3] || '00'}"
+  end
+
+  # Row id => the chosen column id, or a list of them when several may be
+  # chosen per row. Every row is required when the question is, otherwise
+  # only the rows marked as required.
+  def validate_matrix(value)
+    return [MATRIX_REQUIRED_MESSAGE] unless value.is_a?(Hash)
+
+    columns = Array(constraints['columns'])
+    listed = ->(choice) { choice.is_a?(String) && (columns.empty? || columns.include?(choice)) }
+    valid_entry = constraints['multiple'] ? ->(entry) { Array(entry).all?(&listed) } : listed
+
+    errors = []
+    errors << MATRIX_OPTION_MESSAGE unless value.values.all?(&valid_entry)
+
+    rows = Array(constraints['rows'])
+    rows &= Array(constraints['required_rows']) unless constraints['required']
+    errors << (constraints['required'] ? MATRIX_REQUIRED_MESSAGE : MATRIX_REQUIRED_ROWS_MESSAGE) if rows.any? { |row_id| blank?(value[row_id]) }
+    errors
+  end
+
+  def validate_ranking(value)
+    items = Array(constraints['items'])
+    return ['Rank every item'] unless value.is_a?(Array)
+    return [] if items.empty?
+
+    value.sort == items.sort ? [] : ['Rank every item']
+  end
+end
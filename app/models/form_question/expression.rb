@@ -0,0 +1,409 @@
+# frozen_string_literal: true
+
+require 'strscan'
+
+# The formula of a calculated question, and the {{qN}} references to earlier
+# answers that formulas, titles and descriptions use (N is the question's
+# position; Form#renumber_questions! rewrites them when questions move).
+# Formulas are parsed into a tree and evaluated by walking it, never with
+# eval. app/javascript/lib/expressions.js implements the same language with
+# the same messages; both run spec/fixtures/files/expression_cases.json.
+#
+# Values are keyed by question position: { 3 => 'Ada', 4 => '72', 5 => 180 }.
+class FormQuestion::Expression
+  REFERENCE = /\{\{\s*q(\d+)\s*\}\}/i
+  PLACEHOLDER = /\{\{.*?\}\}/m
+  NUMBER_FORMAT = /\A-?\d+(?:\.\d+)?\z/
+  MAX_DECIMALS = 10
+  DEFAULT_DECIMALS = 2
+
+  # Parsing and evaluating recurse, so formulas are kept well within the stack
+  MAX_TOKENS = 1000
+  MAX_NESTING = 32
+
+  # [fewest, most] arguments of each function
+  FUNCTIONS = {
+    'abs' => [1, 1],
+    'ceil' => [1, 1],
+    'floor' => [1, 1],
+    'sqrt' => [1, 1],
+    'round' => [1, 2],
+    'if' => [3, 3],
+    'min' => [1, Float::INFINITY],
+    'max' => [1, Float::INFINITY],
+    'sum' => [1, Float::INFINITY],
+    'avg' => [1, Float::INFINITY],
+    'coalesce' => [1, Float::INFINITY]
+  }.freeze
+
+  COMPARISONS = %w[= == != < <= > >=].freeze
+
+  class ParseError < StandardError; end
+
+  attr_reader :source
+
+  # Positions of the answers a text or formula refers to, in order
+  def self.referenced_positions(text)
+    text.to_s.scan(REFERENCE).map { |(position)| position.to_i }.uniq.sort
+  end
+
+  # Messages for placeholders that are not references and references to
+  # positions other than the earlier questions'
+  def self.reference_errors(text, earlier_positions)
+    text.to_s.scan(PLACEHOLDER).filter_map do |placeholder|
+      match = /\A\{\{\s*q(\d+)\s*\}\}\z/i.match(placeholder)
+      if match.nil?
+        "#{placeholder} is not a reference; refer to answers as {{q1}}, {{q2}} and so on"
+      elsif !earlier_positions.include?(match[1].to_i)
+        "#{placeholder} does not refer to an earlier question"
+      end
+    end.uniq
+  end
+
+  # Rewrites references after questions move (see Form#renumber_questions!);
+  # positions not in the map become q0
+  # @param positions [Hash{Integer => Integer}] New position by old position
+  def self.renumber(text, positions)
+    return text unless text.is_a?(String) && REFERENCE.match?(text)
+
+    text.gsub(REFERENCE) do |reference|
+      position = Regexp.last_match(1).to_i
+      positions[position] == position ? reference : "{{q#{positions.fetch(position, 0)}}}"
+    end
+  end
+
+  # Replaces each reference with the answer's text (see .answer_text)
+  def self.pipe(text, values)
+    values = position_keys(values)
+    text.to_s.gsub(REFERENCE) { answer_text(values[Regexp.last_match(1).to_i]) }
+  end
+
+  # Lists are joined with commas; hashes (addresses, matrices) have no text
+  def self.answer_text(value)
+    case value
+    when Numeric
+      return '' unless value.finite?
+
+      value == value.truncate ? value.truncate.to_s : value.to_s
+    when true, false then value.to_s
+    when String then value.strip
+    when Array then value.map { |entry| answer_text(entry) }.reject(&:empty?).join(', ')
+    else ''
+    end
+  end
+
+  # Numbers and numeric text as they are, yes and true as 1, no and false as 0
+  # and lists as the number of their entries; nil for anything else
+  def self.answer_number(value)
+    case value
+    when Numeric then value.to_f.finite? ? value.to_f : nil
+    when true then 1.0
+    when false then 0.0
+    when Array then value.count { |entry| !answer_text(entry).empty? }.to_f
+    when String
+      text = value.strip.downcase
+      if NUMBER_FORMAT.match?(text) then text.to_f
+      elsif %w[yes true].include?(text) then 1.0
+      elsif %w[no false].include?(text) then 0.0
+      end
+    end
+  end
+
+  # Half away from zero, as lib/expressions' roundNumber
+  def self.round_number(value, decimals = 0)
+    return if value.nil?
+
+    places = (Float(decimals, exception: false) || 0).truncate.clamp(0, MAX_DECIMALS)
+    finite(value.round(places).to_f)
+  end
+
+  def self.finite(value)
+    value if value.finite?
+  end
+
+  def self.position_keys(values)
+    values.to_h.transform_keys { |key| key.to_s.to_i }
+  end
+
+  def initialize(source)
+    @source = source.to_s
+  end
+
+  # @return [String, nil] Why the formula does not parse
+  def error
+    tree
+    nil
+  rescue ParseError => e
+    e.message
+  end
+
+  # @return [Float, nil] nil when the formula does not parse or has no value
+  def evaluate(values)
+    evaluate_node(tree, self.class.position_keys(values))
+  rescue ParseError
+    nil
+  end
+
+  private
+
+  def tree
+    @tree ||= begin
+      @tokens = tokenize
+      @index = 0
+      @depth = 0
+      parse_or.tap { expect_end }
+    end
+  end
+
+  # Parsing
+
+  def tokenize
+    scanner = StringScanner.new(source)
+    tokens = []
+
+    until scanner.eos?
+      at = scanner.charpos
+      if scanner.skip(/\s+/)
+        next
+      elsif (text = scanner.scan(/\d+(?:\.\d+)?/))
+        tokens << { type: :number, value: text.to_f, text: text, at: at }
+      elsif (text = scanner.scan(REFERENCE))
+        tokens << { type: :reference, position: scanner[1].to_i, text: text, at: at }
+      elsif (text = scanner.scan(/[a-z_][a-z0-9_]*/i))
+        tokens << { type: :name, value: text.downcase, text: text, at: at }
+      elsif (text = scanner.scan(%r{<=|>=|!=|==|[-+*/%^=<>(),]}))
+        tokens << { type: :operator, value: text, text: text, at: at }
+      else
+        text = scanner.check(/\{\{.*?(?:\}\}|\z)/m) || scanner.check(/./m)
+        raise ParseError, "Unexpected \"#{text}\" at character #{at + 1}"
+      end
+      raise ParseError, 'The formula is too long' if tokens.size > MAX_TOKENS
+    end
+
+    tokens
+  end
+
+  def parse_or
+    left = parse_and
+    left = { type: :binary, operator: 'or', left: left, right: parse_and } while accept_name('or')
+    left
+  end
+
+  def parse_and
+    left = parse_comparison
+    left = { type: :binary, operator: 'and', left: left, right: parse_comparison } while accept_name('and')
+    left
+  end
+
+  def parse_comparison
+    left = parse_additive
+    operator = accept_operator(*COMPARISONS)
+    operator ? { type: :binary, operator: operator, left: left, right: parse_additive } : left
+  end
+
+  def parse_additive
+    left = parse_multiplicative
+    while (operator = accept_operator('+', '-'))
+      left = { type: :binary, operator: operator, left: left, right: parse_multiplicative }
+    end
+    left
+  end
+
+  def parse_multiplicative
+    left = parse_unary
+    while (operator = accept_operator('*', '/', '%'))
+      left = { type: :binary, operator: operator, left: left, right: parse_unary }
+    end
+    left
+  end
+
+  def parse_unary
+    operator = accept_operator('-', '+') || ('not' if accept_name('not'))
+    operator ? { type: :unary, operator: operator, operand: nested { parse_unary } } : parse_power
+  end
+
+  # Right associative: 2 ^ 3 ^ 2 is 2 ^ 9
+  def parse_power
+    base = parse_primary
+    accept_operator('^') ? { type: :binary, operator: '^', left: base, right: nested { parse_unary } } : base
+  end
+
+  def parse_primary
+    token = next_token
+
+    case token[:type]
+    when :number then { type: :number, value: token[:value] }
+    when :reference then { type: :reference, position: token[:position] }
+    when :operator
+      raise unexpected(token) unless token[:value] == '('
+
+      nested { parse_or }.tap { expect_operator(')') }
+    when :name
+      return { type: :number, value: token[:value] == 'true' ? 1.0 : 0.0 } if %w[true false].include?(token[:value])
+      raise ParseError, "Unknown name \"#{token[:text]}\" at character #{token[:at] + 1}" unless accept_operator('(')
+
+      parse_call(token)
+    end
+  end
+
+  def parse_call(token)
+    arity = FUNCTIONS[token[:value]]
+    raise ParseError, "Unknown function \"#{token[:text]}\" at character #{token[:at] + 1}" unless arity
+
+    args = []
+    unless accept_operator(')')
+      loop do
+        args << nested { parse_or }
+        break unless accept_operator(',')
+      end
+      expect_operator(')')
+    end
+
+    raise ParseError, arity_message(token[:value], arity) unless (arity[0]..arity[1]).cover?(args.size)
+
+    { type: :call, name: token[:value], args: args }
+  end
+
+  # Parentheses, function arguments, unary operators and exponents nest
+  def nested
+    raise ParseError, 'The formula is nested too deeply' if @depth >= MAX_NESTING
+
+    @depth += 1
+    begin
+      yield
+    ensure
+      @depth -= 1
+    end
+  end
+
+  def next_token
+    token = @tokens[@index]
+    raise ParseError, 'Unexpected end of formula' unless token
+
+    @index += 1
+    token
+  end
+
+  def accept_operator(*operators)
+    token = @tokens[@index]
+    return unless token && token[:type] == :operator && operators.include?(token[:value])
+
+    @index += 1
+    token[:value]
+  end
+
+  def accept_name(name)
+    token = @tokens[@index]
+    return false unless token && token[:type] == :name && token[:value] == name
+
+    @index += 1
+    true
+  end
+
+  def expect_operator(operator)
+    token = next_token
+    raise unexpected(token) unless token[:type] == :operator && token[:value] == operator
+  end
+
+  def expect_end
+    token = @tokens[@index]
+    raise unexpected(token) if token
+  end
+
+  def unexpected(token)
+    ParseError.new("Unexpected \"#{token[:text]}\" at character #{token[:at] + 1}")
+  end
+
+  def arity_message(name, (fewest, most))
+    arguments = fewest == 1 ? 'argument' : 'arguments'
+    return "\"#{name}\" takes at least #{fewest} #{arguments}" if most == Float::INFINITY
+    return "\"#{name}\" takes #{fewest} #{arguments}" if fewest == most
+
+    "\"#{name}\" takes #{fewest} or #{most} arguments"
+  end
+
+  # Evaluation
+
+  def evaluate_node(node, values)
+    case node[:type]
+    when :number then node[:value]
+    when :reference then self.class.answer_number(values[node[:position]])
+    when :unary then evaluate_unary(node[:operator], evaluate_node(node[:operand], values))
+    when :binary
+      evaluate_binary(node[:operator], evaluate_node(node[:left], values), evaluate_node(node[:right], values))
+    when :call then evaluate_call(node[:name], node[:args].map { |arg| evaluate_node(arg, values) })
+    end
+  end
+
+  def evaluate_unary(operator, value)
+    return if value.nil?
+    return value.zero? ? 1.0 : 0.0 if operator == 'not'
+
+    operator == '-' ? -value : value
+  end
+
+  def evaluate_binary(operator, left, right)
+    return if left.nil? || right.nil?
+
+    case operator
+    when '+' then finite(left + right)
+    when '-' then finite(left - right)
+    when '*' then finite(left * right)
+    when '/' then right.zero? ? nil : finite(left / right)
+    # The sign of the dividend, as JavaScript's %
+    when '%' then right.zero? ? nil : finite(left.remainder(right))
+    when '^' then power(left, right)
+    when '=', '==' then truth(left == right)
+    when '!=' then truth(left != right)
+    when '<' then truth(left < right)
+    when '<=' then truth(left <= right)
+    when '>' then truth(left > right)
+    when '>=' then truth(left >= right)
+    when 'and' then truth(!left.zero? && !right.zero?)
+    when 'or' then truth(!left.zero? || !right.zero?)
+    end
+  end
+
+  def evaluate_call(name, args)
+    present = args.compact
+
+    case name
+    when 'if' then return args[0].nil? ? nil : (args[0].zero? ? args[2] : args[1])
+    when 'coalesce' then return present.first
+    when 'min' then return present.min
+    when 'max' then return present.max
+    when 'sum' then return present.empty? ? nil : finite(total(present))
+    when 'avg' then return present.empty? ? nil : finite(total(present) / present.size)
+    end
+
+    return if present.size < args.size
+
+    value, decimals = args
+    case name
+    when 'abs' then value.abs
+    when 'ceil' then value.ceil.to_f
+    when 'floor' then value.floor.to_f
+    when 'sqrt' then value.negative? ? nil : Math.sqrt(value)
+    when 'round' then self.class.round_number(value, decimals || 0)
+    end
+  end
+
+  # Negative numbers to fractional powers have no real value
+  def power(base, exponent)
+    result = base**exponent
+    result.is_a?(Float) ? finite(result) : nil
+  end
+
+  # Added in order, as JavaScript does; Array#sum compensates for rounding
+  def total(numbers)
+    numbers.inject(0.0, :+)
+  end
+
+  def finite(value)
+    self.class.finite(value)
+  end
+
+  def truth(condition)
+    condition ? 1.0 : 0.0
+  end
+end
@@ -0,0 +1,85 @@
+# frozen_string_literal: true
+
+# A phone number read against the per-country numbering plans in
+# config/phone_numbering_plans.json. Phone answers are stored in E.164 form
+# (+ calling code + national significant number), so every number of a
+# country is stored the same way however it was typed.
+# app/javascript/lib/phone_numbers.js reads numbers the same way in the
+# browser, from the plans FormQuestion#answer_constraints renders.
+class FormQuestion::PhoneNumber
+  PLANS_PATH = Rails.root.join('config/phone_numbering_plans.json')
+
+  attr_reader :plan, :national_number
+
+  # @return [Array<Hash>] The plans, with string keys as in the JSON
+  def self.plans
+    @plans ||= JSON.parse(File.read(PLANS_PATH))['countries'].each(&:freeze).freeze
+  end
+
+  # @param codes [Array<String>, nil] ISO 3166 country codes; all plans when blank
+  def self.plans_for(codes)
+    codes = Array(codes).map { |code| code.to_s.strip.upcase }.reject(&:empty?)
+    codes.empty? ? plans : plans.select { |plan| codes.include?(plan['code']) }
+  end
+
+  def self.international?(value)
+    value.to_s.strip.start_with?('+', '00')
+  end
+
+  # @return [FormQuestion::PhoneNumber, nil] nil when no plan applies: an
+  #   international number with a calling code none of the plans has, or a
+  #   national number without a default country
+  def self.parse(value, plans: self.plans, default_country: nil)
+    text = value.to_s.strip
+    digits = text.delete('^0-9')
+
+    return national(digits, plans, default_country) unless international?(text)
+
+    international = text.start_with?('+') ? digits : digits.delete_prefix('00')
+    calling_code = plans.map { |plan| plan['calling_code'] }.select { |code| international.start_with?(code) }.max_by(&:length)
+    return if calling_code.nil?
+
+    candidates = plans.select { |plan| plan['calling_code'] == calling_code }
+    number = international.delete_prefix(calling_code)
+    matches = ->(plan) { new(plan, number).valid? }
+
+    # The chosen country, then the first one listed, when the number fits
+    # it; else the chosen or the main country for the calling code
+    plan = candidates.find { |candidate| candidate['code'] == default_country && matches.call(candidate) } ||
+           candidates.find(&matches) ||
+           candidates.find { |candidate| candidate['code'] == default_country } ||
+           candidates.find { |candidate| candidate['main_country'] } ||
+           candidates.first
+
+    new(plan, number)
+  end
+
+  def self.national(digits, plans, default_country)
+    plan = plans.find { |candidate| candidate['code'] == default_country }
+    new(plan, digits) if plan
+  end
+  private_class_method :national
+
+  # The national prefix is dropped wherever it is typed: "+44 (0)7400..."
+  def initialize(plan, digits)
+    @plan = plan
+    prefix = plan['national_prefix']
+    @national_number = prefix.present? ? digits.delete_prefix(prefix) : digits
+  end
+
+  def country_code
+    plan['code']
+  end
+
+  def country_name
+    plan['name']
+  end
+
+  def e164
+    "+#{plan['calling_code']}#{national_number}"
+  end
+
+  def valid?
+    /\A(?:#{plan['pattern']})\z/.match?(national_number)
+  end
+end
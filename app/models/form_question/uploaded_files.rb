@@ -0,0 +1,80 @@
+# frozen_string_literal: true
+
+# The files posted with a file_upload or image_upload answer. The upload
+# widget stores each file with an Active Storage direct upload and posts its
+# signed blob id; this checks the blobs against the question's limits and
+# turns them into the stored answer. The checks and messages match
+# fileRejection in app/javascript/lib/file_uploads.js.
+class FormQuestion::UploadedFiles
+  MISSING_MESSAGE = 'A file could not be found. Remove it and upload it again'
+
+  attr_reader :question, :signed_ids
+
+  # @param answer [Array<String>, String, nil] The posted signed blob ids
+  def initialize(question, answer)
+    @question = question
+    @signed_ids = Array(answer).map { |signed_id| signed_id.to_s.strip }.reject(&:empty?)
+  end
+
+  def blobs
+    @blobs ||= signed_ids.map { |signed_id| ActiveStorage::Blob.find_signed(signed_id) }
+  end
+
+  # @return [Array<String>]
+  def errors
+    return [MISSING_MESSAGE] if blobs.any?(&:nil?)
+
+    blobs.filter_map { |blob| rejection(blob) }
+  end
+
+  # @return [Array<Hash>] The details QuestionResponse stores for each file
+  def answer_value
+    blobs.compact.map do |blob|
+      {
+        'signed_id' => blob.signed_id,
+        'filename' => blob.filename.to_s,
+        'size' => blob.byte_size,
+        'content_type' => blob.content_type
+      }
+    end
+  end
+
+  private
+
+  def config
+    @config ||= question.file_upload_config
+  end
+
+  def rejection(blob)
+    max_size_mb = config[:max_size]
+
+    return "#{blob.filename} is larger than #{max_size_mb} MB" if max_size_mb && blob.byte_size > max_size_mb.to_f.megabytes
+    return "#{blob.filename} is not an accepted file type" unless accepted_type?(blob)
+
+    nil
+  end
+
+  # allowed_types entries are extensions ("pdf", ".pdf") or MIME types
+  # ("image/png", "image/*")
+  def accepted_type?(blob)
+    content_type = blob.content_type.to_s
+    return false if question.question_type == 'image_upload' && !content_type.start_with?('image/')
+
+    allowed_types = question.question_type == 'image_upload' ? [] : Array(config[:allowed_types])
+    return true if allowed_types.empty?
+
+    extension = blob.filename.extension.to_s.downcase
+
+    allowed_types.any? do |allowed|
+      pattern = allowed.to_s.strip.downcase
+
+      if pattern.end_with?('/*')
+        content_type.start_with?(pattern.delete_suffix('*'))
+      elsif pattern.include?('/')
+        content_type == pattern
+      else
+        extension.present? && extension == pattern.delete_prefix('.')
+      end
+    end
+  end
+end
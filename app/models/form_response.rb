@@ -1,6 +1,11 @@
 # frozen_string_literal: true
 
 class FormResponse < ApplicationRecord
+  # Longest hidden field or UTM value kept from a share URL
+  MAX_URL_PARAMETER_LENGTH = 500
+  # Answers sent as a quiz's time runs out still count
+  QUIZ_TIME_GRACE = 5.seconds
+
   # Associations
   belongs_to :form, counter_cache: :responses_count
   has_many :question_responses, dependent: :destroy
@@ -65,6 +70,81 @@ class FormResponse < ApplicationRecord
     end
   end
 
+  # Answers keyed by question position, as answer piping and calculated
+  # questions refer to them (see FormQuestion::Expression)
+  def answer_values
+    question_responses.includes(:form_question).reject(&:skipped?).to_h do |question_response|
+      [question_response.form_question.position, question_response.raw_answer]
+    end
+  end
+
+  # Records the share URL query parameters the form reads: UTM parameters,
+  # hidden fields (metadata 'hidden_fields') and prefilled answers (metadata
+  # 'prefill', keyed by question id). Values recorded earlier stay unless the
+  # URL sets them again; completed responses are left as they were submitted.
+  def record_url_parameters(query)
+    query = query.to_h.stringify_keys
+    return if query.empty? || completed?
+
+    utm = url_parameter_values(query, Form::UTM_PARAMETERS)
+    hidden = url_parameter_values(query, form.hidden_fields)
+    prefill = form.prefill_questions.filter_map do |key, question|
+      answer = question.prefill_answer(query[key]) if query.key?(key)
+      [question.id.to_s, answer] unless answer.nil?
+    end.to_h
+    return if utm.empty? && hidden.empty? && prefill.empty?
+
+    recorded = metadata || {}
+    update!(
+      utm_parameters: (utm_parameters || {}).merge(utm),
+      metadata: recorded.merge(
+        'hidden_fields' => recorded.fetch('hidden_fields', {}).merge(hidden),
+        'prefill' => recorded.fetch('prefill', {}).merge(prefill)
+      )
+    )
+  end
+
+  def hidden_field_values
+    metadata&.dig('hidden_fields') || {}
+  end
+
+  # The answer the share URL filled in for a question, if any
+  def prefilled_answer(question)
+    metadata&.dig('prefill', question.id.to_s)
+  end
+
+  # The quiz score (see Form#quiz_config): 'score', 'max_score', 'percentage',
+  # a 'breakdown' with the score of each scored question and the 'outcome'
+  # the score falls in. Completed responses keep the result they finished
+  # with, so later changes to the quiz do not rescore them. Questions logic
+  # skipped are left out; unanswered ones score nothing.
+  def quiz_result
+    return {} unless form.quiz?
+    return metadata['quiz'] if completed? && metadata&.dig('quiz').present?
+
+    score_quiz
+  end
+
+  # When the quiz's time limit runs out, if it has one
+  def quiz_deadline
+    time_limit = form.quiz_config[:time_limit_minutes]
+    started_at + time_limit.minutes if time_limit && started_at
+  end
+
+  def quiz_time_up?(now = Time.current)
+    deadline = quiz_deadline
+    in_progress? && deadline.present? && now > deadline + QUIZ_TIME_GRACE
+  end
+
+  # The answer a scored question keeps when the quiz shows the score after
+  # each answer: the first one given, as the feedback would otherwise let
+  # respondents go back and correct it. nil while the question is open.
+  def locked_quiz_answer(question)
+    return unless form.quiz_config[:scoring] == 'live' && question.scored?
+
+    question_responses.find_by(form_question: question, skipped: false)&.raw_answer
+  end
+
   def get_answer(question_title_or_id)
     question = find_question(question_title_or_id)
     return nil unless question
@@ -137,14 +217,18 @@ class FormResponse < ApplicationRecord
     score
   end
 
-  def mark_completed!(completion_data = {})
-    return false unless can_be_completed?
+  # A quiz whose time ran out is completed with the questions left unanswered
+  # (force: true)
+  def mark_completed!(completion_data = {}, force: false)
+    return false unless force || can_be_completed?
     
-    update!(
+    attributes = {
       status: :completed,
       completed_at: Time.current,
       completion_data: completion_data
-    )
+    }
+    attributes[:metadata] = (metadata || {}).merge('quiz' => score_quiz) if form.quiz?
+    update!(attributes)
     
     # Trigger completion workflows
     # Forms::CompletionWorkflowJob.perform_later(self) if defined?(Forms::CompletionWorkflowJob)
@@ -367,6 +451,35 @@ class FormResponse < ApplicationRecord
     GoogleSheetsSyncJob.perform_later(form.id, 'sync_response', id)
   end
 
+  def score_quiz
+    answers = question_responses.index_by(&:form_question_id)
+    breakdown = form.form_questions.select(&:scored?).filter_map do |question|
+      question_response = answers[question.id]
+      next if question_response&.skipped?
+
+      { 'question_id' => question.id, 'title' => question.title }.merge(question.score_answer(question_response&.raw_answer))
+    end
+
+    score = breakdown.sum(0.0) { |entry| entry['score'] }
+    max_score = breakdown.sum(0.0) { |entry| entry['max_score'] }
+    percentage = max_score.positive? ? (score / max_score * 100).round(1) : 0.0
+    {
+      'score' => score,
+      'max_score' => max_score,
+      'percentage' => percentage,
+      'breakdown' => breakdown,
+      'outcome' => form.quiz_outcome(percentage)&.stringify_keys
+    }
+  end
+
+  # Text values of the named parameters; lists are joined with commas
+  def url_parameter_values(query, names)
+    query.slice(*names).to_h do |name, value|
+      value = value.is_a?(Hash) ? '' : Array(value).map(&:to_s).join(',')
+      [name, value.strip.first(MAX_URL_PARAMETER_LENGTH)]
+    end.reject { |_, value| value.empty? }
+  end
+
   def find_question(identifier)
     case identifier
     when String
@@ -5,11 +5,16 @@ class QuestionResponse < ApplicationRecord
   belongs_to :form_response
   belongs_to :form_question
 
+  # Files uploaded to file_upload and image_upload questions, attached so that
+  # their blobs are kept (see FormQuestion::UploadedFiles)
+  has_many_attached :files
+
   # Validations
   validates :answer_data, presence: true, unless: :skipped?
 
   # Callbacks
   before_save :process_answer_data, :calculate_response_time
+  before_save :attach_uploaded_files, if: :answer_data_changed?
   after_create :trigger_ai_analysis, :update_question_analytics
 
   # Scopes
@@ -41,6 +46,21 @@ class QuestionResponse < ApplicationRecord
     answer_data.is_a?(Hash) ? answer_data['value'] : answer_data
   end
 
+  # The fields posted by the signature widget: the stroke data
+  # (app/javascript/lib/signature_strokes.js), the SVG and the PNG data URL.
+  # Anything that is not a PNG data URL is dropped from :png.
+  def signature_answer
+    value = raw_answer
+    return {} unless form_question.question_type == 'signature' && value.is_a?(Hash)
+
+    png = value['signature_data'].to_s
+    {
+      strokes: value['signature_strokes'].presence,
+      svg: value['signature_svg'].presence,
+      png: png.start_with?('data:image/png;base64,') ? png : nil
+    }.compact
+  end
+
   def formatted_answer
     processed_data = processed_answer_data
     
@@ -52,11 +72,21 @@ class QuestionResponse < ApplicationRecord
     when 'nps_score'
       format_nps_answer(processed_data)
     when 'date'
-      format_date_answer(processed_data)
+      raw_answer.is_a?(Hash) ? format_date_range_answer : format_date_answer(processed_data)
     when 'datetime'
       format_datetime_answer(processed_data)
     when 'file_upload', 'image_upload'
       format_file_answer(processed_data)
+    when 'signature'
+      signature_answer.empty? ? '' : 'Signed'
+    when 'address'
+      format_address_answer
+    when 'location'
+      format_location_answer
+    when 'matrix'
+      format_matrix_answer
+    when 'calculated'
+      FormQuestion::Expression.answer_text(raw_answer)
     else
       processed_data.to_s
     end
@@ -183,6 +213,12 @@ class QuestionResponse < ApplicationRecord
 
   private
 
+  def attach_uploaded_files
+    return unless form_question&.file_upload_question?
+
+    self.files = Array.wrap(raw_answer).filter_map { |file| file['signed_id'] if file.is_a?(Hash) }
+  end
+
   def process_answer_data
     return if answer_data.blank?
     
@@ -336,12 +372,26 @@ class QuestionResponse < ApplicationRecord
     processed_data.to_s
   end
 
+  def format_date_range_answer
+    raw_answer.values_at('start', 'end').map { |day| format_date_answer(day) }.join(' to ')
+  end
+
+  # Datetimes are stored in UTC and written in the zone they were entered in
+  # (see FormQuestion#answer_time_zone)
   def format_datetime_answer(processed_data)
-    Time.parse(processed_data.to_s).strftime('%B %d, %Y at %I:%M %p')
+    time = Time.zone.parse(processed_data.to_s)
+    return processed_data.to_s unless time
+
+    time.in_time_zone(form_question.answer_time_zone(respondent_timezone)).strftime('%B %d, %Y at %I:%M %p %Z')
   rescue
     processed_data.to_s
   end
 
+  # Posted beside date and time answers (see ResponsesController#respondent_timezone)
+  def respondent_timezone
+    answer_data.deep_stringify_keys.dig('metadata', 'timezone') if answer_data.is_a?(Hash)
+  end
+
   def format_file_answer(processed_data)
     return 'No files' if processed_data.blank?
     
@@ -350,6 +400,41 @@ class QuestionResponse < ApplicationRecord
     "#{files.count} file(s): #{filenames.join(', ')}"
   end
 
+  # Structured addresses are written as their country writes them (see
+  # FormQuestion::Address#lines), followed by the country
+  def format_address_answer
+    value = raw_answer
+    return value.to_s.strip unless value.is_a?(Hash)
+
+    address = FormQuestion::Address.new(value)
+    (address.lines + [address.country_name]).compact.join(', ')
+  end
+
+  # The place with the pin's coordinates: "Town Hall (51.500700, -0.124600)"
+  def format_location_answer
+    value = raw_answer
+    return value.to_s.strip unless value.is_a?(Hash)
+
+    place = value['location'].to_s.strip.presence
+    latitude, longitude = value.values_at('latitude', 'longitude').map { |coordinate| Float(coordinate, exception: false) }
+    coordinates = format('%.6f, %.6f', latitude, longitude) if latitude && longitude
+
+    place && coordinates ? "#{place} (#{coordinates})" : place || coordinates || ''
+  end
+
+  # The answered rows with their chosen columns: "Speed: Good; Price: Bad, Good"
+  def format_matrix_answer
+    value = raw_answer
+    return value.to_s unless value.is_a?(Hash)
+
+    config = form_question.matrix_config
+    columns = config[:columns].to_h { |column| [column[:id], column[:label]] }
+    config[:rows].filter_map do |row|
+      choices = Array(value[row[:id]]).map { |choice| columns.fetch(choice.to_s, choice.to_s) }
+      "#{row[:label]}: #{choices.join(', ')}" if choices.any?
+    end.join('; ')
+  end
+
   def valid_email?
     return true if answer_text.blank? # Let presence validation handle blank
     
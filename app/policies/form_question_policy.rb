@@ -41,6 +41,10 @@ class FormQuestionPolicy < ApplicationPolicy
     create?
   end
 
+  def restore?
+    create?
+  end
+
   def ai_enhance?
     update? && record.form.ai_enhanced?
   end
@@ -57,6 +61,10 @@ class FormQuestionPolicy < ApplicationPolicy
     update?
   end
 
+  def preview_conditional_logic?
+    update?
+  end
+
   class Scope < Scope
     def resolve
       if user.admin?
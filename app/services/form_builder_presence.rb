@@ -0,0 +1,157 @@
+# frozen_string_literal: true
+
+# Who has the form builder open for a form, and which question each of them
+# is editing (soft locks). Kept in Rails.cache so every ActionCable process
+# shares it; clients that stop sending heartbeats expire after STALE_AFTER.
+#
+# Each client is its own cache entry, written only by that client, so
+# concurrent heartbeats and locks cannot overwrite one another. The list of
+# client ids is changed under a short cache mutex, and a heartbeat puts back
+# a client that has dropped out of it.
+class FormBuilderPresence
+  STALE_AFTER = 90.seconds
+  CACHE_TTL = 1.hour
+  MUTEX_TTL = 5.seconds
+  MUTEX_ATTEMPTS = 20
+  MUTEX_WAIT = 0.05
+
+  def initialize(form)
+    @form = form
+  end
+
+  def join(client_id, user)
+    member = {
+      'client_id' => client_id,
+      'user_id' => user.id,
+      'name' => user.full_name.presence || user.email,
+      'initials' => initials_for(user),
+      'question_id' => nil
+    }
+    write_member(member)
+    change_client_ids { |client_ids| client_ids | [client_id] }
+    member
+  end
+
+  def leave(client_id)
+    member = read_member(client_id)
+    release(client_id, member['question_id']) if member&.dig('question_id')
+    Rails.cache.delete(member_key(client_id))
+    change_client_ids { |client_ids| client_ids - [client_id] }
+  end
+
+  # Heartbeat: keeps the member and the lock it holds from expiring, and
+  # joins again a member that has expired or dropped out of the list
+  def touch(client_id, user)
+    member = read_member(client_id)
+    return join(client_id, user) unless member
+
+    write_member(member)
+    refresh_lock(client_id, member['question_id']) if member['question_id']
+    change_client_ids { |client_ids| client_ids | [client_id] } unless client_ids.include?(client_id)
+    member
+  end
+
+  # Takes the lock on a question for this client, joining again first if it
+  # has expired. Each lock is its own cache entry, written only when absent,
+  # so two clients racing for the same question cannot both get it.
+  #
+  # @return [Hash, nil] The member already holding it, or nil when acquired
+  def lock(client_id, user, question_id)
+    member = touch(client_id, user)
+    claim = member.slice('client_id', 'user_id', 'name', 'initials')
+    acquired = Rails.cache.write(lock_key(question_id), claim, expires_in: STALE_AFTER, unless_exist: true)
+
+    unless acquired
+      holder = Rails.cache.read(lock_key(question_id))
+      return holder if holder && holder['client_id'] != client_id
+
+      # Ours already, or released since: (re)write it
+      Rails.cache.write(lock_key(question_id), claim, expires_in: STALE_AFTER)
+    end
+
+    release(client_id, member['question_id']) if member['question_id'] && member['question_id'] != question_id
+    write_member(member.merge('question_id' => question_id))
+    nil
+  end
+
+  def unlock(client_id, question_id = nil)
+    member = read_member(client_id)
+    return unless member && member['question_id'] && (question_id.nil? || member['question_id'] == question_id)
+
+    release(client_id, member['question_id'])
+    write_member(member.merge('question_id' => nil))
+  end
+
+  def members
+    ids = client_ids
+    return [] if ids.empty?
+
+    Rails.cache.read_multi(*ids.map { |client_id| member_key(client_id) }).values
+                .sort_by { |member| member['name'].to_s.downcase }
+  end
+
+  private
+
+  def client_ids
+    Rails.cache.read(cache_key) || []
+  end
+
+  # Clients whose entry has expired are dropped from the list on the way
+  def change_client_ids
+    synchronize do
+      live = client_ids.select { |client_id| Rails.cache.exist?(member_key(client_id)) }
+      Rails.cache.write(cache_key, yield(live), expires_in: CACHE_TTL)
+    end
+  end
+
+  # Waits a moment for another process to finish changing the list; a mutex
+  # left behind by a process that died expires after MUTEX_TTL
+  def synchronize
+    acquired = MUTEX_ATTEMPTS.times.any? do
+      Rails.cache.write(mutex_key, true, expires_in: MUTEX_TTL, unless_exist: true) || (sleep(MUTEX_WAIT) && false)
+    end
+    yield
+  ensure
+    Rails.cache.delete(mutex_key) if acquired
+  end
+
+  def read_member(client_id)
+    Rails.cache.read(member_key(client_id))
+  end
+
+  def write_member(member)
+    Rails.cache.write(member_key(member['client_id']), member, expires_in: STALE_AFTER)
+  end
+
+  def cache_key
+    "form_builder_presence/#{@form.id}"
+  end
+
+  def member_key(client_id)
+    "#{cache_key}/members/#{client_id}"
+  end
+
+  def mutex_key
+    "#{cache_key}/mutex"
+  end
+
+  def lock_key(question_id)
+    "#{cache_key}/locks/#{question_id}"
+  end
+
+  def refresh_lock(client_id, question_id)
+    holder = Rails.cache.read(lock_key(question_id))
+    Rails.cache.write(lock_key(question_id), holder, expires_in: STALE_AFTER) if holder && holder['client_id'] == client_id
+  end
+
+  # Only the client holding a lock can release it
+  def release(client_id, question_id)
+    holder = Rails.cache.read(lock_key(question_id))
+    Rails.cache.delete(lock_key(question_id)) if holder && holder['client_id'] == client_id
+  end
+
+  def initials_for(user)
+    name = user.full_name.presence || user.email.to_s
+    name.split(/[\s@._-]+/).reject(&:blank?).first(2).map { |part| part[0].upcase }.join
+  end
+end
@@ -0,0 +1,61 @@
+# frozen_string_literal: true
+
+module Forms
+  # Serializes a form definition (settings, questions, question configs and
+  # conditional logic) to the versioned JSON document read by
+  # DefinitionImportService. Responses, analytics, integrations, notification
+  # recipients and access restrictions stay with the original form.
+  class DefinitionExportService < ApplicationService
+    SCHEMA = 'agentform.form'
+    VERSION = 1
+
+    FORM_ATTRIBUTES = %w[
+      name description category form_settings ai_configuration style_configuration
+      ai_enabled show_branding redirect_url requires_login accepts_responses
+    ].freeze
+
+    QUESTION_ATTRIBUTES = %w[
+      title description question_type position required hidden read_only
+      question_config validation_rules display_options conditional_enabled conditional_logic
+      ai_enhanced ai_config ai_prompt metadata
+    ].freeze
+
+    attr_accessor :form
+
+    validates :form, presence: true
+
+    def initialize(form:)
+      @form = form
+      super()
+    end
+
+    def call
+      return self unless valid?
+
+      set_result(document)
+      self
+    end
+
+    def filename
+      "#{form.name.to_s.parameterize.presence || 'form'}.form.json"
+    end
+
+    private
+
+    def document
+      {
+        'schema' => SCHEMA,
+        'version' => VERSION,
+        'exported_at' => Time.current.iso8601,
+        'form' => form.attributes.slice(*FORM_ATTRIBUTES),
+        'questions' => form.form_questions.order(:position).map { |question| serialize_question(question) }
+      }
+    end
+
+    # The question id is exported as its "ref"; conditional rules keep pointing
+    # at refs and are remapped to the new ids on import
+    def serialize_question(question)
+      { 'ref' => question.id }.merge(question.attributes.slice(*QUESTION_ATTRIBUTES))
+    end
+  end
+end
@@ -0,0 +1,247 @@
+# frozen_string_literal: true
+
+module Forms
+  # Creates a new draft form from a document produced by
+  # DefinitionExportService.
+  #
+  # The document is checked against the schema first and every problem is
+  # collected in #errors. Each question gets a fresh id and conditional rules
+  # are rewritten from the exported refs to those ids. With dry_run nothing is
+  # saved and the result holds the preview of what would be created.
+  class DefinitionImportService < ApplicationService
+    HASH_ATTRIBUTES = %w[
+      form_settings ai_configuration style_configuration
+      question_config validation_rules display_options conditional_logic ai_config metadata
+    ].freeze
+
+    attr_accessor :user, :document, :dry_run
+
+    attr_reader :warnings
+
+    validates :user, presence: true
+
+    def initialize(user:, document:, dry_run: false)
+      @user = user
+      @document = document
+      @dry_run = dry_run
+      @warnings = []
+      super()
+    end
+
+    def call
+      return self unless valid?
+
+      validate_document
+      return self if failure?
+
+      build_form
+      validate_records
+      return self if failure?
+
+      save_form unless dry_run
+
+      set_result({
+        form: @form,
+        preview: preview,
+        warnings: warnings
+      })
+
+      self
+    end
+
+    private
+
+    # Schema validation
+
+    def validate_document
+      unless document.is_a?(Hash)
+        add_error(:base, 'The file must contain a JSON object')
+        return
+      end
+
+      unless document['schema'] == DefinitionExportService::SCHEMA
+        add_error(:base, "This is not a form export (expected schema \"#{DefinitionExportService::SCHEMA}\")")
+        return
+      end
+
+      version = document['version']
+      unless version.is_a?(Integer) && version.between?(1, DefinitionExportService::VERSION)
+        add_error(:base, "Schema version #{version.inspect} is not supported (latest is #{DefinitionExportService::VERSION})")
+        return
+      end
+
+      validate_form_data
+      validate_questions_data
+    end
+
+    def validate_form_data
+      form_data = document['form']
+
+      unless form_data.is_a?(Hash)
+        add_error(:base, 'The "form" section is missing')
+        return
+      end
+
+      add_error(:base, 'The form needs a name') unless form_data['name'].is_a?(String) && form_data['name'].present?
+      validate_hash_attributes(form_data, 'Form')
+
+      ignored = form_data.keys - DefinitionExportService::FORM_ATTRIBUTES
+      warnings << "Ignored unknown form settings: #{ignored.join(', ')}" if ignored.any?
+    end
+
+    def validate_questions_data
+      unless document['questions'].is_a?(Array)
+        add_error(:base, 'The "questions" section must be a list')
+        return
+      end
+
+      seen_refs = []
+
+      document['questions'].each_with_index do |question_data, index|
+        label = "Question #{index + 1}"
+
+        unless question_data.is_a?(Hash)
+          add_error(:base, "#{label} must be an object")
+          next
+        end
+
+        ref = question_data['ref']
+        if !ref.is_a?(String) || ref.blank?
+          add_error(:base, "#{label} needs a ref")
+        elsif seen_refs.include?(ref)
+          add_error(:base, "#{label} repeats the ref \"#{ref}\"")
+        end
+
+        unless question_data['title'].is_a?(String) && question_data['title'].present?
+          add_error(:base, "#{label} needs a title")
+        end
+
+        unless FormQuestion::QUESTION_TYPES.include?(question_data['question_type'])
+          add_error(:base, "#{label} has an unknown question type #{question_data['question_type'].inspect}")
+        end
+
+        if question_data['question_type'] == 'payment' && !user.can_accept_payments?
+          add_error(:base, "#{label} is a payment question, which requires a Premium subscription")
+        end
+
+        validate_hash_attributes(question_data, label)
+        validate_rule_references(question_data, label, seen_refs)
+
+        seen_refs << ref
+      end
+    end
+
+    def validate_hash_attributes(data, label)
+      (HASH_ATTRIBUTES & data.keys).each do |attribute|
+        next if data[attribute].nil? || data[attribute].is_a?(Hash)
+
+        add_error(:base, "#{label}: #{attribute} must be an object")
+      end
+    end
+
+    # Rules may only point at questions that come before this one
+    def validate_rule_references(question_data, label, earlier_refs)
+      logic = question_data['conditional_logic']
+      return unless logic.is_a?(Hash) && logic['rules'].is_a?(Array)
+
+      flat_rules(logic['rules']).each do |rule|
+        next if earlier_refs.include?(rule['question_id'])
+
+        add_error(:base, "#{label}: a conditional rule refers to #{rule['question_id'].inspect}, which is not an earlier question in the file")
+      end
+    end
+
+    # Building
+
+    def build_form
+      @id_map = document['questions'].to_h { |question_data| [question_data['ref'], SecureRandom.uuid] }
+
+      form_attributes = document['form'].slice(*DefinitionExportService::FORM_ATTRIBUTES)
+      @form = user.forms.build(form_attributes.merge('status' => 'draft'))
+
+      @questions = document['questions'].each_with_index.map do |question_data, index|
+        attributes = question_data.slice(*DefinitionExportService::QUESTION_ATTRIBUTES)
+        attributes['conditional_logic'] = remap_logic(attributes['conditional_logic'])
+
+        @form.form_questions.build(attributes.merge('id' => @id_map[question_data['ref']], 'position' => index + 1))
+      end
+    end
+
+    def remap_logic(logic)
+      return logic unless logic.is_a?(Hash) && logic['rules'].is_a?(Array)
+
+      logic.merge('rules' => remap_rules(logic['rules']))
+    end
+
+    def remap_rules(rules)
+      rules.map do |rule|
+        next rule unless rule.is_a?(Hash)
+
+        if rule['rules'].is_a?(Array)
+          rule.merge('rules' => remap_rules(rule['rules']))
+        else
+          rule.merge('question_id' => @id_map.fetch(rule['question_id'], rule['question_id']))
+        end
+      end
+    end
+
+    def flat_rules(rules)
+      rules.flat_map do |rule|
+        next [] unless rule.is_a?(Hash)
+
+        rule['rules'].is_a?(Array) ? flat_rules(rule['rules']) : [rule]
+      end
+    end
+
+    def validate_records
+      @form.valid?
+      @form.errors.full_messages.each do |message|
+        add_error(:base, "Form: #{message}") unless message.start_with?('Form questions')
+      end
+
+      @questions.each do |question|
+        next if question.valid?
+
+        question.errors.full_messages.each do |message|
+          add_error(:base, "Question #{question.position}: #{message}")
+        end
+      end
+    end
+
+    def save_form
+      ActiveRecord::Base.transaction { @form.save! }
+      Rails.logger.info "Imported form #{@form.id} with #{@questions.size} questions for user #{user.id}"
+    rescue ActiveRecord::RecordInvalid => e
+      add_error(:base, "Import failed: #{e.record.errors.full_messages.to_sentence}")
+    end
+
+    # What will be (or was) created; refs are shown next to their new ids
+    def preview
+      refs = @id_map.invert
+
+      {
+        form: {
+          name: @form.name,
+          category: @form.category,
+          settings: (@form.form_settings || {}).keys
+        },
+        questions: @questions.map do |question|
+          {
+            ref: refs[question.id],
+            id: question.id,
+            position: question.position,
+            title: question.title,
+            question_type: question.question_type,
+            required: question.required?,
+            conditional_rules: question_rules(question).size
+          }
+        end,
+        remapped_references: @questions.sum { |question| question_rules(question).size }
+      }
+    end
+
+    def question_rules(question)
+      flat_rules(Array((question.conditional_logic || {})['rules']))
+    end
+  end
+end
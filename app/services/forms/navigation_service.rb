@@ -275,7 +275,7 @@ module Forms
       form_response.form.form_questions.each do |question|
         next unless question.has_conditional_logic?
         
-        dependent_questions = question.conditional_rules.map { |rule| rule['question_id'] }
+        dependent_questions = question.flat_conditional_rules.map { |rule| rule['question_id'] }
         dependencies[question.id] = dependent_questions
       end
       
@@ -51,8 +51,10 @@ Rails.application.configure do
   # Don't log any deprecations.
   config.active_support.report_deprecations = false
 
-  # Use Redis for caching in production - configuration handled by RedisConfig
-  # This will be overridden by config/initializers/redis.rb
+  # Use Redis for caching in production, shared by every web and ActionCable
+  # process: form builder presence and question locks (FormBuilderPresence)
+  # and idempotency keys (IdempotentRequests) depend on it. The store needs
+  # RedisConfig, so config/initializers/redis.rb sets it up.
 
   # Use Sidekiq for background jobs in production
   config.active_job.queue_adapter = :sidekiq
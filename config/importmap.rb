@@ -6,4 +6,8 @@ pin "@hotwired/stimulus-loading", to: "stimulus-loading.js", preload: true
 pin "sortablejs", to: "https://ga.jspm.io/npm:sortablejs@1.15.0/modular/sortable.esm.js"
 # Esta es la línea clave que encuentra tus controladores como form_builder_controller.js
 pin_all_from "app/javascript/controllers", under: "controllers"
-pin "payment_integration", to: "payment_integration.js"
\ No newline at end of file
+# Módulos compartidos entre controladores (cola offline, utilidades, etc.)
+pin_all_from "app/javascript/lib", under: "lib"
+pin "@rails/actioncable", to: "actioncable.esm.js"
+pin "@rails/activestorage", to: "activestorage.esm.js"
+pin_all_from "app/javascript/channels", under: "channels"
@@ -0,0 +1,12 @@
+# frozen_string_literal: true
+
+# Address suggestions for address questions, made in the browser by a provider
+# registered in app/javascript/lib/address_autocomplete.js. 'offline' searches
+# the JSON list of addresses at ADDRESS_AUTOCOMPLETE_URL. The key is passed to
+# providers that need one and is sent to the browser, so it must be a key
+# restricted for browser use. Without a provider there are no suggestions.
+Rails.application.config.x.address_autocomplete = {
+  provider: ENV['ADDRESS_AUTOCOMPLETE_PROVIDER'].presence,
+  url: ENV['ADDRESS_AUTOCOMPLETE_URL'].presence,
+  key: ENV['ADDRESS_AUTOCOMPLETE_KEY'].presence
+}.compact.freeze
@@ -0,0 +1,19 @@
+# frozen_string_literal: true
+
+# The location question's map and place search (app/javascript/lib/tile_map.js
+# and lib/geocoding.js). Tiles are fetched by the browser from MAP_TILE_URL,
+# an {z}/{x}/{y} template; the default OpenStreetMap tiles need their
+# attribution shown and are meant for light use. GEOCODING_PROVIDER names a
+# registered geocoding provider ('nominatim', with GEOCODING_URL and
+# GEOCODING_KEY for a compatible service); the key is sent to the browser.
+# Without a provider there is no place search or reverse geocoding.
+Rails.application.config.x.map_tiles = {
+  url: ENV.fetch('MAP_TILE_URL', 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'),
+  attribution: ENV.fetch('MAP_TILE_ATTRIBUTION', '© OpenStreetMap contributors')
+}.freeze
+
+Rails.application.config.x.geocoding = {
+  provider: ENV['GEOCODING_PROVIDER'].presence,
+  url: ENV['GEOCODING_URL'].presence,
+  key: ENV['GEOCODING_KEY'].presence
+}.compact.freeze
@@ -7,4 +7,10 @@ Rails.application.configure do
     # Use centralized Redis configuration with SSL support
     config.cache_store = :redis_cache_store, RedisConfig.cache_config
   end
-end
\ No newline at end of file
+end
+
+# Rails.cache is built from config.cache_store before initializers run, so
+# the setting above only takes effect through this. Production needs the
+# shared store (see config/environments/production.rb); development keeps
+# the memory store config/environments/development.rb sets.
+Rails.cache = ActiveSupport::Cache.lookup_store(*Rails.application.config.cache_store) if Rails.env.production?
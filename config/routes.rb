@@ -63,6 +63,8 @@ Rails.application.routes.draw do
     collection do
       get :new_from_ai
       post :generate_from_ai
+      get :import
+      post :import_definition
     end
 
     member do
@@ -71,6 +73,7 @@ Rails.application.routes.draw do
       post :duplicate
       get :analytics
       get :export
+      get :export_definition
       get :preview
       post :test_ai_feature
       get :responses
@@ -94,6 +97,7 @@ Rails.application.routes.draw do
       
       collection do
         patch :reorder  # Changed from post to patch to match controller
+        post :restore
       end
     end
 
@@ -123,12 +127,14 @@ Rails.application.routes.draw do
   # Public form response routes (no authentication required)
   scope '/f' do
     get ':share_token', to: 'responses#show', as: :public_form
+    get ':share_token/questions/:question_id', to: 'responses#question', as: :form_question_fragment
     post ':share_token/answer', to: 'responses#answer', as: :form_answer
     post ':share_token/save_draft', to: 'responses#save_draft', as: :save_draft_form
     post ':share_token/abandon', to: 'responses#abandon', as: :abandon_form
     get ':share_token/resume/:session_id', to: 'responses#resume', as: :resume_form
     get ':share_token/thank-you', to: 'responses#thank_you', as: :thank_you_form
     get ':share_token/preview', to: 'responses#preview', as: :public_form_preview
+    post ':share_token/uploads', to: 'form_uploads#create', as: :form_uploads
     
     # Payment routes
     get ':share_token/payments/config', to: 'payments#config', as: :payment_config
@@ -152,6 +158,7 @@ Rails.application.routes.draw do
           post :duplicate
           get :analytics
           get :export
+          get :export_definition
           get :preview
           post :test_ai_feature
           get :embed_code
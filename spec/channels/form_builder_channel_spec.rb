@@ -0,0 +1,85 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe FormBuilderChannel, type: :channel do
+  let(:user) { create(:user, first_name: 'Ada', last_name: 'Lovelace') }
+  let(:form) { create(:form, user: user) }
+  let!(:question) { create(:form_question, form: form, position: 1) }
+  let(:client_id) { 'tab-11111111' }
+
+  before do
+    allow(Rails).to receive(:cache).and_return(ActiveSupport::Cache::MemoryStore.new)
+  end
+
+  describe 'subscribing' do
+    it 'streams the form for its editors' do
+      stub_connection current_user: user
+      subscribe form_id: form.id, client_id: client_id
+
+      expect(subscription).to be_confirmed
+      expect(subscription).to have_stream_for(form)
+    end
+
+    it 'announces the new member' do
+      stub_connection current_user: user
+
+      expect {
+        subscribe form_id: form.id, client_id: client_id
+      }.to have_broadcasted_to(form).with(a_hash_including(
+        type: 'presence',
+        members: [a_hash_including('client_id' => client_id, 'name' => 'Ada Lovelace', 'initials' => 'AL')]
+      ))
+    end
+
+    it 'rejects users who cannot edit the form' do
+      stub_connection current_user: create(:user)
+      subscribe form_id: form.id, client_id: client_id
+
+      expect(subscription).to be_rejected
+    end
+
+    it 'rejects anonymous connections' do
+      stub_connection current_user: nil
+      subscribe form_id: form.id, client_id: client_id
+
+      expect(subscription).to be_rejected
+    end
+  end
+
+  describe 'question locks' do
+    before do
+      stub_connection current_user: user
+    end
+
+    it 'broadcasts the question being edited' do
+      subscribe form_id: form.id, client_id: client_id
+
+      expect {
+        perform :lock, question_id: question.id
+      }.to have_broadcasted_to(form).with(a_hash_including(
+        members: [a_hash_including('client_id' => client_id, 'question_id' => question.id)]
+      ))
+    end
+
+    it 'refuses a lock held by another client' do
+      FormBuilderPresence.new(form).tap do |presence|
+        presence.join('tab-22222222', user)
+        presence.lock('tab-22222222', user, question.id)
+      end
+
+      subscribe form_id: form.id, client_id: client_id
+      perform :lock, question_id: question.id
+
+      expect(transmissions.last).to include('type' => 'lock_denied', 'question_id' => question.id)
+    end
+
+    it 'releases locks when the client leaves' do
+      subscribe form_id: form.id, client_id: client_id
+      perform :lock, question_id: question.id
+      unsubscribe
+
+      expect(FormBuilderPresence.new(form).members).to be_empty
+    end
+  end
+end
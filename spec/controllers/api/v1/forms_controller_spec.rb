@@ -351,6 +351,33 @@ RSpec.describe Api::V1::FormsController, type: :controller do
     end
   end
 
+  describe 'GET #export without a format' do
+    it 'exports the responses as CSV' do
+      expect_any_instance_of(Forms::ManagementAgent).to receive(:export_form_data)
+        .with(form, hash_including(format: 'csv'))
+        .and_return({ download_url: 'https://example.com/export.csv', filename: 'form_export.csv', expires_at: 1.hour.from_now })
+
+      get :export, params: { id: form.id }
+
+      expect(json_response['data']['format']).to eq('csv')
+    end
+  end
+
+  describe 'GET #export_definition' do
+    before do
+      create(:form_question, form: form, title: 'First question')
+      get :export_definition, params: { id: form.id }
+    end
+
+    it 'returns the form definition document' do
+      expect(response).to have_http_status(:ok)
+      expect(json_response['success']).to be true
+      expect(json_response['data']['schema']).to eq('agentform.form')
+      expect(json_response['data']['form']['name']).to eq(form.name)
+      expect(json_response['data']['questions'].map { |question| question['title'] }).to eq(['First question'])
+    end
+  end
+
   describe 'GET #preview' do
     before { get :preview, params: { id: form.id } }
 
@@ -124,12 +124,137 @@ RSpec.describe FormQuestionsController, type: :controller do
       delete :destroy, params: { form_id: form.id, id: question.id }
       expect(response).to redirect_to(edit_form_path(form))
     end
+
+    it 'renumbers references to the questions after it' do
+      later = create(:form_question, form: form, position: question.position + 1, question_type: 'number')
+      summary = create(:form_question, form: form, position: question.position + 2,
+                                       title: "You said {{q#{later.position}}}, not {{q#{question.position}}}")
+
+      delete :destroy, params: { form_id: form.id, id: question.id }, format: :json
+
+      expect(summary.reload.title).to eq("You said {{q#{later.reload.position}}}, not {{q0}}")
+    end
+
+    it 'returns a snapshot of the deleted question for undo' do
+      question.update!(question_config: { 'placeholder' => 'Your answer' }, required: true)
+
+      delete :destroy, params: { form_id: form.id, id: question.id }, format: :json
+
+      snapshot = JSON.parse(response.body)['question']
+      expect(snapshot).to include(
+        'id' => question.id,
+        'title' => question.title,
+        'required' => true,
+        'question_config' => { 'placeholder' => 'Your answer' }
+      )
+    end
+  end
+
+  describe 'builder collaboration broadcasts' do
+    it 'sends updated questions to other editors with the rendered card' do
+      request.headers['X-Builder-Client-Id'] = 'tab-11111111'
+
+      expect {
+        patch :update, params: { form_id: form.id, id: question.id, form_question: { title: 'Renamed' } }, format: :json
+      }.to have_broadcasted_to(form).from_channel(FormBuilderChannel).with(a_hash_including(
+        type: 'question_updated',
+        question_id: question.id,
+        client_id: 'tab-11111111',
+        html: a_string_including('Renamed')
+      ))
+    end
+
+    it 'sends deletions' do
+      question
+
+      expect {
+        delete :destroy, params: { form_id: form.id, id: question.id }, format: :json
+      }.to have_broadcasted_to(form).from_channel(FormBuilderChannel).with(a_hash_including(
+        type: 'question_deleted',
+        question_id: question.id,
+        question_ids: []
+      ))
+    end
+  end
+
+  describe 'POST #restore' do
+    let!(:first_question) { create(:form_question, form: form, position: 1) }
+    let!(:deleted) do
+      create(:form_question, form: form, position: 2, title: 'Deleted question',
+                             question_config: { 'placeholder' => 'Type here' })
+    end
+    let!(:second_question) { create(:form_question, form: form, position: 3) }
+
+    before do
+      allow(Rails).to receive(:cache).and_return(ActiveSupport::Cache::MemoryStore.new)
+      delete :destroy, params: { form_id: form.id, id: deleted.id }, format: :json
+    end
+
+    it 're-creates the question with its original id and config' do
+      post :restore, params: { form_id: form.id, question_id: deleted.id }, format: :json
+
+      expect(response).to have_http_status(:created)
+      restored = FormQuestion.find(deleted.id)
+      expect(restored.title).to eq('Deleted question')
+      expect(restored.question_config).to eq({ 'placeholder' => 'Type here' })
+    end
+
+    it 'inserts the question back at its position' do
+      post :restore, params: { form_id: form.id, question_id: deleted.id }, format: :json
+
+      expect(form.form_questions.reload.map(&:id)).to eq([first_question.id, deleted.id, second_question.id])
+    end
+
+    it 'ignores attributes sent by the client' do
+      other_id = SecureRandom.uuid
+
+      post :restore, params: { form_id: form.id, question_id: deleted.id,
+                               question: { id: other_id, title: 'Changed', metadata: { 'admin' => true } } },
+                     format: :json
+
+      restored = FormQuestion.find(deleted.id)
+      expect(restored.title).to eq('Deleted question')
+      expect(restored.metadata.to_h).not_to include('admin')
+      expect(FormQuestion.exists?(id: other_id)).to be(false)
+    end
+
+    it 'restores a question only once' do
+      post :restore, params: { form_id: form.id, question_id: deleted.id }, format: :json
+      post :restore, params: { form_id: form.id, question_id: deleted.id }, format: :json
+
+      expect(response).to have_http_status(:not_found)
+    end
+
+    it 'refuses a question that was not deleted from this form' do
+      other_form = create(:form, user: user)
+
+      post :restore, params: { form_id: other_form.id, question_id: deleted.id }, format: :json
+
+      expect(response).to have_http_status(:not_found)
+      expect(FormQuestion.exists?(id: deleted.id)).to be(false)
+    end
+
+    it 'refuses to restore a question that still exists' do
+      Rails.cache.write("form_question_snapshots/#{form.id}/#{first_question.id}", first_question.restorable_attributes)
+
+      post :restore, params: { form_id: form.id, question_id: first_question.id }, format: :json
+
+      expect(response).to have_http_status(:conflict)
+    end
   end
 
   describe 'POST #move_up' do
     let!(:question1) { create(:form_question, form: form, position: 1) }
     let!(:question2) { create(:form_question, form: form, position: 2) }
 
+    it 'keeps titles on the answers they pipe in' do
+      question2.update!(title: 'Thanks {{q1}}')
+
+      post :move_up, params: { form_id: form.id, id: question2.id }
+
+      expect(question2.reload.title).to eq('Thanks {{q2}}')
+    end
+
     it 'moves the question up' do
       post :move_up, params: { form_id: form.id, id: question2.id }
       question2.reload
@@ -211,6 +336,65 @@ RSpec.describe FormQuestionsController, type: :controller do
     end
   end
 
+  describe 'POST #preview_conditional_logic' do
+    let!(:source_question) do
+      create(:form_question, form: form, position: 1, title: 'Do you like pizza?', question_type: 'yes_no')
+    end
+    let!(:dependent_question) { create(:form_question, form: form, position: 2, title: 'Favourite topping') }
+    let(:rules) { [{ 'question_id' => source_question.id, 'operator' => 'equals', 'value' => 'Yes' }] }
+
+    def preview(rules, **extra)
+      request.headers['X-Requested-With'] = 'XMLHttpRequest'
+      post :preview_conditional_logic,
+           params: { form_id: form.id, id: dependent_question.id, conditional_preview: rules.to_json, **extra },
+           format: :json
+      JSON.parse(response.body)
+    end
+
+    it 'describes the rules without saving them' do
+      json = preview(rules)
+
+      expect(json['success']).to be true
+      expect(json['preview']).to eq("Show this question when 'Do you like pizza?' is exactly 'Yes'")
+      expect(json['errors']).to be_empty
+      expect(dependent_question.reload.conditional_logic).to be_blank
+    end
+
+    it 'tells whether the question would show for the sample answers' do
+      expect(preview(rules, sample_answers: { source_question.id => 'yes' }.to_json)['would_show']).to be true
+      expect(preview(rules, sample_answers: { source_question.id => 'No' }.to_json)['would_show']).to be false
+    end
+
+    it 'describes nested AND/OR groups' do
+      group = { 'operator' => 'or', 'rules' => rules + [{ 'question_id' => source_question.id, 'operator' => 'is_empty', 'value' => '' }] }
+
+      json = preview([group])
+
+      expect(json['preview']).to eq(
+        "Show this question (when 'Do you like pizza?' is exactly 'Yes' OR when 'Do you like pizza?' is empty)"
+      )
+    end
+
+    it 'reports circular references' do
+      source_question.update_columns(
+        conditional_enabled: true,
+        conditional_logic: { 'rules' => [{ 'question_id' => dependent_question.id, 'operator' => 'is_empty', 'value' => '' }] }
+      )
+
+      json = preview(rules, sample_answers: { source_question.id => 'Yes' }.to_json)
+
+      expect(json['errors']).to include('Circular reference: Favourite topping → Do you like pizza? → Favourite topping')
+      expect(json['would_show']).to be_nil
+    end
+
+    it 'rejects requests without rules' do
+      request.headers['X-Requested-With'] = 'XMLHttpRequest'
+      post :preview_conditional_logic, params: { form_id: form.id, id: dependent_question.id }, format: :json
+
+      expect(response).to have_http_status(:bad_request)
+    end
+  end
+
   describe 'POST #reorder' do
     let!(:question1) { create(:form_question, form: form, position: 1) }
     let!(:question2) { create(:form_question, form: form, position: 2) }
@@ -228,6 +412,33 @@ RSpec.describe FormQuestionsController, type: :controller do
       expect(question1.position).to eq(2)
       expect(question2.position).to eq(3)
     end
+
+    it 'saves the whole order in one JSON request' do
+      patch :reorder, params: { form_id: form.id, question_ids: [question2.id, question3.id, question1.id] }, format: :json
+
+      expect(JSON.parse(response.body)).to eq('success' => true)
+      expect(form.form_questions.reload.map(&:id)).to eq([question2.id, question3.id, question1.id])
+    end
+
+    it 'keeps formulas on the questions they refer to' do
+      question1.update!(question_type: 'number')
+      question2.update!(question_type: 'number')
+      question3.update!(question_type: 'calculated', question_config: { 'formula' => '{{q1}} - {{q2}}' })
+
+      patch :reorder, params: { form_id: form.id, question_ids: [question2.id, question3.id, question1.id] }, format: :json
+
+      expect(question3.reload.calculation_config[:formula]).to eq('{{q3}} - {{q1}}')
+      expect(question3.calculate(3 => '10', 1 => '4')).to eq(6.0)
+    end
+
+    it 'leaves the order untouched when an id does not belong to the form' do
+      other_question = create(:form_question)
+
+      patch :reorder, params: { form_id: form.id, question_ids: [question3.id, other_question.id, question1.id] }, format: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(form.form_questions.reload.map(&:id)).to eq([question1.id, question2.id, question3.id])
+    end
   end
 
   describe 'GET #analytics' do
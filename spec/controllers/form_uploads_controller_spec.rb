@@ -0,0 +1,100 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe FormUploadsController, type: :controller do
+  let(:user) { create(:user) }
+  let(:form) { create(:form, user: user, status: :published) }
+  let(:question) { create(:form_question, :file_upload, form: form) }
+
+  def upload_chunk(content, index)
+    ActiveStorage::Blob.create_and_upload!(io: StringIO.new(content), filename: "report.pdf.part#{index}", content_type: 'application/pdf')
+  end
+
+  describe 'POST #create' do
+    let(:chunks) { [upload_chunk('first half, ', 1), upload_chunk('second half', 2)] }
+
+    it 'joins the chunks into one blob and returns its signed id' do
+      post :create, params: {
+        share_token: form.share_token,
+        question_id: question.id,
+        signed_ids: chunks.map(&:signed_id),
+        filename: 'report.pdf',
+        content_type: 'application/pdf'
+      }, format: :json
+
+      expect(response).to have_http_status(:created)
+
+      blob = ActiveStorage::Blob.find_signed(response.parsed_body['signed_id'])
+      expect(blob.filename.to_s).to eq('report.pdf')
+      expect(blob.download).to eq('first half, second half')
+    end
+
+    it 'rejects chunks that cannot be found' do
+      post :create, params: {
+        share_token: form.share_token,
+        question_id: question.id,
+        signed_ids: [chunks.first.signed_id, 'unknown'],
+        filename: 'report.pdf'
+      }, format: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(response.parsed_body['errors']).to eq([FormUploadsController::INCOMPLETE_MESSAGE])
+    end
+
+    it 'rejects files larger than the question allows' do
+      question.update!(question_config: question.question_config.merge('max_size_mb' => 1))
+      large_chunks = [upload_chunk('a' * 1.megabyte, 1), upload_chunk('b', 2)]
+
+      post :create, params: {
+        share_token: form.share_token,
+        question_id: question.id,
+        signed_ids: large_chunks.map(&:signed_id),
+        filename: 'report.pdf'
+      }, format: :json
+
+      expect(response).to have_http_status(:unprocessable_entity)
+      expect(response.parsed_body['errors']).to eq(['report.pdf is larger than 1 MB'])
+    end
+
+    it 'uses the default size limit when the question leaves it blank' do
+      question.update!(question_config: question.question_config.merge('max_size_mb' => ''))
+
+      post :create, params: {
+        share_token: form.share_token,
+        question_id: question.id,
+        signed_ids: chunks.map(&:signed_id),
+        filename: 'report.pdf'
+      }, format: :json
+
+      expect(response).to have_http_status(:created)
+    end
+
+    it 'only accepts upload questions of the form' do
+      text_question = create(:form_question, form: form, question_type: 'text_short')
+
+      post :create, params: {
+        share_token: form.share_token,
+        question_id: text_question.id,
+        signed_ids: chunks.map(&:signed_id),
+        filename: 'report.pdf'
+      }, format: :json
+
+      expect(response).to have_http_status(:not_found)
+    end
+
+    it 'does not accept uploads for draft forms from visitors' do
+      draft_form = create(:form, user: user, status: :draft)
+      draft_question = create(:form_question, :file_upload, form: draft_form)
+
+      post :create, params: {
+        share_token: draft_form.share_token,
+        question_id: draft_question.id,
+        signed_ids: chunks.map(&:signed_id),
+        filename: 'report.pdf'
+      }, format: :json
+
+      expect(response).to have_http_status(:not_found)
+    end
+  end
+end
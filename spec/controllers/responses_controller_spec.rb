@@ -28,6 +28,22 @@ RSpec.describe ResponsesController, type: :controller do
       end
     end
     
+    context 'with share link parameters' do
+      before do
+        form.update!(form_settings: { 'hidden_fields' => ['customer_id'] })
+        question.update!(question_config: { 'prefill_key' => 'name' })
+      end
+
+      it 'records UTM parameters, hidden fields and prefilled answers on the response' do
+        get :show, params: { share_token: form.share_token, utm_source: 'newsletter', customer_id: 'C42', name: 'Ada' }
+
+        form_response = assigns(:form_response).reload
+        expect(form_response.utm_parameters).to eq('utm_source' => 'newsletter')
+        expect(form_response.hidden_field_values).to eq('customer_id' => 'C42')
+        expect(form_response.prefilled_answer(question)).to eq('Ada')
+      end
+    end
+    
     context 'with invalid form token' do
       it 'returns not found' do
         get :show, params: { share_token: 'invalid-token' }
@@ -84,8 +100,211 @@ RSpec.describe ResponsesController, type: :controller do
         json_response = JSON.parse(response.body)
         expect(json_response['success']).to be true
       end
+      
+      it 'includes the fragment url of the next question' do
+        next_question = create(:form_question, form: form, question_type: 'text_short', position: question.position + 1)
+        
+        post :answer, params: answer_params, format: :json
+        
+        json_response = JSON.parse(response.body)
+        expect(json_response.dig('next_question', 'fragment_url'))
+          .to eq("/f/#{form.share_token}/questions/#{next_question.id}")
+      end
+      
+      it 'revises an existing answer when the question is answered again' do
+        post :answer, params: answer_params, format: :json
+        
+        expect {
+          post :answer, params: answer_params.deep_merge(answer: { value: 'Revised answer' }), format: :json
+        }.not_to change(QuestionResponse, :count)
+        
+        question_response = form_response.question_responses.find_by(form_question: question)
+        expect(question_response.answer_data['value']).to eq('Revised answer')
+        expect(question_response.revision_count).to eq(1)
+      end
     end
     
+    context 'with a datetime answer' do
+      let(:datetime_question) { create(:form_question, form: form, question_type: 'datetime', position: question.position + 1) }
+
+      def post_datetime(timezone)
+        post :answer, params: {
+          share_token: form.share_token,
+          question_id: datetime_question.id,
+          answer: { value: '2025-03-01T10:00', timezone: timezone, started_at: 1.minute.ago.iso8601 }
+        }, format: :json
+      end
+
+      it 'stores the time in UTC with the time zone it was entered in' do
+        post_datetime('Europe/Paris')
+
+        question_response = form_response.question_responses.find_by(form_question: datetime_question)
+        expect(question_response.answer_data['value']).to eq('2025-03-01T09:00:00Z')
+        expect(question_response.answer_data.dig('metadata', 'timezone')).to eq('Europe/Paris')
+      end
+
+      it 'ignores a time zone it does not know' do
+        post_datetime('Mars/Olympus_Mons')
+
+        question_response = form_response.question_responses.find_by(form_question: datetime_question)
+        expect(question_response.answer_data.dig('metadata', 'timezone')).to be_nil
+        expect(question_response.answer_data['value']).to eq(Time.zone.local(2025, 3, 1, 10).utc.iso8601)
+      end
+    end
+
+    context 'with a calculated question' do
+      let(:number_question) { create(:form_question, form: form, question_type: 'number', position: question.position + 1) }
+      let!(:calculated_question) do
+        create(:form_question, form: form, question_type: 'calculated', position: question.position + 2,
+                               question_config: { 'formula' => "{{q#{number_question.position}}} * 2", 'decimals' => 0 })
+      end
+
+      def post_number(value)
+        post :answer, params: {
+          share_token: form.share_token,
+          question_id: number_question.id,
+          answer: { value: value, started_at: 1.minute.ago.iso8601 }
+        }, format: :json
+      end
+
+      it 'records its value instead of showing it' do
+        post_number('21')
+
+        question_response = form_response.question_responses.find_by(form_question: calculated_question)
+        expect(question_response.answer_data['value']).to eq(42.0)
+        expect(JSON.parse(response.body)['next_question']).to be_nil
+      end
+
+      it 'works the value out again when an earlier answer is revised' do
+        post_number('21')
+        post_number('5')
+
+        question_response = form_response.question_responses.find_by(form_question: calculated_question)
+        expect(question_response.answer_data['value']).to eq(10.0)
+      end
+    end
+
+    context 'with a locked prefilled answer' do
+      before do
+        question.update!(question_config: { 'prefill_key' => 'name', 'lock_prefilled' => '1' })
+        form_response.update!(metadata: { 'prefill' => { question.id.to_s => 'Ada' } })
+      end
+
+      it 'keeps the prefilled answer whatever is posted' do
+        post :answer, params: {
+          share_token: form.share_token,
+          question_id: question.id,
+          answer: { value: 'Someone else', started_at: 1.minute.ago.iso8601 }
+        }, format: :json
+
+        question_response = form_response.question_responses.find_by(form_question: question)
+        expect(question_response.answer_data['value']).to eq('Ada')
+      end
+    end
+
+    context 'in a quiz' do
+      let(:answer_params) do
+        { share_token: form.share_token, question_id: question.id, answer: { value: ' paris ', started_at: 1.minute.ago.iso8601 } }
+      end
+
+      before do
+        form.update!(form_settings: { 'quiz' => { 'enabled' => true, 'scoring' => 'live', 'time_limit_minutes' => 10 } })
+        question.update!(question_config: { 'correct_answers' => ['Paris'], 'points' => 2 })
+        create(:form_question, form: form, question_type: 'text_short', position: question.position + 1)
+      end
+
+      it 'tells the respondent how the answer scored' do
+        post :answer, params: answer_params, format: :json
+
+        expect(JSON.parse(response.body)['quiz']).to eq(
+          'score' => 2.0, 'max_score' => 2.0, 'question_score' => 2.0, 'question_max_score' => 2.0, 'correct' => true
+        )
+      end
+
+      it 'sends the next question without its answer key' do
+        next_question = form.form_questions.find_by(position: question.position + 1)
+        next_question.update!(question_config: { 'correct_answers' => ['Seine'], 'placeholder' => 'A river' })
+
+        post :answer, params: answer_params, format: :json
+
+        expect(JSON.parse(response.body).dig('next_question', 'configuration')).to eq('placeholder' => 'A river')
+      end
+
+      it 'keeps the scored answer when the respondent comes back to change it' do
+        post :answer, params: answer_params, format: :json
+        post :answer, params: answer_params.deep_merge(answer: { value: 'Lyon' }), format: :json
+
+        question_response = form_response.question_responses.find_by(form_question: question)
+        expect(question_response.answer_data['value']).to eq(' paris ')
+        expect(JSON.parse(response.body)['quiz']).to include('score' => 2.0, 'correct' => true)
+      end
+
+      it 'ends the quiz without the late answer once the time limit has run out' do
+        form_response.update!(started_at: 11.minutes.ago)
+
+        expect {
+          post :answer, params: answer_params, format: :json
+        }.not_to change(QuestionResponse, :count)
+
+        json_response = JSON.parse(response.body)
+        expect(json_response).to include('completed' => true, 'timed_out' => true, 'redirect_url' => "/f/#{form.share_token}/thank-you")
+        expect(form_response.reload).to be_completed
+        expect(form_response.completion_data['completion_method']).to eq('time_limit')
+        expect(form_response.quiz_result).to include('score' => 0.0, 'max_score' => 2.0)
+      end
+    end
+
+    context 'with an Idempotency-Key header' do
+      let(:answer_params) do
+        {
+          share_token: form.share_token,
+          question_id: question.id,
+          answer: { value: 'Queued answer', started_at: 1.minute.ago.iso8601 }
+        }
+      end
+
+      before do
+        allow(Rails).to receive(:cache).and_return(ActiveSupport::Cache::MemoryStore.new)
+        request.headers['Idempotency-Key'] = 'outbox-key-1'
+      end
+
+      it 'replays the stored response without recording the answer twice' do
+        post :answer, params: answer_params, format: :json
+        first_body = response.body
+
+        expect {
+          post :answer, params: answer_params.deep_merge(answer: { value: 'Replayed answer' }), format: :json
+        }.not_to change(QuestionResponse, :count)
+
+        expect(response.body).to eq(first_body)
+        expect(response.headers['Idempotent-Replayed']).to eq('true')
+        expect(form_response.question_responses.find_by(form_question: question).revision_count).to eq(0)
+      end
+
+      it 'does not store failed responses' do
+        post :answer, params: answer_params.deep_merge(answer: { value: '' }), format: :json
+        expect(response).to have_http_status(:unprocessable_entity)
+
+        post :answer, params: answer_params, format: :json
+
+        expect(response).to have_http_status(:success)
+        expect(response.headers['Idempotent-Replayed']).to be_nil
+      end
+
+      it "does not replay another respondent's response for the same key" do
+        post :answer, params: answer_params, format: :json
+
+        other_response = create(:form_response, form: form)
+        session[:form_session_id] = other_response.session_id
+
+        expect {
+          post :answer, params: answer_params, format: :json
+        }.to change { other_response.question_responses.count }.by(1)
+
+        expect(response.headers['Idempotent-Replayed']).to be_nil
+      end
+    end
+
     context 'with invalid answer data' do
       let(:invalid_answer_params) do
         {
@@ -109,6 +328,65 @@ RSpec.describe ResponsesController, type: :controller do
     end
   end
   
+  describe 'GET #question' do
+    let(:form_response) { create(:form_response, form: form) }
+    
+    before do
+      session[:form_session_id] = form_response.session_id
+    end
+    
+    it 'renders the question fragment without the layout' do
+      get :question, params: { share_token: form.share_token, question_id: question.id }
+      
+      expect(response).to have_http_status(:success)
+      expect(response).to render_template(partial: 'responses/_question')
+      expect(response).not_to render_template(layout: 'public_form')
+      expect(assigns(:current_question)).to eq(question)
+    end
+    
+    it 'returns not found for a question from another form' do
+      other_question = create(:form_question, question_type: 'text_short')
+      
+      get :question, params: { share_token: form.share_token, question_id: other_question.id }
+      
+      expect(response).to have_http_status(:not_found)
+    end
+    
+    it 'returns not found for a question the respondent has not reached' do
+      later_question = create(:form_question, form: form, question_type: 'text_short', position: question.position + 1)
+      
+      get :question, params: { share_token: form.share_token, question_id: later_question.id }
+      
+      expect(response).to have_http_status(:not_found)
+    end
+    
+    it 'returns not found for a question conditional logic hides' do
+      question.update!(question_type: 'yes_no')
+      hidden_question = create(:form_question, form: form, question_type: 'text_short', position: question.position + 1,
+                                               conditional_enabled: true,
+                                               conditional_logic: { 'rules' => [{ 'question_id' => question.id, 'operator' => 'equals', 'value' => 'Yes' }] })
+      create(:form_question, form: form, question_type: 'text_short', position: question.position + 2)
+      create(:question_response, form_response: form_response, form_question: question, answer_data: { 'value' => 'No' })
+      
+      get :question, params: { share_token: form.share_token, question_id: hidden_question.id }
+      
+      expect(response).to have_http_status(:not_found)
+    end
+    
+    context 'with views rendered' do
+      render_views
+      
+      it 'numbers the fragment by the question it shows' do
+        later_question = create(:form_question, form: form, question_type: 'text_short', position: question.position + 1)
+        create(:question_response, form_response: form_response, form_question: question, answer_data: { 'value' => 'Ada' })
+        
+        get :question, params: { share_token: form.share_token, question_id: later_question.id }
+        
+        expect(response.body).to include(%(data-position="#{later_question.position}"))
+      end
+    end
+  end
+  
   describe 'GET #thank_you' do
     let(:completed_response) { create(:form_response, form: form, status: :completed) }
     
@@ -0,0 +1,146 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/addresses.js and lib/address_autocomplete.js with
+# Node, against the layouts in config/address_formats.json as the address
+# widget gets them and the offline dataset in spec/fixtures/files/addresses.json.
+RSpec.describe 'Addresses JavaScript' do
+  let(:node_modules) { %w[addresses address_autocomplete http_client search_terms] }
+
+  def run_node(script)
+    files = {
+      'countries.json' => FormQuestion::Address.formats.to_json,
+      'addresses.json' => File.read(Rails.root.join('spec/fixtures/files/addresses.json'))
+    }
+
+    super(<<~JS + script, files: files)
+      import { readFileSync } from 'fs'
+      const countries = JSON.parse(readFileSync(new URL('./countries.json', import.meta.url), 'utf8'))
+      const addresses = JSON.parse(readFileSync(new URL('./addresses.json', import.meta.url), 'utf8'))
+      const country = code => countries.find(candidate => candidate.code === code)
+    JS
+  end
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'writes addresses in the layout of their country' do
+    lines = run_node(<<~JS)
+      import { addressLines } from './addresses.mjs'
+
+      process.stdout.write(JSON.stringify([
+        addressLines({ line1: '1 Main St', city: 'Springfield', region: 'IL', postal_code: '62701' }, country('US')),
+        addressLines({ line1: 'Platz der Republik 1', city: 'Berlin', postal_code: '11011' }, country('DE')),
+        addressLines({ line1: '1-1 Chiyoda', city: 'Chiyoda', region: 'Tokyo', postal_code: '100-0001' }, country('JP')),
+        addressLines({ line1: '  10 Downing   Street ', line2: '', city: 'London', postal_code: 'sw1a 2aa' }, country('GB'))
+      ]))
+    JS
+
+    expect(lines).to eq([
+      ['1 Main St', 'Springfield, IL 62701'],
+      ['Platz der Republik 1', '11011 Berlin'],
+      ['100-0001', 'Tokyo, Chiyoda', '1-1 Chiyoda'],
+      ['10 Downing Street', 'London', 'SW1A 2AA']
+    ])
+  end
+
+  it 'agrees with FormQuestion::Address on the lines of an address' do
+    answer = { 'line1' => '24 Sussex Drive', 'city' => 'Ottawa', 'region' => 'ON', 'postal_code' => 'k1m 1m4', 'country' => 'CA' }
+
+    lines = run_node(<<~JS)
+      import { addressLines } from './addresses.mjs'
+
+      process.stdout.write(JSON.stringify(addressLines(#{answer.to_json}, country('CA'))))
+    JS
+
+    expect(lines).to eq(FormQuestion::Address.new(answer).lines)
+  end
+
+  it 'suggests addresses from the offline dataset' do
+    suggestions = run_node(<<~JS)
+      import { createAddressProvider } from './address_autocomplete.mjs'
+
+      const provider = createAddressProvider({ provider: 'offline', addresses })
+      const ids = async (query, options) => (await provider.search(query, options)).map(suggestion => suggestion.id)
+
+      process.stdout.write(JSON.stringify([
+        await ids('10 downing'),
+        await ids('10 downing', { country: 'GB' }),
+        await ids('faubourg honore'),
+        await ids('baker london'),
+        await ids('   '),
+        (await provider.search('pennsylvania'))[0]
+      ]))
+    JS
+
+    expect(suggestions).to eq([
+      %w[gb-downing us-downing],
+      %w[gb-downing],
+      %w[fr-elysee],
+      %w[gb-baker],
+      [],
+      {
+        'id' => 'us-pennsylvania',
+        'label' => '1600 Pennsylvania Avenue NW',
+        'description' => 'Washington, DC, 20500, US',
+        'address' => {
+          'id' => 'us-pennsylvania', 'line1' => '1600 Pennsylvania Avenue NW', 'city' => 'Washington',
+          'region' => 'DC', 'postal_code' => '20500', 'country' => 'US'
+        }
+      }
+    ])
+  end
+
+  it 'fetches the offline dataset once and has no provider when none is configured' do
+    results = run_node(<<~JS)
+      import { createAddressProvider, registerAddressProvider } from './address_autocomplete.mjs'
+
+      let requests = 0
+      globalThis.fetch = async () => {
+        requests += 1
+        return new Response(JSON.stringify(addresses))
+      }
+
+      const provider = createAddressProvider({ provider: 'offline', url: '/addresses.json', limit: 1 })
+      const first = await provider.search('downing')
+      await provider.search('berlin')
+
+      registerAddressProvider('custom', ({ key }) => ({ search: async () => [{ id: key }] }))
+      const custom = await createAddressProvider({ provider: 'custom', key: 'abc' }).search('anything')
+
+      console.warn = () => {}
+      process.stdout.write(JSON.stringify([
+        first.length,
+        requests,
+        custom,
+        createAddressProvider({}),
+        createAddressProvider({ provider: 'missing' })
+      ]))
+    JS
+
+    expect(results).to eq([1, 1, [{ 'id' => 'abc' }], nil, nil])
+  end
+
+  it 'keeps downloading the dataset for other searches when one is cancelled' do
+    results = run_node(<<~JS)
+      import { createAddressProvider } from './address_autocomplete.mjs'
+
+      let requests = 0
+      globalThis.fetch = async () => {
+        requests += 1
+        await new Promise(resolve => setTimeout(resolve, 20))
+        return new Response(JSON.stringify(addresses))
+      }
+
+      const provider = createAddressProvider({ provider: 'offline', url: '/addresses.json' })
+      const cancelled = new AbortController()
+      const first = provider.search('downing', { signal: cancelled.signal }).catch(error => error.kind)
+      const second = provider.search('downing', { country: 'GB', signal: new AbortController().signal })
+      cancelled.abort()
+
+      process.stdout.write(JSON.stringify([await first, (await second).length, requests]))
+    JS
+
+    expect(results).to eq(['aborted', 1, 1])
+  end
+end
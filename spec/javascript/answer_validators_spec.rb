@@ -0,0 +1,44 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs the shared fixture suite through app/javascript/lib/answer_validators.js
+# with Node, using the constraints FormQuestion#answer_constraints renders into
+# the question frame. spec/models/form_question_answer_validation_spec.rb runs
+# the same cases against FormQuestion#validate_answer.
+RSpec.describe 'Answer validation JavaScript validators' do
+  let(:fixtures_path) { Rails.root.join('spec/fixtures/files/answer_validation_cases.json') }
+  let(:node_modules) { %w[answer_validators addresses dates locations matrix phone_numbers] }
+
+  def validate_fixtures(cases)
+    inputs = cases.map do |test_case|
+      question = FormQuestion.new(
+        question_type: test_case['question_type'],
+        required: test_case['required'],
+        question_config: test_case['question_config']
+      )
+
+      { question_type: question.question_type, answer: test_case['answer'], constraints: question.answer_constraints }
+    end
+
+    run_node(<<~JS, files: { 'inputs.json' => inputs.to_json })
+      import { readFileSync } from 'fs'
+      import { validateAnswer } from './answer_validators.mjs'
+
+      const inputs = JSON.parse(readFileSync(new URL('./inputs.json', import.meta.url), 'utf8'))
+      const results = inputs.map(input => validateAnswer(input.question_type, input.answer, input.constraints))
+
+      process.stdout.write(JSON.stringify(results))
+    JS
+  end
+
+  it 'agrees with the expected messages of every shared fixture' do
+    skip 'Node.js is not available' unless node_available?
+
+    cases = JSON.parse(File.read(fixtures_path))['cases']
+    results = validate_fixtures(cases)
+
+    mismatches = cases.zip(results).reject { |test_case, result| result == test_case['expected'] }
+    expect(mismatches.map { |test_case, _| test_case['description'] }).to be_empty
+  end
+end
@@ -0,0 +1,98 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Checks the contract in app/javascript/lib/answer_widget.js: what a widget
+# commits is posted in its answer[...] field, read back by answerFromFormData
+# and announced with an answer:change event that bubbles to the question form.
+RSpec.describe 'Answer widget JavaScript contract' do
+  let(:node_modules) { %w[answer_widget answer_validators addresses dates locations matrix phone_numbers] }
+
+  # A stand-in for an <input> inside a <form>: events dispatched on the field
+  # reach listeners on the form when they bubble
+  let(:fake_field) do
+    <<~JS
+      class FakeField extends EventTarget {
+        constructor(name, form) {
+          super()
+          this.name = name
+          this.value = ''
+          this.form = form
+        }
+
+        dispatchEvent(event) {
+          const handled = super.dispatchEvent(event)
+          if (event.bubbles) this.form.dispatchEvent(event)
+          return handled
+        }
+      }
+    JS
+  end
+
+  it 'serializes lists and hashes as JSON and blanks as an empty string' do
+    skip 'Node.js is not available' unless node_available?
+
+    results = run_node(<<~JS)
+      import { serializeAnswer } from './answer_widget.mjs'
+
+      const values = [null, undefined, '', 'text', 4, [{ id: 'a', position: 1 }], { north: [{ id: '1', label: 'One' }] }]
+      process.stdout.write(JSON.stringify(values.map(serializeAnswer)))
+    JS
+
+    expect(results).to eq(['', '', '', 'text', '4', '[{"id":"a","position":1}]', '{"north":[{"id":"1","label":"One"}]}'])
+  end
+
+  it 'announces committed answers to the question form' do
+    skip 'Node.js is not available' unless node_available?
+
+    result = run_node(<<~JS)
+      import { ANSWER_CHANGE_EVENT, commitAnswer } from './answer_widget.mjs'
+      #{fake_field}
+      const form = new EventTarget()
+      const field = new FakeField('answer[signature_data]', form)
+      const events = []
+      form.addEventListener(ANSWER_CHANGE_EVENT, event => events.push(event.detail))
+
+      commitAnswer(field, 'data:image/png;base64,AAAA')
+      commitAnswer(field, '')
+
+      process.stdout.write(JSON.stringify({ value: field.value, events }))
+    JS
+
+    expect(result['value']).to eq('')
+    expect(result['events']).to eq([
+      { 'name' => 'answer[signature_data]', 'value' => 'data:image/png;base64,AAAA' },
+      { 'name' => 'answer[signature_data]', 'value' => '' }
+    ])
+  end
+
+  it 'posts a committed ranking that both validators read as the ranked ids' do
+    skip 'Node.js is not available' unless node_available?
+
+    question = FormQuestion.new(
+      question_type: 'ranking',
+      required: true,
+      question_config: { 'items' => [{ 'id' => 'a', 'label' => 'A' }, { 'id' => 'b', 'label' => 'B' }] }
+    )
+
+    result = run_node(<<~JS)
+      import { commitAnswer } from './answer_widget.mjs'
+      import { answerFromFormData, validateAnswer } from './answer_validators.mjs'
+      #{fake_field}
+      const field = new FakeField('answer[value]', new EventTarget())
+      commitAnswer(field, [{ id: 'b', position: 1, original_position: 1 }, { id: 'a', position: 2, original_position: 0 }])
+
+      const formData = new FormData()
+      formData.append(field.name, field.value)
+      const answer = answerFromFormData(formData)
+
+      process.stdout.write(JSON.stringify({
+        posted: field.value,
+        errors: validateAnswer('ranking', answer, #{question.answer_constraints.to_json})
+      }))
+    JS
+
+    expect(result['errors']).to eq([])
+    expect(question.validate_answer(result['posted'])).to eq([])
+  end
+end
@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs the shared fixture suite through app/javascript/lib/conditional_logic.js
+# with Node. spec/models/form_question_conditional_logic_spec.rb runs the same
+# cases against FormQuestion#should_show_for_response?.
+RSpec.describe 'Conditional logic JavaScript evaluator' do
+  let(:fixtures_path) { Rails.root.join('spec/fixtures/files/conditional_logic_cases.json') }
+  let(:node_modules) { %w[conditional_logic] }
+
+  def evaluate_fixtures
+    run_node(<<~JS, args: [fixtures_path])
+      import { readFileSync } from 'fs'
+      import { shouldShowQuestion } from './conditional_logic.mjs'
+
+      console.warn = () => {}
+      console.error = () => {}
+
+      const { question_types, cases } = JSON.parse(readFileSync(process.argv[2], 'utf8'))
+      const results = cases.map(testCase => shouldShowQuestion(
+        { conditional_enabled: testCase.conditional_enabled, conditional_logic: testCase.conditional_logic },
+        testCase.answers,
+        question_types
+      ))
+
+      process.stdout.write(JSON.stringify(results))
+    JS
+  end
+
+  it 'agrees with the expected result of every shared fixture' do
+    skip 'Node.js is not available' unless node_available?
+
+    cases = JSON.parse(File.read(fixtures_path))['cases']
+    results = evaluate_fixtures
+
+    mismatches = cases.zip(results).reject { |test_case, result| result == test_case['expected'] }
+    expect(mismatches.map { |test_case, _| test_case['description'] }).to be_empty
+  end
+end
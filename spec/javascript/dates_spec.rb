@@ -0,0 +1,81 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/dates.js with Node: the days the date picker offers
+# and the month grid it draws. The answer rules themselves run in the shared
+# fixtures (spec/javascript/answer_validators_spec.rb).
+RSpec.describe 'Dates JavaScript' do
+  let(:node_modules) { %w[dates] }
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'lays out a month in weeks starting on Sunday or another weekday' do
+    weeks = run_node(<<~JS)
+      import { calendarWeeks } from './dates.mjs'
+
+      const june = calendarWeeks(2025, 6)
+      const mondays = calendarWeeks(2025, 6, 1)
+
+      process.stdout.write(JSON.stringify([june.length, june[0][0], june.at(-1), mondays[0].slice(5)]))
+    JS
+
+    expect(weeks).to eq([
+      5,
+      '2025-06-01',
+      ['2025-06-29', '2025-06-30', nil, nil, nil, nil, nil],
+      [nil, '2025-06-01']
+    ])
+  end
+
+  it 'moves by days and months across month and year ends' do
+    days = run_node(<<~JS)
+      import { addDays, addMonths, parseDay } from './dates.mjs'
+
+      process.stdout.write(JSON.stringify([
+        addDays('2025-12-31', 1),
+        addDays('2025-03-01', -1),
+        addMonths('2025-01-31', 1),
+        addMonths('2024-03-31', -1),
+        addMonths('2025-06-15', -12),
+        parseDay('2025-02-29'),
+        parseDay('2024-02-29')
+      ]))
+    JS
+
+    expect(days).to eq([
+      '2026-01-01', '2025-02-28', '2025-02-28', '2024-02-29', '2024-06-15',
+      nil, { 'year' => 2024, 'month' => 2, 'day' => 29 }
+    ])
+  end
+
+  it 'offers only days within the limits that are not unavailable weekdays or blackout dates' do
+    available = run_node(<<~JS)
+      import { isAvailableDay } from './dates.mjs'
+
+      const rules = { min: '2025-06-02', max: '2025-06-30', disabledWeekdays: [0, 6], blackoutDates: ['2025-06-19'] }
+      const days = ['2025-06-01', '2025-06-02', '2025-06-07', '2025-06-19', '2025-06-30', '2025-07-01', 'soon']
+
+      process.stdout.write(JSON.stringify(days.map(day => isAvailableDay(day, rules))))
+    JS
+
+    expect(available).to eq([false, true, false, false, true, false, false])
+  end
+
+  it 'finds blackout dates inside a range, including its ends' do
+    found = run_node(<<~JS)
+      import { rangeIncludesBlackout } from './dates.mjs'
+
+      const blackouts = ['2025-12-25']
+
+      process.stdout.write(JSON.stringify([
+        rangeIncludesBlackout('2025-12-20', '2025-12-28', blackouts),
+        rangeIncludesBlackout('2025-12-25', '2025-12-25', blackouts),
+        rangeIncludesBlackout('2025-12-26', '2026-01-02', blackouts),
+        rangeIncludesBlackout('2025-12-20', '2025-12-28')
+      ]))
+    JS
+
+    expect(found).to eq([true, true, false, false])
+  end
+end
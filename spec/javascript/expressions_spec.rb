@@ -0,0 +1,43 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs the shared fixture suite through app/javascript/lib/expressions.js with
+# Node. spec/models/form_question_expression_spec.rb runs the same cases
+# against FormQuestion::Expression.
+RSpec.describe 'Expressions JavaScript evaluator' do
+  let(:fixtures_path) { Rails.root.join('spec/fixtures/files/expression_cases.json') }
+  let(:node_modules) { %w[expressions] }
+
+  def evaluate_fixtures
+    run_node(<<~JS, args: [fixtures_path])
+      import { readFileSync } from 'fs'
+      import { calculate, evaluateExpression, expressionError, pipeAnswers, referenceErrors } from './expressions.mjs'
+
+      const fixtures = JSON.parse(readFileSync(process.argv[2], 'utf8'))
+      const valuesOf = testCase => testCase.values || fixtures.values
+
+      process.stdout.write(JSON.stringify({
+        evaluation: fixtures.evaluation.map(testCase => testCase.decimals === undefined
+          ? evaluateExpression(testCase.formula, valuesOf(testCase))
+          : calculate({ formula: testCase.formula, decimals: testCase.decimals }, valuesOf(testCase))),
+        errors: fixtures.errors.map(testCase => expressionError(testCase.formula)),
+        piping: fixtures.piping.map(testCase => pipeAnswers(testCase.text, valuesOf(testCase))),
+        references: fixtures.references.map(testCase => referenceErrors(testCase.text, testCase.earlier_positions))
+      }))
+    JS
+  end
+
+  it 'agrees with the expected result of every shared fixture' do
+    skip 'Node.js is not available' unless node_available?
+
+    fixtures = JSON.parse(File.read(fixtures_path))
+    results = evaluate_fixtures
+
+    mismatches = %w[evaluation errors piping references].flat_map do |group|
+      fixtures[group].zip(results[group]).reject { |test_case, result| result == test_case['expected'] }
+                     .map { |test_case, _| "#{group}: #{test_case['description']}" }
+    end
+    expect(mismatches).to be_empty
+  end
+end
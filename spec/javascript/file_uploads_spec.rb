@@ -0,0 +1,109 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/file_uploads.js with Node, with fake storage calls
+# in place of Active Storage direct uploads: chunking, the checks shared with
+# FormQuestion::UploadedFiles, resuming and cancelling.
+RSpec.describe 'File uploads JavaScript' do
+  let(:node_modules) { %w[file_uploads] }
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'cuts files larger than a chunk into chunks' do
+    ranges = run_node(<<~JS)
+      import { chunkRanges } from './file_uploads.mjs'
+
+      process.stdout.write(JSON.stringify([chunkRanges(10, 4), chunkRanges(4, 4), chunkRanges(0, 4)]))
+    JS
+
+    expect(ranges).to eq([
+      [{ 'start' => 0, 'end' => 4 }, { 'start' => 4, 'end' => 8 }, { 'start' => 8, 'end' => 10 }],
+      [{ 'start' => 0, 'end' => 4 }],
+      [{ 'start' => 0, 'end' => 0 }]
+    ])
+  end
+
+  it 'rejects files over the size limit or of other types' do
+    rejections = run_node(<<~JS)
+      import { fileRejection } from './file_uploads.mjs'
+
+      const file = (name, type, size = 10) => ({ name, type, size })
+
+      process.stdout.write(JSON.stringify([
+        fileRejection(file('big.pdf', 'application/pdf', 3 * 1024 * 1024), { maxSizeMb: 2 }),
+        fileRejection(file('notes.txt', 'text/plain'), { allowedTypes: ['pdf', '.docx'] }),
+        fileRejection(file('Report.PDF', 'application/pdf'), { allowedTypes: ['pdf'] }),
+        fileRejection(file('scan.png', 'image/png'), { allowedTypes: ['image/*'] }),
+        fileRejection(file('report.pdf', 'application/pdf'), { imagesOnly: true }),
+        fileRejection(file('photo.jpg', 'image/jpeg'), { imagesOnly: true, maxSizeMb: 1 })
+      ]))
+    JS
+
+    expect(rejections).to eq([
+      'big.pdf is larger than 2 MB',
+      'notes.txt is not an accepted file type',
+      nil,
+      nil,
+      'report.pdf is not an accepted file type',
+      nil
+    ])
+  end
+
+  it 'resumes a failed upload from the chunk it stopped at and joins the chunks' do
+    result = run_node(<<~JS)
+      import { ChunkedUpload } from './file_uploads.mjs'
+
+      const stored = []
+      let failures = 1
+
+      const upload = new ChunkedUpload(new File(['abcdefghij'], 'notes.txt', { type: 'text/plain' }), {
+        chunkSize: 4,
+        storeBlob: async (blob, { onProgress }) => {
+          if (stored.length === 1 && failures > 0) {
+            failures -= 1
+            throw new Error('connection lost')
+          }
+          onProgress(blob.size)
+          stored.push([blob.name, await blob.text()])
+          return `chunk-${stored.length}`
+        },
+        composeBlobs: async (signedIds, file) => `${file.name}:${signedIds.join('+')}`
+      })
+
+      const error = await upload.start().catch(failure => failure.message)
+      const progressAfterFailure = upload.uploadedBytes
+      const signedId = await upload.start()
+
+      process.stdout.write(JSON.stringify({ error, progressAfterFailure, signedId, stored }))
+    JS
+
+    expect(result['error']).to eq('connection lost')
+    expect(result['progressAfterFailure']).to eq(4)
+    expect(result['signedId']).to eq('notes.txt:chunk-1+chunk-2+chunk-3')
+    expect(result['stored']).to eq([['notes.txt.part1', 'abcd'], ['notes.txt.part2', 'efgh'], ['notes.txt.part3', 'ij']])
+  end
+
+  it 'stops a cancelled upload even when the storage call cannot be interrupted' do
+    result = run_node(<<~JS)
+      import { ChunkedUpload, UploadCancelledError } from './file_uploads.mjs'
+
+      let aborted = false
+      const upload = new ChunkedUpload(new File(['abc'], 'photo.png', { type: 'image/png' }), {
+        storeBlob: (blob, { signal }) => {
+          signal.addEventListener('abort', () => { aborted = true })
+          return new Promise(() => {})
+        },
+        composeBlobs: async () => 'unused'
+      })
+
+      const started = upload.start()
+      upload.cancel()
+      const error = await started.catch(failure => failure)
+
+      process.stdout.write(JSON.stringify({ cancelled: error instanceof UploadCancelledError, aborted, running: upload.running }))
+    JS
+
+    expect(result).to eq('cancelled' => true, 'aborted' => true, 'running' => false)
+  end
+end
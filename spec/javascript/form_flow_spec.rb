@@ -0,0 +1,91 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/form_flow.js with Node: the flow graph the builder
+# draws from a form's questions and their branching rules.
+RSpec.describe 'Form flow JavaScript' do
+  let(:node_modules) { %w[form_flow conditional_logic] }
+
+  def choice(id, position, options, question_type: 'multiple_choice')
+    { id: id, title: "Question #{id}", position: position, question_type: question_type,
+      options: options.map { |value| { value: value, label: value } } }
+  end
+
+  def text(id, position)
+    { id: id, title: "Question #{id}", position: position, question_type: 'text_short' }
+  end
+
+  def conditional(question, rules, operator: 'and')
+    question.merge(conditional_enabled: true, conditional_logic: { operator: operator, rules: rules })
+  end
+
+  def build_graph(questions)
+    run_node(<<~JS)
+      import { buildFlowGraph } from './form_flow.mjs'
+
+      process.stdout.write(JSON.stringify(buildFlowGraph(#{questions.to_json})))
+    JS
+  end
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'follows the questions in position order and draws each rule from its source' do
+    graph = build_graph([
+      conditional(text('c', 3), [{ question_id: 'a', operator: 'equals', value: 'Yes' }]),
+      choice('a', 1, %w[Yes No]),
+      text('b', 2)
+    ])
+
+    expect(graph['nodes'].map { |node| node['id'] }).to eq(%w[a b c])
+    expect(graph['edges']).to eq([
+      { 'from' => 'a', 'to' => 'b', 'kind' => 'sequence', 'label' => '' },
+      { 'from' => 'b', 'to' => 'c', 'kind' => 'sequence', 'label' => '' },
+      { 'from' => 'a', 'to' => 'c', 'kind' => 'rule', 'label' => 'equals Yes' }
+    ])
+    expect(graph['nodes'].map { |node| [node['conditional'], node['depth']] }).to eq([[false, 0], [false, 0], [true, 1]])
+  end
+
+  it 'reports questions no answer can show, and the dead end before them' do
+    graph = build_graph([
+      choice('a', 1, %w[Yes No]),
+      conditional(text('b', 2), [{ question_id: 'a', operator: 'equals', value: 'Maybe' }]),
+      conditional(text('c', 3), [{ question_id: 'b', operator: 'is_not_empty' }])
+    ])
+
+    nodes = graph['nodes'].index_by { |node| node['id'] }
+    expect(nodes.transform_values { |node| node['unreachable'] }).to eq('a' => false, 'b' => true, 'c' => true)
+    expect(nodes.transform_values { |node| node['deadEnd'] }).to eq('a' => true, 'b' => false, 'c' => false)
+  end
+
+  it 'only treats contradictory answers as unreachable when every rule must hold' do
+    source = choice('a', 1, %w[Yes No], question_type: 'single_choice')
+    rules = [
+      { question_id: 'a', operator: 'equals', value: 'Yes' },
+      { question_id: 'a', operator: 'equals', value: 'No' }
+    ]
+
+    all_rules = build_graph([source, conditional(text('b', 2), rules)])
+    any_rule = build_graph([source, conditional(text('b', 2), rules, operator: 'or')])
+
+    expect(all_rules['nodes'].last['unreachable']).to be(true)
+    expect(any_rule['nodes'].last['unreachable']).to be(false)
+  end
+
+  it 'flags rules on missing questions and questions asked later' do
+    graph = build_graph([
+      text('a', 1),
+      conditional(text('b', 2), [
+        { question_id: 'c', operator: 'is_not_empty' },
+        { question_id: 'gone', operator: 'is_not_empty' }
+      ], operator: 'or'),
+      text('c', 3)
+    ])
+
+    expect(graph['nodes'][1]['issues']).to eq([
+      'A rule refers to "Question c", which is asked later',
+      'A rule refers to a question that no longer exists'
+    ])
+    expect(graph['nodes'][1]['unreachable']).to be(true)
+  end
+end
@@ -0,0 +1,137 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/http_client.js with Node against a stubbed fetch:
+# the headers it sends, which failures it retries and the RequestError every
+# failure becomes.
+RSpec.describe 'HTTP client JavaScript' do
+  let(:node_modules) { %w[http_client] }
+
+  # fetch answers with the queued replies in order; a function reply gets the
+  # request's init and returns the response promise
+  def run_node(script)
+    super(<<~JS + script)
+      globalThis.window = { location: new URL('https://forms.test/forms/1/edit') }
+      globalThis.document = { querySelector: () => ({ content: 'csrf-token' }) }
+      console.warn = () => {}
+
+      const calls = []
+      const replies = []
+      globalThis.fetch = async (url, init) => {
+        calls.push({ url, method: init.method, headers: init.headers, body: init.body })
+        const reply = replies.shift()
+        return typeof reply === 'function' ? reply(init) : reply
+      }
+
+      const json = (data, status = 200) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } })
+      const hang = init => new Promise((_, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted', 'AbortError')))
+      })
+      const failure = async promise => {
+        try {
+          await promise
+          return null
+        } catch (error) {
+          return { name: error.name, kind: error.kind, status: error.status, message: error.message, messages: error.messages, fieldErrors: error.fieldErrors }
+        }
+      }
+    JS
+  end
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'sends JSON, and the Rails headers to its own origin only' do
+    result = run_node(<<~JS)
+      import { http } from './http_client.mjs'
+
+      replies.push(json({ id: 1 }), new Response(null, { status: 204 }), json({ ok: true }))
+      const created = await http.post('/forms/1/questions', { json: { title: 'Name' } })
+      const deleted = await http.delete('/forms/1/questions/2')
+      await http.post('https://maps.example.com/lookup', { json: {} })
+
+      process.stdout.write(JSON.stringify({ created, deleted, calls }))
+    JS
+
+    expect(result['created']).to eq('id' => 1)
+    expect(result['deleted']).to be_nil
+    expect(result['calls'][0]).to include('method' => 'POST', 'body' => '{"title":"Name"}')
+    expect(result['calls'][0]['headers']).to include('Content-Type' => 'application/json', 'X-CSRF-Token' => 'csrf-token', 'X-Requested-With' => 'XMLHttpRequest')
+    expect(result['calls'][2]['headers'].keys).to eq(%w[Accept Content-Type])
+  end
+
+  it 'retries safe and idempotent requests, and nothing else' do
+    result = run_node(<<~JS)
+      import { http } from './http_client.mjs'
+
+      replies.push(json({}, 503), json({ value: 'loaded' }))
+      const loaded = await http.get('/forms/1')
+      const getAttempts = calls.length
+
+      replies.push(json({}, 503), json({ saved: true }))
+      const unsafe = await failure(http.post('/f/abc/answer', { json: {} }))
+      const postAttempts = calls.length - getAttempts
+      replies.length = 0
+
+      replies.push(() => Promise.reject(new TypeError('Failed to fetch')), json({ saved: true }))
+      const replayed = await http.post('/f/abc/answer', { json: {}, headers: { 'Idempotency-Key': 'outbox-1' } })
+
+      process.stdout.write(JSON.stringify({ loaded, getAttempts, unsafe, postAttempts, replayed, total: calls.length }))
+    JS
+
+    expect(result['loaded']).to eq('value' => 'loaded')
+    expect(result['getAttempts']).to eq(2)
+    expect(result['unsafe']).to include('name' => 'RequestError', 'kind' => 'http', 'status' => 503)
+    expect(result['postAttempts']).to eq(1)
+    expect(result['replayed']).to eq('saved' => true)
+    expect(result['total']).to eq(5)
+  end
+
+  it 'gives up on requests that run past their timeout or that the caller cancels' do
+    result = run_node(<<~JS)
+      import { http } from './http_client.mjs'
+
+      replies.push(hang)
+      const timedOut = await failure(http.get('/slow', { timeout: 50, retries: 0 }))
+
+      const controller = new AbortController()
+      replies.push(hang)
+      const pending = failure(http.get('/slow', { signal: controller.signal }))
+      controller.abort()
+      const cancelled = await pending
+
+      process.stdout.write(JSON.stringify({ timedOut, cancelled, attempts: calls.length }))
+    JS
+
+    expect(result['timedOut']).to include('kind' => 'timeout', 'message' => 'The request timed out')
+    expect(result['cancelled']).to include('kind' => 'aborted')
+    expect(result['attempts']).to eq(2)
+  end
+
+  it "turns the server's validation errors into messages" do
+    result = run_node(<<~JS)
+      import { errorMessages, http } from './http_client.mjs'
+
+      replies.push(json({ errors: { title: ["can't be blank"], base: ['Form is locked'] } }, 422))
+      const invalid = await failure(http.patch('/forms/1', { json: {} }))
+
+      replies.push(new Response('<html>', { status: 200, headers: { 'Content-Type': 'application/json' } }))
+      const unreadable = await failure(http.get('/forms/1'))
+
+      process.stdout.write(JSON.stringify({
+        invalid,
+        unreadable,
+        fallback: errorMessages(new Error('boom'), 'Failed to save')
+      }))
+    JS
+
+    expect(result['invalid']).to include(
+      'status' => 422,
+      'messages' => ["Title can't be blank", 'Form is locked'],
+      'message' => "Title can't be blank. Form is locked",
+      'fieldErrors' => { 'title' => ["can't be blank"], 'base' => ['Form is locked'] }
+    )
+    expect(result['unreadable']).to include('kind' => 'parse')
+    expect(result['fallback']).to eq(['Failed to save'])
+  end
+end
@@ -0,0 +1,106 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs the parts of app/javascript/lib/image_processing.js that need no canvas
+# with Node: reading the EXIF orientation, turning images upright and sizing
+# the crop and the output.
+RSpec.describe 'Image processing JavaScript' do
+  let(:node_modules) { %w[image_processing] }
+
+  # A JPEG start with an APP1 Exif segment holding only the orientation tag
+  def exif_jpeg_bytes(orientation, little_endian:)
+    short = little_endian ? 'v' : 'n'
+    long = little_endian ? 'V' : 'N'
+
+    tiff = (little_endian ? 'II' : 'MM') + [42].pack(short) + [8].pack(long) +
+           [1].pack(short) + [0x0112, 3].pack("#{short}2") + [1].pack(long) + [orientation, 0].pack("#{short}2") +
+           [0].pack(long)
+    exif = "Exif\0\0" + tiff
+    app0 = [0xFFE0, 16].pack('n2') + "JFIF\0".b + ("\0" * 9)
+
+    ([0xFFD8].pack('n') + app0 + [0xFFE1, exif.bytesize + 2].pack('n2') + exif + [0xFFDA].pack('n')).bytes
+  end
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'reads the EXIF orientation in either byte order' do
+    orientations = run_node(<<~JS)
+      import { readExifOrientation } from './image_processing.mjs'
+
+      const read = bytes => readExifOrientation(new Uint8Array(bytes).buffer)
+
+      process.stdout.write(JSON.stringify([
+        read(#{exif_jpeg_bytes(6, little_endian: false).to_json}),
+        read(#{exif_jpeg_bytes(8, little_endian: true).to_json}),
+        read(#{exif_jpeg_bytes(12, little_endian: true).to_json}),
+        read([0xFF, 0xD8, 0xFF, 0xDA, 0x00, 0x02]),
+        read([0x89, 0x50, 0x4E, 0x47])
+      ]))
+    JS
+
+    expect(orientations).to eq([6, 8, 1, 1, 1])
+  end
+
+  it 'turns images upright for their orientation' do
+    result = run_node(<<~JS)
+      import { orientationTransform, orientedSize } from './image_processing.mjs'
+
+      // Where the top-left, top-right and bottom-left corners of a 4 x 2 image land
+      const corners = [[0, 0], [4, 0], [0, 2]]
+      const apply = ([a, b, c, d, e, f], [x, y]) => [a * x + c * y + e, b * x + d * y + f]
+
+      process.stdout.write(JSON.stringify([1, 3, 6, 8].map(orientation => ({
+        size: orientedSize(4, 2, orientation),
+        corners: corners.map(corner => apply(orientationTransform(orientation, 4, 2), corner))
+      }))))
+    JS
+
+    expect(result).to eq([
+      { 'size' => { 'width' => 4, 'height' => 2 }, 'corners' => [[0, 0], [4, 0], [0, 2]] },
+      { 'size' => { 'width' => 4, 'height' => 2 }, 'corners' => [[4, 2], [0, 2], [4, 0]] },
+      { 'size' => { 'width' => 2, 'height' => 4 }, 'corners' => [[2, 0], [2, 4], [0, 0]] },
+      { 'size' => { 'width' => 2, 'height' => 4 }, 'corners' => [[0, 4], [0, 0], [2, 4]] }
+    ])
+  end
+
+  it 'crops to the aspect ratio and scales down to the largest dimension' do
+    plans = run_node(<<~JS)
+      import { parseAspectRatio, processingPlan } from './image_processing.mjs'
+
+      process.stdout.write(JSON.stringify([
+        processingPlan(4000, 3000, { maxDimension: 2000 }),
+        processingPlan(4000, 3000, { maxDimension: 1000, aspectRatio: parseAspectRatio('1:1') }),
+        processingPlan(3000, 4000, { maxDimension: 2000, aspectRatio: parseAspectRatio('16:9') }),
+        processingPlan(800, 600, { maxDimension: 2048 })
+      ]))
+    JS
+
+    expect(plans).to eq([
+      { 'crop' => { 'x' => 0, 'y' => 0, 'width' => 4000, 'height' => 3000 }, 'width' => 2000, 'height' => 1500 },
+      { 'crop' => { 'x' => 500, 'y' => 0, 'width' => 3000, 'height' => 3000 }, 'width' => 1000, 'height' => 1000 },
+      { 'crop' => { 'x' => 0, 'y' => 1156, 'width' => 3000, 'height' => 1688 }, 'width' => 2000, 'height' => 1125 },
+      { 'crop' => { 'x' => 0, 'y' => 0, 'width' => 800, 'height' => 600 }, 'width' => 800, 'height' => 600 }
+    ])
+  end
+
+  it 'keeps PNGs and names the processed files after the originals' do
+    result = run_node(<<~JS)
+      import { isProcessableImage, outputType, parseAspectRatio, processedName } from './image_processing.mjs'
+
+      process.stdout.write(JSON.stringify({
+        types: ['image/png', 'image/heic', 'image/webp'].map(outputType),
+        names: [processedName('IMG_0042.HEIC', 'image/jpeg'), processedName('logo.png', 'image/png'), processedName('scan', 'image/jpeg')],
+        processable: ['image/jpeg', 'image/gif', 'image/svg+xml', 'application/pdf'].map(type => isProcessableImage({ type })),
+        ratios: [parseAspectRatio('4 : 3'), parseAspectRatio('0:1'), parseAspectRatio('square')]
+      }))
+    JS
+
+    expect(result).to eq(
+      'types' => ['image/png', 'image/jpeg', 'image/jpeg'],
+      'names' => ['IMG_0042.jpg', 'logo.png', 'scan.jpg'],
+      'processable' => [true, false, false, false],
+      'ratios' => [4.0 / 3, nil, nil]
+    )
+  end
+end
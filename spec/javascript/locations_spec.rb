@@ -0,0 +1,138 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/locations.js (coordinates and the map's tile maths)
+# and lib/geocoding.js with Node. Geocoding uses the in-memory provider, or a
+# stubbed fetch for the Nominatim one.
+RSpec.describe 'Locations JavaScript' do
+  let(:node_modules) { %w[locations geocoding http_client search_terms] }
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'reads typed and pasted coordinates' do
+    results = run_node(<<~JS)
+      import { formatCoordinates, parseCoordinate, parseCoordinates } from './locations.mjs'
+
+      process.stdout.write(JSON.stringify([
+        parseCoordinate(' -0.1246 '),
+        parseCoordinate('1e3'),
+        parseCoordinates('51.5007, -0.1246'),
+        parseCoordinates('48.8584 2.2945'),
+        parseCoordinates('95, 10'),
+        formatCoordinates({ latitude: 51.5, longitude: -0.12 })
+      ]))
+    JS
+
+    expect(results).to eq([
+      -0.1246,
+      nil,
+      { 'latitude' => 51.5007, 'longitude' => -0.1246 },
+      { 'latitude' => 48.8584, 'longitude' => 2.2945 },
+      nil,
+      '51.500000, -0.120000'
+    ])
+  end
+
+  it 'projects points to map pixels and back' do
+    results = run_node(<<~JS)
+      import { metersPerPixel, project, unproject, wrapLongitude } from './locations.mjs'
+
+      const round = value => Math.round(value * 1e6) / 1e6
+      const london = { latitude: 51.5007, longitude: -0.1246 }
+      const back = unproject(project(london, 12), 12)
+
+      process.stdout.write(JSON.stringify([
+        project({ latitude: 0, longitude: 0 }, 1),
+        [round(back.latitude), round(back.longitude)],
+        unproject({ x: 0, y: 0 }, 0).latitude > 85,
+        wrapLongitude(190),
+        Math.round(metersPerPixel(0, 0))
+      ]))
+    JS
+
+    expect(results).to eq([{ 'x' => 256, 'y' => 256 }, [51.5007, -0.1246], true, -170, 156_543])
+  end
+
+  it 'covers the view with tiles, wrapping around the antimeridian' do
+    tiles = run_node(<<~JS)
+      import { tileUrl, visibleTiles } from './locations.mjs'
+
+      const tiles = visibleTiles({ latitude: 0, longitude: 180 }, 1, 512, 256)
+
+      process.stdout.write(JSON.stringify({
+        tiles: tiles.map(({ x, y, left, top }) => [x, y, left, top]),
+        url: tileUrl('https://tiles.example/{z}/{x}/{y}.png', tiles[0])
+      }))
+    JS
+
+    expect(tiles).to eq(
+      'tiles' => [[1, 0, 0, -128], [0, 0, 256, -128], [1, 1, 0, 128], [0, 1, 256, 128]],
+      'url' => 'https://tiles.example/1/1/0.png'
+    )
+  end
+
+  it 'searches and reverse geocodes places held in memory' do
+    results = run_node(<<~JS)
+      import { createGeocodingProvider } from './geocoding.mjs'
+
+      const geocoder = createGeocodingProvider({
+        provider: 'memory',
+        places: [
+          { id: 'hall', label: 'Town Hall, Springfield', latitude: 39.8017, longitude: -89.6436 },
+          { id: 'arena', label: 'Prairie Capital Convention Center', latitude: 39.8003, longitude: -89.6493 },
+          { id: 'opera', label: 'Opéra Garnier, Paris', latitude: 48.8719, longitude: 2.3316 }
+        ]
+      })
+
+      process.stdout.write(JSON.stringify([
+        (await geocoder.search('town spring')).map(place => place.id),
+        (await geocoder.search('opera')).map(place => place.id),
+        (await geocoder.search(' ')).length,
+        await geocoder.reverse({ latitude: 39.8016, longitude: -89.6437 }),
+        await geocoder.reverse({ latitude: 0, longitude: 0 })
+      ]))
+    JS
+
+    expect(results).to eq([%w[hall], %w[opera], 0, 'Town Hall, Springfield', nil])
+  end
+
+  it 'asks a Nominatim service for places and has no provider when none is configured' do
+    results = run_node(<<~JS)
+      import { createGeocodingProvider } from './geocoding.mjs'
+
+      const requests = []
+      globalThis.fetch = async url => {
+        requests.push(url)
+        const body = url.includes('/reverse?')
+          ? { display_name: 'Eiffel Tower, Paris' }
+          : [{ place_id: 7, display_name: 'Eiffel Tower, Paris', lat: '48.8584', lon: '2.2945' }]
+        return new Response(JSON.stringify(body))
+      }
+
+      const geocoder = createGeocodingProvider({ provider: 'nominatim', url: 'https://geocoder.example/', key: 'abc', limit: 3 })
+      const places = await geocoder.search('eiffel tower')
+      const label = await geocoder.reverse({ latitude: 48.8584, longitude: 2.2945 })
+
+      console.warn = () => {}
+      process.stdout.write(JSON.stringify([
+        places,
+        label,
+        requests,
+        createGeocodingProvider({}),
+        createGeocodingProvider({ provider: 'missing' })
+      ]))
+    JS
+
+    expect(results).to eq([
+      [{ 'id' => '7', 'label' => 'Eiffel Tower, Paris', 'latitude' => 48.8584, 'longitude' => 2.2945 }],
+      'Eiffel Tower, Paris',
+      [
+        'https://geocoder.example/search?format=jsonv2&q=eiffel+tower&limit=3&key=abc',
+        'https://geocoder.example/reverse?format=jsonv2&lat=48.8584&lon=2.2945&key=abc'
+      ],
+      nil,
+      nil
+    ])
+  end
+end
@@ -0,0 +1,49 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/matrix.js with Node: the cells the matrix widget's
+# arrow keys move to and the rows it highlights. The answer rules themselves
+# run in the shared fixtures (spec/javascript/answer_validators_spec.rb).
+RSpec.describe 'Matrix JavaScript' do
+  let(:node_modules) { %w[matrix] }
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'moves through the grid with the arrow, Home and End keys, stopping at the edges' do
+    cells = run_node(<<~JS)
+      import { cellForKey } from './matrix.mjs'
+
+      const grid = { rows: 3, columns: 4 }
+      const keys = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Enter']
+
+      process.stdout.write(JSON.stringify([
+        ...keys.map(key => cellForKey(key, { row: 1, column: 1 }, grid)),
+        cellForKey('ArrowLeft', { row: 0, column: 0 }, grid),
+        cellForKey('ArrowDown', { row: 2, column: 3 }, grid),
+        cellForKey('Home', { row: 1, column: 2 }, grid, { ctrlKey: true }),
+        cellForKey('End', { row: 1, column: 2 }, grid, { ctrlKey: true })
+      ].map(cell => cell && [cell.row, cell.column])))
+    JS
+
+    expect(cells).to eq([[1, 0], [1, 2], [0, 1], [2, 1], [1, 0], [1, 3], nil, [0, 0], [2, 3], [0, 0], [2, 3]])
+  end
+
+  it 'lists the rows that must be answered and are not' do
+    rows = run_node(<<~JS)
+      import { requiredRows, unansweredRows } from './matrix.mjs'
+
+      const rows = ['speed', 'price', 'support']
+      const answer = { speed: '1', price: [], support: '' }
+
+      process.stdout.write(JSON.stringify([
+        requiredRows({ required: true, rows, requiredRows: ['price'] }),
+        requiredRows({ required: false, rows, requiredRows: ['price', 'gone'] }),
+        unansweredRows(answer, rows),
+        unansweredRows(null, ['speed'])
+      ]))
+    JS
+
+    expect(rows).to eq([%w[speed price support], %w[price], %w[price support], %w[speed]])
+  end
+end
@@ -0,0 +1,295 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/notifications.js with Node: how toasts are queued,
+# announced and dismissed, and how modals take and return focus.
+RSpec.describe 'Notifications JavaScript' do
+  let(:node_modules) { %w[notifications] }
+
+  # Just enough of the DOM for the notification center: a node tree with
+  # classes, attributes and the simple selectors the module queries by, and
+  # custom elements connected when they join the document
+  let(:fake_dom) do
+    <<~JS
+      class Node extends EventTarget {
+        constructor() {
+          super()
+          this.childNodes = []
+          this.parentNode = null
+        }
+
+        append(...nodes) {
+          nodes.forEach(node => {
+            if (node instanceof DocumentFragment) return this.append(...node.childNodes.splice(0))
+
+            node.remove()
+            node.parentNode = this
+            this.childNodes.push(node)
+            if (node.isConnected && node.connectedCallback) node.connectedCallback()
+          })
+        }
+
+        remove() {
+          if (!this.parentNode) return
+
+          this.parentNode.childNodes = this.parentNode.childNodes.filter(child => child !== this)
+          this.parentNode = null
+        }
+
+        get isConnected() {
+          let node = this
+          while (node.parentNode) node = node.parentNode
+          return node === globalThis.document
+        }
+
+        get textContent() {
+          return this.childNodes.map(child => child.textContent).join('')
+        }
+
+        set textContent(text) {
+          this.childNodes.splice(0).forEach(child => { child.parentNode = null })
+          if (text !== '') this.append(new Text(String(text)))
+        }
+
+        get descendants() {
+          return this.childNodes.flatMap(child => (child instanceof HTMLElement ? [child, ...child.descendants] : []))
+        }
+
+        querySelector(selector) {
+          return this.querySelectorAll(selector)[0] || null
+        }
+
+        querySelectorAll(selector) {
+          return this.descendants.filter(element => element.matches(selector))
+        }
+      }
+
+      class Text extends Node {
+        constructor(data) {
+          super()
+          this.data = data
+        }
+
+        get textContent() {
+          return this.data
+        }
+      }
+
+      class DocumentFragment extends Node {}
+
+      class HTMLElement extends Node {
+        constructor(tagName) {
+          super()
+          this.tagName = tagName
+          this.className = ''
+          this.attributes = {}
+          this.classList = {
+            add: (...names) => { this.className = [...new Set([...this.classNames, ...names])].join(' ') },
+            remove: (...names) => { this.className = this.classNames.filter(name => !names.includes(name)).join(' ') },
+            contains: name => this.classNames.includes(name)
+          }
+          this.dataset = new Proxy({}, {
+            set: (target, key, value) => {
+              this.setAttribute(`data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`, value)
+              return true
+            }
+          })
+        }
+
+        get classNames() {
+          return this.className.split(' ').filter(Boolean)
+        }
+
+        setAttribute(name, value) {
+          this.attributes[name] = String(value)
+        }
+
+        getAttribute(name) {
+          return this.attributes[name] ?? this[name] ?? null
+        }
+
+        // tag, [attribute], [attribute="value"] and :not(...) of those, in comma lists
+        matches(selector) {
+          return selector.split(',').some(part => {
+            const [, tag, rest] = part.trim().match(/^([a-z-]*)(.*)$/)
+            if (tag && tag !== this.tagName) return false
+
+            return [...rest.matchAll(/(:not\\()?\\[([\\w-]+)(?:="([^"]*)")?\\]\\)?/g)].every(([, not, name, value]) => {
+              const actual = this.getAttribute(name)
+              const found = actual !== null && actual !== undefined && actual !== false && (value === undefined || actual === value)
+              return not ? !found : found
+            })
+          })
+        }
+
+        focus() {
+          globalThis.document.activeElement = this
+        }
+
+        get offsetParent() {
+          return this.isConnected ? globalThis.document.body : null
+        }
+      }
+
+      const definitions = new Map()
+      globalThis.customElements = {
+        get: name => definitions.get(name),
+        define: (name, constructor) => definitions.set(name, constructor)
+      }
+
+      class Document extends Node {
+        constructor() {
+          super()
+          this.body = new HTMLElement('body')
+          this.activeElement = this.body
+          this.append(this.body)
+        }
+
+        createElement(tagName) {
+          const constructor = definitions.get(tagName)
+          if (!constructor) return new HTMLElement(tagName)
+
+          const element = new constructor()
+          element.tagName = tagName
+          return element
+        }
+
+        createTextNode(text) {
+          return new Text(text)
+        }
+
+        createDocumentFragment() {
+          return new DocumentFragment()
+        }
+      }
+
+      Object.assign(globalThis, { Node, Text, DocumentFragment, HTMLElement })
+      globalThis.window = { location: new URL('https://forms.test/forms/1/edit') }
+      globalThis.document = new Document()
+
+      const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+      const key = (target, name, shiftKey = false) => target.dispatchEvent(Object.assign(new Event('keydown', { cancelable: true }), { key: name, shiftKey }))
+      const toastTexts = () => document.querySelector('notification-center').childNodes[0].childNodes.map(toast => toast.childNodes[0].childNodes[1].textContent)
+      const regions = () => document.querySelectorAll('[aria-live]').map(region => region.textContent)
+    JS
+  end
+
+  # The module registers its custom element on import, so it is loaded once
+  # the fake DOM is in place
+  def run_notifications(script)
+    run_node(<<~JS)
+      #{fake_dom}
+      const { announce, element, openModal, toast } = await import('./notifications.mjs')
+
+      #{script}
+    JS
+  end
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'shows three toasts at a time and queues the rest' do
+    result = run_notifications(<<~JS)
+      const first = toast('First', { duration: 0 })
+      toast('Second', { duration: 0 })
+      toast('Third', { duration: 0 })
+      toast('Fourth', { duration: 0 })
+      toast('Second', { duration: 0 })
+      const shown = toastTexts()
+
+      first.dismiss()
+      await sleep(250)
+
+      process.stdout.write(JSON.stringify({ shown, afterDismiss: toastTexts() }))
+    JS
+
+    expect(result['shown']).to eq(%w[First Second Third])
+    expect(result['afterDismiss']).to eq(%w[Second Third Fourth])
+  end
+
+  it 'renders messages as text and announces them, errors assertively' do
+    result = run_notifications(<<~JS)
+      toast('<img src=x onerror=alert(1)>', { title: 'Saved', duration: 0 })
+      await sleep(150)
+      const polite = regions()
+
+      toast('Could not save', { type: 'error', duration: 0 })
+      await sleep(150)
+
+      const center = document.querySelector('notification-center')
+      process.stdout.write(JSON.stringify({
+        elements: center.querySelectorAll('img').length,
+        texts: toastTexts(),
+        polite,
+        assertive: regions()
+      }))
+    JS
+
+    expect(result['elements']).to eq(0)
+    expect(result['texts'].first).to eq('Saved<img src=x onerror=alert(1)>')
+    expect(result['polite']).to eq(['Saved. <img src=x onerror=alert(1)>', ''])
+    expect(result['assertive']).to eq(['Saved. <img src=x onerror=alert(1)>', 'Could not save'])
+  end
+
+  it 'dismisses toasts when their time is up unless they are being read' do
+    result = run_notifications(<<~JS)
+      toast('Short', { duration: 30 })
+      toast('Hovered', { duration: 30 })
+      const hovered = document.querySelector('notification-center').childNodes[0].childNodes[1]
+      hovered.dispatchEvent(new Event('mouseenter'))
+
+      await sleep(300)
+
+      process.stdout.write(JSON.stringify(toastTexts()))
+    JS
+
+    expect(result).to eq(['Hovered'])
+  end
+
+  it 'opens one modal at a time, moves focus in and gives it back' do
+    result = run_notifications(<<~JS)
+      const opener = document.createElement('button')
+      document.body.append(opener)
+      opener.focus()
+
+      const confirm = openModal({
+        title: 'Delete question?',
+        body: ['This cannot be undone.', element('strong', '', 'Answers are kept.')],
+        actions: [{ label: 'Cancel' }, { label: 'Delete', value: 'delete', primary: true }]
+      })
+      const help = openModal({ title: 'Help', dismissible: false })
+
+      const dialogs = () => document.querySelectorAll('[role="dialog"]')
+      const first = dialogs().map(dialog => dialog.textContent)
+      const focused = document.activeElement.textContent
+
+      document.activeElement.dispatchEvent(new Event('click'))
+      const value = await confirm.closed
+      const second = dialogs().map(dialog => dialog.textContent)
+
+      key(document.querySelector('[aria-modal]').parentNode.parentNode, 'Escape')
+      const stillOpen = dialogs().length
+      help.close('done')
+
+      process.stdout.write(JSON.stringify({
+        first,
+        focused,
+        value,
+        second,
+        stillOpen,
+        helpValue: await help.closed,
+        remaining: dialogs().length,
+        focusReturned: document.activeElement === opener
+      }))
+    JS
+
+    expect(result['first']).to eq(['Delete question?This cannot be undone.Answers are kept.CancelDelete'])
+    expect(result['focused']).to eq('Delete')
+    expect(result['value']).to eq('delete')
+    expect(result['second']).to eq(['HelpClose'])
+    expect(result['stillOpen']).to eq(1)
+    expect(result['helpValue']).to eq('done')
+    expect(result['remaining']).to eq(0)
+    expect(result['focusReturned']).to be(true)
+  end
+end
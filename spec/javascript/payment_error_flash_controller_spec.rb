@@ -199,7 +199,7 @@ RSpec.describe 'PaymentErrorFlashController', type: :system, js: true do
       
       expect(page).to have_content('Payment Setup Help')
       
-      find('button[data-action="close-modal"]').click
+      within('[role="dialog"]') { click_button 'Close' }
       
       expect(page).not_to have_content('Payment Setup Help')
     end
@@ -0,0 +1,94 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/phone_numbers.js with Node against the numbering
+# plans in config/phone_numbering_plans.json, as the phone widget gets them.
+RSpec.describe 'Phone numbers JavaScript' do
+  let(:node_modules) { %w[phone_numbers] }
+
+  def run_node(script)
+    super(<<~JS + script, files: { 'countries.json' => FormQuestion::PhoneNumber.plans.to_json })
+      import { readFileSync } from 'fs'
+      const countries = JSON.parse(readFileSync(new URL('./countries.json', import.meta.url), 'utf8'))
+      const country = code => countries.find(candidate => candidate.code === code)
+    JS
+  end
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'reads international and national numbers into E.164 form' do
+    numbers = run_node(<<~JS)
+      import { parsePhoneNumber } from './phone_numbers.mjs'
+
+      process.stdout.write(JSON.stringify([
+        parsePhoneNumber('+44 7400 123456', countries),
+        parsePhoneNumber('0044 (0)7400 123456', countries),
+        parsePhoneNumber('07400 123456', countries, 'GB'),
+        parsePhoneNumber('06 12 34 56', countries, 'FR'),
+        parsePhoneNumber('07400 123456', countries),
+        parsePhoneNumber('+999 123456', countries)
+      ]))
+    JS
+
+    expect(numbers).to eq([
+      { 'country' => 'GB', 'nationalNumber' => '7400123456', 'e164' => '+447400123456', 'valid' => true },
+      { 'country' => 'GB', 'nationalNumber' => '7400123456', 'e164' => '+447400123456', 'valid' => true },
+      { 'country' => 'GB', 'nationalNumber' => '7400123456', 'e164' => '+447400123456', 'valid' => true },
+      { 'country' => 'FR', 'nationalNumber' => '6123456', 'e164' => '+336123456', 'valid' => false },
+      nil,
+      nil
+    ])
+  end
+
+  it 'picks the country of a shared calling code by its numbering plan' do
+    countries = run_node(<<~JS)
+      import { parsePhoneNumber } from './phone_numbers.mjs'
+
+      process.stdout.write(JSON.stringify([
+        parsePhoneNumber('+1 506 234 5678', countries).country,
+        parsePhoneNumber('+1 201 555 0123', countries).country,
+        parsePhoneNumber('+1 201 555 0123', countries, 'CA').country,
+        parsePhoneNumber('+1 555 123 4567', countries, 'CA').country,
+        parsePhoneNumber('+1 555 123 4567', countries).country
+      ]))
+    JS
+
+    expect(countries).to eq(%w[CA US US CA US])
+  end
+
+  it 'formats numbers as they are typed' do
+    formatted = run_node(<<~JS)
+      import { formatNationalNumber } from './phone_numbers.mjs'
+
+      process.stdout.write(JSON.stringify([
+        formatNationalNumber('20155', country('US')),
+        formatNationalNumber('2015550123', country('US')),
+        formatNationalNumber('7400123456', country('GB')),
+        formatNationalNumber('2079460000', country('GB')),
+        formatNationalNumber('612345678', country('FR')),
+        formatNationalNumber('61234567890', country('FR'))
+      ]))
+    JS
+
+    expect(formatted).to eq(['(201) 55', '(201) 555-0123', '7400 123456', '20 7946 0000', '6 12 34 56 78', '6 12 34 56 7890'])
+  end
+
+  it 'defaults to the configured country, then the browser language' do
+    codes = run_node(<<~JS)
+      import { defaultCountryCode } from './phone_numbers.mjs'
+
+      const europe = ['DE', 'FR', 'GB'].map(country)
+
+      process.stdout.write(JSON.stringify([
+        defaultCountryCode(countries, { configured: 'IE', languages: ['en-GB'] }),
+        defaultCountryCode(countries, { languages: ['en-GB', 'en'] }),
+        defaultCountryCode(countries, { languages: ['de'] }),
+        defaultCountryCode(countries, { languages: ['xx-ZZ'] }),
+        defaultCountryCode(europe, { languages: ['en-US'] })
+      ]))
+    JS
+
+    expect(codes).to eq(%w[IE GB DE US DE])
+  end
+end
@@ -0,0 +1,57 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/quiz.js with Node: the countdown of a timed quiz
+# and how the score is written, which the result pages write with
+# number_with_precision.
+RSpec.describe 'Quiz JavaScript' do
+  include ActionView::Helpers::NumberHelper
+
+  let(:node_modules) { %w[quiz] }
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'counts down to the deadline' do
+    result = run_node(<<~JS)
+      import { formatCountdown, secondsLeft } from './quiz.mjs'
+
+      const now = Date.parse('2025-06-07T10:28:45Z')
+      process.stdout.write(JSON.stringify([
+        secondsLeft('2025-06-07T10:30:00Z', now),
+        secondsLeft('2025-06-07T10:28:44.5Z', now),
+        secondsLeft('', now),
+        formatCountdown(75),
+        formatCountdown(5),
+        formatCountdown(3725)
+      ]))
+    JS
+
+    expect(result).to eq([75, 0, nil, '1:15', '0:05', '1:02:05'])
+  end
+
+  it 'writes points as the result pages do' do
+    values = [2, 2.5, 1.0 / 3, -1.25, 0]
+    result = run_node(<<~JS)
+      import { formatPoints } from './quiz.mjs'
+
+      process.stdout.write(JSON.stringify(#{values.to_json}.map(formatPoints)))
+    JS
+
+    expect(result).to eq(values.map { |value| number_with_precision(value, precision: 2, strip_insignificant_zeros: true) })
+  end
+
+  it 'tells the respondent how an answer scored' do
+    result = run_node(<<~JS)
+      import { scoreFeedback } from './quiz.mjs'
+
+      process.stdout.write(JSON.stringify([
+        scoreFeedback({ correct: true, question_score: 1, question_max_score: 1 }),
+        scoreFeedback({ correct: false, question_score: 0, question_max_score: 2 }),
+        scoreFeedback({ correct: null, question_score: 1.5, question_max_score: 3 })
+      ]))
+    JS
+
+    expect(result).to eq(['Correct! +1 point', 'Not quite.', '1.5 of 3 points'])
+  end
+end
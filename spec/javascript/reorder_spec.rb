@@ -0,0 +1,72 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/reorder.js with Node: the positions the ranking and
+# drag_drop widgets move items to and what they announce.
+RSpec.describe 'Reorder JavaScript' do
+  let(:node_modules) { %w[reorder] }
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'maps arrow, Home and End keys to positions within the list' do
+    positions = run_node(<<~JS)
+      import { positionForKey } from './reorder.mjs'
+
+      process.stdout.write(JSON.stringify([
+        positionForKey('ArrowUp', 3, 5),
+        positionForKey('ArrowDown', 3, 5),
+        positionForKey('ArrowUp', 1, 5),
+        positionForKey('ArrowDown', 5, 5),
+        positionForKey('Home', 4, 5),
+        positionForKey('End', 2, 5),
+        positionForKey('Enter', 2, 5)
+      ]))
+    JS
+
+    expect(positions).to eq([2, 4, 1, 5, 1, 5, nil])
+  end
+
+  it 'moves an element to a position among its siblings' do
+    orders = run_node(<<~JS)
+      import { moveElement } from './reorder.mjs'
+
+      // A stand-in for a list element with just what moveElement uses
+      class FakeList {
+        constructor(names) { this.children = names }
+        insertBefore(name, next) {
+          this.children = this.children.filter(child => child !== name)
+          const index = next === null ? this.children.length : this.children.indexOf(next)
+          this.children.splice(index, 0, name)
+        }
+      }
+
+      const moves = [['c', 1], ['a', 3], ['b', 2], ['d', 9]]
+      process.stdout.write(JSON.stringify(moves.map(([name, position]) => {
+        const list = new FakeList(['a', 'b', 'c', 'd'])
+        moveElement(list, name, position)
+        return list.children
+      })))
+    JS
+
+    expect(orders).to eq([
+      %w[c a b d],
+      %w[b c a d],
+      %w[a b c d],
+      %w[a b c d]
+    ])
+  end
+
+  it 'announces where an item was moved' do
+    messages = run_node(<<~JS)
+      import { categoryAnnouncement, rankingAnnouncement } from './reorder.mjs'
+
+      process.stdout.write(JSON.stringify([
+        rankingAnnouncement('Price', 2, 4),
+        categoryAnnouncement('Apple', 'Fruit')
+      ]))
+    JS
+
+    expect(messages).to eq(['Price moved to position 2 of 4.', 'Apple moved to Fruit.'])
+  end
+end
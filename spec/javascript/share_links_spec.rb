@@ -0,0 +1,48 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/share_links.js with Node: the hidden field names
+# and prefilled share URLs of the builder's share link panel, which follow
+# Form#hidden_fields and Form#prefilled_url.
+RSpec.describe 'Share links JavaScript' do
+  let(:node_modules) { %w[share_links] }
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'reads and validates hidden field names as the form does' do
+    result = run_node(<<~JS)
+      import { hiddenFieldErrors, parseHiddenFields } from './share_links.mjs'
+
+      const names = parseHiddenFields('utm_source\\n customer_id , utm_source,,2fast\\nshare_token')
+      process.stdout.write(JSON.stringify({ names, errors: hiddenFieldErrors(names) }))
+    JS
+
+    names = %w[utm_source customer_id 2fast share_token]
+    expect(result['names']).to eq(names)
+
+    form = Form.new(name: 'Share', form_settings: { 'hidden_fields' => names })
+    form.validate
+    expect(result['errors']).to eq(form.errors[:form_settings])
+  end
+
+  it 'builds prefilled share URLs the way Form#prefilled_url does' do
+    urls = run_node(<<~JS)
+      import { prefilledUrl } from './share_links.mjs'
+
+      const base = 'https://example.com/f/abc'
+      process.stdout.write(JSON.stringify([
+        prefilledUrl(base, { plan: ['pro', 'team'], email: 'ada@example.com', customer_id: 'C 42', note: "it's (new)*" }),
+        prefilledUrl(base, { email: 'ada@example.com', other: 'x' }, ['email']),
+        prefilledUrl(base, { email: ' ', plan: [] })
+      ]))
+    JS
+
+    expect(urls).to eq([
+      'https://example.com/f/abc?customer_id=C+42&email=ada%40example.com&note=it%27s+%28new%29%2A&plan=pro%2Cteam',
+      'https://example.com/f/abc?email=ada%40example.com',
+      'https://example.com/f/abc'
+    ])
+    expect(urls.first.split('?').last).to eq({ 'customer_id' => 'C 42', 'email' => 'ada@example.com', 'note' => "it's (new)*", 'plan' => 'pro,team' }.to_query)
+  end
+end
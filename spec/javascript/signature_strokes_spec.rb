@@ -0,0 +1,101 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs app/javascript/lib/signature_strokes.js with Node: parsing posted
+# stroke data, stroke widths, SVG export and time-limited drawing for replays.
+RSpec.describe 'Signature strokes JavaScript' do
+  let(:node_modules) { %w[signature_strokes] }
+
+  let(:signature) do
+    {
+      width: 400,
+      height: 200,
+      strokes: [
+        [[10, 10, 0], [20, 12, 16], [40, 20, 32], [80, 30, 48]],
+        [[200, 100, 500]]
+      ]
+    }
+  end
+
+  before { skip 'Node.js is not available' unless node_available? }
+
+  it 'accepts well-formed stroke data and rejects anything else' do
+    results = run_node(<<~JS)
+      import { parseSignature } from './signature_strokes.mjs'
+
+      const inputs = [
+        #{signature.to_json.to_json},
+        'not json',
+        { width: 400, height: 200, strokes: [[[1, 2]]] },
+        { width: 400, height: 200, strokes: [[[1, 2, '<script>']]] },
+        { width: 0, height: 200, strokes: [] },
+        { width: 400, height: 200, strokes: [[]] }
+      ]
+
+      process.stdout.write(JSON.stringify(inputs.map(input => parseSignature(input))))
+    JS
+
+    expect(results.first).to eq(signature.deep_stringify_keys)
+    expect(results.drop(1)).to all(be_nil)
+  end
+
+  it 'draws fast strokes thinner than slow ones and follows stylus pressure' do
+    result = run_node(<<~JS)
+      import { PEN, strokeParts } from './signature_strokes.mjs'
+
+      const slow = strokeParts([[0, 0, 0], [2, 0, 40], [4, 0, 80], [6, 0, 120]])
+      const fast = strokeParts([[0, 0, 0], [60, 0, 10], [120, 0, 20], [180, 0, 30]])
+      const pen = strokeParts([[0, 0, 0, 0], [10, 0, 10, 1]])
+
+      process.stdout.write(JSON.stringify({
+        slow: slow[2].width,
+        fast: fast[2].width,
+        pen: pen[0].width,
+        expectedPen: (PEN.minWidth + PEN.maxWidth) / 2,
+        dot: strokeParts([[5, 5, 0]])[0]
+      }))
+    JS
+
+    expect(result['fast']).to be < result['slow']
+    expect(result['pen']).to be_within(0.001).of(result['expectedPen'])
+    expect(result['dot']).to include('type' => 'dot', 'x' => 5, 'y' => 5)
+  end
+
+  it 'exports one curve per point pair and one dot per single-point stroke as SVG' do
+    svg = run_node(<<~JS)
+      import { signatureToSvg } from './signature_strokes.mjs'
+
+      process.stdout.write(JSON.stringify(signatureToSvg(#{signature.to_json})))
+    JS
+
+    expect(svg).to start_with('<svg xmlns="http://www.w3.org/2000/svg" width="400" height="200" viewBox="0 0 400 200">')
+    expect(svg.scan('<path d="M').size).to eq(3)
+    expect(svg.scan('<circle').size).to eq(1)
+  end
+
+  it 'draws only the parts finished by the replay time' do
+    result = run_node(<<~JS)
+      import { drawSignature, signatureDuration } from './signature_strokes.mjs'
+
+      const calls = { curves: 0, dots: 0 }
+      const context = {
+        save() {}, restore() {}, beginPath() {}, moveTo() {}, arc() {}, stroke() {},
+        bezierCurveTo() { calls.curves += 1 },
+        fill() { calls.dots += 1 }
+      }
+      const signature = #{signature.to_json}
+
+      drawSignature(context, signature, { until: 32 })
+      const partial = { ...calls }
+      calls.curves = 0
+      drawSignature(context, signature)
+
+      process.stdout.write(JSON.stringify({ partial, full: calls, duration: signatureDuration(signature) }))
+    JS
+
+    expect(result['partial']).to eq('curves' => 2, 'dots' => 0)
+    expect(result['full']).to eq('curves' => 3, 'dots' => 1)
+    expect(result['duration']).to eq(500)
+  end
+end
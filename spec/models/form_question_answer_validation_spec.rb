@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs the shared fixture suite against FormQuestion#validate_answer.
+# spec/javascript/answer_validators_spec.rb runs the same cases through
+# app/javascript/lib/answer_validators.js so both validators stay in sync.
+RSpec.describe FormQuestion, type: :model do
+  fixture_data = JSON.parse(File.read(Rails.root.join('spec/fixtures/files/answer_validation_cases.json')))
+
+  def build_question(test_case)
+    FormQuestion.new(
+      question_type: test_case['question_type'],
+      required: test_case['required'],
+      question_config: test_case['question_config']
+    )
+  end
+
+  describe 'answer validation shared fixtures' do
+    fixture_data['cases'].each do |test_case|
+      it test_case['description'] do
+        expect(build_question(test_case).validate_answer(test_case['answer'])).to eq(test_case['expected'])
+      end
+    end
+  end
+
+  describe '#answer_constraints' do
+    it 'includes the required flag and the configured limits' do
+      question = FormQuestion.new(question_type: 'text_long', required: true, question_config: { 'max_length' => '500', 'placeholder' => 'Tell us more' })
+
+      expect(question.answer_constraints).to eq('required' => true, 'max_length' => 500)
+    end
+
+    it 'falls back to the default scale of the rating widgets' do
+      question = FormQuestion.new(question_type: 'scale', question_config: { 'max_value' => 7 })
+
+      expect(question.answer_constraints).to include('min_value' => 0, 'max_value' => 7)
+    end
+
+    it 'leaves out limits that do not parse' do
+      question = FormQuestion.new(question_type: 'date', question_config: { 'min_date' => 'soon', 'max_date' => '2030-01-01', 'min_length' => 'ten' })
+
+      expect(question.answer_constraints).to eq('required' => false, 'max_date' => '2030-01-01')
+    end
+
+    it 'lists matrix rows by id, or by position when they have none' do
+      question = FormQuestion.new(question_type: 'matrix', question_config: { 'rows' => [{ 'id' => 'speed', 'label' => 'Speed' }, 'Valid'] })
+
+      expect(question.answer_constraints['rows']).to eq(%w[speed 1])
+    end
+  end
+end
@@ -0,0 +1,89 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs the shared fixture suite against FormQuestion#should_show_for_response?.
+# spec/javascript/conditional_logic_spec.rb runs the same cases through
+# app/javascript/lib/conditional_logic.js so both evaluators stay in sync.
+RSpec.describe FormQuestion, type: :model do
+  fixture_data = JSON.parse(File.read(Rails.root.join('spec/fixtures/files/conditional_logic_cases.json')))
+
+  let(:form) { create(:form) }
+  let(:source_questions) do
+    fixture_data['question_types'].to_h do |key, question_type|
+      config = %w[multiple_choice single_choice checkbox].include?(question_type) ? { 'options' => %w[Red Blue Green] } : {}
+      [key, create(:form_question, form: form, question_type: question_type, question_config: config)]
+    end
+  end
+
+  def record_answers(form_response, answers)
+    answers.each do |key, answer|
+      question_response = form_response.question_responses.build(
+        form_question: source_questions.fetch(key),
+        skipped: answer['skipped'] || false,
+        answer_data: answer['value'].nil? ? {} : { 'value' => answer['value'] }
+      )
+      # Answers without a value are stored as an empty hash, which the presence validation rejects
+      question_response.save!(validate: !question_response.answer_data.empty?)
+    end
+  end
+
+  # Swaps the fixture keys for the ids of the created questions, including inside groups
+  def build_conditional_logic(logic)
+    rules = logic['rules'].map do |rule|
+      if rule.key?('rules')
+        build_conditional_logic(rule)
+      else
+        rule.merge('question_id' => source_questions.fetch(rule['question_id']).id)
+      end
+    end
+
+    logic.merge('rules' => rules)
+  end
+
+  describe 'conditional logic shared fixtures' do
+    fixture_data['cases'].each do |test_case|
+      it test_case['description'] do
+        form_response = create(:form_response, form: form)
+        record_answers(form_response, test_case['answers'])
+
+        question = create(:form_question,
+                          form: form,
+                          conditional_enabled: test_case['conditional_enabled'],
+                          conditional_logic: build_conditional_logic(test_case['conditional_logic']))
+
+        expect(question.should_show_for_response?(form_response)).to eq(test_case['expected'])
+      end
+    end
+  end
+
+  describe 'circular references' do
+    let!(:first_question) { create(:form_question, form: form, position: 1) }
+    let!(:second_question) do
+      create(:form_question, form: form, position: 2, conditional_enabled: true,
+                             conditional_logic: { 'rules' => [{ 'question_id' => first_question.id, 'operator' => 'is_not_empty', 'value' => '' }] })
+    end
+
+    it 'detects a chain that leads back to the question' do
+      rules = [{ 'operator' => 'or', 'rules' => [{ 'question_id' => second_question.id, 'operator' => 'is_empty', 'value' => '' }] }]
+
+      expect(first_question.conditional_dependency_cycle(rules))
+        .to eq([first_question.id, second_question.id, first_question.id])
+    end
+
+    it 'rejects conditional logic that creates a cycle' do
+      first_question.assign_attributes(
+        conditional_enabled: true,
+        conditional_logic: { 'rules' => [{ 'question_id' => second_question.id, 'operator' => 'is_empty', 'value' => '' }] }
+      )
+
+      expect(first_question).not_to be_valid
+      expect(first_question.errors[:conditional_logic]).to include('creates a circular reference between questions')
+    end
+
+    it 'allows rules without a cycle' do
+      expect(second_question.conditional_dependency_cycle).to be_nil
+      expect(second_question).to be_valid
+    end
+  end
+end
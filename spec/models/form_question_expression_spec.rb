@@ -0,0 +1,59 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Runs the shared fixture suite against FormQuestion::Expression.
+# spec/javascript/expressions_spec.rb runs the same cases through
+# app/javascript/lib/expressions.js so both evaluators stay in sync.
+RSpec.describe FormQuestion::Expression do
+  fixture_data = JSON.parse(File.read(Rails.root.join('spec/fixtures/files/expression_cases.json')))
+  shared_values = fixture_data['values']
+
+  describe 'evaluation shared fixtures' do
+    fixture_data['evaluation'].each do |test_case|
+      it test_case['description'] do
+        values = test_case['values'] || shared_values
+        result = if test_case.key?('decimals')
+                   FormQuestion.new(question_type: 'calculated', question_config: test_case.slice('formula', 'decimals')).calculate(values)
+                 else
+                   described_class.new(test_case['formula']).evaluate(values)
+                 end
+
+        expect(result).to eq(test_case['expected'])
+      end
+    end
+  end
+
+  describe 'formula error shared fixtures' do
+    fixture_data['errors'].each do |test_case|
+      it test_case['description'] do
+        expect(described_class.new(test_case['formula']).error).to eq(test_case['expected'])
+      end
+    end
+  end
+
+  describe 'piping shared fixtures' do
+    fixture_data['piping'].each do |test_case|
+      it test_case['description'] do
+        expect(described_class.pipe(test_case['text'], test_case['values'] || shared_values)).to eq(test_case['expected'])
+      end
+    end
+  end
+
+  describe 'reference shared fixtures' do
+    fixture_data['references'].each do |test_case|
+      it test_case['description'] do
+        expect(described_class.reference_errors(test_case['text'], test_case['earlier_positions'])).to eq(test_case['expected'])
+      end
+    end
+  end
+
+  it 'renumbers references, pointing those to positions that are gone at q0' do
+    expect(described_class.renumber('{{q1}} + {{ q2 }} - {{q3}}', 1 => 2, 2 => 2)).to eq('{{q2}} + {{ q2 }} - {{q0}}')
+    expect(described_class.renumber(nil, 1 => 2)).to be_nil
+  end
+
+  it 'lists the positions a text refers to' do
+    expect(described_class.referenced_positions('{{q3}} and {{q1}}, again {{ q3 }}')).to eq([1, 3])
+  end
+end
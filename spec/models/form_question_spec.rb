@@ -218,6 +218,19 @@ RSpec.describe FormQuestion, type: :model do
           end
         end
       end
+
+      it "validates the image processing settings of image_upload" do
+        question = build(:form_question,
+                         question_type: 'image_upload',
+                         question_config: { 'max_dimension' => 50, 'image_quality' => 1.5, 'crop_aspect_ratio' => 'square' })
+
+        expect(question).not_to be_valid
+        expect(question.errors[:question_config]).to include(
+          'max_dimension must be between 320 and 8192',
+          'image_quality must be greater than 0 and at most 1',
+          'crop_aspect_ratio must be a width:height ratio such as 4:3'
+        )
+      end
     end
 
     describe "text questions (text_short, text_long)" do
@@ -240,6 +253,91 @@ RSpec.describe FormQuestion, type: :model do
         end
       end
     end
+
+    describe "calculated questions" do
+      let(:form) { create(:form) }
+
+      before do
+        create(:form_question, form: form, position: 1, question_type: 'number')
+        create(:form_question, form: form, position: 2, question_type: 'number')
+      end
+
+      it "requires a formula" do
+        question = build(:form_question, form: form, position: 3, question_type: 'calculated', question_config: {})
+
+        expect(question).not_to be_valid
+        expect(question.errors[:question_config]).to include('must include a formula for calculated questions')
+      end
+
+      it "reports formulas that do not parse" do
+        question = build(:form_question, form: form, position: 3,
+                         question_type: 'calculated', question_config: { 'formula' => '{{q1}} * (2' })
+
+        expect(question).not_to be_valid
+        expect(question.errors[:question_config]).to include('formula: Unexpected end of formula')
+      end
+
+      it "only accepts references to earlier questions" do
+        question = build(:form_question, form: form, position: 2,
+                         question_type: 'calculated', question_config: { 'formula' => '{{q1}} + {{q2}}' })
+
+        expect(question).not_to be_valid
+        expect(question.errors[:question_config]).to include('formula: {{q2}} does not refer to an earlier question')
+      end
+
+      it "accepts formulas over earlier answers" do
+        question = build(:form_question, form: form, position: 3,
+                         question_type: 'calculated', question_config: { 'formula' => 'round({{q1}} / {{q2}}, 1)' })
+
+        expect(question).to be_valid
+      end
+    end
+
+    describe "prefill keys" do
+      it "validates the share URL parameter name" do
+        question = build(:form_question, question_config: { 'prefill_key' => 'e-mail' })
+
+        expect(question).not_to be_valid
+        expect(question.errors[:question_config]).to include('prefill_key must start with a letter and use only letters, digits and underscores')
+      end
+
+      it "rejects names the public form uses itself" do
+        question = build(:form_question, question_config: { 'prefill_key' => 'question_id' })
+
+        expect(question).not_to be_valid
+        expect(question.errors[:question_config]).to include('prefill_key question_id is a reserved name')
+      end
+    end
+
+    describe "answer piping" do
+      let(:form) { create(:form) }
+
+      before { create(:form_question, form: form, position: 1) }
+
+      it "accepts titles that refer to earlier answers" do
+        question = build(:form_question, form: form, position: 2, title: 'Thanks {{ q1 }}, how old are you?')
+
+        expect(question).to be_valid
+      end
+
+      it "reports placeholders that are not references to earlier questions" do
+        question = build(:form_question, form: form, position: 2,
+                         title: 'Thanks {{name}}', description: 'About {{q5}}')
+
+        expect(question).not_to be_valid
+        expect(question.errors[:title]).to include('{{name}} is not a reference; refer to answers as {{q1}}, {{q2}} and so on')
+        expect(question.errors[:description]).to include('{{q5}} does not refer to an earlier question')
+      end
+
+      it "saves other changes once moving questions left a reference to a later one" do
+        question = create(:form_question, form: form, position: 2, title: 'Thanks {{q1}}')
+        form.renumber_questions!([question, form.form_questions.find_by(position: 1)])
+
+        expect(question.reload.title).to eq('Thanks {{q2}}')
+        expect(question.update(required: true)).to be(true)
+        expect(question.update(title: 'Thanks {{q2}}!')).to be(false)
+      end
+    end
   end
 
   # Test conditional logic validation and evaluation
@@ -466,7 +564,8 @@ RSpec.describe FormQuestion, type: :model do
         expected_config = {
           max_size: 20,
           allowed_types: ['pdf', 'doc'],
-          multiple: true
+          multiple: true,
+          max_files: FormQuestion::DEFAULT_MAX_FILES
         }
         
         expect(question.file_upload_config).to eq(expected_config)
@@ -478,11 +577,204 @@ RSpec.describe FormQuestion, type: :model do
         expected_config = {
           max_size: 10,
           allowed_types: [],
-          multiple: false
+          multiple: false,
+          max_files: 1
         }
         
         expect(question.file_upload_config).to eq(expected_config)
       end
+
+      it "uses the default size limit when max_size_mb is blank" do
+        question = create(:form_question, question_type: 'file_upload', question_config: { 'max_size_mb' => '' })
+
+        expect(question.file_upload_config[:max_size]).to eq(10)
+      end
+
+      it "limits multiple file uploads to max_files" do
+        question = create(:form_question, question_type: 'image_upload', question_config: { 'multiple' => true, 'max_files' => '3' })
+
+        expect(question.file_upload_config[:max_files]).to eq(3)
+        expect(question.answer_constraints['max_files']).to eq(3)
+      end
+    end
+
+    describe "#phone_config" do
+      it "limits the countries to the configured ones" do
+        question = create(:form_question, question_type: 'phone', question_config: { 'countries' => %w[gb ie], 'default_country' => 'ie' })
+
+        expect(question.phone_config[:countries].map { |plan| plan['code'] }).to eq(%w[IE GB])
+        expect(question.phone_config[:default_country]).to eq('IE')
+        expect(question.answer_constraints).to include('countries' => question.phone_config[:countries], 'default_country' => 'IE')
+      end
+
+      it "offers every country and leaves the default to the browser when unset" do
+        question = create(:form_question, question_type: 'phone', question_config: {})
+
+        expect(question.phone_config).to eq(countries: FormQuestion::PhoneNumber.plans, default_country: nil)
+        expect(question.answer_constraints).not_to have_key('default_country')
+      end
+
+      it "has numbering plans whose examples they accept" do
+        FormQuestion::PhoneNumber.plans.each do |plan|
+          expect(FormQuestion::PhoneNumber.new(plan, plan['example'])).to be_valid, "#{plan['code']} rejects its example"
+        end
+      end
+    end
+
+    describe "#address_config" do
+      it "limits the countries to the configured ones, including the older name and code pairs" do
+        question = create(:form_question,
+                          question_type: 'address',
+                          question_config: { 'countries' => [{ 'name' => 'Canada', 'code' => 'CA' }, 'us'], 'default_country' => 'us' })
+
+        expect(question.address_config[:countries].map { |format| format['code'] }).to eq(%w[CA US])
+        expect(question.address_config[:default_country]).to eq('US')
+        expect(question.answer_constraints).to include('countries' => question.address_config[:countries], 'default_country' => 'US')
+      end
+
+      it "fills in the default labels of every country" do
+        FormQuestion::Address.formats.each do |format|
+          expect(format['labels'].keys).to match_array(FormQuestion::Address::COMPONENTS), "#{format['code']} lacks labels"
+        end
+      end
+
+      it "leaves single field questions without country rules" do
+        question = create(:form_question, question_type: 'address', question_config: { 'single_field' => 'true' })
+
+        expect(question.address_config[:single_field]).to be(true)
+        expect(question.answer_constraints).not_to have_key('countries')
+      end
+
+      it "turns suggestions off when the question does" do
+        allow(Rails.application.config.x).to receive(:address_autocomplete).and_return({ provider: 'offline', url: '/addresses.json' })
+
+        expect(create(:form_question, question_type: 'address', question_config: {}).address_config[:autocomplete])
+          .to eq(provider: 'offline', url: '/addresses.json')
+        expect(create(:form_question, question_type: 'address', question_config: { 'autocomplete' => 'false' }).address_config[:autocomplete])
+          .to eq({})
+      end
+    end
+
+    describe "#matrix_config" do
+      let(:question) do
+        create(:form_question,
+               question_type: 'matrix',
+               question_config: {
+                 'rows' => [{ 'id' => 'speed', 'label' => 'Speed', 'required' => true }, 'Price'],
+                 'columns' => ['Bad', { 'id' => 'good', 'label' => 'Good' }],
+                 'multiple_selection' => 'true'
+               })
+      end
+
+      it "lists rows and columns by id with their labels" do
+        expect(question.matrix_config).to eq(
+          rows: [
+            { id: 'speed', label: 'Speed', description: nil, required: true },
+            { id: '1', label: 'Price', description: nil, required: false }
+          ],
+          columns: [{ id: '0', label: 'Bad' }, { id: 'good', label: 'Good' }],
+          multiple: true
+        )
+      end
+
+      it "passes the columns and required rows to the validators" do
+        expect(question.answer_constraints).to include(
+          'rows' => %w[speed 1], 'columns' => %w[0 good], 'multiple' => true, 'required_rows' => %w[speed]
+        )
+      end
+    end
+
+    describe "#date_config" do
+      it "narrows the fixed limits with the days counted from today" do
+        question = create(:form_question,
+                          question_type: 'date',
+                          question_config: { 'min_date' => '2025-06-01', 'max_date' => '2025-12-31',
+                                             'min_days_from_today' => '2', 'max_days_from_today' => '365' })
+
+        travel_to Time.zone.local(2025, 6, 10, 12) do
+          expect(question.date_config).to include(min: '2025-06-12', max: '2025-12-31')
+          expect(question.answer_constraints).to include('min_date' => '2025-06-12', 'max_date' => '2025-12-31')
+        end
+      end
+
+      it "counts datetime limits from the start and end of the day" do
+        question = create(:form_question, question_type: 'datetime', question_config: { 'min_days_from_today' => '0', 'max_days_from_today' => '7' })
+
+        travel_to Time.zone.local(2025, 6, 10, 12) do
+          expect(question.date_config).to include(min: '2025-06-10T00:00', max: '2025-06-17T23:59')
+        end
+      end
+
+      it "reads unavailable weekdays and blackout dates, dropping ones it cannot read" do
+        question = create(:form_question,
+                          question_type: 'date',
+                          question_config: { 'disabled_weekdays' => ['sat', 'Sunday', '6', 'someday'],
+                                             'blackout_dates' => "2025-12-25, bad\n2025-01-01" })
+
+        expect(question.date_config).to include(disabled_weekdays: [0, 6], blackout_dates: %w[2025-01-01 2025-12-25])
+        expect(question.answer_constraints).to include('disabled_weekdays' => [0, 6], 'blackout_dates' => %w[2025-01-01 2025-12-25])
+      end
+
+      it "asks for a range and keeps the question's time zone" do
+        question = create(:form_question, question_type: 'date', question_config: { 'range' => 'true', 'timezone' => 'Paris' })
+
+        expect(question.date_config).to include(range: true, timezone: 'Europe/Paris')
+        expect(question.answer_constraints).to include('range' => true)
+        expect(create(:form_question, question_type: 'date', question_config: { 'timezone' => 'Nowhere' }).date_config[:timezone]).to be_nil
+      end
+    end
+
+    describe "#location_config" do
+      it "starts the map on the whole world" do
+        config = create(:form_question, question_type: 'location', question_config: {}).location_config
+
+        expect(config).to include(show_map: true, center: FormQuestion::DEFAULT_MAP_CENTER, zoom: FormQuestion::DEFAULT_MAP_ZOOM, coordinates_required: false)
+      end
+
+      it "zooms in on a configured center and ignores one out of range" do
+        question = create(:form_question,
+                          question_type: 'location',
+                          question_config: { 'default_latitude' => '51.5007', 'default_longitude' => '-0.1246', 'show_map' => 'false' })
+        out_of_range = create(:form_question,
+                              question_type: 'location',
+                              question_config: { 'default_latitude' => '95', 'default_longitude' => '0', 'default_zoom' => '30' })
+
+        expect(question.location_config).to include(show_map: false, center: { latitude: 51.5007, longitude: -0.1246 }, zoom: 15)
+        expect(out_of_range.location_config).to include(center: FormQuestion::DEFAULT_MAP_CENTER, zoom: FormQuestion::DEFAULT_MAP_ZOOM)
+      end
+
+      it "requires a pin when the question does" do
+        question = create(:form_question, question_type: 'location', question_config: { 'require_coordinates' => 'true' })
+
+        expect(question.location_config[:coordinates_required]).to be(true)
+        expect(question.answer_constraints).to include('coordinates_required' => true)
+      end
+    end
+
+    describe "#image_processing_config" do
+      it "returns the configured image processing settings" do
+        question = create(:form_question,
+                          question_type: 'image_upload',
+                          question_config: { 'max_dimension' => '1600', 'image_quality' => 0.7, 'crop_aspect_ratio' => '4 : 3' })
+
+        expect(question.image_processing_config).to eq(max_dimension: 1600, quality: 0.7, crop_aspect_ratio: '4:3')
+      end
+
+      it "returns default values when config is incomplete" do
+        question = create(:form_question, question_type: 'image_upload', question_config: {})
+
+        expect(question.image_processing_config).to eq(
+          max_dimension: FormQuestion::DEFAULT_IMAGE_MAX_DIMENSION,
+          quality: FormQuestion::DEFAULT_IMAGE_QUALITY,
+          crop_aspect_ratio: nil
+        )
+      end
+
+      it "returns empty hash for other question types" do
+        question = create(:form_question, question_type: 'file_upload', question_config: {})
+
+        expect(question.image_processing_config).to eq({})
+      end
     end
 
     describe "#text_config" do
@@ -515,6 +807,163 @@ RSpec.describe FormQuestion, type: :model do
       end
     end
 
+    describe "#calculation_config" do
+      it "returns the formula and decimals of calculated questions" do
+        question = build(:form_question, question_type: 'calculated',
+                         question_config: { 'formula' => ' {{q1}} * 2 ', 'decimals' => '0' })
+
+        expect(question.calculation_config).to eq(formula: '{{q1}} * 2', decimals: 0)
+      end
+
+      it "falls back to two decimals" do
+        question = build(:form_question, question_type: 'calculated',
+                         question_config: { 'formula' => '{{q1}}', 'decimals' => '20' })
+
+        expect(question.calculation_config[:decimals]).to eq(2)
+      end
+
+      it "returns empty hash for other question types" do
+        expect(build(:form_question, question_type: 'number').calculation_config).to eq({})
+      end
+    end
+
+    describe "#calculate" do
+      let(:question) do
+        build(:form_question, question_type: 'calculated',
+                              question_config: { 'formula' => '{{q1}} / ({{q2}} / 100) ^ 2', 'decimals' => 1 })
+      end
+
+      it "evaluates the formula with the answers keyed by position" do
+        expect(question.calculate(1 => '72', 2 => 180)).to eq(22.2)
+        expect(question.calculate('1' => '72', '2' => '180')).to eq(22.2)
+      end
+
+      it "returns nil while an answer is missing" do
+        expect(question.calculate(1 => '72')).to be_nil
+      end
+    end
+
+    describe "#piped_title" do
+      it "replaces references with the answers" do
+        question = build(:form_question, title: 'Thanks {{q1}}! Which of {{ Q2 }} suits you?')
+
+        expect(question.piped_title(1 => ' Ada ', 2 => %w[Email Phone])).to eq('Thanks Ada! Which of Email, Phone suits you?')
+        expect(question.piped_title({})).to eq('Thanks ! Which of  suits you?')
+        expect(question).to be_pipes_answers
+      end
+    end
+
+    describe "#prefill_config" do
+      it "returns the URL parameter and whether the answer is locked" do
+        question = build(:form_question, question_type: 'email', question_config: { 'prefill_key' => ' email ', 'lock_prefilled' => '1' })
+
+        expect(question.prefill_config).to eq(key: 'email', locked: true)
+      end
+
+      it "returns empty hash without a key or for types that cannot be prefilled" do
+        expect(build(:form_question, question_type: 'email', question_config: {}).prefill_config).to eq({})
+        expect(build(:form_question, question_type: 'signature', question_config: { 'prefill_key' => 'sig' }).prefill_config).to eq({})
+      end
+    end
+
+    describe "#prefill_answer" do
+      it "keeps answers the question accepts" do
+        question = build(:form_question, question_type: 'email')
+
+        expect(question.prefill_answer(' ada@example.com ')).to eq('ada@example.com')
+        expect(question.prefill_answer('not an email')).to be_nil
+        expect(question.prefill_answer('')).to be_nil
+      end
+
+      it "reads comma separated lists of options for checkbox questions" do
+        question = build(:form_question, question_type: 'checkbox', question_config: { 'options' => %w[Email Phone Post] })
+
+        expect(question.prefill_answer('Email,Phone')).to eq(%w[Email Phone])
+        expect(question.prefill_answer(%w[Post])).to eq(%w[Post])
+        expect(question.prefill_answer('Email,Fax')).to be_nil
+      end
+
+      it "only takes the options of choice and yes/no questions" do
+        choice = build(:form_question, question_type: 'single_choice', question_config: { 'options' => %w[Basic Pro] })
+        yes_no = build(:form_question, question_type: 'yes_no')
+
+        expect(choice.prefill_answer('Pro')).to eq('Pro')
+        expect(choice.prefill_answer('Enterprise')).to be_nil
+        expect(yes_no.prefill_answer('yes')).to eq('yes')
+        expect(yes_no.prefill_answer('maybe')).to be_nil
+      end
+    end
+
+    describe "#public_config" do
+      it "leaves out the answer key" do
+        question = build(:form_question, question_type: 'single_choice', question_config: {
+          'options' => %w[Paris Lyon], 'correct_answers' => %w[Paris], 'option_points' => { 'Paris' => 2 }, 'points' => 2
+        })
+
+        expect(question.public_config).to eq('options' => %w[Paris Lyon], 'points' => 2)
+        expect(question.question_config).to include('correct_answers' => %w[Paris])
+      end
+    end
+
+    describe "#score_answer" do
+      it "adds up the points of the options chosen" do
+        question = build(:form_question, question_type: 'checkbox', question_config: {
+          'options' => %w[Paris Lyon Berlin], 'option_points' => { 'Paris' => '2', 'Lyon' => '1', 'Berlin' => '-1', 'Rome' => '5' }
+        })
+
+        expect(question.max_score).to eq(3.0)
+        expect(question.score_answer(%w[Paris Berlin])).to eq('score' => 1.0, 'max_score' => 3.0, 'correct' => nil)
+      end
+
+      it "awards the points for a correct answer" do
+        question = build(:form_question, question_type: 'single_choice', question_config: {
+          'options' => %w[Paris Lyon], 'correct_answers' => ['', 'Paris'], 'points' => '2'
+        })
+
+        expect(question.score_answer('Paris')).to eq('score' => 2.0, 'max_score' => 2.0, 'correct' => true)
+        expect(question.score_answer('Lyon')).to eq('score' => 0.0, 'max_score' => 2.0, 'correct' => false)
+        expect(question.score_answer(nil)).to include('score' => 0.0, 'correct' => false)
+      end
+
+      it "needs exactly the correct options of questions that take several" do
+        question = build(:form_question, question_type: 'checkbox', question_config: {
+          'options' => %w[2 3 4 5], 'correct_answers' => %w[2 3 5]
+        })
+
+        expect(question.score_answer(%w[5 3 2])['correct']).to be(true)
+        expect(question.score_answer(%w[2 3])['correct']).to be(false)
+        expect(question.score_answer(%w[2 3 4 5])['correct']).to be(false)
+      end
+
+      it "matches text regardless of case and numbers by value" do
+        text = build(:form_question, question_type: 'text_short', question_config: { 'correct_answers' => ["Paris\nParís"] })
+        number = build(:form_question, question_type: 'number', question_config: { 'correct_answers' => ['42'] })
+
+        expect(text.score_answer('  paris ')['correct']).to be(true)
+        expect(text.score_answer('París')['correct']).to be(true)
+        expect(text.score_answer('Lyon')['correct']).to be(false)
+        expect(number.score_answer('42.0')['correct']).to be(true)
+        expect(number.score_answer(41)['correct']).to be(false)
+      end
+
+      it "is empty for questions that are not scored" do
+        expect(build(:form_question, question_type: 'single_choice', question_config: { 'options' => %w[A B] }).score_answer('A')).to eq({})
+        expect(build(:form_question, question_type: 'text_long', question_config: { 'correct_answers' => ['x'] })).not_to be_scored
+      end
+
+      it "validates points and numeric correct answers" do
+        choice = build(:form_question, question_type: 'single_choice', question_config: {
+          'options' => %w[A B], 'option_points' => { 'A' => 'lots', 'B' => '' }, 'points' => '0'
+        })
+        number = build(:form_question, question_type: 'number', question_config: { 'correct_answers' => ['forty-two'] })
+
+        expect(choice).not_to be_valid
+        expect(choice.errors[:question_config]).to contain_exactly('points must be a number greater than 0', 'points for option A must be a number')
+        expect(number).not_to be_valid
+        expect(number.errors[:question_config]).to include('correct answer forty-two is not a number')
+      end
+    end
+
     describe "#has_conditional_logic?" do
       it "returns true when conditional logic is enabled and present" do
         question = create(:form_question, 
@@ -574,6 +1023,125 @@ RSpec.describe FormQuestion, type: :model do
       end
     end
 
+    context "for upload questions" do
+      let(:question) { create(:form_question, :file_upload) }
+      let(:report) { ActiveStorage::Blob.create_and_upload!(io: StringIO.new('%PDF-1.4'), filename: 'report.pdf', content_type: 'application/pdf') }
+      let(:photo) { ActiveStorage::Blob.create_and_upload!(io: StringIO.new('PNG'), filename: 'photo.png', content_type: 'image/png') }
+
+      it "accepts uploaded files of an allowed type" do
+        expect(handler.validate_answer([report.signed_id])).to eq([])
+      end
+
+      it "rejects files of other types and files that were never uploaded" do
+        expect(handler.validate_answer([photo.signed_id])).to eq(['photo.png is not an accepted file type'])
+        expect(handler.validate_answer(['unknown'])).to eq([FormQuestion::UploadedFiles::MISSING_MESSAGE])
+      end
+
+      it "stores the details of the uploaded files" do
+        expect(handler.process_answer([report.signed_id])).to eq([
+          { 'signed_id' => report.signed_id, 'filename' => 'report.pdf', 'size' => 8, 'content_type' => 'application/pdf' }
+        ])
+      end
+    end
+
+    context "for phone questions" do
+      let(:question) { create(:form_question, question_type: 'phone', question_config: { 'default_country' => 'GB' }) }
+
+      it "stores numbers in E.164 form however they were typed" do
+        expect(handler.process_answer('07400 123456')).to eq('+447400123456')
+        expect(handler.process_answer('+44 (0)7400 123-456')).to eq('+447400123456')
+        expect(handler.process_answer('0033 6 12 34 56 78')).to eq('+33612345678')
+      end
+
+      it "checks numbers against the numbering plan of their country" do
+        expect(handler.validate_answer('+1 (506) 234-5678')).to eq([])
+        expect(handler.validate_answer('07400 1234')).to eq(['Enter a valid United Kingdom phone number'])
+      end
+    end
+
+    context "for address questions" do
+      let(:question) { create(:form_question, question_type: 'address', question_config: {}) }
+
+      it "stores the components of the country's layout, normalized" do
+        answer = ActionController::Parameters.new(
+          'line1' => ' 10  Downing Street ', 'line2' => '', 'city' => 'London', 'region' => 'Westminster',
+          'postal_code' => 'sw1a 2aa', 'country' => 'gb'
+        )
+
+        expect(handler.process_answer(answer)).to eq(
+          'line1' => '10 Downing Street', 'city' => 'London', 'region' => 'Westminster', 'postal_code' => 'SW1A 2AA', 'country' => 'GB'
+        )
+        expect(handler.process_answer({ 'country' => 'GB' })).to be_nil
+      end
+
+      it "checks addresses against the layout of their country" do
+        expect(handler.validate_answer({ 'line1' => '1 Main St', 'city' => 'Springfield', 'region' => 'IL', 'postal_code' => '6270', 'country' => 'US' }))
+          .to eq(['ZIP code is not valid'])
+      end
+    end
+
+    context "for matrix questions" do
+      let(:question) do
+        create(:form_question,
+               question_type: 'matrix',
+               question_config: { 'rows' => %w[Speed Price Support], 'columns' => %w[Bad Good], 'multiple_selection' => true })
+      end
+
+      it "stores the answered rows in order, without the blank checkbox values" do
+        answer = ActionController::Parameters.new('2' => ['', '1'], '0' => ['', '0', '1'], '1' => [''], 'gone' => ['0'])
+
+        expect(handler.process_answer(answer)).to eq('0' => %w[0 1], '2' => %w[1])
+        expect(handler.process_answer({ '0' => [''] })).to be_nil
+      end
+
+      it "keeps one column per row when only one may be chosen" do
+        question.update!(question_config: question.question_config.merge('multiple_selection' => false))
+
+        expect(handler.process_answer({ '0' => '1', '1' => '' })).to eq('0' => '1')
+      end
+    end
+
+    context "for date and datetime questions" do
+      let(:question) { create(:form_question, question_type: 'datetime', question_config: {}) }
+
+      it "stores datetimes in UTC from the respondent's time zone" do
+        expect(handler.process_answer('2025-03-01T10:00', timezone: 'Europe/Paris')).to eq('2025-03-01T09:00:00Z')
+        expect(handler.process_answer('2025-03-01T10:00')).to eq(Time.zone.local(2025, 3, 1, 10).utc.iso8601)
+      end
+
+      it "prefers the question's time zone to the respondent's" do
+        question.update!(question_config: { 'timezone' => 'America/New_York' })
+
+        expect(handler.process_answer('2025-03-01T10:00', timezone: 'Europe/Paris')).to eq('2025-03-01T15:00:00Z')
+      end
+
+      it "stores both ends of a date range" do
+        question.update!(question_type: 'date', question_config: { 'range' => true })
+
+        expect(handler.process_answer(ActionController::Parameters.new('start' => ' 2025-06-02', 'end' => '2025-06-09')))
+          .to eq('start' => '2025-06-02', 'end' => '2025-06-09')
+      end
+    end
+
+    context "for location questions" do
+      let(:question) { create(:form_question, question_type: 'location', question_config: {}) }
+
+      it "stores the place and rounded coordinates" do
+        answer = ActionController::Parameters.new(
+          'location' => ' Town Hall ', 'latitude' => '51.50070012', 'longitude' => '-0.1246', 'accuracy' => 'unknown'
+        )
+
+        expect(handler.process_answer(answer)).to eq('location' => 'Town Hall', 'latitude' => 51.5007, 'longitude' => -0.1246)
+        expect(handler.process_answer({ 'location' => '', 'latitude' => '', 'longitude' => '' })).to be_nil
+      end
+
+      it "checks that coordinates are on the globe" do
+        expect(handler.validate_answer({ 'location' => 'Somewhere', 'latitude' => '', 'longitude' => '' })).to eq([])
+        expect(handler.validate_answer({ 'latitude' => '91', 'longitude' => 'east' }))
+          .to eq(['Enter a latitude between -90 and 90', 'Enter a longitude between -180 and 180'])
+      end
+    end
+
     describe "#render_component" do
       it "returns the question type" do
         expect(handler.render_component).to eq(question.question_type)
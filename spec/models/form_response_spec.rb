@@ -228,6 +228,123 @@ RSpec.describe FormResponse, type: :model do
     end
   end
 
+  describe "#answer_values" do
+    it "returns the raw answers keyed by question position, without skipped ones" do
+      question1 = create(:form_question, form: form, position: 1)
+      question2 = create(:form_question, form: form, position: 2, question_type: 'checkbox', question_config: { 'options' => %w[Email Phone] })
+      question3 = create(:form_question, form: form, position: 3)
+      create(:question_response, form_response: form_response, form_question: question1, answer_data: { 'value' => 'Ada' })
+      create(:question_response, form_response: form_response, form_question: question2, answer_data: { 'value' => %w[Email Phone] })
+      create(:question_response, form_response: form_response, form_question: question3, answer_data: {}, skipped: true)
+
+      expect(form_response.answer_values).to eq(1 => 'Ada', 2 => %w[Email Phone])
+    end
+  end
+
+  describe "#record_url_parameters" do
+    let(:form) { create(:form, form_settings: { 'hidden_fields' => %w[customer_id campaign] }) }
+    let!(:email_question) do
+      create(:form_question, form: form, question_type: 'email', question_config: { 'prefill_key' => 'email' })
+    end
+
+    it "records UTM parameters, hidden fields and prefilled answers" do
+      form_response.record_url_parameters(
+        'utm_source' => 'newsletter', 'customer_id' => ' C42 ', 'email' => 'ada@example.com', 'other' => 'ignored'
+      )
+
+      form_response.reload
+      expect(form_response.utm_parameters).to eq('utm_source' => 'newsletter')
+      expect(form_response.hidden_field_values).to eq('customer_id' => 'C42')
+      expect(form_response.prefilled_answer(email_question)).to eq('ada@example.com')
+    end
+
+    it "keeps values recorded earlier and leaves out answers the question would not accept" do
+      form_response.record_url_parameters('customer_id' => 'C42')
+      form_response.record_url_parameters('campaign' => 'spring', 'email' => 'not an email')
+
+      expect(form_response.reload.hidden_field_values).to eq('customer_id' => 'C42', 'campaign' => 'spring')
+      expect(form_response.prefilled_answer(email_question)).to be_nil
+    end
+
+    it "leaves completed responses as they were submitted" do
+      form_response.update!(status: :completed, completed_at: Time.current)
+      form_response.record_url_parameters('customer_id' => 'C42', 'email' => 'ada@example.com')
+
+      expect(form_response.reload.hidden_field_values).to be_empty
+      expect(form_response.prefilled_answer(email_question)).to be_nil
+    end
+  end
+
+  describe "#quiz_result" do
+    let(:form) do
+      create(:form, form_settings: {
+        'quiz' => { 'enabled' => true, 'time_limit_minutes' => 10, 'outcomes' => [{ 'min_percent' => 0, 'title' => 'Keep practising' }, { 'min_percent' => 75, 'title' => 'Passed' }] }
+      })
+    end
+    let!(:capital) do
+      create(:form_question, form: form, position: 1, title: 'Capital of France', question_type: 'single_choice',
+                             question_config: { 'options' => %w[Paris Lyon], 'correct_answers' => %w[Paris], 'points' => 3 })
+    end
+    let!(:rivers) do
+      create(:form_question, form: form, position: 2, title: 'Rivers', question_type: 'checkbox',
+                             question_config: { 'options' => %w[Seine Rhine], 'option_points' => { 'Seine' => 1, 'Rhine' => 0 } })
+    end
+    let!(:comments) { create(:form_question, form: form, position: 3, question_type: 'text_long') }
+
+    it "scores the answers, leaving out questions that are not scored" do
+      create(:question_response, form_response: form_response, form_question: capital, answer_data: { 'value' => 'Paris' })
+      create(:question_response, form_response: form_response, form_question: comments, answer_data: { 'value' => 'Fun' })
+
+      result = form_response.quiz_result
+      expect(result).to include('score' => 3.0, 'max_score' => 4.0, 'percentage' => 75.0, 'outcome' => { 'min_percent' => 75.0, 'title' => 'Passed', 'message' => '' })
+      expect(result['breakdown']).to eq([
+        { 'question_id' => capital.id, 'title' => 'Capital of France', 'score' => 3.0, 'max_score' => 3.0, 'correct' => true },
+        { 'question_id' => rivers.id, 'title' => 'Rivers', 'score' => 0.0, 'max_score' => 1.0, 'correct' => nil }
+      ])
+    end
+
+    it "leaves out questions conditional logic skipped" do
+      create(:question_response, form_response: form_response, form_question: rivers, answer_data: {}, skipped: true)
+
+      expect(form_response.quiz_result).to include('score' => 0.0, 'max_score' => 3.0)
+    end
+
+    it "keeps the result a response completed with" do
+      create(:question_response, form_response: form_response, form_question: capital, answer_data: { 'value' => 'Lyon' })
+      form_response.mark_completed!({}, force: true)
+      capital.update!(question_config: capital.question_config.merge('correct_answers' => %w[Lyon]))
+
+      expect(form_response.reload.quiz_result).to include('score' => 0.0, 'outcome' => include('title' => 'Keep practising'))
+    end
+
+    it "runs out the time limit from the start of the response" do
+      form_response.update!(started_at: 11.minutes.ago)
+
+      expect(form_response.quiz_deadline).to be_within(1.second).of(1.minute.ago)
+      expect(form_response).to be_quiz_time_up
+      expect(form_response.quiz_time_up?(form_response.quiz_deadline)).to be(false)
+    end
+
+    it "keeps the first answer to a scored question when the score is shown after each answer" do
+      create(:question_response, form_response: form_response, form_question: capital, answer_data: { 'value' => 'Lyon' })
+      create(:question_response, form_response: form_response, form_question: comments, answer_data: { 'value' => 'Fun' })
+
+      expect(form_response.locked_quiz_answer(capital)).to be_nil
+
+      form.update!(form_settings: { 'quiz' => form.form_settings['quiz'].merge('scoring' => 'live') })
+      expect(form_response.locked_quiz_answer(capital)).to eq('Lyon')
+      expect(form_response.locked_quiz_answer(rivers)).to be_nil
+      expect(form_response.locked_quiz_answer(comments)).to be_nil
+    end
+
+    it "is empty when the form is not a quiz" do
+      form.update!(form_settings: {})
+
+      expect(form_response.quiz_result).to eq({})
+      expect(form_response.quiz_deadline).to be_nil
+    end
+  end
+
   describe "#get_answer" do
     let(:question) { create(:form_question, form: form, title: "Test Question") }
     let!(:question_response) { create(:question_response, form_response: form_response, form_question: question, answer_data: { 'value' => 'Test Answer' }) }
@@ -351,6 +351,33 @@ RSpec.describe Form, type: :model do
       end
     end
 
+    describe "#renumber_questions!" do
+      let(:form) { create(:form) }
+      let!(:weight) { create(:form_question, form: form, position: 1, question_type: 'number') }
+      let!(:height) { create(:form_question, form: form, position: 2, question_type: 'number') }
+      let!(:bmi) do
+        create(:form_question, form: form, position: 3, question_type: 'calculated', title: 'BMI for {{q1}} kg',
+                               question_config: { 'formula' => '{{q1}} / ({{q2}} / 100) ^ 2', 'decimals' => 1 })
+      end
+
+      it "keeps references on the same questions when they move" do
+        form.renumber_questions!([height, bmi, weight])
+
+        expect(form.questions_ordered).to eq([height, bmi, weight])
+        expect(bmi.reload.title).to eq('BMI for {{q3}} kg')
+        expect(bmi.calculation_config[:formula]).to eq('{{q3}} / ({{q1}} / 100) ^ 2')
+        expect(bmi.calculate(3 => '72', 1 => '180')).to eq(22.2)
+      end
+
+      it "points references to questions left out at nothing" do
+        height.destroy!
+        form.renumber_questions!([weight, bmi])
+
+        expect(bmi.reload.position).to eq(2)
+        expect(bmi.calculation_config[:formula]).to eq('{{q1}} / ({{q0}} / 100) ^ 2')
+      end
+    end
+
     describe "#public_url" do
       it "generates public URL with share_token" do
         form = create(:form)
@@ -381,6 +408,113 @@ RSpec.describe Form, type: :model do
       end
     end
 
+    describe "#hidden_fields" do
+      it "reads the names from the form settings without blanks or repeats" do
+        form = build(:form, form_settings: { 'hidden_fields' => ['utm_source', ' customer_id ', '', 'utm_source'] })
+
+        expect(form.hidden_fields).to eq(%w[utm_source customer_id])
+      end
+
+      it "accepts one name per line or comma" do
+        form = build(:form, form_settings: { 'thank_you_message' => 'Thanks!' })
+        form.hidden_fields = "utm_source\ncustomer_id, plan"
+
+        expect(form.form_settings).to include('thank_you_message' => 'Thanks!', 'hidden_fields' => %w[utm_source customer_id plan])
+      end
+
+      it "validates the names" do
+        form = build(:form, form_settings: { 'hidden_fields' => ['2fast', 'share_token', 'customer_id'] })
+
+        expect(form).not_to be_valid
+        expect(form.errors[:form_settings]).to contain_exactly(
+          'hidden field 2fast must start with a letter and use only letters, digits and underscores',
+          'hidden field share_token is a reserved name'
+        )
+      end
+    end
+
+    describe "#prefilled_url" do
+      let(:form) { create(:form, form_settings: { 'hidden_fields' => ['customer_id'] }) }
+
+      before do
+        create(:form_question, form: form, question_type: 'email', question_config: { 'prefill_key' => 'email' })
+        create(:form_question, form: form, question_type: 'checkbox', question_config: { 'options' => %w[pro team], 'prefill_key' => 'plan' })
+      end
+
+      it "adds the hidden fields and prefill keys it knows as query parameters" do
+        url = form.prefilled_url('email' => 'ada@example.com', 'plan' => %w[pro team], 'customer_id' => 'C 42', 'other' => 'x', 'utm_source' => '')
+
+        expect(url).to eq("#{form.public_url}?customer_id=C+42&email=ada%40example.com&plan=pro%2Cteam")
+      end
+
+      it "returns the share URL when there is nothing to fill in" do
+        expect(form.prefilled_url('customer_id' => ' ')).to eq(form.public_url)
+      end
+    end
+
+    describe "#quiz_config" do
+      it "is empty unless quiz mode is on" do
+        expect(build(:form, form_settings: {}).quiz_config).to eq({})
+        expect(build(:form, form_settings: { 'quiz' => { 'enabled' => false } })).not_to be_quiz
+      end
+
+      it "reads the scoring mode, time limit and outcomes in order" do
+        form = build(:form, form_settings: {
+          'quiz' => {
+            'enabled' => true, 'scoring' => 'live', 'time_limit_minutes' => '15',
+            'outcomes' => [
+              { 'min_percent' => '80', 'title' => 'Passed', 'message' => 'Well done' },
+              { 'min_percent' => '', 'title' => 'Try again' },
+              { 'min_percent' => '50', 'title' => '' }
+            ]
+          }
+        })
+
+        expect(form.quiz_config).to eq(
+          scoring: 'live',
+          time_limit_minutes: 15,
+          outcomes: [
+            { min_percent: 0.0, title: 'Try again', message: '' },
+            { min_percent: 80.0, title: 'Passed', message: 'Well done' }
+          ]
+        )
+      end
+
+      it "picks the outcome the percentage falls in" do
+        form = build(:form, form_settings: {
+          'quiz' => { 'enabled' => true, 'outcomes' => [{ 'min_percent' => 50, 'title' => 'Passed' }, { 'min_percent' => 90, 'title' => 'Excellent' }] }
+        })
+
+        expect(form.quiz_outcome(49.9)).to be_nil
+        expect(form.quiz_outcome(50)[:title]).to eq('Passed')
+        expect(form.quiz_outcome(100)[:title]).to eq('Excellent')
+      end
+
+      it "accepts the settings the builder posts" do
+        form = build(:form, form_settings: { 'thank_you_message' => 'Thanks!' })
+        form.quiz = { 'enabled' => '1', 'scoring' => 'end', 'time_limit_minutes' => '', 'outcomes' => { '0' => { 'min_percent' => '0', 'title' => 'Done', 'extra' => 'x' } } }
+
+        expect(form.form_settings).to include(
+          'thank_you_message' => 'Thanks!',
+          'quiz' => { 'enabled' => true, 'scoring' => 'end', 'time_limit_minutes' => nil, 'outcomes' => [{ 'min_percent' => '0', 'title' => 'Done' }] }
+        )
+      end
+
+      it "validates the settings" do
+        form = build(:form, form_settings: {
+          'quiz' => { 'enabled' => true, 'scoring' => 'sometimes', 'time_limit_minutes' => '0', 'outcomes' => [{ 'min_percent' => '120', 'title' => '' }] }
+        })
+
+        expect(form).not_to be_valid
+        expect(form.errors[:form_settings]).to contain_exactly(
+          'quiz scoring must be end or live',
+          'quiz time limit must be a whole number of minutes from 1 to 600',
+          'quiz outcome 1 needs a title',
+          'quiz outcome 1 must start at a percentage from 0 to 100'
+        )
+      end
+    end
+
     describe "#embed_code" do
       it "generates iframe embed code with default dimensions" do
         form = create(:form)
@@ -236,6 +236,36 @@ RSpec.describe QuestionResponse, type: :model do
         it "formats date in readable format" do
           expect(date_response.formatted_answer).to eq('March 15, 2024')
         end
+
+        it "writes both ends of a date range" do
+          date_question.update!(question_config: { 'range' => true })
+          response = create(:question_response, form_question: date_question, answer_data: { 'value' => { 'start' => '2025-06-02', 'end' => '2025-06-09' } })
+
+          expect(response.formatted_answer).to eq('June 02, 2025 to June 09, 2025')
+        end
+      end
+
+      context "for datetime questions" do
+        let(:datetime_question) { create(:form_question, question_type: 'datetime', form: form) }
+
+        it "writes the UTC time in the zone it was entered in" do
+          response = create(:question_response,
+                            form_question: datetime_question,
+                            answer_data: { 'value' => '2025-03-01T09:00:00Z', 'metadata' => { 'timezone' => 'Europe/Paris' } })
+
+          expect(response.formatted_answer).to eq('March 01, 2025 at 10:00 AM CET')
+        end
+      end
+
+      context "for calculated questions" do
+        let(:calculated_question) do
+          create(:form_question, question_type: 'calculated', form: form, question_config: { 'formula' => '10 / 4' })
+        end
+
+        it "writes whole numbers without decimals" do
+          expect(create(:question_response, form_question: calculated_question, answer_data: { 'value' => 42.0 }).formatted_answer).to eq('42')
+          expect(create(:question_response, form_question: calculated_question, answer_data: { 'value' => 2.5 }).formatted_answer).to eq('2.5')
+        end
       end
 
       context "for file upload questions" do
@@ -246,6 +276,85 @@ RSpec.describe QuestionResponse, type: :model do
         it "formats file list" do
           expect(file_response.formatted_answer).to eq('2 file(s): doc1.pdf, doc2.pdf')
         end
+
+        it "attaches the uploaded files" do
+          blob = ActiveStorage::Blob.create_and_upload!(io: StringIO.new('%PDF-1.4'), filename: 'doc1.pdf', content_type: 'application/pdf')
+          file_response.update!(answer_data: { 'value' => [{ 'signed_id' => blob.signed_id, 'filename' => 'doc1.pdf', 'size' => 8 }] })
+
+          expect(file_response.reload.files.blobs).to eq([blob])
+        end
+      end
+
+      context "for signature questions" do
+        let(:signature_question) { create(:form_question, question_type: 'signature', form: form) }
+        let(:signature_value) do
+          {
+            'signature_data' => 'javascript:alert(1)',
+            'signature_svg' => '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+            'signature_strokes' => '{"width":400,"height":200,"strokes":[[[10,10,0]]]}'
+          }
+        end
+        let(:signature_response) { create(:question_response, form_question: signature_question, answer_data: { 'value' => signature_value }) }
+
+        it "reports the signature as signed" do
+          expect(signature_response.formatted_answer).to eq('Signed')
+        end
+
+        it "keeps the stroke data and drops images that are not PNG data URLs" do
+          expect(signature_response.signature_answer).to eq(
+            strokes: signature_value['signature_strokes'],
+            svg: signature_value['signature_svg']
+          )
+        end
+      end
+
+      context "for address questions" do
+        let(:address_question) { create(:form_question, question_type: 'address', form: form) }
+
+        it "writes structured addresses the way their country does" do
+          address = { 'line1' => '1 Main St', 'city' => 'Springfield', 'region' => 'IL', 'postal_code' => '62701', 'country' => 'US' }
+          response = create(:question_response, form_question: address_question, answer_data: { 'value' => address })
+
+          expect(response.formatted_answer).to eq('1 Main St, Springfield, IL 62701, United States')
+        end
+
+        it "keeps single field addresses as typed" do
+          response = create(:question_response, form_question: address_question, answer_data: { 'value' => '1 Main St, Springfield' })
+
+          expect(response.formatted_answer).to eq('1 Main St, Springfield')
+        end
+      end
+
+      context "for matrix questions" do
+        let(:matrix_question) do
+          create(:form_question,
+                 question_type: 'matrix',
+                 form: form,
+                 question_config: { 'rows' => [{ 'id' => 'speed', 'label' => 'Speed' }, 'Price'], 'columns' => %w[Bad Good] })
+        end
+
+        it "writes each answered row with its chosen columns" do
+          response = create(:question_response, form_question: matrix_question, answer_data: { 'value' => { 'speed' => '1', '1' => %w[0 1] } })
+
+          expect(response.formatted_answer).to eq('Speed: Good; Price: Bad, Good')
+        end
+      end
+
+      context "for location questions" do
+        let(:location_question) { create(:form_question, question_type: 'location', form: form) }
+
+        it "writes the place with its coordinates" do
+          location = { 'location' => 'Town Hall', 'latitude' => 51.5007, 'longitude' => -0.1246 }
+          response = create(:question_response, form_question: location_question, answer_data: { 'value' => location })
+
+          expect(response.formatted_answer).to eq('Town Hall (51.500700, -0.124600)')
+        end
+
+        it "writes coordinates alone when no place was named" do
+          response = create(:question_response, form_question: location_question, answer_data: { 'value' => { 'latitude' => 48.8584, 'longitude' => 2.2945 } })
+
+          expect(response.formatted_answer).to eq('48.858400, 2.294500')
+        end
       end
     end
   end
@@ -73,6 +73,7 @@ RSpec.configure do |config|
   config.include AuthenticationHelpers
   config.include ApiHelpers, type: :request
   config.include WorkflowHelpers
+  config.include NodeModuleRunner, file_path: %r{spec/javascript}
   config.include ActiveSupport::Testing::TimeHelpers
   
   # Sidekiq testing configuration (if available)
@@ -0,0 +1,85 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe FormBuilderPresence do
+  let(:user) { create(:user, first_name: 'Ada', last_name: 'Lovelace') }
+  let(:other_user) { create(:user, first_name: 'Grace', last_name: 'Hopper') }
+  let(:form) { create(:form, user: user) }
+  let(:question) { create(:form_question, form: form, position: 1) }
+  let(:other_question) { create(:form_question, form: form, position: 2) }
+
+  subject(:presence) { described_class.new(form) }
+
+  before do
+    allow(Rails).to receive(:cache).and_return(ActiveSupport::Cache::MemoryStore.new)
+    presence.join('tab-11111111', user)
+    presence.join('tab-22222222', other_user)
+  end
+
+  describe '#lock' do
+    it 'refuses a question another client holds' do
+      expect(presence.lock('tab-22222222', other_user, question.id)).to be_nil
+      expect(presence.lock('tab-11111111', user, question.id)).to include('client_id' => 'tab-22222222', 'name' => 'Grace Hopper')
+    end
+
+    it 'joins again a client that has expired instead of granting a lock nobody holds' do
+      travel(described_class::STALE_AFTER + 1.second) do
+        expect(presence.members).to be_empty
+        expect(presence.lock('tab-22222222', other_user, question.id)).to be_nil
+        expect(presence.members).to contain_exactly(include('client_id' => 'tab-22222222', 'question_id' => question.id))
+        expect(presence.lock('tab-11111111', user, question.id)).to include('client_id' => 'tab-22222222')
+      end
+    end
+
+    it 'releases the previous question when the client moves on' do
+      presence.lock('tab-22222222', other_user, question.id)
+      presence.lock('tab-22222222', other_user, other_question.id)
+
+      expect(presence.lock('tab-11111111', user, question.id)).to be_nil
+      expect(presence.lock('tab-11111111', user, other_question.id)).to include('client_id' => 'tab-22222222')
+    end
+  end
+
+  it 'releases locks on unlock and when the client leaves' do
+    presence.lock('tab-22222222', other_user, question.id)
+    presence.unlock('tab-22222222')
+    expect(presence.lock('tab-11111111', user, question.id)).to be_nil
+
+    presence.leave('tab-11111111')
+    expect(presence.lock('tab-22222222', other_user, question.id)).to be_nil
+  end
+
+  it 'keeps each client in its own entry, so a lost write of the client list only drops one' do
+    list_before_join = Rails.cache.read("form_builder_presence/#{form.id}")
+    presence.join('tab-33333333', create(:user, first_name: 'Alan', last_name: 'Turing'))
+    Rails.cache.write("form_builder_presence/#{form.id}", list_before_join)
+
+    expect(presence.members.map { |member| member['name'] }).to eq(['Ada Lovelace', 'Grace Hopper'])
+  end
+
+  it 'puts a client that dropped out of the list back on its next heartbeat' do
+    presence.lock('tab-22222222', other_user, question.id)
+    Rails.cache.write("form_builder_presence/#{form.id}", ['tab-11111111'])
+
+    presence.touch('tab-22222222', other_user)
+
+    expect(presence.members).to contain_exactly(
+      include('client_id' => 'tab-11111111'),
+      include('client_id' => 'tab-22222222', 'question_id' => question.id)
+    )
+  end
+
+  it 'keeps locks alive with heartbeats' do
+    presence.lock('tab-22222222', other_user, question.id)
+
+    travel(60.seconds) do
+      presence.touch('tab-11111111', user)
+      presence.touch('tab-22222222', other_user)
+    end
+
+    travel(120.seconds) do
+      expect(presence.lock('tab-11111111', user, question.id)).to include('client_id' => 'tab-22222222')
+    end
+  end
+end
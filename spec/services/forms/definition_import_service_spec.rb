@@ -0,0 +1,108 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe Forms::DefinitionImportService, type: :service do
+  let(:owner) { create(:user) }
+  let(:importer) { create(:user) }
+  let(:form) { create(:form, user: owner, name: 'Customer Survey', form_settings: { 'theme' => 'dark' }) }
+  let!(:first_question) do
+    create(:form_question, form: form, position: 1, title: 'Do you like us?', question_type: 'yes_no')
+  end
+  let!(:second_question) do
+    create(:form_question, form: form, position: 2, title: 'Why not?', question_type: 'text_long',
+                           conditional_enabled: true,
+                           conditional_logic: {
+                             'rules' => [{ 'question_id' => first_question.id, 'operator' => 'equals', 'value' => 'no' }]
+                           })
+  end
+
+  let(:document) { JSON.parse(Forms::DefinitionExportService.new(form: form).call.result.to_json) }
+
+  describe '#call' do
+    it 'creates a draft copy of the form with new question ids' do
+      service = described_class.new(user: importer, document: document).call
+
+      expect(service).to be_success
+      imported = service.result[:form]
+      expect(imported).to be_persisted
+      expect(imported.user).to eq(importer)
+      expect(imported.name).to eq('Customer Survey')
+      expect(imported.form_settings).to include('theme' => 'dark')
+      expect(imported.status).to eq('draft')
+
+      questions = imported.form_questions.order(:position)
+      expect(questions.map(&:title)).to eq(['Do you like us?', 'Why not?'])
+      expect(questions.map(&:id)).not_to include(first_question.id, second_question.id)
+    end
+
+    it 'remaps conditional rules to the new question ids' do
+      imported = described_class.new(user: importer, document: document).call.result[:form]
+      questions = imported.form_questions.order(:position)
+
+      expect(questions.second.conditional_logic['rules'].first['question_id']).to eq(questions.first.id)
+    end
+
+    it 'previews the import without saving on a dry run' do
+      service = nil
+
+      expect {
+        service = described_class.new(user: importer, document: document, dry_run: true).call
+      }.not_to change(Form, :count)
+
+      expect(service).to be_success
+      preview = service.result[:preview]
+      expect(preview[:questions].map { |question| question[:ref] }).to eq([first_question.id, second_question.id])
+      expect(preview[:remapped_references]).to eq(1)
+    end
+
+    it 'warns about unknown form settings' do
+      document['form']['legacy_theme'] = 'blue'
+
+      service = described_class.new(user: importer, document: document, dry_run: true).call
+
+      expect(service).to be_success
+      expect(service.warnings).to include('Ignored unknown form settings: legacy_theme')
+    end
+  end
+
+  describe 'schema validation' do
+    it 'rejects documents that are not form exports' do
+      service = described_class.new(user: importer, document: { 'schema' => 'other' }).call
+
+      expect(service).to be_failure
+      expect(service.errors.full_messages.first).to include('This is not a form export')
+    end
+
+    it 'rejects unsupported versions' do
+      document['version'] = Forms::DefinitionExportService::VERSION + 1
+
+      service = described_class.new(user: importer, document: document).call
+
+      expect(service).to be_failure
+      expect(service.errors.full_messages.first).to include('is not supported')
+    end
+
+    it 'rejects unknown question types' do
+      document['questions'].first['question_type'] = 'hologram'
+
+      service = described_class.new(user: importer, document: document).call
+
+      expect(service).to be_failure
+      expect(service.errors.full_messages).to include('Question 1 has an unknown question type "hologram"')
+    end
+
+    it 'rejects rules that point at questions missing from the file' do
+      document['questions'].first['ref'] = 'renamed'
+
+      service = nil
+
+      expect {
+        service = described_class.new(user: importer, document: document).call
+      }.not_to change(Form, :count)
+
+      expect(service).to be_failure
+      expect(service.errors.full_messages.last).to include('which is not an earlier question in the file')
+    end
+  end
+end
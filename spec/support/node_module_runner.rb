@@ -0,0 +1,48 @@
+# frozen_string_literal: true
+
+require 'open3'
+
+# Runs app/javascript/lib modules with Node for the specs in spec/javascript.
+# The modules are copied into a temporary directory with an .mjs extension so
+# Node loads them as ES modules, and their lib/ imports, which the browser
+# resolves through the importmap, are pointed at the copies.
+#
+# Specs name the modules they load with let(:node_modules) and skip when Node
+# is missing:
+#
+#   let(:node_modules) { %w[quiz] }
+#
+#   before { skip 'Node.js is not available' unless node_available? }
+#
+#   result = run_node(<<~JS)
+#     import { formatPoints } from './quiz.mjs'
+#     process.stdout.write(JSON.stringify(formatPoints(2.5)))
+#   JS
+module NodeModuleRunner
+  def node_available?
+    system('node', '--version', out: File::NULL, err: File::NULL)
+  end
+
+  # Runs the script beside the modules and parses what it writes to stdout
+  #
+  # @param script [String] ES module source importing the modules as './<name>.mjs'
+  # @param modules [Array<String>] lib modules to copy, without extension
+  # @param files [Hash{String => String}] Other files to write beside the script
+  # @param args [Array<#to_s>] Command line arguments for the script
+  # @return [Object] The parsed JSON output
+  def run_node(script, modules: node_modules, files: {}, args: [])
+    Dir.mktmpdir do |dir|
+      Array(modules).each do |name|
+        source = File.read(Rails.root.join("app/javascript/lib/#{name}.js"))
+        File.write(File.join(dir, "#{name}.mjs"), source.gsub(%r{from "lib/(\w+)"}, 'from "./\\1.mjs"'))
+      end
+      files.each { |name, content| File.write(File.join(dir, name), content) }
+      File.write(File.join(dir, 'runner.mjs'), script)
+
+      output, status = Open3.capture2('node', File.join(dir, 'runner.mjs'), *args.map(&:to_s))
+      raise "Node run failed: #{output}" unless status.success?
+
+      JSON.parse(output)
+    end
+  end
+end
@@ -0,0 +1,51 @@
+require 'rails_helper'
+
+RSpec.describe 'Form builder question reordering', type: :system, js: true do
+  let(:user) { create(:user) }
+  let(:form) { create(:form, user: user) }
+  let!(:questions) do
+    (1..3).map { |position| create(:form_question, form: form, position: position, title: "Question #{position}") }
+  end
+
+  let(:card_order_script) do
+    "Array.from(document.querySelectorAll('#questions-container [data-question-id]')).map(card => card.dataset.questionId)"
+  end
+
+  before do
+    sign_in user
+    visit edit_form_path(form)
+  end
+
+  it 'makes the drag handles of cards added later keyboard accessible' do
+    page.execute_script(<<~JS)
+      const card = document.createElement('div')
+      card.dataset.questionId = 'added'
+      card.innerHTML = '<div class="drag-handle"></div>'
+      document.getElementById('questions-container').appendChild(card)
+    JS
+
+    handle = find('[data-question-id="added"] .drag-handle')
+    expect(handle[:tabindex]).to eq('0')
+    expect(handle[:role]).to eq('button')
+    expect(handle[:'aria-label']).to include('Reorder question')
+  end
+
+  it 'puts the questions back in their saved order when saving the new order fails' do
+    page.execute_script(<<~JS)
+      const originalFetch = window.fetch
+      window.fetch = (url, init) => String(url).endsWith('/questions/reorder')
+        ? Promise.resolve(new Response(JSON.stringify({ error: 'Reorder failed' }), {
+            status: 422,
+            headers: { 'Content-Type': 'application/json' }
+          }))
+        : originalFetch(url, init)
+    JS
+
+    # Move the last question to the top with the keyboard
+    find("[data-question-id='#{questions.last.id}'] .drag-handle").send_keys(:space, :up, :up, :space)
+
+    expect(page).to have_content('Failed to save the new question order: Reorder failed')
+    expect(page.evaluate_script(card_order_script)).to eq(questions.map { |question| question.id.to_s })
+    expect(form.form_questions.order(:position).pluck(:id)).to eq(questions.map(&:id))
+  end
+end